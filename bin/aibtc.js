@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+'use strict';
+
+const Cli = require('../src/cli');
+
+new Cli().run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -5,20 +5,31 @@ CREATE TABLE blocks (
   hash VARCHAR(64) PRIMARY KEY,
   previous_hash VARCHAR(64),
   timestamp BIGINT,
-  nonce INT,
+  nonce BIGINT UNSIGNED,
   difficulty INT,
+  bits INT UNSIGNED,
   merkle_root VARCHAR(64),
-  `index` INT
+  `index` INT,
+  version INT
 );
 
 CREATE TABLE transactions (
-  hash VARCHAR(64) PRIMARY KEY,
+  hash VARCHAR(64),
+  version INT,
   from_address VARCHAR(132),
+  public_key VARCHAR(66),
   to_address VARCHAR(132),
-  amount DECIMAL(20, 8),
+  amount DECIMAL(20, 0),
+  fee DECIMAL(20, 0),
+  nonce BIGINT UNSIGNED,
   timestamp BIGINT,
+  lock_time BIGINT UNSIGNED,
   signature TEXT,
+  multisig TEXT,
+  script TEXT,
   block_hash VARCHAR(64),
+  position INT,
+  PRIMARY KEY (hash, block_hash),
   FOREIGN KEY (block_hash) REFERENCES blocks(hash)
 );
 
@@ -30,3 +41,14 @@ CREATE TABLE merkle_nodes (
   node_value VARCHAR(64),
   FOREIGN KEY (block_hash) REFERENCES blocks(hash)
 );
+
+CREATE TABLE accounts (
+  address VARCHAR(132) PRIMARY KEY,
+  balance DECIMAL(20, 0),
+  nonce BIGINT UNSIGNED -- NULL until the address sends
+);
+
+CREATE TABLE metadata (
+  `key` VARCHAR(64) PRIMARY KEY,
+  value MEDIUMTEXT
+);
@@ -0,0 +1,11 @@
+-- Converts a database created when amounts were stored as coins with 8 decimals
+-- to integer base units (1 coin = 100000000 base units).
+USE blockchain;
+
+ALTER TABLE transactions MODIFY amount DECIMAL(28, 8), MODIFY fee DECIMAL(28, 8);
+UPDATE transactions SET amount = amount * 100000000, fee = fee * 100000000;
+ALTER TABLE transactions MODIFY amount DECIMAL(20, 0), MODIFY fee DECIMAL(20, 0);
+
+ALTER TABLE accounts MODIFY balance DECIMAL(28, 8);
+UPDATE accounts SET balance = balance * 100000000;
+ALTER TABLE accounts MODIFY balance DECIMAL(20, 0);
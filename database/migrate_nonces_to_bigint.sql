@@ -0,0 +1,10 @@
+-- Widens the nonce columns of a database created when they were INT, which
+-- overflow once a nonce passes 2^31 - 1 (2^32 - 1 for transactions). Accounts that
+-- never sent stored nonce -1, which becomes NULL.
+USE blockchain;
+
+ALTER TABLE blocks MODIFY nonce BIGINT UNSIGNED;
+ALTER TABLE transactions MODIFY nonce BIGINT UNSIGNED;
+
+UPDATE accounts SET nonce = NULL WHERE nonce < 0;
+ALTER TABLE accounts MODIFY nonce BIGINT UNSIGNED;
@@ -1,20 +1,17 @@
 'use strict';
 
-const { Blockchain, Transaction } = require('./src/blockchain');
+const { Blockchain } = require('./src/blockchain');
 const { Node, MerkleTree } = require('./src/merkleTree');
-const EC = require('elliptic').ec;
+const Wallet = require('./src/wallet');
+const { COIN, formatAmount } = require('./src/amount');
 
-// Create a new elliptic curve instance using the secp256k1 curve
-const ec = new EC('secp256k1');
+// Generate a sending and a receiving wallet (see src/keygenerator.js for keeping one in a keystore)
+const wallet = Wallet.generate();
+const recipient = Wallet.generate();
 
-// Generate a new key pair (private and public key)
-const keyPair = ec.genKeyPair();
-const privateKey = keyPair.getPrivate('hex'); // Extract the private key in hexadecimal format
-const publicKey = keyPair.getPublic('hex'); // Extract the public key in hexadecimal format
-
-// Print the generated public and private keys to the console
-console.log('Public Key:', publicKey);
-console.log('Private Key:', privateKey);
+// Print the wallet's address and public key to the console
+console.log('Address:', wallet.address);
+console.log('Public Key:', wallet.publicKey);
 
 // Example values to build the Merkle Tree
 const values = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
@@ -28,8 +25,14 @@ const merkleTree = new MerkleTree(values);
 merkleTree.printTree();
 console.log('Merkle Tree Root Hash:', merkleTree.getRootHash());
 
-// Create a new instance of the Blockchain class
-const myCoin = new Blockchain();
+// Create a new instance of the Blockchain class. The storage backend is chosen with
+// AIBTC_STORAGE ('memory', 'sqlite' or 'mysql'); the SQLite file is AIBTC_DB_FILE.
+const storageType = process.env.AIBTC_STORAGE || 'memory';
+const myCoin = new Blockchain({
+  storage: storageType === 'sqlite'
+    ? { type: storageType, filename: process.env.AIBTC_DB_FILE || 'aibtc.db' }
+    : { type: storageType }
+});
 
 // Log the initial state of the blockchain
 console.log("Initial Blockchain State:");
@@ -39,18 +42,16 @@ console.log(JSON.stringify(myCoin, null, 2));
 (async () => {
   try {
     // Mine the initial transactions to confirm the balance
-    await myCoin.minePendingTransactions(publicKey);
+    await myCoin.minePendingTransactions(wallet.address);
     console.log('Initial mining complete!');
 
     // Log the state of the blockchain after initial mining
     console.log("Blockchain After Initial Mining:");
     console.log(JSON.stringify(myCoin, null, 2));
 
-    // Create a new transaction from the public key address to 'address2' with amount 100
-    const tx1 = new Transaction(publicKey, 'address2', 100);
-    
-    // Sign the transaction with the private key
-    tx1.sign(ec.keyFromPrivate(privateKey));
+    // Create and sign a transaction from the wallet to the recipient sending 100 coins
+    // (amounts are base units; each sender numbers its transactions with a nonce)
+    const tx1 = wallet.createTransaction(recipient.address, 100n * COIN, { nonce: myCoin.getNextNonce(wallet.address) });
 
     console.log('Signing Transaction');
     console.log('Transaction Validity Before Adding:', tx1.isValid());
@@ -69,11 +70,11 @@ console.log(JSON.stringify(myCoin, null, 2));
     console.log("Blockchain After Mining New Transactions:");
     console.log(JSON.stringify(myCoin, null, 2));
 
-    // Print the balance of the public key address
-    const balancePublicKey = myCoin.getBalanceOfAddress(publicKey);
-    const balanceAddress2 = myCoin.getBalanceOfAddress('address2');
-    console.log(`Balance of public key: ${balancePublicKey}`);
-    console.log(`Balance of address2: ${balanceAddress2}`);
+    // Print the balances of both wallets
+    const balanceWallet = myCoin.getBalanceOfAddress(wallet.address);
+    const balanceRecipient = myCoin.getBalanceOfAddress(recipient.address);
+    console.log(`Balance of wallet: ${formatAmount(balanceWallet)}`);
+    console.log(`Balance of recipient: ${formatAmount(balanceRecipient)}`);
 
     // Validate the blockchain to ensure its integrity
     const isValid = await myCoin.isChainValid();
@@ -0,0 +1,85 @@
+'use strict';
+
+const { Blockchain } = require('./src/blockchain');
+const { ApiServer } = require('./src/api');
+const { P2PNode } = require('./src/p2p');
+const { WebhookDispatcher } = require('./src/events');
+const { Miner } = require('./src/miner');
+
+// Serve a blockchain over HTTP. The storage backend is chosen with AIBTC_STORAGE
+// ('memory', 'sqlite' or 'mysql'); the SQLite file is AIBTC_DB_FILE. The server
+// listens on AIBTC_HOST:AIBTC_PORT (127.0.0.1:3000 by default), with the block
+// explorer at /explorer and the WebSocket event stream at /events. When
+// AIBTC_P2P_PORT is set the node also joins the peer-to-peer network on that port,
+// connecting to the comma-separated host:port list in AIBTC_PEERS. Chain events are
+// posted to the comma-separated URLs in AIBTC_WEBHOOKS, limited to the events listed
+// in AIBTC_WEBHOOK_EVENTS and signed with AIBTC_WEBHOOK_SECRET when these are set.
+// POST /mine mines on AIBTC_MINER_THREADS worker threads, one per CPU by default;
+// separate mining processes fetch templates from /mining/template and send their
+// solutions to /mining/submit.
+const storageType = process.env.AIBTC_STORAGE || 'memory';
+const port = Number(process.env.AIBTC_PORT || 3000);
+const host = process.env.AIBTC_HOST || '127.0.0.1';
+const p2pPort = process.env.AIBTC_P2P_PORT;
+const peers = (process.env.AIBTC_PEERS || '').split(',').filter(Boolean);
+const minerThreads = Number(process.env.AIBTC_MINER_THREADS) || undefined;
+const webhookUrls = (process.env.AIBTC_WEBHOOKS || '').split(',').filter(Boolean);
+const webhookEvents = (process.env.AIBTC_WEBHOOK_EVENTS || '').split(',').filter(Boolean);
+
+(async() => {
+  try {
+    const blockchain = await Blockchain.load({
+      storage: storageType === 'sqlite'
+        ? { type: storageType, filename: process.env.AIBTC_DB_FILE || 'aibtc.db' }
+        : { type: storageType }
+    });
+    let node = null;
+    if (p2pPort !== undefined) {
+      node = new P2PNode(blockchain);
+      const p2pAddress = await node.listen(Number(p2pPort), host);
+      console.log(`P2P listening on ${p2pAddress.address}:${p2pAddress.port}`);
+      for (const peer of peers) {
+        const [peerHost, peerPort] = peer.split(':');
+        await node.connect(Number(peerPort), peerHost).catch(error => {
+          console.error(`Could not connect to ${peer}: ${error.message}`);
+        });
+      }
+    }
+
+    let webhooks = null;
+    if (webhookUrls.length > 0) {
+      webhooks = new WebhookDispatcher(blockchain, webhookUrls.map(url => ({
+        url,
+        events: webhookEvents.length > 0 ? webhookEvents : undefined,
+        secret: process.env.AIBTC_WEBHOOK_SECRET
+      })));
+      webhooks.on('failed', ({ url, message, attempts, error }) => {
+        console.error(`Could not deliver ${message.event} to ${url} after ${attempts} attempt(s): ${error.message}`);
+      });
+      webhooks.start();
+    }
+
+    const miner = new Miner({ threads: minerThreads });
+    const api = new ApiServer(blockchain, { node, miner });
+    const address = await api.listen(port, host);
+    console.log(`API listening on http://${address.address}:${address.port}`);
+    console.log(`Explorer at http://${address.address}:${address.port}/explorer`);
+
+    // Flush the storage before exiting on Ctrl+C
+    process.on('SIGINT', async() => {
+      if (webhooks) {
+        webhooks.stop();
+      }
+      await miner.close();
+      await api.close();
+      if (node) {
+        await node.close();
+      }
+      await blockchain.storage.close();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error('Error starting the API server:', error);
+    process.exit(1);
+  }
+})();
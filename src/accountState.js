@@ -0,0 +1,209 @@
+'use strict';
+
+const TIP_KEY = 'accountStateTip'; // Metadata key holding the hash of the last applied block
+
+/**
+ * Balances and last used nonces of every address, and the block holding every
+ * transaction, updated block by block so that lookups do not have to walk the
+ * chain. Applying a block remembers what it changed, so the block can be
+ * reverted when it leaves the best chain.
+ */
+class AccountState {
+  constructor() {
+    this.accounts = new Map(); // Account by address: { balance, nonce }, balances in base units
+    this.transactions = new Map(); // Where each applied transaction is, by hash: { block, index }
+    this.undo = new Map(); // Accounts as they were before each applied block, by block hash
+    this.dirty = new Set(); // Addresses changed since the last save
+    this.tipHash = null; // Hash of the last applied block
+  }
+
+  /**
+   * Builds the state by applying every block of a chain, genesis first.
+   * @param {Block[]} chain - The blocks
+   * @returns {AccountState}
+   */
+  static fromChain(chain) {
+    const state = new AccountState();
+    for (const block of chain) {
+      state.applyBlock(block);
+    }
+    return state;
+  }
+
+  /**
+   * Loads the state saved for a chain tip. Returns null when the storage holds
+   * no state or a state for another tip, in which case it has to be rebuilt.
+   * @param {Storage} storage - Storage adapter
+   * @param {string} tipHash - Hash of the chain tip
+   * @returns {Promise<AccountState|null>}
+   */
+  static async load(storage, tipHash) {
+    if (await storage.getMetadata(TIP_KEY) !== tipHash) {
+      return null;
+    }
+    const state = new AccountState();
+    for (const record of await storage.getAccounts()) {
+      state.accounts.set(record.address, { balance: record.balance, nonce: record.nonce });
+    }
+    state.tipHash = tipHash;
+    return state;
+  }
+
+  /**
+   * Gets the confirmed balance of an address.
+   * @param {string} address - The address
+   * @returns {bigint} - Base units
+   */
+  getBalance(address) {
+    const account = this.accounts.get(address);
+    return account ? account.balance : 0n;
+  }
+
+  /**
+   * Gets the highest nonce an address has used in the chain.
+   * @param {string} address - The address
+   * @returns {number} - The nonce, or -1 if none
+   */
+  getNonce(address) {
+    const account = this.accounts.get(address);
+    return account ? account.nonce : -1;
+  }
+
+  /**
+   * Finds the block holding an applied transaction.
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} - { block, index } with the position of the transaction in the block
+   */
+  findTransaction(hash) {
+    return this.transactions.get(hash) || null;
+  }
+
+  /**
+   * Indexes the transactions of blocks whose balances are already in the state,
+   * as after load, which only restores the accounts.
+   * @param {Block[]} chain - The blocks, genesis first
+   */
+  indexTransactions(chain) {
+    for (const block of chain) {
+      this.addTransactions(block);
+    }
+  }
+
+  /**
+   * Checks whether any applied transaction sent funds from or to an address.
+   * @param {string} address - The address
+   * @returns {boolean}
+   */
+  hasAccount(address) {
+    return this.accounts.has(address);
+  }
+
+  /**
+   * Applies the transactions of a block on top of the state.
+   * @param {Block} block - The next block of the chain
+   */
+  applyBlock(block) {
+    const previous = new Map(); // Accounts touched by the block, as they were before it
+    const update = (address, change) => {
+      if (!previous.has(address)) {
+        previous.set(address, this.accounts.get(address) || null);
+      }
+      const account = { balance: this.getBalance(address), nonce: this.getNonce(address) };
+      change(account);
+      this.accounts.set(address, account);
+      this.dirty.add(address);
+    };
+
+    for (const tx of block.transactions) {
+      if (tx.fromAddress !== null) {
+        update(tx.fromAddress, account => {
+          account.balance -= tx.amount + tx.fee;
+          if (tx.nonce !== null && tx.nonce !== undefined) {
+            account.nonce = Math.max(account.nonce, tx.nonce);
+          }
+        });
+      }
+      update(tx.toAddress, account => {
+        account.balance += tx.amount;
+      });
+    }
+    this.addTransactions(block);
+    this.undo.set(block.hash, previous);
+    this.tipHash = block.hash;
+  }
+
+  // Index where the transactions of a block are, keeping the first block of a hash
+  addTransactions(block) {
+    block.transactions.forEach((tx, index) => {
+      if (!this.transactions.has(tx.hash)) {
+        this.transactions.set(tx.hash, { block, index });
+      }
+    });
+  }
+
+  /**
+   * Reverts the last applied block.
+   * @param {Block} block - The block to revert, which must be the tip of the state
+   * @throws {Error} - If the block is not the tip or was applied before the state was loaded
+   */
+  revertBlock(block) {
+    const previous = this.undo.get(block.hash);
+    if (block.hash !== this.tipHash || !previous) {
+      throw new Error(`Cannot revert block ${block.hash}; rebuild the account state instead.`);
+    }
+    for (const [address, account] of previous) {
+      if (account) {
+        this.accounts.set(address, account);
+      } else {
+        this.accounts.delete(address);
+      }
+      this.dirty.add(address);
+    }
+    for (const tx of block.transactions) {
+      if (this.transactions.get(tx.hash)?.block === block) {
+        this.transactions.delete(tx.hash);
+      }
+    }
+    this.undo.delete(block.hash);
+    this.tipHash = block.previousHash;
+  }
+
+  /**
+   * Checks whether another state holds the same accounts.
+   * @param {AccountState} other - The state to compare with
+   * @returns {boolean}
+   */
+  equals(other) {
+    const addresses = new Set([...this.accounts.keys(), ...other.accounts.keys()]);
+    for (const address of addresses) {
+      if (this.getBalance(address) !== other.getBalance(address) || this.getNonce(address) !== other.getNonce(address)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Writes the accounts changed since the last save, then the tip they belong to.
+   * The tip goes last so that an interrupted save is detected on load.
+   * @param {Storage} storage - Storage adapter
+   * @returns {Promise<void>}
+   */
+  async save(storage) {
+    const records = [...this.dirty].map(address => ({
+      address,
+      balance: this.getBalance(address),
+      nonce: this.getNonce(address)
+    }));
+    this.dirty.clear();
+    await storage.putAccounts(records);
+    await storage.putMetadata(TIP_KEY, this.tipHash);
+  }
+
+  // Keep JSON dumps of a blockchain readable
+  toJSON() {
+    return Object.fromEntries([...this.accounts].map(([address, { balance, nonce }]) => [address, { balance: String(balance), nonce }]));
+  }
+}
+
+module.exports = AccountState;
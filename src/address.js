@@ -0,0 +1,231 @@
+'use strict';
+
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+
+const ec = new EC('secp256k1');
+
+const ADDRESS_VERSION = 0x17; // Version byte of account addresses, which makes them start with 'A'
+const MULTISIG_VERSION = 0x32; // Version byte of multisig addresses, which makes them start with 'M'
+const SCRIPT_VERSION = 0x3f; // Version byte of script addresses, which makes them start with 'S'
+const MAX_MULTISIG_KEYS = 15; // Most public keys behind a multisig address
+const CHECKSUM_SIZE = 4; // Bytes of checksum at the end of an address
+const PAYLOAD_SIZE = 1 + 20 + CHECKSUM_SIZE; // Version byte, public key hash and checksum
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Account addresses. An address is the RIPEMD-160 hash of the SHA-256 hash of the
+ * compressed public key, prefixed with a version byte and followed by a checksum
+ * (the first bytes of the double SHA-256 of the rest), encoded in Base58. A
+ * mistyped address fails its checksum, so it is caught before funds are sent to it.
+ *
+ * Multisig addresses hash a threshold and a set of public keys instead of a single
+ * key; funds sent to them need signatures from at least threshold of the keys.
+ * Script addresses hash a locking script (see script.js), which decides how the
+ * funds sent to them can be spent.
+ *
+ * Chains started before addresses existed use the uncompressed public key in hex
+ * as the address; those legacy addresses stay valid.
+ */
+
+// Create an error with a machine-readable code
+function multisigError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_MULTISIG';
+  return error;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+function hash160(data) {
+  return crypto.createHash('ripemd160').update(sha256(data)).digest();
+}
+
+function getChecksum(data) {
+  return sha256(sha256(data)).subarray(0, CHECKSUM_SIZE);
+}
+
+/**
+ * Encodes bytes in Base58, keeping leading zero bytes as leading '1's.
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - The encoded text
+ */
+function base58Encode(buffer) {
+  let value = BigInt('0x' + (buffer.toString('hex') || '0'));
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i++) {
+    encoded = '1' + encoded;
+  }
+  return encoded;
+}
+
+/**
+ * Decodes Base58 text.
+ * @param {string} text - Text to decode
+ * @returns {Buffer|null} - The bytes, or null if the text is not Base58
+ */
+function base58Decode(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  let hex = value > 0n ? value.toString(16) : '';
+  if (hex.length % 2 === 1) {
+    hex = '0' + hex;
+  }
+  const leadingZeros = text.length - text.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+}
+
+/**
+ * Converts a public key to its compressed form.
+ * @param {string} publicKey - Compressed or uncompressed public key in hex
+ * @returns {string} - The compressed public key in hex
+ * @throws {Error} - If the text is not a secp256k1 public key
+ */
+function compressPublicKey(publicKey) {
+  return ec.keyFromPublic(publicKey, 'hex').getPublic(true, 'hex');
+}
+
+/**
+ * Derives the address of a public key.
+ * @param {string} publicKey - Compressed or uncompressed public key in hex
+ * @returns {string} - The Base58 checksummed address
+ */
+function publicKeyToAddress(publicKey) {
+  return encodeAddress(ADDRESS_VERSION, hash160(Buffer.from(compressPublicKey(publicKey), 'hex')));
+}
+
+/**
+ * Puts the keys of a multisig address in their canonical form: compressed and
+ * sorted, so that the same keys give the same address in any order.
+ * @param {string[]} publicKeys - Compressed or uncompressed public keys in hex
+ * @param {number} threshold - Number of keys that have to sign, from 1 to the number of keys
+ * @returns {string[]} - The compressed keys in ascending order
+ * @throws {Error} - With code INVALID_MULTISIG for a bad threshold, duplicate or malformed keys
+ */
+function normalizeMultisigKeys(publicKeys, threshold) {
+  if (!Array.isArray(publicKeys) || publicKeys.length === 0 || publicKeys.length > MAX_MULTISIG_KEYS) {
+    throw multisigError(`A multisig address needs from 1 to ${MAX_MULTISIG_KEYS} public keys`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > publicKeys.length) {
+    throw multisigError(`Threshold must be from 1 to the ${publicKeys.length} keys, not ${threshold}`);
+  }
+  const keys = publicKeys.map(publicKey => {
+    try {
+      return compressPublicKey(publicKey);
+    } catch (error) {
+      throw multisigError(`Invalid public key ${publicKey}`);
+    }
+  }).sort();
+  if (keys.some((key, i) => key === keys[i - 1])) {
+    throw multisigError('A multisig address cannot list a key twice');
+  }
+  return keys;
+}
+
+/**
+ * Derives the address of a set of public keys and a threshold.
+ * @param {string[]} publicKeys - Public keys in hex, in any order
+ * @param {number} threshold - Number of keys that have to sign
+ * @returns {string} - The Base58 checksummed multisig address
+ */
+function multisigToAddress(publicKeys, threshold) {
+  const keys = normalizeMultisigKeys(publicKeys, threshold);
+  const script = Buffer.concat([Buffer.from([threshold, keys.length]), ...keys.map(key => Buffer.from(key, 'hex'))]);
+  return encodeAddress(MULTISIG_VERSION, hash160(script));
+}
+
+/**
+ * Derives the address of a locking script.
+ * @param {string} script - Locking script in hex
+ * @returns {string} - The Base58 checksummed script address
+ */
+function scriptToAddress(script) {
+  return encodeAddress(SCRIPT_VERSION, hash160(Buffer.from(script, 'hex')));
+}
+
+// Base58Check encoding of a version byte and a hash
+function encodeAddress(version, hash) {
+  const payload = Buffer.concat([Buffer.from([version]), hash]);
+  return base58Encode(Buffer.concat([payload, getChecksum(payload)]));
+}
+
+// Version byte of a well-formed address, or null
+function getAddressVersion(address) {
+  if (typeof address !== 'string') {
+    return null;
+  }
+  const decoded = base58Decode(address);
+  if (!decoded || decoded.length !== PAYLOAD_SIZE) {
+    return null;
+  }
+  const payload = decoded.subarray(0, -CHECKSUM_SIZE);
+  return getChecksum(payload).equals(decoded.subarray(-CHECKSUM_SIZE)) ? decoded[0] : null;
+}
+
+/**
+ * Checks an address for its version byte, length and checksum.
+ * @param {string} address - The address
+ * @returns {boolean} - True for well-formed checksummed account, multisig and script addresses
+ */
+function isValidAddress(address) {
+  const version = getAddressVersion(address);
+  return version === ADDRESS_VERSION || version === MULTISIG_VERSION || version === SCRIPT_VERSION;
+}
+
+/**
+ * Checks whether an address is a well-formed multisig address.
+ * @param {string} address - The address
+ * @returns {boolean}
+ */
+function isMultisigAddress(address) {
+  return getAddressVersion(address) === MULTISIG_VERSION;
+}
+
+/**
+ * Checks whether an address is a well-formed script address.
+ * @param {string} address - The address
+ * @returns {boolean}
+ */
+function isScriptAddress(address) {
+  return getAddressVersion(address) === SCRIPT_VERSION;
+}
+
+/**
+ * Checks whether an address is a legacy one, an uncompressed public key in hex.
+ * @param {string} address - The address
+ * @returns {boolean}
+ */
+function isLegacyAddress(address) {
+  return typeof address === 'string' && /^04[0-9a-f]{128}$/i.test(address);
+}
+
+module.exports = {
+  ADDRESS_VERSION,
+  MULTISIG_VERSION,
+  SCRIPT_VERSION,
+  MAX_MULTISIG_KEYS,
+  hash160,
+  base58Encode,
+  base58Decode,
+  compressPublicKey,
+  publicKeyToAddress,
+  normalizeMultisigKeys,
+  multisigToAddress,
+  scriptToAddress,
+  isValidAddress,
+  isMultisigAddress,
+  isScriptAddress,
+  isLegacyAddress
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Amounts, fees and balances are integer numbers of base units held in BigInts,
+ * so that sums are exact. One coin is COIN base units; amounts are shown to
+ * people in coins with DECIMALS digits after the decimal point.
+ */
+
+const DECIMALS = 8; // Digits shown after the decimal point
+const COIN = 10n ** BigInt(DECIMALS); // Base units in one coin
+// Largest amount. What bounds amounts is the binary encoding, which writes them as
+// unsigned 64-bit integers (see serialization.js); the limit is the signed 64-bit
+// maximum below that, which blocks already rely on. The databases hold more: MySQL
+// stores amounts in DECIMAL(20, 0) columns and SQLite as text
+const MAX_AMOUNT = 2n ** 63n - 1n;
+
+// Create an error with a machine-readable code
+function amountError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_AMOUNT';
+  return error;
+}
+
+/**
+ * Reads an amount of base units.
+ * @param {bigint|number|string} value - A BigInt, a safe integer or a string of digits
+ * @param {string} [name='Amount'] - What the value is, for error messages
+ * @returns {bigint}
+ * @throws {Error} - With code INVALID_AMOUNT for negative, fractional, overflowing or non-numeric values
+ */
+function parseAmount(value, name = 'Amount') {
+  let amount;
+  if (typeof value === 'bigint') {
+    amount = value;
+  } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    amount = BigInt(value);
+  } else if (typeof value === 'string' && /^(?:0|[1-9][0-9]*)$/.test(value)) {
+    amount = BigInt(value);
+  } else {
+    throw amountError(`${name} must be an integer number of base units, not ${value}`);
+  }
+  if (amount < 0n || amount > MAX_AMOUNT) {
+    throw amountError(`${name} must be between 0 and ${MAX_AMOUNT} base units`);
+  }
+  return amount;
+}
+
+/**
+ * Reads an amount written in coins, such as "1.5".
+ * @param {string} text - Coins with at most DECIMALS digits after the point
+ * @param {string} [name='Amount'] - What the value is, for error messages
+ * @returns {bigint} - Base units
+ */
+function parseCoins(text, name = 'Amount') {
+  const match = /^([0-9]+)(?:\.([0-9]+))?$/.exec(String(text));
+  if (!match || (match[2] && match[2].length > DECIMALS)) {
+    throw amountError(`${name} must be a number of coins with at most ${DECIMALS} decimals, not ${text}`);
+  }
+  const fraction = (match[2] || '').padEnd(DECIMALS, '0');
+  return parseAmount(BigInt(match[1]) * COIN + BigInt(fraction), name);
+}
+
+/**
+ * Writes an amount in coins with DECIMALS digits after the point.
+ * @param {bigint} amount - Base units
+ * @returns {string} - For example "1.50000000"
+ */
+function formatAmount(amount) {
+  const sign = amount < 0n ? '-' : '';
+  const units = amount < 0n ? -amount : amount;
+  return `${sign}${units / COIN}.${String(units % COIN).padStart(DECIMALS, '0')}`;
+}
+
+/**
+ * Converts an amount to the number of coins legacy transactions and blocks hashed.
+ * @param {bigint} amount - Base units
+ * @returns {number}
+ */
+function toLegacyCoins(amount) {
+  return Number(amount) / Number(COIN);
+}
+
+module.exports = {
+  DECIMALS,
+  COIN,
+  MAX_AMOUNT,
+  parseAmount,
+  parseCoins,
+  formatAmount,
+  toLegacyCoins
+};
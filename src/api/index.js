@@ -0,0 +1,9 @@
+'use strict';
+
+const ApiServer = require('./server');
+const schemas = require('./schemas');
+
+module.exports = {
+  ApiServer,
+  schemas
+};
@@ -0,0 +1,309 @@
+'use strict';
+
+const { TX_VERSIONS } = require('../serialization');
+
+/**
+ * JSON schemas of the HTTP API. Request bodies are validated against them before
+ * they reach the blockchain; the response schemas document what clients receive.
+ * Amounts, fees and balances are strings of integer base units, since JSON numbers
+ * cannot hold every amount exactly.
+ */
+
+// Integer number of base units; the upper bound is checked by Transaction.fromJSON
+const amount = { type: 'string', pattern: '^(0|[1-9][0-9]*)$' };
+
+// Keys and signatures of a multisig sender, with a null signature for each key that has not signed
+const multisig = {
+  type: 'object',
+  required: ['threshold', 'publicKeys', 'signatures'],
+  additionalProperties: false,
+  properties: {
+    threshold: { type: 'integer', minimum: 1 },
+    publicKeys: { type: 'array', items: { type: 'string' } },
+    signatures: { type: 'array', items: { type: ['string', 'null'] } }
+  }
+};
+
+// Locking and unlocking scripts in hex of a script sender
+const script = {
+  type: 'object',
+  required: ['lockingScript', 'unlockingScript'],
+  additionalProperties: false,
+  properties: {
+    lockingScript: { type: 'string', pattern: '^([0-9a-f]{2})*$' },
+    unlockingScript: { type: 'string', pattern: '^([0-9a-f]{2})*$' }
+  }
+};
+
+const transaction = {
+  $id: 'transaction',
+  type: 'object',
+  required: ['fromAddress', 'toAddress', 'amount', 'timestamp'],
+  properties: {
+    hash: { type: 'string' },
+    version: { enum: Object.values(TX_VERSIONS) },
+    fromAddress: { type: ['string', 'null'] },
+    publicKey: { type: ['string', 'null'] },
+    toAddress: { type: 'string', minLength: 1 },
+    amount,
+    fee: amount,
+    nonce: { type: ['integer', 'null'], minimum: 0 },
+    timestamp: { type: 'integer' },
+    lockTime: { type: ['integer', 'null'], minimum: 0 },
+    signature: { type: ['string', 'null'] },
+    multisig: { anyOf: [{ type: 'null' }, multisig] },
+    script: { anyOf: [{ type: 'null' }, script] },
+    blockHash: { type: 'string' }
+  }
+};
+
+const block = {
+  $id: 'block',
+  type: 'object',
+  required: ['version', 'index', 'previousHash', 'timestamp', 'transactions', 'bits', 'merkleRoot', 'nonce', 'hash'],
+  properties: {
+    version: { type: 'integer' },
+    index: { type: 'integer' },
+    previousHash: { type: 'string' },
+    timestamp: { type: 'integer' },
+    transactions: { type: 'array', items: { $ref: 'transaction' } },
+    bits: { type: 'integer' },
+    merkleRoot: { type: ['string', 'null'] },
+    nonce: { type: 'integer' },
+    hash: { type: 'string' }
+  }
+};
+
+// POST /transactions: a transaction signed by its sender, by enough of the keys of
+// a multisig sender, or unlocked by the scripts of a script sender. Only the shape
+// is checked here; amounts, fees, nonces, signatures and scripts are checked by
+// Blockchain.addTransaction
+const newTransaction = {
+  $id: 'newTransaction',
+  type: 'object',
+  required: ['fromAddress', 'toAddress', 'amount', 'timestamp', 'nonce'],
+  anyOf: [
+    { required: ['signature'], properties: { signature: { type: 'string' } } },
+    { required: ['multisig'], properties: { multisig: { type: 'object' } } },
+    { required: ['script'], properties: { script: { type: 'object' } } }
+  ],
+  additionalProperties: false,
+  properties: {
+    hash: { type: 'string' },
+    version: { enum: Object.values(TX_VERSIONS) },
+    fromAddress: { type: 'string', minLength: 1 },
+    publicKey: { type: ['string', 'null'] },
+    toAddress: { type: 'string', minLength: 1 },
+    amount,
+    fee: amount,
+    nonce: { type: 'integer' },
+    timestamp: { type: 'integer' },
+    lockTime: { type: ['integer', 'null'], minimum: 0 },
+    signature: { type: ['string', 'null'], minLength: 1 },
+    multisig: { anyOf: [{ type: 'null' }, multisig] },
+    script: { anyOf: [{ type: 'null' }, script] },
+    blockHash: { type: 'string' }
+  }
+};
+
+// POST /mine
+const mineRequest = {
+  $id: 'mineRequest',
+  type: 'object',
+  required: ['minerAddress'],
+  additionalProperties: false,
+  properties: {
+    minerAddress: { type: 'string', minLength: 1 }
+  }
+};
+
+// POST /mining/template
+const templateRequest = {
+  $id: 'templateRequest',
+  type: 'object',
+  required: ['minerAddress'],
+  additionalProperties: false,
+  properties: {
+    minerAddress: { type: 'string', minLength: 1 },
+    worker: { type: 'string', minLength: 1, maxLength: 100 }
+  }
+};
+
+// POST /mining/submit
+const solution = {
+  $id: 'solution',
+  type: 'object',
+  required: ['templateId', 'nonce'],
+  additionalProperties: false,
+  properties: {
+    templateId: { type: 'string', minLength: 1 },
+    nonce: { type: 'integer', minimum: 0 },
+    timestamp: { type: 'integer' }
+  }
+};
+
+const page = (id, items) => ({
+  $id: id,
+  type: 'object',
+  required: ['items', 'offset', 'limit', 'total'],
+  properties: {
+    items: { type: 'array', items },
+    offset: { type: 'integer', minimum: 0 },
+    limit: { type: 'integer', minimum: 1 },
+    total: { type: 'integer', minimum: 0 }
+  }
+});
+
+// GET /blocks
+const blockPage = page('blockPage', { $ref: 'block' });
+
+// GET /tx/:hash
+const transactionStatus = {
+  $id: 'transactionStatus',
+  type: 'object',
+  required: ['status', 'transaction'],
+  properties: {
+    status: { enum: ['confirmed', 'pending'] },
+    blockHash: { type: 'string' },
+    blockIndex: { type: 'integer' },
+    transaction: { $ref: 'transaction' }
+  }
+};
+
+// GET /address/:address/balance
+const balance = {
+  $id: 'balance',
+  type: 'object',
+  required: ['address', 'balance', 'spendable', 'nextNonce'],
+  properties: {
+    address: { type: 'string' },
+    balance: amount,
+    spendable: amount,
+    nextNonce: { type: 'integer', minimum: 0 }
+  }
+};
+
+// GET /address/:address/scheduled: the lock times are compared with the height and
+// median time of the next block
+const scheduledTransactions = {
+  $id: 'scheduledTransactions',
+  type: 'object',
+  required: ['address', 'height', 'medianTimePast', 'transactions'],
+  properties: {
+    address: { type: 'string' },
+    height: { type: 'integer', minimum: 0 },
+    medianTimePast: { type: 'integer' },
+    transactions: { type: 'array', items: { $ref: 'transaction' } }
+  }
+};
+
+// GET /chain/valid
+const chainValidity = {
+  $id: 'chainValidity',
+  type: 'object',
+  required: ['valid', 'height'],
+  properties: {
+    valid: { type: 'boolean' },
+    height: { type: 'integer', minimum: 0 }
+  }
+};
+
+// POST /mining/template, see MiningPool
+const blockTemplate = {
+  $id: 'blockTemplate',
+  type: 'object',
+  required: ['templateId', 'worker', 'height', 'version', 'previousHash', 'merkleRoot', 'timestamp', 'bits',
+    'target', 'shareTarget', 'header', 'nonceOffset', 'transactions', 'coinbase'],
+  properties: {
+    templateId: { type: 'string' },
+    worker: { type: 'string' },
+    height: { type: 'integer', minimum: 1 },
+    version: { type: 'integer' },
+    previousHash: { type: 'string' },
+    merkleRoot: { type: 'string' },
+    timestamp: { type: 'integer' },
+    bits: { type: 'integer' },
+    target: { type: 'string', pattern: '^[0-9a-f]+$' },
+    shareTarget: { type: 'string', pattern: '^[0-9a-f]+$' },
+    header: { type: 'string', pattern: '^[0-9a-f]+$' },
+    nonceOffset: { type: 'integer', minimum: 0 },
+    transactions: { type: 'array', items: { $ref: 'transaction' } },
+    coinbase: { $ref: 'transaction' }
+  }
+};
+
+// POST /mining/submit
+const solutionResult = {
+  $id: 'solutionResult',
+  type: 'object',
+  required: ['status', 'hash', 'height'],
+  properties: {
+    status: { enum: ['share', 'block', 'stale'] },
+    hash: { type: 'string' },
+    height: { type: 'integer', minimum: 1 }
+  }
+};
+
+// GET /mining/stats
+const miningStats = {
+  $id: 'miningStats',
+  type: 'object',
+  required: ['height', 'shareFactor', 'workers'],
+  properties: {
+    height: { type: 'integer', minimum: 0 },
+    shareFactor: { type: 'integer', minimum: 1 },
+    workers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['worker', 'minerAddress', 'templates', 'shares', 'blocks', 'stale', 'rejected', 'lastShareAt'],
+        properties: {
+          worker: { type: 'string' },
+          minerAddress: { type: 'string' },
+          templates: { type: 'integer', minimum: 0 },
+          shares: { type: 'integer', minimum: 0 },
+          blocks: { type: 'integer', minimum: 0 },
+          stale: { type: 'integer', minimum: 0 },
+          rejected: { type: 'integer', minimum: 0 },
+          lastShareAt: { type: ['integer', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+// Body of every error response
+const error = {
+  $id: 'error',
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string' },
+        message: { type: 'string' },
+        details: { type: 'array' }
+      }
+    }
+  }
+};
+
+module.exports = {
+  transaction,
+  block,
+  newTransaction,
+  mineRequest,
+  templateRequest,
+  solution,
+  blockPage,
+  transactionStatus,
+  balance,
+  scheduledTransactions,
+  chainValidity,
+  blockTemplate,
+  solutionResult,
+  miningStats,
+  error
+};
@@ -0,0 +1,378 @@
+'use strict';
+
+const http = require('http');
+const Ajv = require('ajv');
+const { Transaction } = require('../blockchain');
+const { Explorer } = require('../explorer');
+const { EventSocketServer } = require('../events');
+const { MiningPool } = require('../miner');
+const schemas = require('./schemas');
+
+const DEFAULT_PAGE_SIZE = 20; // Blocks per page when no limit is given
+const MAX_PAGE_SIZE = 100; // Largest page a client may ask for
+const MAX_BODY_SIZE = 1024 * 1024; // Largest request body accepted, in bytes
+
+// HTTP status of each error code thrown by Blockchain.addTransaction
+const TRANSACTION_ERROR_STATUS = {
+  INVALID_TRANSACTION: 400,
+  INVALID_SIGNATURE: 400,
+  INSUFFICIENT_SIGNATURES: 422,
+  INSUFFICIENT_BALANCE: 422,
+  SCRIPT_FAILED: 422,
+  TRANSACTION_TOO_LARGE: 413,
+  DUPLICATE_TRANSACTION: 409,
+  NONCE_TOO_LOW: 409
+};
+
+// HTTP status of each error code thrown by Miner.mineNext
+const MINING_ERROR_STATUS = {
+  MINER_BUSY: 409,
+  MINING_CANCELLED: 503,
+  BLOCK_REJECTED: 409
+};
+
+// HTTP status of each error code thrown by MiningPool.submit
+const SOLUTION_ERROR_STATUS = {
+  UNKNOWN_TEMPLATE: 404,
+  STALE_TEMPLATE: 409,
+  INVALID_SOLUTION: 400,
+  DUPLICATE_SHARE: 409,
+  LOW_DIFFICULTY_SHARE: 422,
+  BLOCK_REJECTED: 409
+};
+
+// Create an error that is sent to the client with the given status
+function httpError(status, code, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * HTTP server exposing a blockchain as a JSON REST API:
+ *
+ *   GET  /blocks?offset=&limit=       blocks by index, paginated
+ *   GET  /blocks/:hash                one block
+ *   GET  /tx/:hash                    a confirmed or pending transaction
+ *   GET  /address/:address/balance    confirmed and spendable balance, next nonce
+ *   GET  /address/:address/scheduled  pending transactions held by their lock time
+ *   POST /transactions                submit a signed transaction
+ *   POST /mine                        mine the pending transactions
+ *   POST /mining/template             block template for an external miner (see MiningPool)
+ *   POST /mining/submit               submit a solution to a template, as a share or a block
+ *   GET  /mining/stats                shares and blocks of each external miner
+ *   GET  /chain/valid                 validate the chain
+ *   GET  /explorer/...                read-only block explorer pages in HTML (see Explorer)
+ *   GET  /events?events=              WebSocket stream of chain events (see EventSocketServer)
+ *
+ * Errors are answered as { error: { code, message, details? } }.
+ */
+class ApiServer {
+  /**
+   * @param {Blockchain} blockchain - The chain to serve
+   * @param {Object} [options]
+   * @param {P2PNode} [options.node] - Network node announcing submitted transactions and mined blocks
+   * @param {Miner} [options.miner] - Mines on worker threads instead of blocking the server
+   * @param {boolean} [options.pool=true] - Hand out block templates to external miners under /mining
+   * @param {boolean} [options.explorer=true] - Serve the block explorer under /explorer
+   * @param {boolean} [options.events=true] - Stream chain events to WebSocket clients on /events
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.node = options.node || null;
+    this.miner = options.miner || null;
+    this.pool = options.pool === false ? null : new MiningPool(blockchain, { submit: block => (this.node || blockchain).submitBlock(block) });
+    this.explorer = options.explorer === false ? null : new Explorer(blockchain);
+    this.events = options.events === false ? null : new EventSocketServer(blockchain);
+    this.ajv = new Ajv({ schemas: Object.values(schemas) });
+    this.routes = [
+      { method: 'GET', path: /^\/blocks$/, handler: (params, query) => this.listBlocks(query) },
+      { method: 'GET', path: /^\/blocks\/([^/]+)$/, handler: ([hash]) => this.getBlock(hash) },
+      { method: 'GET', path: /^\/tx\/([^/]+)$/, handler: ([hash]) => this.getTransaction(hash) },
+      { method: 'GET', path: /^\/address\/([^/]+)\/balance$/, handler: ([address]) => this.getBalance(address) },
+      { method: 'GET', path: /^\/address\/([^/]+)\/scheduled$/, handler: ([address]) => this.getScheduledTransactions(address) },
+      { method: 'POST', path: /^\/transactions$/, handler: (params, query, body) => this.addTransaction(body) },
+      { method: 'POST', path: /^\/mine$/, handler: (params, query, body) => this.mine(body) },
+      { method: 'POST', path: /^\/mining\/template$/, handler: (params, query, body) => this.getMiningTemplate(body) },
+      { method: 'POST', path: /^\/mining\/submit$/, handler: (params, query, body) => this.submitSolution(body) },
+      { method: 'GET', path: /^\/mining\/stats$/, handler: () => this.getMiningStats() },
+      { method: 'GET', path: /^\/chain\/valid$/, handler: () => this.getChainValidity() }
+    ];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+  }
+
+  /**
+   * Starts listening.
+   * @param {number} [port=0] - Port, 0 for any free port
+   * @param {string} [host='127.0.0.1'] - Interface to bind
+   * @returns {Promise<Object>} - The bound address, with its port
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Stops accepting connections and waits for open ones to end.
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(err => err ? reject(err) : resolve());
+      this.server.closeIdleConnections();
+      if (this.events) {
+        this.events.close();
+      }
+    });
+  }
+
+  // Route a request and write its JSON response, or hand it to the explorer
+  async handle(req, res) {
+    let status = 200;
+    let payload = null;
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (this.explorer && this.explorer.handles(url.pathname)) {
+        await this.explorer.handle(req, res, url);
+        return;
+      }
+      const matches = this.routes
+        .map(route => ({ route, match: route.path.exec(url.pathname) }))
+        .filter(({ match }) => match);
+      if (matches.length === 0) {
+        throw httpError(404, 'NOT_FOUND', `No route for ${url.pathname}`);
+      }
+      const found = matches.find(({ route }) => route.method === req.method);
+      if (!found) {
+        throw httpError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${url.pathname}`);
+      }
+      const params = found.match.slice(1).map(decodePathParam);
+      const body = req.method === 'POST' ? await readJsonBody(req) : null;
+      ({ status, payload } = await found.route.handler(params, url.searchParams, body));
+    } catch (error) {
+      status = error.status || 500;
+      payload = { error: { code: error.code || 'INTERNAL_ERROR', message: error.message } };
+      if (error.details) {
+        payload.error.details = error.details;
+      }
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  // Hand a protocol upgrade request to the event stream
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (this.events && this.events.handles(url.pathname)) {
+      this.events.upgrade(req, socket, head, url);
+    } else {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    }
+  }
+
+  // Check a request body against one of the schemas
+  validate(schemaId, body) {
+    const validate = this.ajv.getSchema(schemaId);
+    if (!validate(body)) {
+      throw httpError(400, 'INVALID_REQUEST', 'Request body does not match the schema', validate.errors);
+    }
+  }
+
+  listBlocks(query) {
+    const { offset, limit } = parsePagination(query);
+    const chain = this.blockchain.chain;
+    return {
+      status: 200,
+      payload: { items: chain.slice(offset, offset + limit), offset, limit, total: chain.length }
+    };
+  }
+
+  getBlock(hash) {
+    const block = this.blockchain.getBlockByHash(hash);
+    if (!block) {
+      throw httpError(404, 'BLOCK_NOT_FOUND', `Block ${hash} not found`);
+    }
+    return { status: 200, payload: block };
+  }
+
+  getTransaction(hash) {
+    const found = this.blockchain.findTransaction(hash);
+    if (found) {
+      return {
+        status: 200,
+        payload: { status: 'confirmed', blockHash: found.block.hash, blockIndex: found.block.index, transaction: found.transaction }
+      };
+    }
+    const pending = this.blockchain.mempool.transactions.get(hash);
+    if (pending) {
+      return { status: 200, payload: { status: 'pending', transaction: pending } };
+    }
+    throw httpError(404, 'TRANSACTION_NOT_FOUND', `Transaction ${hash} not found`);
+  }
+
+  getBalance(address) {
+    return {
+      status: 200,
+      payload: {
+        address,
+        balance: String(this.blockchain.getBalanceOfAddress(address)),
+        spendable: String(this.blockchain.getSpendableBalance(address)),
+        nextNonce: this.blockchain.getNextNonce(address)
+      }
+    };
+  }
+
+  getScheduledTransactions(address) {
+    return {
+      status: 200,
+      payload: {
+        address,
+        height: this.blockchain.chain.length - 1,
+        medianTimePast: this.blockchain.getMedianTimePast(),
+        transactions: this.blockchain.getScheduledTransactions(address)
+      }
+    };
+  }
+
+  addTransaction(body) {
+    this.validate('newTransaction', body);
+    let transaction;
+    try {
+      transaction = Transaction.fromJSON(body);
+    } catch (error) {
+      throw httpError(400, error.code || 'INVALID_TRANSACTION', error.message);
+    }
+    if (body.hash !== undefined && body.hash !== transaction.hash) {
+      throw httpError(400, 'INVALID_TRANSACTION', 'Transaction hash does not match its contents');
+    }
+    try {
+      (this.node || this.blockchain).addTransaction(transaction);
+    } catch (error) {
+      throw httpError(TRANSACTION_ERROR_STATUS[error.code] || 400, error.code || 'INVALID_TRANSACTION', error.message);
+    }
+    return { status: 201, payload: { status: 'pending', transaction } };
+  }
+
+  async mine(body) {
+    this.validate('mineRequest', body);
+    if (this.miner) {
+      const target = this.node || this.blockchain;
+      try {
+        const block = await this.miner.mineNext(this.blockchain, body.minerAddress, { submit: block => target.submitBlock(block) });
+        return { status: 201, payload: block };
+      } catch (error) {
+        throw httpError(MINING_ERROR_STATUS[error.code] || 500, error.code || 'INTERNAL_ERROR', error.message);
+      }
+    }
+    if (this.node) {
+      await this.node.mine(body.minerAddress);
+    } else {
+      await this.blockchain.minePendingTransactions(body.minerAddress);
+    }
+    return { status: 201, payload: this.blockchain.getLatestBlock() };
+  }
+
+  getMiningTemplate(body) {
+    this.validate('templateRequest', body);
+    return { status: 201, payload: this.requirePool().getTemplate(body.minerAddress, body.worker) };
+  }
+
+  async submitSolution(body) {
+    this.validate('solution', body);
+    const pool = this.requirePool();
+    let result;
+    try {
+      result = await pool.submit(body);
+    } catch (error) {
+      throw httpError(SOLUTION_ERROR_STATUS[error.code] || 500, error.code || 'INTERNAL_ERROR', error.message);
+    }
+    return { status: result.status === 'block' ? 201 : 200, payload: result };
+  }
+
+  getMiningStats() {
+    return { status: 200, payload: this.requirePool().getStats() };
+  }
+
+  // Get the mining pool, which may be turned off
+  requirePool() {
+    if (!this.pool) {
+      throw httpError(404, 'NOT_FOUND', 'External mining is disabled');
+    }
+    return this.pool;
+  }
+
+  getChainValidity() {
+    return {
+      status: 200,
+      payload: { valid: this.blockchain.isChainValid(), height: this.blockchain.chain.length - 1 }
+    };
+  }
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(httpError(413, 'BODY_TOO_LARGE', `Request body exceeds ${MAX_BODY_SIZE} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+      } catch (error) {
+        reject(httpError(400, 'INVALID_JSON', 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Decode a percent-encoded path parameter
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw httpError(400, 'INVALID_PATH', `Malformed percent-encoding in ${value}`);
+  }
+}
+
+// Read the offset and limit query parameters
+function parsePagination(query) {
+  const offset = parseCount(query, 'offset', 0);
+  const limit = parseCount(query, 'limit', DEFAULT_PAGE_SIZE);
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw httpError(400, 'INVALID_PAGINATION', `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { offset, limit };
+}
+
+function parseCount(query, name, defaultValue) {
+  const value = query.get(name);
+  if (value === null) {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw httpError(400, 'INVALID_PAGINATION', `${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+ApiServer.DEFAULT_PAGE_SIZE = DEFAULT_PAGE_SIZE;
+ApiServer.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+module.exports = ApiServer;
@@ -0,0 +1,141 @@
+'use strict';
+
+const { ByteWriter, ByteReader, encodeBlock, decodeBlock } = require('../serialization');
+
+const MAGIC = Buffer.from('AIBC'); // First bytes of every binary archive
+const FORMAT_VERSION = 2; // Byte after the magic; readers refuse other versions
+
+const RECORD_TYPES = { header: 1, block: 2, end: 3 };
+
+/**
+ * Compact binary archives. After MAGIC and FORMAT_VERSION the file is a sequence
+ * of records: a type byte, the payload length as a varint, then the payload.
+ * Blocks are stored in their canonical encoding (see serialization.js) followed
+ * by their optional Merkle nodes; header and end records hold a block count and
+ * a block hash.
+ */
+
+function writeBlock(writer, { block, merkleNodes }) {
+  writer.bytes(encodeBlock(block));
+  writer.optional(merkleNodes, nodes => {
+    writer.varint(nodes.length);
+    for (const node of nodes) {
+      writer.varint(node.level);
+      writer.varint(node.index);
+      writer.hash(node.value);
+    }
+  });
+}
+
+function readBlock(reader) {
+  const record = { type: 'block', block: decodeBlock(reader.bytes()) };
+  const merkleNodes = reader.optional(() => {
+    const nodes = [];
+    for (let count = reader.varint(); count > 0; count--) {
+      nodes.push({ level: reader.varint(), index: reader.varint(), value: reader.hash() });
+    }
+    return nodes;
+  });
+  if (merkleNodes) {
+    record.merkleNodes = merkleNodes;
+  }
+  return record;
+}
+
+/**
+ * Encodes a record, preceded by the file magic for the header.
+ * @param {Object} record - Header, block or end record
+ * @returns {Buffer}
+ */
+function encode(record) {
+  const writer = new ByteWriter();
+  if (record.type === 'header') {
+    writer.hash(record.genesisHash);
+    writer.varint(record.blocks);
+    writer.uint8(record.merkleNodes ? 1 : 0);
+  } else if (record.type === 'block') {
+    writeBlock(writer, record);
+  } else if (record.type === 'end') {
+    writer.varint(record.blocks);
+    writer.hash(record.tipHash);
+  } else {
+    throw new Error(`Unknown record type ${record.type}`);
+  }
+  const payload = writer.toBuffer();
+  const framed = new ByteWriter();
+  if (record.type === 'header') {
+    framed.chunks.push(MAGIC);
+    framed.uint8(FORMAT_VERSION);
+  }
+  framed.uint8(RECORD_TYPES[record.type]);
+  framed.bytes(payload);
+  return framed.toBuffer();
+}
+
+function decodeRecord(type, payload) {
+  const reader = new ByteReader(payload);
+  let record;
+  if (type === RECORD_TYPES.header) {
+    record = { type: 'header', genesisHash: reader.hash(), blocks: reader.varint(), merkleNodes: reader.uint8() === 1 };
+  } else if (type === RECORD_TYPES.block) {
+    record = readBlock(reader);
+  } else if (type === RECORD_TYPES.end) {
+    record = { type: 'end', blocks: reader.varint(), tipHash: reader.hash() };
+  } else {
+    throw new Error(`Unknown record type ${type}`);
+  }
+  if (reader.offset !== payload.length) {
+    throw new Error(`Unexpected data after ${record.type} record`);
+  }
+  return record;
+}
+
+/**
+ * Reads the records of an archive.
+ * @param {stream.Readable} input - The archive contents
+ * @returns {AsyncGenerator<Object>} - The records, in file order
+ */
+async function * decode(input) {
+  let buffer = Buffer.alloc(0);
+  let started = false;
+  for await (const chunk of input) {
+    buffer = Buffer.concat([buffer, chunk]);
+    if (!started) {
+      if (buffer.length < MAGIC.length + 1) {
+        continue;
+      }
+      if (!buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not a binary chain archive');
+      }
+      if (buffer[MAGIC.length] !== FORMAT_VERSION) {
+        throw new Error(`Unsupported binary archive version ${buffer[MAGIC.length]}`);
+      }
+      buffer = buffer.subarray(MAGIC.length + 1);
+      started = true;
+    }
+    // Emit every complete record in the buffer
+    for (;;) {
+      const reader = new ByteReader(buffer);
+      let payload;
+      let type;
+      try {
+        type = reader.uint8();
+        payload = reader.bytes();
+      } catch (error) {
+        break; // Wait for more data
+      }
+      buffer = buffer.subarray(reader.offset);
+      yield decodeRecord(type, payload);
+    }
+  }
+  if (!started || buffer.length > 0) {
+    throw new Error('Archive ends in the middle of a record');
+  }
+}
+
+module.exports = {
+  MAGIC,
+  FORMAT_VERSION,
+  encode,
+  decode
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+const fs = require('fs');
+const { once } = require('events');
+const { Block } = require('../blockchain');
+const { MerkleTree } = require('../merkleTree');
+const ndjson = require('./ndjson');
+const binary = require('./binary');
+
+const FORMATS = { ndjson, binary };
+const ARCHIVE_VERSION = 1; // Version of the record layout, written to NDJSON headers
+
+/**
+ * Chain archives for backups and for seeding other environments. An archive is a
+ * header record ({ genesisHash, blocks, merkleNodes }), one record per block from
+ * genesis to tip ({ block, merkleNodes? }) and an end record ({ blocks, tipHash })
+ * that tells a complete archive from a truncated one. Archives are written and read
+ * as streams in either format: 'ndjson' (one JSON record per line) or 'binary'.
+ *
+ * Importing checks every block with the same checks as blocks received from peers
+ * (Blockchain.submitBlock: hash, proof of work, Merkle root, signatures, linkage,
+ * balances and nonces) before it is saved. Blocks the chain already has are
+ * skipped, so running an interrupted import again resumes it.
+ */
+
+// Create an error with a machine-readable code for the CLI
+function archiveError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Write to a stream, waiting when its buffer is full
+async function write(stream, data) {
+  if (!stream.write(data)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * Writes the chain to an archive file.
+ * @param {Blockchain} blockchain - The chain to export
+ * @param {string} filename - Path of the archive
+ * @param {Object} [options]
+ * @param {string} [options.format='ndjson'] - 'ndjson' or 'binary'
+ * @param {boolean} [options.merkleNodes=false] - Include the stored Merkle tree nodes of each block
+ * @param {Function} [options.onProgress] - Called after each block with { processed, total }
+ * @returns {Promise<Object>} - { format, blocks, tipHash }
+ */
+async function exportChain(blockchain, filename, { format = 'ndjson', merkleNodes = false, onProgress } = {}) {
+  const encoder = FORMATS[format];
+  if (!encoder) {
+    throw archiveError('INVALID_FORMAT', `Unknown archive format ${format}; use ndjson or binary`);
+  }
+  const chain = blockchain.chain.slice(); // The chain may grow while we write
+  const tipHash = chain[chain.length - 1].hash;
+  const stream = fs.createWriteStream(filename);
+  try {
+    await write(stream, encoder.encode({
+      type: 'header',
+      format: 'aibtc-chain',
+      version: ARCHIVE_VERSION,
+      genesisHash: chain[0].hash,
+      blocks: chain.length,
+      merkleNodes
+    }));
+    for (const [position, block] of chain.entries()) {
+      const record = { type: 'block', block: JSON.parse(JSON.stringify(block)) };
+      if (merkleNodes) {
+        record.merkleNodes = await blockchain.storage.getMerkleNodes(block.hash);
+      }
+      await write(stream, encoder.encode(record));
+      if (onProgress) {
+        onProgress({ processed: position + 1, total: chain.length });
+      }
+    }
+    await write(stream, encoder.encode({ type: 'end', blocks: chain.length, tipHash }));
+  } finally {
+    stream.end();
+    await once(stream, 'close');
+  }
+  return { format, blocks: chain.length, tipHash };
+}
+
+/**
+ * Tells the format of an archive file from its first bytes.
+ * @param {string} filename - Path of the archive
+ * @returns {Promise<string>} - 'ndjson' or 'binary'
+ */
+async function detectFormat(filename) {
+  const file = await fs.promises.open(filename, 'r');
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(binary.MAGIC.length), 0, binary.MAGIC.length, 0);
+    return bytesRead === binary.MAGIC.length && buffer.equals(binary.MAGIC) ? 'binary' : 'ndjson';
+  } finally {
+    await file.close();
+  }
+}
+
+// Compare the Merkle nodes of an archive with the tree of the block's transactions
+function hasValidMerkleNodes(block, nodes) {
+  const sort = list => list
+    .map(({ level, index, value }) => ({ level, index, value }))
+    .sort((a, b) => a.level - b.level || a.index - b.index);
+  const expected = block.transactions.length === 0
+    ? []
+    : new MerkleTree(block.transactions.map(tx => tx.hash), { version: block.getMerkleVersion() }).getNodes();
+  return JSON.stringify(sort(nodes)) === JSON.stringify(sort(expected));
+}
+
+/**
+ * Adds the blocks of an archive file to the chain, checking each one before it is
+ * saved. Blocks already in the chain are skipped.
+ * @param {Blockchain} blockchain - The chain to import into
+ * @param {string} filename - Path of the archive, in either format
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called after each block with { processed, total, imported, skipped }
+ * @returns {Promise<Object>} - { format, imported, skipped, height }
+ * @throws {Error} - With code INVALID_ARCHIVE, GENESIS_MISMATCH or INVALID_BLOCK; blocks
+ *   imported before the error stay in the chain
+ */
+async function importChain(blockchain, filename, { onProgress } = {}) {
+  const format = await detectFormat(filename);
+  let header = null;
+  let end = null;
+  let processed = 0;
+  let imported = 0;
+  let skipped = 0;
+  let lastHash = null;
+
+  try {
+    for await (const record of FORMATS[format].decode(fs.createReadStream(filename))) {
+      if (end) {
+        throw archiveError('INVALID_ARCHIVE', 'Records after the end of the archive');
+      }
+      if (!header) {
+        if (record.type !== 'header') {
+          throw archiveError('INVALID_ARCHIVE', 'Archive does not start with a header');
+        }
+        if (format === 'ndjson' && (record.format !== 'aibtc-chain' || record.version !== ARCHIVE_VERSION)) {
+          throw archiveError('INVALID_ARCHIVE', `Unsupported archive ${record.format} version ${record.version}`);
+        }
+        if (record.genesisHash !== blockchain.chain[0].hash) {
+          throw archiveError('GENESIS_MISMATCH', 'Archive starts from another genesis block');
+        }
+        header = record;
+      } else if (record.type === 'block') {
+        const block = Block.fromJSON(record.block);
+        if (block.index !== processed) {
+          throw archiveError('INVALID_ARCHIVE', `Expected block ${processed} but found block ${block.index}`);
+        }
+        if (record.merkleNodes && !hasValidMerkleNodes(block, record.merkleNodes)) {
+          throw archiveError('INVALID_BLOCK', `Block ${block.index} has Merkle nodes that do not match its transactions`);
+        }
+        if (block.index === 0 ? block.hash === blockchain.chain[0].hash : blockchain.isInChain(block.hash)) {
+          skipped++; // Already imported, e.g. by an interrupted run
+        } else if (await blockchain.submitBlock(block)) {
+          imported++;
+        } else {
+          throw archiveError('INVALID_BLOCK', `Block ${block.index} (${block.hash}) failed validation`);
+        }
+        processed++;
+        lastHash = block.hash;
+        if (onProgress) {
+          onProgress({ processed, total: header.blocks, imported, skipped });
+        }
+      } else if (record.type === 'end') {
+        end = record;
+      } else {
+        throw archiveError('INVALID_ARCHIVE', `Unexpected ${record.type} record`);
+      }
+    }
+  } catch (error) {
+    error.code = error.code || 'INVALID_ARCHIVE'; // Unreadable records
+    throw error;
+  }
+
+  if (!end) {
+    throw archiveError('INVALID_ARCHIVE', `Archive is truncated after ${processed} blocks; import it again once complete to resume`);
+  }
+  if (end.blocks !== processed || end.tipHash !== lastHash) {
+    throw archiveError('INVALID_ARCHIVE', 'Archive end record does not match its blocks');
+  }
+  return { format, imported, skipped, height: blockchain.chain.length - 1 };
+}
+
+module.exports = {
+  FORMATS,
+  exportChain,
+  importChain,
+  detectFormat
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+const readline = require('readline');
+
+/**
+ * Newline-delimited JSON archives: one record per line, readable with any JSON tool.
+ */
+
+/**
+ * Encodes a record as one line.
+ * @param {Object} record - Header, block or end record
+ * @returns {string}
+ */
+function encode(record) {
+  return JSON.stringify(record) + '\n';
+}
+
+/**
+ * Reads the records of an archive.
+ * @param {stream.Readable} input - The archive contents
+ * @returns {AsyncGenerator<Object>} - The records, in file order
+ */
+async function * decode(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${lineNumber} is not valid JSON`);
+    }
+    yield record;
+  }
+}
+
+module.exports = {
+  encode,
+  decode
+};
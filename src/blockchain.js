@@ -1,95 +1,313 @@
 'use strict';
 
 const crypto = require('crypto'); // Required for creating cryptographic hashes
+const EventEmitter = require('events'); // Blockchain reports its activity as events
 const EC = require('elliptic').ec; // Required for elliptic curve cryptography
-const db = require('./db'); // Database module for interacting with the database
-const { Node, MerkleTree } = require('./merkleTree'); // Importing MerkleTree and Node classes
+const { createStorage } = require('./storage'); // Pluggable storage adapters
+const { Node, MerkleTree, MERKLE_VERSIONS } = require('./merkleTree'); // Importing MerkleTree and Node classes
+const pow = require('./pow'); // Proof-of-work targets
+const Mempool = require('./mempool'); // Fee-ordered pool of pending transactions
+const AccountState = require('./accountState'); // Balances and nonces indexed by address
+const { publicKeyToAddress, multisigToAddress, normalizeMultisigKeys, scriptToAddress } = require('./address'); // Checksummed addresses derived from public keys
+const { verifyScript } = require('./script'); // Spending conditions of script addresses
+const { COIN, MAX_AMOUNT, parseAmount, toLegacyCoins } = require('./amount'); // Integer amounts of base units
+const { TX_VERSIONS, NO_PARENT, encodeTransaction, decodeTransaction, encodeBlockHeader, encodeBlock, decodeBlock } = require('./serialization'); // Canonical binary encodings
 
 const ec = new EC('secp256k1'); // Initialize the elliptic curve for cryptography
 
+const DEFAULT_TARGET_BLOCK_TIME = 10 * 1000; // Desired time between blocks, in milliseconds
+const DEFAULT_RETARGET_INTERVAL = 10; // Number of blocks between difficulty adjustments
+const DEFAULT_MAX_BLOCK_TRANSACTIONS = 1000; // Most transactions in a block, reward included
+const DEFAULT_MAX_BLOCK_SIZE = 1000000; // Most bytes of serialized transactions in a block
+const GENESIS_TIMESTAMP = Date.UTC(2024, 0, 1); // Fixed so that every node starts from the same genesis block
+const MAX_ORPHANS = 100; // Most blocks kept while waiting for their parent
+const PENDING_KEY = 'pendingTransactions'; // Metadata key holding the saved pending pool
+const LOCK_TIME_THRESHOLD = 500000000; // Lock times below are block heights, from it on timestamps in milliseconds
+const MEDIAN_TIME_SPAN = 11; // Blocks whose median timestamp time locks are compared with
+const MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60 * 1000; // Milliseconds a block's timestamp may be ahead of the clock
+
+// Create an error with a machine-readable code, so that callers such as the HTTP API
+// can tell the reasons a transaction is refused apart
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Block format versions: LEGACY blocks use the legacy Merkle tree and do not commit
+// to their version; TAGGED_MERKLE blocks use the domain-separated Merkle tree;
+// CANONICAL_HEADER blocks hash their fixed-size header (see serialization.js)
+// instead of a JSON string of their transactions.
+const BLOCK_VERSIONS = {
+  LEGACY: 1,
+  TAGGED_MERKLE: 2,
+  CANONICAL_HEADER: 3
+};
+const GENESIS_VERSION = BLOCK_VERSIONS.TAGGED_MERKLE; // Kept so that existing chains keep their genesis block
+
 class Transaction {
   constructor(fromAddress, toAddress, amount, timestamp = Date.now(), signature = null, blockHash = '') {
+    this.version = Transaction.VERSION; // Transaction format version, which decides how it is hashed
     this.fromAddress = fromAddress; // Address sending the funds
+    this.publicKey = null; // Sender's compressed public key, set when signing for a checksummed address
     this.toAddress = toAddress; // Address receiving the funds
-    this.amount = amount; // Amount of funds being transferred
+    this.amount = parseAmount(amount); // Base units being transferred, a BigInt
+    this.fee = 0n; // Base units paid to the miner, set before signing
+    this.nonce = null; // Sender's sequence number, set before signing (see Blockchain.getNextNonce)
     this.timestamp = timestamp; // Timestamp of when the transaction was created
+    this.lockTime = null; // Block height or timestamp before which it cannot be mined, set before signing
     this.signature = signature; // Digital signature for transaction validation
+    this.multisig = null; // { threshold, publicKeys, signatures } of a multisig sender, which signs instead of signature
+    this.script = null; // { lockingScript, unlockingScript } in hex of a script sender, which unlocks instead of signature
     this.blockHash = blockHash; // Hash of the block this transaction is included in (if any)
     this.hash = this.calculateHash(); // Calculate the transaction hash
   }
 
-  // Calculate the hash of the transaction
+  // Calculate the hash of the transaction: canonical transactions hash their encoding
+  // without the key and signature, legacy ones their concatenated fields
   calculateHash() {
+    if (this.version !== TX_VERSIONS.LEGACY && Object.values(TX_VERSIONS).includes(this.version)) {
+      return crypto.createHash('sha256').update(encodeTransaction(this, { signed: false })).digest('hex');
+    }
+    if (this.version !== TX_VERSIONS.LEGACY) {
+      throw new Error(`Unknown transaction version ${this.version}`);
+    }
+    if (this.lockTime !== null) {
+      throw new Error('Legacy transactions cannot carry a lock time');
+    }
+    // A fee and a nonce are only hashed when set, so older transactions keep the
+    // hash they had before these fields existed; amounts are hashed in coins
+    const feeData = this.fee ? `|fee:${toLegacyCoins(this.fee)}` : '';
+    const nonceData = this.nonce !== null ? `|nonce:${this.nonce}` : '';
     return crypto.createHash('sha256')
-      .update(this.fromAddress + this.toAddress + this.amount + this.timestamp)
+      .update(this.fromAddress + this.toAddress + toLegacyCoins(this.amount) + this.timestamp + feeData + nonceData)
       .digest('hex');
   }
 
-  // Sign the transaction using the provided key pair
+  // Check whether the transaction may be mined in a block at the given height,
+  // when the median time of the blocks before it has reached the given time
+  isFinal(height, medianTimePast) {
+    if (this.lockTime === null) return true; // Not locked
+    return this.lockTime < LOCK_TIME_THRESHOLD ? height >= this.lockTime : medianTimePast >= this.lockTime;
+  }
+
+  // Get the size of the serialized transaction in bytes
+  getSize() {
+    return Buffer.byteLength(JSON.stringify(this));
+  }
+
+  // Encode the transaction in the canonical binary format
+  serialize() {
+    return encodeTransaction(this);
+  }
+
+  // Write amounts as strings of base units, since JSON numbers cannot hold every BigInt
+  toJSON() {
+    return { ...this, amount: String(this.amount), fee: String(this.fee) };
+  }
+
+  // Sign the transaction using the provided key pair; for a multisig sender the
+  // signature goes into the slot of the key, next to those of the other signers
   sign(keyPair) {
     const hashTx = this.calculateHash(); // Get the hash of the transaction
-    if (keyPair.getPublic('hex') !== this.fromAddress) {
+    const publicKey = keyPair.getPublic(true, 'hex');
+    if (this.multisig) {
+      const slot = this.multisig.publicKeys.indexOf(publicKey);
+      if (slot === -1) {
+        throw new Error('You cannot sign transactions for other wallets!');
+      }
+      this.multisig.signatures[slot] = keyPair.sign(hashTx, 'hex').toDER('hex');
+      this.hash = hashTx;
+      return;
+    }
+    if (publicKeyToAddress(publicKey) === this.fromAddress) {
+      this.publicKey = publicKey; // Verifiers need the key behind the address
+    } else if (keyPair.getPublic('hex') !== this.fromAddress) { // Legacy addresses are the public key itself
       throw new Error('You cannot sign transactions for other wallets!');
     }
     const sig = keyPair.sign(hashTx, 'hex'); // Sign the transaction hash
     this.signature = sig.toDER('hex'); // Set the signature
+    this.hash = hashTx; // Fields may have been set after construction
+  }
+
+  // Sign the transaction hash for an unlocking script, without attaching the signature
+  createSignature(keyPair) {
+    return keyPair.sign(this.calculateHash(), 'hex').toDER('hex');
   }
 
   // Validate the transaction
   isValid() {
-    const hashToVerify = this.calculateHash(); // Calculate the hash to verify
+    if (typeof this.amount !== 'bigint' || typeof this.fee !== 'bigint') return false; // Amounts are base units
+    if (this.fee < 0n) return false; // Fees cannot be negative
+    if (this.nonce !== null && !(Number.isInteger(this.nonce) && this.nonce >= 0)) return false; // Nonces count up from 0
+    if (this.lockTime !== null && !(Number.isSafeInteger(this.lockTime) && this.lockTime >= 0)) return false; // Heights and timestamps are not negative
+    let hashToVerify;
+    try {
+      hashToVerify = this.calculateHash(); // Calculate the hash to verify
+    } catch (error) {
+      return false; // Unknown versions and fields that cannot be encoded
+    }
+    if (this.hash !== hashToVerify) return false; // The hash must match the contents
     if (this.fromAddress === null) return true; // Allow transactions with no sender (e.g., mining reward)
+    if (this.script) {
+      try {
+        this.verifyScript(hashToVerify); // The scripts must unlock the sender's funds
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+    if (this.multisig) {
+      return this.countSignatures(hashToVerify) >= this.multisig.threshold; // Enough of the sender's keys must sign
+    }
     if (!this.signature || this.signature.length === 0) {
       return false; // Transaction must be signed
     }
     try {
-      const key = ec.keyFromPublic(this.fromAddress, 'hex'); // Load the public key from the address
+      if (this.publicKey !== null && publicKeyToAddress(this.publicKey) !== this.fromAddress) {
+        return false; // The key must belong to the sender's address
+      }
+      const key = ec.keyFromPublic(this.publicKey ?? this.fromAddress, 'hex'); // Legacy senders are their own public key
       return key.verify(hashToVerify, this.signature); // Verify the signature
     } catch (error) {
       return false; // If any error occurs, the transaction is invalid
     }
   }
 
-  // Save the transaction to the database
-  save() {
-    return new Promise((resolve, reject) => {
-      const query = 'INSERT INTO transactions (hash, from_address, to_address, amount, timestamp, signature, block_hash) VALUES (?, ?, ?, ?, ?, ?, ?)';
-      const values = [this.hash, this.fromAddress, this.toAddress, this.amount, this.timestamp, this.signature, this.blockHash];
-      db.query(query, values, (err, results) => {
-        if (err) {
-          return reject(err); // If there is an error, reject the promise
+  /**
+   * Counts the signatures of a multisig sender. Every signature present has to
+   * verify, and the keys have to be those behind the sender's address.
+   * @param {string} [hash] - Hash the signatures sign; defaults to the transaction hash
+   * @returns {number} - Number of valid signatures, or -1 if the keys or a signature are invalid
+   */
+  countSignatures(hash = this.hash) {
+    const { threshold, publicKeys, signatures } = this.multisig;
+    if (this.version < TX_VERSIONS.MULTISIG || this.publicKey !== null || this.signature !== null || this.script) {
+      return -1; // Multisig senders only sign through their keys
+    }
+    try {
+      const keys = normalizeMultisigKeys(publicKeys, threshold);
+      if (keys.some((key, i) => key !== publicKeys[i]) || multisigToAddress(keys, threshold) !== this.fromAddress) {
+        return -1; // The keys must be those behind the address, in canonical order
+      }
+      if (!Array.isArray(signatures) || signatures.length !== keys.length) {
+        return -1; // One slot per key
+      }
+      let count = 0;
+      for (let i = 0; i < keys.length; i++) {
+        if (signatures[i] !== null) {
+          if (!ec.keyFromPublic(keys[i], 'hex').verify(hash, signatures[i])) {
+            return -1;
+          }
+          count++;
         }
-        resolve(results); // Resolve with the database result
-      });
-    });
+      }
+      return count;
+    } catch (error) {
+      return -1; // Malformed keys or signatures
+    }
   }
 
-  // Load a transaction from the database
-  static async load(hash) {
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM transactions WHERE hash = ?';
-      db.query(query, [hash], (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        if (results.length > 0) {
-          const txData = results[0]; // Get the transaction data from the result
-          const tx = new Transaction(txData.from_address, txData.to_address, txData.amount, txData.timestamp, txData.signature, txData.block_hash);
-          tx.hash = txData.hash; // Set the hash
-          resolve(tx); // Resolve with the transaction object
-        } else {
-          resolve(null); // If no results found, resolve with null
+  /**
+   * Runs the scripts of a script sender: the unlocking script, then the locking
+   * script behind the sender's address.
+   * @param {string} [hash] - Hash the signatures in the scripts sign; defaults to the transaction hash
+   * @throws {Error} - With code SCRIPT_FAILED if the scripts do not unlock the sender's funds
+   */
+  verifyScript(hash = this.hash) {
+    const { lockingScript, unlockingScript } = this.script;
+    if (this.version < TX_VERSIONS.SCRIPT || this.publicKey !== null || this.signature !== null || this.multisig) {
+      throw codedError('SCRIPT_FAILED', 'Script senders only sign through their unlocking script');
+    }
+    if (typeof lockingScript !== 'string' || scriptToAddress(lockingScript) !== this.fromAddress) {
+      throw codedError('SCRIPT_FAILED', 'Locking script does not match the sender address');
+    }
+    verifyScript(lockingScript, unlockingScript, {
+      checkSignature: (signature, publicKey) => {
+        try {
+          return ec.keyFromPublic(publicKey, 'hex').verify(hash, signature);
+        } catch (error) {
+          return false; // Malformed keys and signatures do not verify
         }
-      });
+      },
+      // A height only satisfies a height and a timestamp a timestamp
+      checkLockTime: lockTime => this.lockTime !== null && this.lockTime >= lockTime &&
+        (this.lockTime < LOCK_TIME_THRESHOLD) === (lockTime < LOCK_TIME_THRESHOLD)
+    });
+  }
+
+  // Build a transaction from its JSON form, e.g. one received over the network
+  static fromJSON(data) {
+    const tx = new Transaction(data.fromAddress, data.toAddress, data.amount, data.timestamp, data.signature || null);
+    tx.version = data.version ?? TX_VERSIONS.LEGACY; // Transactions from before versions existed are legacy
+    tx.publicKey = data.publicKey ?? null;
+    tx.fee = data.fee === undefined || data.fee === null ? 0n : parseAmount(data.fee, 'Fee');
+    tx.nonce = data.nonce ?? null;
+    tx.lockTime = data.lockTime ?? null;
+    if (data.multisig) { // Copied, since signers fill in the signatures
+      const { threshold, publicKeys, signatures } = data.multisig;
+      tx.multisig = { threshold, publicKeys: [...publicKeys], signatures: [...signatures] };
+    }
+    if (data.script) {
+      tx.script = { lockingScript: data.script.lockingScript, unlockingScript: data.script.unlockingScript };
+    }
+    tx.hash = tx.calculateHash(); // Never trust a hash sent along with the data
+    return tx;
+  }
+
+  // Decode a transaction from the canonical binary format
+  static deserialize(buffer) {
+    return Transaction.fromJSON(decodeTransaction(buffer));
+  }
+
+  // Save the transaction to the given storage
+  async save(storage, position = 0) {
+    await storage.putTransaction({
+      hash: this.hash,
+      version: this.version,
+      fromAddress: this.fromAddress,
+      publicKey: this.publicKey,
+      toAddress: this.toAddress,
+      amount: this.amount,
+      fee: this.fee,
+      nonce: this.nonce,
+      timestamp: this.timestamp,
+      lockTime: this.lockTime,
+      signature: this.signature,
+      multisig: this.multisig,
+      script: this.script,
+      blockHash: this.blockHash,
+      position
     });
   }
+
+  // Load a transaction from the given storage
+  static async load(hash, storage) {
+    const txData = await storage.getTransaction(hash);
+    if (!txData) {
+      return null; // If no results found, resolve with null
+    }
+    const tx = new Transaction(txData.fromAddress, txData.toAddress, txData.amount, txData.timestamp, txData.signature, txData.blockHash);
+    tx.version = txData.version ?? TX_VERSIONS.LEGACY; // Transactions stored before versions existed are legacy
+    tx.publicKey = txData.publicKey ?? null; // Only set for checksummed sender addresses
+    tx.fee = txData.fee ?? 0n; // Transactions stored before fees existed have none
+    tx.nonce = txData.nonce ?? null; // Neither do those stored before nonces existed
+    tx.lockTime = txData.lockTime ?? null; // Only set for time-locked transactions
+    tx.multisig = txData.multisig ?? null; // Only set for multisig senders
+    tx.script = txData.script ?? null; // Only set for script senders
+    tx.hash = txData.hash; // Set the hash
+    return tx;
+  }
 }
 
 class Block {
-  constructor(index, previousHash, timestamp, transactions, difficulty) {
+  constructor(index, previousHash, timestamp, transactions, bits = pow.MAX_BITS, version = Block.VERSION) {
+    this.version = version; // Block format version
     this.index = index; // Block index in the blockchain
     this.previousHash = previousHash; // Hash of the previous block
     this.timestamp = timestamp; // Timestamp of when the block was created
     this.transactions = transactions; // Array of transactions in this block
-    this.difficulty = difficulty; // Mining difficulty for this block
+    this.bits = bits; // Compact proof-of-work target for this block
     this.merkleRoot = this.calculateMerkleRoot(); // Root hash of the Merkle tree
     this.nonce = 0; // Nonce for mining (initially set to 0)
     this.hash = this.calculateHash(); // Calculate the block hash
@@ -101,31 +319,90 @@ class Block {
       return '0'.repeat(64); // Return a default hash if there are no transactions
     }
     const hashes = this.transactions.map(tx => tx.hash); // Get hashes of all transactions
-    const merkleTree = new MerkleTree(hashes); // Create a Merkle tree with the transaction hashes
+    const merkleTree = new MerkleTree(hashes, { version: this.getMerkleVersion() }); // Create a Merkle tree with the transaction hashes
     return merkleTree.getRootHash(); // Get the root hash of the Merkle tree
   }
 
+  // Get the Merkle tree format used by this block's version
+  getMerkleVersion() {
+    return this.version >= BLOCK_VERSIONS.TAGGED_MERKLE ? MERKLE_VERSIONS.TAGGED : MERKLE_VERSIONS.LEGACY;
+  }
+
+  // Check whether the block lists the same transaction more than once
+  hasDuplicateTransactions() {
+    return MerkleTree.findDuplicate(this.transactions.map(tx => tx.hash)) !== null;
+  }
+
+  // Build a Merkle inclusion proof for one of the block's transactions
+  getMerkleProof(txHash) {
+    if (!this.transactions.some(tx => tx.hash === txHash)) {
+      return null; // The transaction is not in this block
+    }
+    const merkleTree = new MerkleTree(this.transactions.map(tx => tx.hash), { version: this.getMerkleVersion() });
+    return merkleTree.getProof(txHash);
+  }
+
+  // Sum the fees paid by the block's transactions
+  getTotalFees() {
+    return this.transactions.reduce((total, tx) => total + tx.fee, 0n);
+  }
+
+  // Get the total size of the block's serialized transactions in bytes
+  getSize() {
+    return this.transactions.reduce((size, tx) => size + tx.getSize(), 0);
+  }
+
   // Calculate the hash of the block
   calculateHash() {
-    const transactionsData = JSON.stringify(this.transactions.map(tx => {
-      const { blockHash, ...txWithoutBlockHash } = tx; // Exclude blockHash from transaction data
-      return txWithoutBlockHash; // Convert transactions to JSON string
-    }));
+    if (this.version >= BLOCK_VERSIONS.CANONICAL_HEADER) {
+      // The header commits to the transactions through the Merkle root
+      return crypto.createHash('sha256').update(encodeBlockHeader(this)).digest('hex');
+    }
+
+    // Only the original transaction fields are listed; fields added later are
+    // covered by the transaction hash
+    const transactionsData = JSON.stringify(this.transactions.map(tx => ({
+      fromAddress: tx.fromAddress,
+      toAddress: tx.toAddress,
+      amount: toLegacyCoins(tx.amount),
+      timestamp: tx.timestamp,
+      signature: tx.signature,
+      hash: tx.hash
+    })));
+
+    // Legacy blocks predate the version field and do not commit to it
+    const versionData = this.version >= BLOCK_VERSIONS.TAGGED_MERKLE ? String(this.version) : '';
 
     return crypto
       .createHash('sha256')
-      .update(this.previousHash + this.timestamp + this.merkleRoot + this.nonce + transactionsData)
+      .update(versionData + this.previousHash + this.timestamp + this.merkleRoot + this.nonce + transactionsData)
       .digest('hex');
   }
 
-  // Mine the block by finding a hash that meets the difficulty requirements
-  mineBlock(difficulty) {
-    while (this.hash.substring(0, difficulty) !== Array(difficulty + 1).join('0')) {
+  // Mine the block by finding a hash that meets the block's target
+  mineBlock() {
+    const target = pow.bitsToTarget(this.bits);
+    while (!pow.hashMeetsTarget(this.hash, target)) {
       this.nonce++; // Increment the nonce
       this.hash = this.calculateHash(); // Recalculate the block hash
     }
   }
 
+  // Check that the block's hash meets its target
+  hasValidProofOfWork() {
+    return pow.hashMeetsTarget(this.hash, pow.bitsToTarget(this.bits));
+  }
+
+  // Get the difficulty of the block as an equivalent number of leading zero hex digits
+  getDifficulty() {
+    return pow.getDifficulty(this.bits);
+  }
+
+  // Get the expected number of hashes it took to mine the block
+  getWork() {
+    return pow.getBlockWork(this.bits);
+  }
+
   // Check if all transactions in the block are valid
   hasValidTransactions() {
     for (const tx of this.transactions) {
@@ -137,91 +414,201 @@ class Block {
     return true; // All transactions are valid
   }
 
-  // Save the block to the database
-  async save() {
-    const query = 'INSERT INTO blocks (hash, previous_hash, timestamp, nonce, difficulty, merkle_root) VALUES (?, ?, ?, ?, ?, ?)';
-    const values = [this.hash, this.previousHash, this.timestamp, this.nonce, this.difficulty, this.merkleRoot];
-    return new Promise((resolve, reject) => {
-      db.query(query, values, async (err, results) => {
-        if (err) {
-          return reject(err); // If there is an error, reject the promise
-        }
-        try {
-          // Save all transactions in this block
-          for (const tx of this.transactions) {
-            tx.blockHash = this.hash;
-            await tx.save(); // Save each transaction
-          }
-          
-          // Save Merkle tree nodes to the database
-          const merkleTree = new MerkleTree(this.transactions.map(tx => tx.hash));
-          await merkleTree.saveNodesToDatabase(this.hash);
-          
-          resolve(results); // Resolve with the database result
-        } catch (saveErr) {
-          reject(saveErr); // If there is an error saving transactions or Merkle tree, reject the promise
-        }
-      });
-    });
+  // Build a block from its JSON form, e.g. one received over the network. The
+  // Merkle root and hash are taken as sent, so that validation can check them
+  static fromJSON(data) {
+    const transactions = data.transactions.map(tx => Transaction.fromJSON(tx));
+    const block = new Block(data.index, data.previousHash, data.timestamp, transactions, data.bits, data.version);
+    block.merkleRoot = data.merkleRoot;
+    block.nonce = data.nonce;
+    block.hash = data.hash ?? block.calculateHash(); // Binary encodings leave out the hash, which follows from the block
+    return block;
   }
 
-  // Load a block from the database
-  static async load(hash) {
-    const query = 'SELECT * FROM blocks WHERE hash = ?';
-    return new Promise((resolve, reject) => {
-      db.query(query, [hash], async (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        if (results.length > 0) {
-          const result = results[0]; // Get the block data from the result
-          const block = new Block(result.index, result.previous_hash, result.timestamp, [], result.difficulty);
-          block.hash = result.hash; // Set the block hash
-          block.nonce = result.nonce; // Set the nonce
-          block.merkleRoot = result.merkle_root; // Set the Merkle root
-
-          // Load transactions for the block
-          const txQuery = 'SELECT hash FROM transactions WHERE block_hash = ?';
-          db.query(txQuery, [block.hash], async (err, txResults) => {
-            if (err) return reject(err); // If there is an error, reject the promise
-            for (const tx of txResults) {
-              const transaction = await Transaction.load(tx.hash); // Load each transaction
-              if (transaction) {
-                if (!transaction.isValid()) {
-                  console.error(`Invalid transaction in block ${block.index}: ${tx.hash}`);
-                  return reject(new Error(`Invalid transaction in block ${block.index}`));
-                }
-                block.transactions.push(transaction); // Add valid transactions to the block
-              }
-            }
-            // Validate the block's hash and Merkle root
-            if (block.hash !== block.calculateHash()) {
-              console.error(`Invalid block hash for block ${block.index}`);
-              return reject(new Error(`Invalid block hash for block ${block.index}`));
-            }
-            if (block.merkleRoot !== block.calculateMerkleRoot()) {
-              console.error(`Invalid Merkle root for block ${block.index}`);
-              return reject(new Error(`Invalid Merkle root for block ${block.index}`));
-            }
-            resolve(block); // Resolve with the block object
-          });
-        } else {
-          resolve(null); // If no results found, resolve with null
-        }
-      });
+  // Encode the block and its transactions in the canonical binary format
+  serialize() {
+    return encodeBlock(this);
+  }
+
+  // Decode a block from the canonical binary format
+  static deserialize(buffer) {
+    return Block.fromJSON(decodeBlock(buffer));
+  }
+
+  // Save the block, its transactions and its Merkle tree to the given storage
+  async save(storage) {
+    await storage.putBlock({
+      hash: this.hash,
+      previousHash: this.previousHash,
+      timestamp: this.timestamp,
+      nonce: this.nonce,
+      bits: this.bits,
+      merkleRoot: this.merkleRoot,
+      index: this.index,
+      version: this.version
     });
+
+    // Save all transactions in this block
+    for (const [position, tx] of this.transactions.entries()) {
+      tx.blockHash = this.hash;
+      await tx.save(storage, position); // Save each transaction
+    }
+
+    // Save Merkle tree nodes (a block without transactions has no tree)
+    if (this.transactions.length > 0) {
+      const merkleTree = new MerkleTree(this.transactions.map(tx => tx.hash), { version: this.getMerkleVersion() });
+      await merkleTree.saveNodesToDatabase(this.hash, storage);
+    }
+  }
+
+  // Load a block from the given storage
+  static async load(hash, storage) {
+    const result = await storage.getBlock(hash);
+    if (!result) {
+      return null; // If no results found, resolve with null
+    }
+    const version = result.version || BLOCK_VERSIONS.LEGACY; // Blocks stored without a version are legacy
+    // Blocks stored before compact targets only have a leading-zero difficulty
+    const bits = result.bits != null ? result.bits : pow.difficultyToBits(result.difficulty || 0);
+    const block = new Block(result.index, result.previousHash, result.timestamp, [], bits, version);
+    block.hash = result.hash; // Set the block hash
+    block.nonce = result.nonce; // Set the nonce
+    block.merkleRoot = result.merkleRoot; // Set the Merkle root
+
+    // Load transactions for the block
+    const txResults = await storage.getTransactionsByBlock(block.hash);
+    for (const txData of txResults) {
+      const transaction = new Transaction(txData.fromAddress, txData.toAddress, txData.amount, txData.timestamp, txData.signature, txData.blockHash);
+      transaction.version = txData.version ?? TX_VERSIONS.LEGACY; // Transactions stored before versions existed are legacy
+      transaction.publicKey = txData.publicKey ?? null; // Only set for checksummed sender addresses
+      transaction.fee = txData.fee ?? 0n; // Transactions stored before fees existed have none
+      transaction.nonce = txData.nonce ?? null; // Neither do those stored before nonces existed
+      transaction.lockTime = txData.lockTime ?? null; // Only set for time-locked transactions
+      transaction.multisig = txData.multisig ?? null; // Only set for multisig senders
+      transaction.script = txData.script ?? null; // Only set for script senders
+      transaction.hash = txData.hash; // Set the hash
+      if (!transaction.isValid()) {
+        console.error(`Invalid transaction in block ${block.index}: ${txData.hash}`);
+        throw new Error(`Invalid transaction in block ${block.index}`);
+      }
+      block.transactions.push(transaction); // Add valid transactions to the block
+    }
+    // Validate the block's hash and Merkle root
+    if (block.hasDuplicateTransactions()) {
+      console.error(`Duplicate transaction in block ${block.index}`);
+      throw new Error(`Duplicate transaction in block ${block.index}`);
+    }
+    if (block.hash !== block.calculateHash()) {
+      console.error(`Invalid block hash for block ${block.index}`);
+      throw new Error(`Invalid block hash for block ${block.index}`);
+    }
+    if (block.merkleRoot !== block.calculateMerkleRoot()) {
+      console.error(`Invalid Merkle root for block ${block.index}`);
+      throw new Error(`Invalid Merkle root for block ${block.index}`);
+    }
+    return block;
   }
 }
 
-class Blockchain {
-  constructor() {
-    this.chain = [this.createGenesisBlock()]; // Start with the genesis block
-    this.difficulty = 0; // Initial difficulty (for mining)
-    this.pendingTransactions = []; // Transactions waiting to be mined
-    this.miningReward = 100; // Reward for mining a new block
+/**
+ * The chain of blocks with its block tree, account state and pending pool.
+ *
+ * Events:
+ *   'block:added' (block)                           a block joined the chain
+ *   'tx:pending' (tx)                               a transaction joined the pending pool
+ *   'tx:confirmed' (tx, block)                      a transaction was mined into a block of the chain
+ *   'chain:reorg' ({ forkIndex, disconnected, connected })  the chain switched branches,
+ *                                                   before 'block:added' for each connected block
+ *   'validation:failed' ({ type, hash, reason, code? })  a block or transaction was rejected
+ */
+class Blockchain extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|Object|string} [options.storage] - Storage adapter or adapter configuration
+   *   (see createStorage); defaults to an in-memory store
+   * @param {number} [options.difficulty=0] - Difficulty of the genesis block, as a number of leading zero hex digits
+   * @param {number} [options.targetBlockTime] - Desired time between blocks, in milliseconds
+   * @param {number} [options.retargetInterval] - Number of blocks between difficulty adjustments
+   * @param {number} [options.maxBlockTransactions] - Most transactions in a block, reward included
+   * @param {number} [options.maxBlockSize] - Most bytes of serialized transactions in a block
+   * @param {number} [options.mempoolMaxAge] - Milliseconds a pending transaction may wait before it is evicted
+   * @param {number} [options.genesisTimestamp] - Timestamp of the genesis block; nodes of one network must agree on it
+   */
+  constructor(options = {}) {
+    super();
+    this.storage = createStorage(options.storage); // Where blocks are persisted
+    this.targetBlockTime = options.targetBlockTime || DEFAULT_TARGET_BLOCK_TIME; // Desired time between blocks
+    this.retargetInterval = options.retargetInterval || DEFAULT_RETARGET_INTERVAL; // Blocks between difficulty adjustments
+    if (this.retargetInterval < 2) {
+      throw new Error('Retarget interval must be at least 2 blocks.');
+    }
+    this.bits = pow.difficultyToBits(options.difficulty || 0); // Compact target the next block is mined at
+    this.maxBlockTransactions = options.maxBlockTransactions || DEFAULT_MAX_BLOCK_TRANSACTIONS; // Block transaction limit
+    this.maxBlockSize = options.maxBlockSize || DEFAULT_MAX_BLOCK_SIZE; // Block size limit in bytes
+    this.genesisTimestamp = options.genesisTimestamp ?? GENESIS_TIMESTAMP; // Timestamp of the genesis block
+    this.chain = [this.createGenesisBlock()]; // Start with the genesis block (the best chain, genesis first)
+    this.blocks = new Map(); // Every known block, on the best chain or a side branch, by hash: { block, work }
+    this.orphans = new Map(); // Blocks whose parent is not known yet, by hash
+    this.indexBlock(this.chain[0]);
+    this.state = AccountState.fromChain(this.chain); // Balances and nonces as of the tip
+    this.mempool = new Mempool({ maxAge: options.mempoolMaxAge }); // Transactions waiting to be mined
+    this.miningReward = 100n * COIN; // Reward for mining a new block, in base units
+  }
+
+  // Write the mining reward as a string of base units, like transaction amounts,
+  // leaving out the event listeners
+  toJSON() {
+    const { _events, _eventsCount, _maxListeners, ...fields } = this;
+    return { ...fields, miningReward: String(this.miningReward) };
+  }
+
+  // Transactions waiting to be mined, highest fee rate first
+  get pendingTransactions() {
+    return this.mempool.getTransactions();
+  }
+
+  // Difficulty of the next block, as an equivalent number of leading zero hex digits
+  get difficulty() {
+    return pow.getDifficulty(this.bits);
   }
 
   // Create the first block of the blockchain (genesis block)
   createGenesisBlock() {
-    return new Block(0, '0', Date.now(), [], this.difficulty);
+    return new Block(0, NO_PARENT, this.genesisTimestamp, [], this.bits, GENESIS_VERSION);
+  }
+
+  /**
+   * Computes the compact target a block at the given index must be mined at. Every
+   * retargetInterval blocks the target is scaled by the time the previous
+   * retargetInterval blocks actually took over the time they should have taken,
+   * limited to a factor of four either way. In between, blocks keep the previous target.
+   * Only timestamps that passed isValidTimestamp are measured, so a miner cannot warp
+   * the time the blocks took past the median time past or two hours beyond the clock.
+   * @param {number} index - Index of the block, at most the length of the chain
+   * @param {string} [previousHash] - Parent of the block when it is on a side branch
+   * @returns {number} - Expected compact target
+   */
+  getExpectedBits(index, previousHash) {
+    const previousBlock = this.getAncestor(index - 1, previousHash);
+    if (index % this.retargetInterval !== 0) {
+      return previousBlock.bits;
+    }
+
+    const firstBlock = this.getAncestor(index - this.retargetInterval, previousHash);
+    const expectedTime = BigInt(this.targetBlockTime * (this.retargetInterval - 1));
+    let actualTime = BigInt(previousBlock.timestamp - firstBlock.timestamp);
+    if (actualTime < expectedTime / 4n) actualTime = expectedTime / 4n;
+    if (actualTime > expectedTime * 4n) actualTime = expectedTime * 4n;
+
+    let target = pow.bitsToTarget(previousBlock.bits) * actualTime / expectedTime;
+    if (target > pow.MAX_TARGET) target = pow.MAX_TARGET;
+    if (target < 1n) target = 1n;
+    return pow.targetToBits(target);
+  }
+
+  // Sum the expected work of every block in the chain, for comparing chains
+  getChainWork() {
+    return this.chain.reduce((work, block) => work + block.getWork(), 0n);
   }
 
   // Get the latest block in the blockchain
@@ -229,124 +616,650 @@ class Blockchain {
     return this.chain[this.chain.length - 1];
   }
 
-  // Mine pending transactions and add a new block to the blockchain
+  // Get the median timestamp of the blocks before the given index, which time locks
+  // are compared with and every block's timestamp must exceed: it only moves once
+  // most of the last blocks moved, so no single miner can push it ahead
+  getMedianTimePast(index = this.chain.length, previousHash) {
+    const timestamps = [];
+    for (let i = Math.max(0, index - MEDIAN_TIME_SPAN); i < index; i++) {
+      timestamps.push(this.getAncestor(i, previousHash).timestamp);
+    }
+    timestamps.sort((a, b) => a - b);
+    return timestamps[Math.floor(timestamps.length / 2)];
+  }
+
+  // Get the block at an index of the chain, or of the branch ending at the given
+  // known block, which shares the chain's blocks up to the fork point
+  getAncestor(index, tipHash) {
+    if (tipHash === undefined) {
+      return this.chain[index];
+    }
+    let { block } = this.blocks.get(tipHash);
+    while (block.index > index && !this.isInChain(block.hash)) {
+      block = this.blocks.get(block.previousHash).block;
+    }
+    return block.index === index ? block : this.chain[index];
+  }
+
+  // Check whether a transaction may go into the next block; passes over the pool
+  // compute the median time past once and pass it in
+  isFinalTransaction(tx, medianTimePast = this.getMedianTimePast()) {
+    return tx.isFinal(this.chain.length, medianTimePast);
+  }
+
+  // Build the next block from the best-paying pending transactions and a reward
+  // transaction collecting their fees, ready to be mined
+  createBlockTemplate(miningRewardAddress) {
+    // Pick the best-paying transactions, leaving room for the reward transaction
+    const rewardSize = new Transaction(null, miningRewardAddress, MAX_AMOUNT).getSize();
+    const medianTimePast = this.getMedianTimePast();
+    const transactions = this.mempool.selectTransactions(this.maxBlockTransactions - 1, this.maxBlockSize - rewardSize, tx => this.isFinalTransaction(tx, medianTimePast));
+    const fees = transactions.reduce((total, tx) => total + tx.fee, 0n);
+
+    const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward + fees); // Create a reward transaction collecting the fees
+    transactions.push(rewardTx); // Add reward transaction to the block's transactions
+
+    // Create a new block with the selected transactions, stamped past the median time
+    const timestamp = Math.max(Date.now(), this.getMedianTimePast() + 1);
+    return new Block(this.chain.length, this.getLatestBlock().hash, timestamp, transactions, this.bits);
+  }
+
+  // Mine pending transactions and add a new block to the blockchain, announced
+  // by 'block:added' rather than logged, since stdout belongs to the caller
   async minePendingTransactions(miningRewardAddress) {
-    const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward); // Create a reward transaction
-    this.pendingTransactions.push(rewardTx); // Add reward transaction to pending transactions
-  
-    // Create a new block with pending transactions
-    const block = new Block(this.chain.length, this.getLatestBlock().hash, Date.now(), this.pendingTransactions, this.difficulty);
-    block.mineBlock(this.difficulty); // Mine the block
-  
-    console.log(`Mined block with hash: ${block.hash}`);
-    this.chain.push(block); // Add the block to the blockchain
+    const block = this.createBlockTemplate(miningRewardAddress);
+    block.mineBlock(); // Mine the block
+    await this.addBlock(block); // Add the block to the blockchain
+  }
 
-    // Log the transactions in the block
-    console.log(`Transactions in block ${block.index}:`, block.transactions);
+  // Append a block to the chain, update the account state, the target and the
+  // pending pool, and persist the block with the new state
+  async addBlock(block) {
+    this.connectBlock(block);
+    this.updatePendingTransactions([], [block]);
+    await this.saveChanges([], [block]);
+    this.emitConnected([block]);
+  }
 
-    this.pendingTransactions = []; // Clear pending transactions
-    await block.save(); // Save the block to the database
+  // Announce blocks that joined the chain and the transactions they confirm
+  emitConnected(blocks) {
+    for (const block of blocks) {
+      this.emit('block:added', block);
+      for (const tx of block.transactions) {
+        this.emit('tx:confirmed', tx, block);
+      }
+    }
+  }
 
-    console.log(`Reward transaction: ${rewardTx}`);
+  // Record a block in the block tree with the total work of its branch
+  indexBlock(block) {
+    const parent = this.blocks.get(block.previousHash);
+    this.blocks.set(block.hash, { block, work: (parent ? parent.work : 0n) + block.getWork() });
+  }
+
+  // Make a block the new tip: index its balance changes and retarget
+  connectBlock(block) {
+    this.chain.push(block);
+    this.indexBlock(block);
+    this.state.applyBlock(block); // Index the block's balance changes
+    this.bits = this.getExpectedBits(this.chain.length); // Retarget for the next block
+  }
+
+  // Remove the tip block, rolling back its balance changes
+  disconnectBlock() {
+    const block = this.chain.pop();
+    try {
+      this.state.revertBlock(block);
+    } catch (error) {
+      // No undo data, e.g. for blocks loaded together with a saved state
+      const rebuilt = AccountState.fromChain(this.chain);
+      for (const address of this.state.accounts.keys()) {
+        rebuilt.dirty.add(address); // Rewrite accounts only the removed blocks knew
+      }
+      this.state = rebuilt;
+    }
+    this.bits = this.getExpectedBits(this.chain.length);
+    return block;
+  }
+
+  // Update the pending pool after blocks left and joined the chain: transactions of
+  // disconnected blocks go back to the pool, those now mined leave it
+  updatePendingTransactions(disconnected, connected) {
+    for (const block of connected) {
+      this.mempool.remove(block.transactions); // Remove mined transactions from the pool
+    }
+    for (const block of disconnected) {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress !== null && !this.mempool.has(tx.hash)) {
+          tx.blockHash = '';
+          this.mempool.add(tx);
+        }
+      }
+    }
+    this.revalidatePendingTransactions(); // Drop what the new blocks made invalid
+  }
+
+  // Persist the blocks that left and joined the chain along with the new account state
+  async saveChanges(disconnected, connected) {
+    for (const block of disconnected.slice().reverse()) {
+      await this.storage.deleteBlock(block.hash);
+    }
+    // The genesis block is only persisted together with the first mined block
+    if (!(await this.storage.getBlock(this.chain[0].hash))) {
+      await this.chain[0].save(this.storage);
+    }
+    for (const block of connected) {
+      await block.save(this.storage); // Save the block to the storage
+    }
+    await this.state.save(this.storage); // Save the accounts the blocks changed
   }
 
   // Add a new transaction to the list of pending transactions
   addTransaction(transaction) {
     if (!transaction.fromAddress || !transaction.toAddress) {
-      throw new Error('Transaction must include from and to address.');
+      throw this.rejectTransaction(transaction, 'INVALID_TRANSACTION', 'Transaction must include from and to address.');
+    }
+    if (typeof transaction.amount !== 'bigint' || transaction.amount <= 0n) {
+      throw this.rejectTransaction(transaction, 'INVALID_TRANSACTION', 'Transaction amount should be greater than 0.');
+    }
+    if (typeof transaction.fee !== 'bigint' || transaction.fee < 0n) {
+      throw this.rejectTransaction(transaction, 'INVALID_TRANSACTION', 'Transaction fee cannot be negative.');
+    }
+    if (!Number.isInteger(transaction.nonce) || transaction.nonce < 0) {
+      throw this.rejectTransaction(transaction, 'INVALID_TRANSACTION', 'Transaction nonce must be a non-negative integer.');
+    }
+    if (transaction.lockTime !== null && !(Number.isSafeInteger(transaction.lockTime) && transaction.lockTime >= 0)) {
+      throw this.rejectTransaction(transaction, 'INVALID_TRANSACTION', 'Transaction lock time must be a non-negative integer.');
     }
-    if (transaction.amount <= 0) {
-      throw new Error('Transaction amount should be greater than 0.');
+    if (transaction.multisig) {
+      const count = transaction.countSignatures(transaction.calculateHash());
+      if (count >= 0 && count < transaction.multisig.threshold) {
+        throw this.rejectTransaction(transaction, 'INSUFFICIENT_SIGNATURES', `Transaction has ${count} of the ${transaction.multisig.threshold} signatures its sender needs.`);
+      }
+    }
+    if (transaction.script) {
+      try {
+        transaction.verifyScript(transaction.calculateHash());
+      } catch (error) {
+        throw this.rejectTransaction(transaction, 'SCRIPT_FAILED', `Transaction scripts do not unlock its sender's funds: ${error.message}`);
+      }
     }
     if (!transaction.isValid()) {
-      throw new Error('Cannot add invalid transaction to the chain.');
+      throw this.rejectTransaction(transaction, 'INVALID_SIGNATURE', 'Cannot add invalid transaction to the chain.');
+    }
+    if (transaction.getSize() > this.maxBlockSize) {
+      throw this.rejectTransaction(transaction, 'TRANSACTION_TOO_LARGE', 'Transaction is too large to fit in a block.');
+    }
+    this.mempool.evictExpired(); // Expired transactions no longer hold funds; held ones only change with the chain
+    if (this.mempool.has(transaction.hash)) {
+      throw this.rejectTransaction(transaction, 'DUPLICATE_TRANSACTION', 'Transaction is already pending.');
     }
-    const senderBalance = this.getBalanceOfAddress(transaction.fromAddress);
-    if (senderBalance < transaction.amount) {
-      console.log(`Insufficient balance: ${senderBalance} < ${transaction.amount}`);
-      return false; // Insufficient balance
+    if (this.hasTransaction(transaction.hash)) {
+      throw this.rejectTransaction(transaction, 'DUPLICATE_TRANSACTION', 'Transaction is already in the chain.');
     }
-    this.pendingTransactions.push(transaction); // Add the transaction to pending transactions
+    const nextNonce = this.getNextNonce(transaction.fromAddress);
+    if (transaction.nonce < nextNonce) {
+      throw this.rejectTransaction(transaction, 'NONCE_TOO_LOW', `Transaction nonce is too low: expected at least ${nextNonce}.`);
+    }
+    const senderBalance = this.getSpendableBalance(transaction.fromAddress);
+    const totalCost = transaction.amount + transaction.fee;
+    if (senderBalance < totalCost) {
+      throw this.rejectTransaction(transaction, 'INSUFFICIENT_BALANCE', `Sender balance does not cover the amount and fee: ${senderBalance} < ${totalCost}.`);
+    }
+    this.mempool.add(transaction, Date.now(), !this.isFinalTransaction(transaction)); // Add the transaction to pending transactions
+    this.emit('tx:pending', transaction);
     return true; // Transaction added successfully
   }
 
+  // Report a rejected transaction and build the error to throw
+  rejectTransaction(transaction, code, message) {
+    this.emit('validation:failed', { type: 'transaction', hash: transaction.hash, code, reason: message });
+    return codedError(code, message);
+  }
+
+  // Check whether a transaction has been mined into the chain
+  hasTransaction(hash) {
+    return this.findTransaction(hash) !== null;
+  }
+
+  // Find a mined transaction and the block holding it
+  findTransaction(hash) {
+    const found = this.state.findTransaction(hash); // Indexed as blocks are added
+    return found ? { transaction: found.block.transactions[found.index], block: found.block } : null;
+  }
+
+  // Find a block of the chain by hash
+  getBlockByHash(hash) {
+    return this.chain.find(block => block.hash === hash) || null;
+  }
+
+  // Re-check the pending transactions against the chain, evicting expired ones and
+  // those that are mined, invalid or no longer covered by the sender's balance
+  revalidatePendingTransactions() {
+    const medianTimePast = this.getMedianTimePast();
+    const evicted = this.mempool.evictExpired(Date.now(), tx => !this.isFinalTransaction(tx, medianTimePast));
+    const available = new Map(); // Funds left per sender as transactions are accepted
+    const lastNonces = new Map(); // Highest accepted nonce per sender
+    const rejected = this.mempool.revalidate(tx => {
+      if (this.hasTransaction(tx.hash) || !tx.isValid()) {
+        return false;
+      }
+      if (!available.has(tx.fromAddress)) {
+        available.set(tx.fromAddress, this.getBalanceOfAddress(tx.fromAddress));
+        lastNonces.set(tx.fromAddress, this.state.getNonce(tx.fromAddress));
+      }
+      const remaining = available.get(tx.fromAddress) - (tx.amount + tx.fee);
+      if (remaining < 0n || tx.nonce <= lastNonces.get(tx.fromAddress)) {
+        return false;
+      }
+      available.set(tx.fromAddress, remaining);
+      lastNonces.set(tx.fromAddress, tx.nonce);
+      return true;
+    });
+    return evicted.concat(rejected); // Removed transactions
+  }
+
+  // Get the highest nonce an address has used in the chain, or -1 if none
+  getConfirmedNonce(address) {
+    return this.state.getNonce(address);
+  }
+
+  // Get the nonce the next transaction of an address must at least use,
+  // counting its pending transactions
+  getNextNonce(address) {
+    return Math.max(this.getConfirmedNonce(address), this.mempool.getLastNonce(address)) + 1;
+  }
+
+  // List the pending transactions from or to an address that are still locked,
+  // earliest lock time first: heights come before timestamps
+  getScheduledTransactions(address) {
+    const medianTimePast = this.getMedianTimePast();
+    return this.pendingTransactions
+      .filter(tx => (tx.fromAddress === address || tx.toAddress === address) && !this.isFinalTransaction(tx, medianTimePast))
+      .sort((a, b) => a.lockTime - b.lockTime);
+  }
+
+  // Get the balance of an address minus what it is already spending in pending transactions
+  getSpendableBalance(address) {
+    return this.getBalanceOfAddress(address) - this.mempool.getPendingOutflow(address);
+  }
+
   // Get the balance of a specific address
   getBalanceOfAddress(address) {
-    let balance = 0;
+    return this.state.getBalance(address); // Indexed as blocks are added
+  }
+
+  // Save the pending pool, so that a process started later can mine it
+  async savePendingTransactions() {
+    await this.storage.putMetadata(PENDING_KEY, JSON.stringify(this.mempool.getTransactions()));
+  }
+
+  // Add the saved pending transactions back to the pool, skipping those that are
+  // no longer valid (e.g. mined since they were saved)
+  async loadPendingTransactions() {
+    const saved = JSON.parse(await this.storage.getMetadata(PENDING_KEY) || '[]');
+    for (const data of saved) {
+      try {
+        this.addTransaction(Transaction.fromJSON(data));
+      } catch (error) {
+        // Already mined or otherwise invalid now
+      }
+    }
+  }
 
+  // Check whether an address was ever the sender or recipient of a confirmed transaction
+  hasAddressHistory(address) {
+    return this.state.hasAccount(address);
+  }
+
+  // List the confirmed transactions from or to an address with their blocks, newest first
+  getAddressHistory(address) {
+    const history = [];
     for (const block of this.chain) {
-      for (const tx of block.transactions) {
-        if (tx.fromAddress === address) {
-          balance -= tx.amount; // Deduct amount if address is sender
+      for (const transaction of block.transactions) {
+        if (transaction.fromAddress === address || transaction.toAddress === address) {
+          history.push({ transaction, block });
         }
+      }
+    }
+    return history.reverse();
+  }
+
+  // Rebuild the account state from the blocks and check it against the index
+  verifyAccountState() {
+    return AccountState.fromChain(this.chain).equals(this.state);
+  }
+
+  // Check a block against the chain before the given index: hash, link, timestamp,
+  // target, proof of work, size limits, reward, Merkle root, signatures and lock times
+  isValidBlock(block, index) {
+    const previousBlock = this.chain[index - 1];
+
+    // Check if the block's hash is valid
+    if (block.hash !== block.calculateHash()) {
+      return this.rejectBlock(block, `Invalid hash at block ${block.index}`);
+    }
+
+    // Check if the previous hash matches the previous block's hash
+    if (block.previousHash !== previousBlock.hash) {
+      return this.rejectBlock(block, `Invalid previous hash at block ${block.index}`);
+    }
+
+    // Check that the timestamp is past the median time and not far ahead of the clock,
+    // which keeps the timestamps retargeting measures close to the real time
+    const medianTimePast = this.getMedianTimePast(index);
+    if (!this.isValidTimestamp(block, medianTimePast)) {
+      return this.rejectBlock(block, `Invalid timestamp at block ${block.index}: ${block.timestamp} is not after the median time past ${medianTimePast} or more than two hours ahead`);
+    }
+
+    // Check that the block was mined at the target the schedule requires
+    const expectedBits = this.getExpectedBits(index);
+    if (block.bits !== expectedBits) {
+      return this.rejectBlock(block, `Invalid target at block ${block.index}: expected ${expectedBits.toString(16)}, got ${block.bits.toString(16)}`);
+    }
+
+    // Check that the block's hash actually meets its target
+    if (!block.hasValidProofOfWork()) {
+      return this.rejectBlock(block, `Insufficient proof of work at block ${block.index}`);
+    }
+
+    // Check that no transaction is listed twice
+    if (block.hasDuplicateTransactions()) {
+      return this.rejectBlock(block, `Duplicate transaction in block ${block.index}`);
+    }
+
+    // Check the block size limits
+    if (block.transactions.length > this.maxBlockTransactions || block.getSize() > this.maxBlockSize) {
+      return this.rejectBlock(block, `Block ${block.index} exceeds the block size limits`);
+    }
+
+    // Check that the reward transaction claims no more than the reward plus the fees
+    const rewardTxs = block.transactions.filter(tx => tx.fromAddress === null);
+    const maxReward = this.miningReward + block.getTotalFees();
+    if (rewardTxs.length > 1 || (rewardTxs.length === 1 && rewardTxs[0].amount > maxReward)) {
+      return this.rejectBlock(block, `Invalid reward transaction in block ${block.index}`);
+    }
+
+    // Check if the Merkle root is valid
+    const calculatedMerkleRoot = block.calculateMerkleRoot();
+    if (block.merkleRoot !== calculatedMerkleRoot) {
+      return this.rejectBlock(block, `Invalid Merkle root in block ${block.index}: stored ${block.merkleRoot}, calculated ${calculatedMerkleRoot}`);
+    }
+
+    // Check that every transaction is signed as its sender requires, by enough
+    // keys for multisig senders and by unlocking scripts for script senders
+    if (!block.hasValidTransactions()) {
+      return this.rejectBlock(block, `Invalid transaction in block ${block.index}`);
+    }
+
+    // Check that no transaction is locked until a later height or time
+    const locked = block.transactions.find(tx => !tx.isFinal(index, medianTimePast));
+    if (locked) {
+      return this.rejectBlock(block, `Transaction ${locked.hash} in block ${block.index} is locked until ${locked.lockTime}`);
+    }
+
+    return true;
+  }
+
+  // Check a block received from elsewhere as the next block of the chain: besides
+  // isValidBlock, every transaction must be new, in nonce order and funded
+  isValidNextBlock(block) {
+    if (block.index !== this.chain.length || !this.isValidBlock(block, this.chain.length)) {
+      return false;
+    }
+    return this.isValidTransfer(block, this.state);
+  }
+
+  // Check the transfers of a block against the account state it is applied to:
+  // none replayed, each sender's nonces increasing and its balance not overspent
+  isValidTransfer(block, state) {
+    const balances = new Map(); // Balance left per sender as the block spends it
+    const lastNonces = new Map(); // Highest nonce per sender so far
+    for (const tx of block.transactions) {
+      if (tx.fromAddress === null) {
+        continue; // The reward was checked by isValidBlock
+      }
+      if (state.findTransaction(tx.hash)) {
+        return this.rejectBlock(block, `Replayed transaction ${tx.hash} in block ${block.index}`);
+      }
+      if (!balances.has(tx.fromAddress)) {
+        balances.set(tx.fromAddress, state.getBalance(tx.fromAddress));
+        lastNonces.set(tx.fromAddress, state.getNonce(tx.fromAddress));
+      }
+      if (tx.nonce === null || tx.nonce <= lastNonces.get(tx.fromAddress)) {
+        return this.rejectBlock(block, `Missing or out of order nonce in block ${block.index}`);
+      }
+      const remaining = balances.get(tx.fromAddress) - (tx.amount + tx.fee);
+      if (remaining < 0n) {
+        return this.rejectBlock(block, `Overspending transaction ${tx.hash} in block ${block.index}`);
+      }
+      balances.set(tx.fromAddress, remaining);
+      lastNonces.set(tx.fromAddress, tx.nonce);
+    }
+    return true;
+  }
+
+  // Report a rejected block; returns false for the validity checks to return
+  rejectBlock(block, reason) {
+    console.error(reason);
+    this.emit('validation:failed', { type: 'block', hash: block.hash, reason });
+    return false;
+  }
+
+  // Check whether a block is in the block tree or waiting for its parent
+  isKnownBlock(hash) {
+    return this.blocks.has(hash) || this.orphans.has(hash);
+  }
+
+  // Check whether a block's timestamp is after the median time past of the blocks
+  // before it and at most MAX_FUTURE_BLOCK_TIME ahead of the clock
+  isValidTimestamp(block, medianTimePast) {
+    return block.timestamp > medianTimePast && block.timestamp <= Date.now() + MAX_FUTURE_BLOCK_TIME;
+  }
+
+  // Check what can be checked of a block without knowing the chain before it, and
+  // its timestamp against the branch of its parent once the parent is known
+  isWellFormedBlock(block) {
+    const parent = this.blocks.get(block.previousHash);
+    const medianTimePast = parent ? this.getMedianTimePast(parent.block.index + 1, parent.block.hash) : -Infinity;
+    return this.isValidTimestamp(block, medianTimePast) &&
+      block.hash === block.calculateHash() &&
+      block.hasValidProofOfWork() &&
+      !block.hasDuplicateTransactions() &&
+      block.merkleRoot === block.calculateMerkleRoot() &&
+      block.transactions.length <= this.maxBlockTransactions &&
+      block.getSize() <= this.maxBlockSize;
+  }
 
-        if (tx.toAddress === address) {
-          balance += tx.amount; // Add amount if address is recipient
+  /**
+   * Accepts a block received from elsewhere. A block extending the tip is appended,
+   * a block on a side branch is kept and the chain switches to that branch once it
+   * has more total work, and a block whose parent is unknown is kept as an orphan
+   * until the parent arrives.
+   * @param {Block} block - The block
+   * @returns {Promise<boolean>} - True if the block joined the block tree
+   */
+  async submitBlock(block) {
+    if (this.isKnownBlock(block.hash)) {
+      return false;
+    }
+    if (!this.isWellFormedBlock(block)) {
+      return this.rejectBlock(block, `Malformed block ${block.hash}`);
+    }
+    const parent = this.blocks.get(block.previousHash);
+    if (!parent) {
+      this.addOrphan(block);
+      return false;
+    }
+    if (block.index !== parent.block.index + 1) {
+      return false;
+    }
+
+    let accepted;
+    if (block.previousHash === this.getLatestBlock().hash) {
+      accepted = this.isValidNextBlock(block);
+      if (accepted) {
+        await this.addBlock(block);
+      }
+    } else {
+      // Side branch: the rest is checked when the branch is connected, but its target
+      // must hold now, or cheap blocks could pile up in the block tree
+      const expectedBits = this.getExpectedBits(block.index, block.previousHash);
+      if (block.bits !== expectedBits) {
+        return this.rejectBlock(block, `Invalid target at block ${block.index} on a side branch: expected ${expectedBits.toString(16)}, got ${block.bits.toString(16)}`);
+      }
+      this.indexBlock(block);
+      accepted = this.blocks.get(block.hash).work <= this.getChainWork() || await this.reorganize(block);
+    }
+
+    if (accepted) {
+      // Orphans waiting for this block can now be placed as well
+      for (const orphan of [...this.orphans.values()]) {
+        if (orphan.previousHash === block.hash) {
+          this.orphans.delete(orphan.hash);
+          await this.submitBlock(orphan);
         }
       }
     }
-    console.log(`Balance of address ${address}: ${balance}`);
-    return balance; // Return the balance
+    return accepted;
   }
 
-  // Check if the blockchain is valid
-  isChainValid() {
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+  // Keep a block until its parent arrives, dropping the oldest orphan when full
+  addOrphan(block) {
+    if (this.orphans.size >= MAX_ORPHANS) {
+      this.orphans.delete(this.orphans.keys().next().value);
+    }
+    this.orphans.set(block.hash, block);
+  }
+
+  /**
+   * Switches the chain to the branch ending at the given block: the blocks after the
+   * fork point are disconnected, their balance changes rolled back and their
+   * transactions returned to the pending pool, then the branch is connected. If a
+   * block of the branch turns out invalid, the old chain is restored and the
+   * invalid block is forgotten with its descendants.
+   * @param {Block} tip - Tip of the branch
+   * @returns {Promise<boolean>} - True if the chain now ends at the branch tip
+   */
+  async reorganize(tip) {
+    const branch = []; // Blocks to connect, oldest first
+    let hash = tip.hash;
+    while (!this.isInChain(hash)) {
+      const { block } = this.blocks.get(hash);
+      branch.unshift(block);
+      hash = block.previousHash;
+    }
+    const forkIndex = this.blocks.get(hash).block.index;
 
-      // Check if the current block's hash is valid
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        console.error(`Invalid hash at block ${currentBlock.index}`);
+    const disconnected = []; // Blocks taken off the chain, oldest first
+    while (this.chain.length > forkIndex + 1) {
+      disconnected.unshift(this.disconnectBlock());
+    }
+    for (const block of branch) {
+      if (!this.isValidNextBlock(block)) {
+        console.error(`Invalid block ${block.hash} on branch ${tip.hash}; keeping the current chain`);
+        while (this.chain.length > forkIndex + 1) {
+          this.disconnectBlock();
+        }
+        disconnected.forEach(oldBlock => this.connectBlock(oldBlock));
+        this.forgetBranch(block.hash);
         return false;
       }
+      this.connectBlock(block);
+    }
 
-      // Check if the previous hash matches the previous block's hash
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        console.error(`Invalid previous hash at block ${currentBlock.index}`);
-        return false;
+    this.updatePendingTransactions(disconnected, branch);
+    await this.saveChanges(disconnected, branch);
+    this.emit('chain:reorg', { forkIndex, disconnected, connected: branch });
+    this.emitConnected(branch);
+    return true;
+  }
+
+  // Check whether a known block is part of the chain
+  isInChain(hash) {
+    const entry = this.blocks.get(hash);
+    return Boolean(entry) && this.chain[entry.block.index] === entry.block;
+  }
+
+  // Remove a block and every block built on it from the block tree
+  forgetBranch(hash) {
+    const forgotten = new Set([hash]);
+    this.blocks.delete(hash);
+    let found = true;
+    while (found) {
+      found = false;
+      for (const [childHash, { block }] of this.blocks) {
+        if (forgotten.has(block.previousHash)) {
+          forgotten.add(childHash);
+          this.blocks.delete(childHash);
+          found = true;
+        }
       }
+    }
+  }
 
-      // Check if the Merkle root is valid
-      const calculatedMerkleRoot = currentBlock.calculateMerkleRoot();
-      if (currentBlock.merkleRoot !== calculatedMerkleRoot) {
-        console.error(`Invalid Merkle root in block ${currentBlock.index}`);
-        console.error(`Stored Merkle root: ${currentBlock.merkleRoot}`);
-        console.error(`Calculated Merkle root: ${calculatedMerkleRoot}`);
+  // Check if the blockchain is valid: every block by the rules isValidNextBlock
+  // applies to blocks arriving live, replayed on the state of the blocks before it
+  isChainValid() {
+    const state = AccountState.fromChain(this.chain.slice(0, 1));
+    for (let i = 1; i < this.chain.length; i++) {
+      const currentBlock = this.chain[i];
+      if (!this.isValidBlock(currentBlock, i) || !this.isValidTransfer(currentBlock, state)) {
         return false;
       }
+      state.applyBlock(currentBlock);
     }
     return true; // Blockchain is valid
   }
 
-  // Load the blockchain from the database
-  static async load() {
-    const blockchain = new Blockchain();
-    const query = 'SELECT * FROM blocks ORDER BY index ASC';
-    return new Promise((resolve, reject) => {
-      db.query(query, async (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        for (const result of results) {
-          const block = await Block.load(result.hash); // Load each block
-          if (block) {
-            blockchain.chain.push(block); // Add the block to the blockchain
-          }
-        }
+  // Load the blockchain from storage
+  static async load(options = {}) {
+    const blockchain = new Blockchain(options);
+    const results = await blockchain.storage.getBlocks();
+    if (results.length > 0) {
+      blockchain.chain = []; // The stored chain brings its own genesis block
+    }
+    for (const result of results) {
+      const block = await Block.load(result.hash, blockchain.storage); // Load each block
+      if (block) {
+        blockchain.chain.push(block); // Add the block to the blockchain
+      }
+    }
 
-        // Validate the blockchain after loading
-        if (!blockchain.isChainValid()) {
-          console.error("Blockchain is invalid");
-          reject(new Error("Blockchain is invalid"));
-        } else {
-          console.log("Blockchain is valid");
-          resolve(blockchain); // Resolve with the loaded blockchain
-        }
-      });
-    });
+    blockchain.blocks = new Map(); // Rebuild the block tree from the stored chain
+    blockchain.chain.forEach(block => blockchain.indexBlock(block));
+
+    // Validate the blockchain after loading
+    if (!blockchain.isChainValid()) {
+      console.error("Blockchain is invalid");
+      throw new Error("Blockchain is invalid");
+    }
+    blockchain.bits = blockchain.getExpectedBits(blockchain.chain.length); // Target of the next block
+
+    // Use the saved account state if it belongs to this tip, otherwise rebuild it
+    const tipHash = blockchain.getLatestBlock().hash;
+    blockchain.state = await AccountState.load(blockchain.storage, tipHash);
+    if (blockchain.state) {
+      blockchain.state.indexTransactions(blockchain.chain); // Only the accounts are saved
+    } else {
+      blockchain.state = AccountState.fromChain(blockchain.chain);
+      if (results.length > 0) {
+        await blockchain.state.save(blockchain.storage);
+      }
+    }
+    await blockchain.loadPendingTransactions();
+    return blockchain; // Resolve with the loaded blockchain
   }
 }
 
+Block.VERSION = BLOCK_VERSIONS.CANONICAL_HEADER; // Version of newly created blocks
+Transaction.VERSION = TX_VERSIONS.SCRIPT; // Version of newly created transactions
+
 module.exports = {
+  BLOCK_VERSIONS,
+  TX_VERSIONS,
+  LOCK_TIME_THRESHOLD,
+  MAX_FUTURE_BLOCK_TIME,
   Blockchain,
   Transaction,
   Block
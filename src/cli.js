@@ -0,0 +1,530 @@
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Blockchain, Transaction, LOCK_TIME_THRESHOLD } = require('./blockchain');
+const { exportChain, importChain } = require('./archive');
+const Wallet = require('./wallet');
+const HDWallet = require('./hdWallet');
+const MultisigWallet = require('./multisigWallet');
+const ScriptWallet = require('./scriptWallet');
+const { Miner } = require('./miner');
+const { isValidAddress, isLegacyAddress } = require('./address');
+const { DECIMALS, parseCoins, formatAmount } = require('./amount');
+
+const EXIT_FAILURE = 1; // The command ran but failed, e.g. an invalid chain or an unknown block
+const EXIT_USAGE = 2; // The command line itself is wrong
+
+const USAGE = `Usage: aibtc <command> [options]
+
+Commands:
+  keygen --keystore <file>            create a key pair, saved to an encrypted keystore
+  keygen --show-private-key           create a key pair and print its private key
+  keygen --mnemonic [--words 12|24]   create a mnemonic phrase for an HD wallet
+  balance <address>                   confirmed and spendable balance in coins, next nonce
+  scheduled <address>                 pending transactions from or to the address that
+                                      wait for their lock time
+  send --to <address> --amount <n>    sign a transaction and add it to the pending pool
+       (--from-key <hex> | --keystore <file>) [--fee <n>] [--nonce <n>] [--lock-time <t>]
+  multisig <m> <public key>...        address spendable by m of the keys
+  script <locking script>             address of a locking script, such as
+                                      "OP_SHA256 <hash> OP_EQUALVERIFY <key> OP_CHECKSIG"
+  propose --to <address> --amount <n> --threshold <m> --keys <key,...> --out <file>
+       [--fee <n>] [--nonce <n>] [--lock-time <t>]
+                                      write an unsigned transaction from a multisig address
+  sign <file> (--from-key <hex> | --keystore <file>)
+                                      add a signature to a multisig transaction file
+  submit <file>...                    combine the signatures of multisig transaction files
+                                      and add the transaction to the pending pool
+  mine <address> [--threads <n>]      mine the pending transactions, on n worker threads
+                                      when given
+  validate                            validate the whole chain
+  block <hash|height>                 show a block
+  export <file> [--format ndjson|binary] [--merkle-nodes]
+                                      write the chain to an archive file
+  import <file>                       check and add the blocks of an archive, resuming
+                                      where an interrupted import stopped
+
+Options:
+  --json              print results as JSON
+  --storage <type>    sqlite (default), mysql or memory; defaults to AIBTC_STORAGE
+  --db <file>         SQLite file; defaults to AIBTC_DB_FILE, then aibtc.db
+  --progress          report export, import and mining progress on stderr
+  -h, --help          show this help
+
+Amounts and fees are given in coins with at most ${DECIMALS} decimals, e.g. --amount 1.5.
+A lock time is a block height, or a date such as 2026-11-30T09:00:00Z; the transaction
+waits in the pending pool until the chain reaches it.
+Keystore passwords are read from AIBTC_KEYSTORE_PASSWORD.
+Exit codes: 0 on success, 1 when the command fails, 2 for usage errors.`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  storage: { type: 'string' },
+  db: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  keystore: { type: 'string' },
+  mnemonic: { type: 'boolean' },
+  words: { type: 'string' },
+  to: { type: 'string' },
+  amount: { type: 'string' },
+  fee: { type: 'string' },
+  nonce: { type: 'string' },
+  'lock-time': { type: 'string' },
+  'from-key': { type: 'string' },
+  threshold: { type: 'string' },
+  keys: { type: 'string' },
+  out: { type: 'string' },
+  format: { type: 'string' },
+  'merkle-nodes': { type: 'boolean' },
+  progress: { type: 'boolean' },
+  'show-private-key': { type: 'boolean' },
+  threads: { type: 'string' }
+};
+
+const PROGRESS_INTERVAL = 100; // Blocks between progress reports
+
+// Create an error for a wrong command line
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+// Create an error for a command that failed
+function failure(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.exitCode = EXIT_FAILURE;
+  return error;
+}
+
+/**
+ * Command-line interface to the persisted chain and to wallets. Each command
+ * returns a result object, printed as JSON with --json and as text otherwise.
+ */
+class Cli {
+  /**
+   * @param {Object} [io]
+   * @param {Object} [io.stdout] - Stream results are written to
+   * @param {Object} [io.stderr] - Stream errors are written to
+   * @param {Object} [io.env] - Environment variables
+   */
+  constructor({ stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.env = env;
+    this.options = {};
+    this.blockchain = null; // Loaded on first use
+    this.commands = {
+      keygen: () => this.keygen(),
+      balance: address => this.balance(address),
+      scheduled: address => this.scheduled(address),
+      send: () => this.send(),
+      multisig: (threshold, ...publicKeys) => this.multisig(threshold, publicKeys),
+      script: (...tokens) => this.script(tokens),
+      propose: () => this.propose(),
+      sign: filename => this.sign(filename),
+      submit: (...filenames) => this.submit(filenames),
+      mine: address => this.mine(address),
+      validate: () => this.validate(),
+      block: id => this.block(id),
+      export: filename => this.exportChain(filename),
+      import: filename => this.importChain(filename)
+    };
+  }
+
+  /**
+   * Runs a command line.
+   * @param {string[]} argv - Arguments after the program name
+   * @returns {Promise<number>} - The exit code
+   */
+  async run(argv) {
+    let json = argv.includes('--json');
+    try {
+      const { values, positionals } = parseCommandLine(argv);
+      this.options = values;
+      json = Boolean(values.json);
+      const [name, ...args] = positionals;
+      if (values.help || !name) {
+        this.stdout.write(USAGE + '\n');
+        return values.help ? 0 : EXIT_USAGE;
+      }
+      const command = this.commands[name];
+      if (!command) {
+        throw usageError(`Unknown command ${name}`);
+      }
+      const result = await command(...args);
+      this.stdout.write((json ? JSON.stringify(result) : formatText(result)) + '\n');
+      return result.valid === false ? EXIT_FAILURE : 0;
+    } catch (error) {
+      const code = error.code || 'ERROR';
+      this.stderr.write(json
+        ? JSON.stringify({ error: { code, message: error.message } }) + '\n'
+        : `Error: ${error.message}\n${error.exitCode === EXIT_USAGE ? 'Run aibtc --help for usage.\n' : ''}`);
+      return error.exitCode || EXIT_FAILURE;
+    } finally {
+      if (this.blockchain) {
+        await this.blockchain.storage.close();
+        this.blockchain = null;
+      }
+    }
+  }
+
+  // Load the persisted chain
+  async getBlockchain() {
+    if (!this.blockchain) {
+      const type = this.options.storage || this.env.AIBTC_STORAGE || 'sqlite';
+      this.blockchain = await Blockchain.load({
+        storage: type === 'sqlite'
+          ? { type, filename: this.options.db || this.env.AIBTC_DB_FILE || 'aibtc.db' }
+          : { type }
+      });
+    }
+    return this.blockchain;
+  }
+
+  // Read the keystore password from the environment
+  getPassword() {
+    const password = this.env.AIBTC_KEYSTORE_PASSWORD;
+    if (!password) {
+      throw usageError('Set AIBTC_KEYSTORE_PASSWORD to the keystore password');
+    }
+    return password;
+  }
+
+  async keygen() {
+    if (this.options.mnemonic) {
+      const words = Number(this.options.words || 12);
+      if (words !== 12 && words !== 24) {
+        throw usageError('--words must be 12 or 24');
+      }
+      const hdWallet = HDWallet.generate(words === 24 ? 256 : 128);
+      const first = hdWallet.deriveWallet(0);
+      return { mnemonic: hdWallet.mnemonic, address: first.address, path: first.path };
+    }
+    if (!this.options.keystore && !this.options['show-private-key']) {
+      throw usageError('keygen needs --keystore <file>, or --show-private-key to print the key');
+    }
+    const wallet = Wallet.generate();
+    if (this.options.keystore) {
+      await wallet.save(this.options.keystore, this.getPassword());
+      return { address: wallet.address, publicKey: wallet.publicKey, keystore: this.options.keystore };
+    }
+    return { address: wallet.address, publicKey: wallet.publicKey, privateKey: wallet.getPrivateKey() };
+  }
+
+  async balance(address) {
+    requireArgument(address, 'balance <address>');
+    const blockchain = await this.getBlockchain();
+    return {
+      address,
+      balance: formatAmount(blockchain.getBalanceOfAddress(address)),
+      spendable: formatAmount(blockchain.getSpendableBalance(address)),
+      nextNonce: blockchain.getNextNonce(address)
+    };
+  }
+
+  async scheduled(address) {
+    requireArgument(address, 'scheduled <address>');
+    const blockchain = await this.getBlockchain();
+    return {
+      address,
+      height: blockchain.chain.length - 1,
+      transactions: blockchain.getScheduledTransactions(address).map(tx => ({
+        hash: tx.hash,
+        fromAddress: tx.fromAddress,
+        toAddress: tx.toAddress,
+        amount: formatAmount(tx.amount),
+        lockTime: tx.lockTime,
+        unlocks: tx.lockTime < LOCK_TIME_THRESHOLD ? `at height ${tx.lockTime}` : new Date(tx.lockTime).toISOString()
+      }))
+    };
+  }
+
+  async send() {
+    const wallet = await this.getWallet('send');
+    const { amount, fee, lockTime } = this.getTransfer('send');
+    const blockchain = await this.getBlockchain();
+    const transaction = wallet.createTransaction(this.options.to, amount, { nonce: this.getNonce(blockchain, wallet.address), fee, lockTime });
+    return this.addTransaction(transaction);
+  }
+
+  async multisig(threshold, publicKeys) {
+    requireArgument(threshold, 'multisig <m> <public key>...');
+    const wallet = createMultisigWallet(publicKeys, threshold);
+    return { address: wallet.address, threshold: wallet.threshold, publicKeys: wallet.publicKeys };
+  }
+
+  async script(tokens) {
+    requireArgument(tokens[0], 'script <locking script>');
+    let wallet;
+    try {
+      wallet = ScriptWallet.fromAsm(tokens.join(' '));
+    } catch (error) {
+      throw usageError(error.message);
+    }
+    return { address: wallet.address, lockingScript: wallet.lockingScript, asm: wallet.asm };
+  }
+
+  async propose() {
+    const { keys, threshold, out } = this.options;
+    requireArgument(keys, 'propose --keys <key,...>');
+    requireArgument(threshold, 'propose --threshold <m>');
+    requireArgument(out, 'propose --out <file>');
+    const { amount, fee, lockTime } = this.getTransfer('propose');
+    const wallet = createMultisigWallet(keys.split(','), threshold);
+    const blockchain = await this.getBlockchain();
+    const transaction = wallet.createTransaction(this.options.to, amount, { nonce: this.getNonce(blockchain, wallet.address), fee, lockTime });
+    fs.writeFileSync(out, JSON.stringify(transaction, null, 2) + '\n');
+    return { file: out, hash: transaction.hash, signatures: 0, threshold: wallet.threshold };
+  }
+
+  async sign(filename) {
+    requireArgument(filename, 'sign <file>');
+    const wallet = await this.getWallet('sign');
+    const transaction = readTransactionFile(filename);
+    if (!transaction.multisig) {
+      throw failure('INVALID_TRANSACTION', `${filename} does not hold a multisig transaction`);
+    }
+    try {
+      wallet.signTransaction(transaction);
+    } catch (error) {
+      throw failure('INVALID_SIGNER', `${wallet.address} is not one of the keys of ${transaction.fromAddress}`);
+    }
+    fs.writeFileSync(filename, JSON.stringify(transaction, null, 2) + '\n');
+    const signatures = transaction.multisig.signatures.filter(signature => signature !== null).length;
+    return { file: filename, hash: transaction.hash, signatures, threshold: transaction.multisig.threshold };
+  }
+
+  async submit(filenames) {
+    requireArgument(filenames[0], 'submit <file>...');
+    let transaction;
+    try {
+      transaction = MultisigWallet.finalize(MultisigWallet.combine(filenames.map(readTransactionFile)));
+    } catch (error) {
+      throw failure(error.code, error.message);
+    }
+    await this.getBlockchain();
+    return this.addTransaction(transaction);
+  }
+
+  // Read the recipient, amount, fee and lock time of a transfer
+  getTransfer(command) {
+    const { to } = this.options;
+    requireArgument(to, `${command} --to <address>`);
+    if (!isValidAddress(to) && !isLegacyAddress(to)) {
+      throw failure('INVALID_ADDRESS', `Invalid recipient address ${to}; check it for typos`);
+    }
+    const amount = parseCoinOption(this.options.amount, '--amount');
+    const fee = this.options.fee === undefined ? 0n : parseCoinOption(this.options.fee, '--fee');
+    if (amount === 0n) {
+      throw usageError('--amount must be positive');
+    }
+    const lockTime = this.options['lock-time'] === undefined ? null : parseLockTime(this.options['lock-time']);
+    return { amount, fee, lockTime };
+  }
+
+  // Load the wallet given by --from-key or --keystore
+  async getWallet(command) {
+    const { keystore } = this.options;
+    const fromKey = this.options['from-key'];
+    if (Boolean(fromKey) === Boolean(keystore)) {
+      throw usageError(`${command} needs exactly one of --from-key and --keystore`);
+    }
+    return fromKey ? Wallet.fromPrivateKey(fromKey) : Wallet.load(keystore, this.getPassword());
+  }
+
+  // The nonce given by --nonce, or the next one of the sender
+  getNonce(blockchain, address) {
+    return this.options.nonce === undefined
+      ? blockchain.getNextNonce(address)
+      : parseInteger(this.options.nonce, '--nonce', 0);
+  }
+
+  // Add a transaction to the pending pool and save the pool
+  async addTransaction(transaction) {
+    const blockchain = await this.getBlockchain();
+    try {
+      blockchain.addTransaction(transaction);
+    } catch (error) {
+      throw failure(error.code, error.message);
+    }
+    await blockchain.savePendingTransactions();
+    return { status: 'pending', transaction };
+  }
+
+  async mine(address) {
+    requireArgument(address, 'mine <address>');
+    if (!isValidAddress(address) && !isLegacyAddress(address)) {
+      throw failure('INVALID_ADDRESS', `Invalid miner address ${address}; check it for typos`);
+    }
+    const blockchain = await this.getBlockchain();
+    if (this.options.threads === undefined) {
+      await blockchain.minePendingTransactions(address);
+    } else {
+      await this.mineOnThreads(blockchain, address);
+    }
+    await blockchain.savePendingTransactions();
+    return blockchain.getLatestBlock();
+  }
+
+  // Mine the next block with a Miner, reporting the hash rate when --progress is given
+  async mineOnThreads(blockchain, address) {
+    const threads = parseInteger(this.options.threads, '--threads');
+    const miner = new Miner({ threads });
+    if (this.options.progress) {
+      miner.on('progress', ({ hashes, hashRate }) => {
+        this.stderr.write(`Mining: ${hashes} hashes, ${hashRate} hashes/s\n`);
+      });
+    }
+    try {
+      await miner.mineNext(blockchain, address);
+    } catch (error) {
+      throw failure(error.code, error.message);
+    } finally {
+      await miner.close();
+    }
+  }
+
+  async validate() {
+    const blockchain = await this.getBlockchain();
+    return {
+      valid: blockchain.isChainValid() && blockchain.verifyAccountState(),
+      height: blockchain.chain.length - 1
+    };
+  }
+
+  async block(id) {
+    requireArgument(id, 'block <hash|height>');
+    const blockchain = await this.getBlockchain();
+    const block = /^\d+$/.test(id) && id.length < 64
+      ? blockchain.chain[Number(id)]
+      : blockchain.getBlockByHash(id);
+    if (!block) {
+      throw failure('BLOCK_NOT_FOUND', `Block ${id} not found`);
+    }
+    return block;
+  }
+
+  async exportChain(filename) {
+    requireArgument(filename, 'export <file>');
+    const format = this.options.format || 'ndjson';
+    if (format !== 'ndjson' && format !== 'binary') {
+      throw usageError('--format must be ndjson or binary');
+    }
+    const blockchain = await this.getBlockchain();
+    const result = await exportChain(blockchain, filename, {
+      format,
+      merkleNodes: Boolean(this.options['merkle-nodes']),
+      onProgress: this.reportProgress('Exported')
+    });
+    return { file: filename, ...result };
+  }
+
+  async importChain(filename) {
+    requireArgument(filename, 'import <file>');
+    const blockchain = await this.getBlockchain();
+    try {
+      const result = await importChain(blockchain, filename, { onProgress: this.reportProgress('Checked') });
+      return { file: filename, ...result };
+    } catch (error) {
+      throw failure(error.code, error.message);
+    }
+  }
+
+  // Progress callback printing every PROGRESS_INTERVAL blocks when --progress is given
+  reportProgress(verb) {
+    if (!this.options.progress) {
+      return undefined;
+    }
+    return ({ processed, total }) => {
+      if (processed % PROGRESS_INTERVAL === 0 || processed === total) {
+        this.stderr.write(`${verb} ${processed}/${total} blocks\n`);
+      }
+    };
+  }
+}
+
+// Parse options and positionals, turning parse errors into usage errors
+function parseCommandLine(argv) {
+  try {
+    return parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+function requireArgument(value, usage) {
+  if (value === undefined) {
+    throw usageError(`Usage: aibtc ${usage}`);
+  }
+}
+
+// Create a multisig wallet from command-line keys and threshold
+function createMultisigWallet(publicKeys, threshold) {
+  try {
+    return new MultisigWallet(publicKeys, Number(threshold));
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+// Read a transaction written by propose or sign
+function readTransactionFile(filename) {
+  try {
+    return Transaction.fromJSON(JSON.parse(fs.readFileSync(filename, 'utf8')));
+  } catch (error) {
+    throw failure('INVALID_TRANSACTION', `Cannot read a transaction from ${filename}: ${error.message}`);
+  }
+}
+
+// Parse a whole-number option that must be positive, or at least the given minimum
+function parseInteger(value, name, minimum) {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isSafeInteger(number) ||
+    (minimum === undefined ? number <= 0 : number < minimum)) {
+    throw usageError(`${name} must be a ${minimum === undefined ? 'positive' : 'non-negative'} integer`);
+  }
+  return number;
+}
+
+// Parse an option given in coins into base units
+function parseCoinOption(value, name) {
+  try {
+    return parseCoins(value === undefined ? '' : value, name);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+// Parse --lock-time: a block height, or a date that becomes a timestamp in milliseconds
+function parseLockTime(value) {
+  if (/^\d+$/.test(value)) {
+    const height = Number(value);
+    if (height >= LOCK_TIME_THRESHOLD) {
+      throw usageError(`--lock-time heights must be below ${LOCK_TIME_THRESHOLD}; give later times as dates`);
+    }
+    return height;
+  }
+  const timestamp = Date.parse(value);
+  if (!(timestamp >= LOCK_TIME_THRESHOLD)) {
+    throw usageError(`--lock-time must be a block height or a date, not ${value}`);
+  }
+  return timestamp;
+}
+
+// Format a result as indented "key: value" lines
+function formatText(result, indent = '') {
+  return Object.entries(JSON.parse(JSON.stringify(result))).map(([key, value]) => {
+    if (value !== null && typeof value === 'object') {
+      return `${indent}${key}:\n${formatText(value, indent + '  ')}`;
+    }
+    return `${indent}${key}: ${value}`;
+  }).join('\n');
+}
+
+Cli.USAGE = USAGE;
+
+module.exports = Cli;
@@ -0,0 +1,13 @@
+'use strict';
+
+const { CHAIN_EVENTS, checkEvents, subscribe } = require('./messages');
+const { EventSocketServer } = require('./websocket');
+const WebhookDispatcher = require('./webhooks');
+
+module.exports = {
+  CHAIN_EVENTS,
+  checkEvents,
+  subscribe,
+  EventSocketServer,
+  WebhookDispatcher
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+// Events of a Blockchain that can be streamed and delivered to webhooks
+const CHAIN_EVENTS = ['block:added', 'tx:pending', 'tx:confirmed', 'chain:reorg', 'validation:failed'];
+
+// Build the JSON data of each event from the arguments it was emitted with
+const EVENT_DATA = {
+  'block:added': block => ({ block }),
+  'tx:pending': transaction => ({ transaction }),
+  'tx:confirmed': (transaction, block) => ({ transaction, blockHash: block.hash, blockIndex: block.index }),
+  'chain:reorg': ({ forkIndex, disconnected, connected }) => ({
+    forkIndex,
+    disconnected: disconnected.map(block => block.hash),
+    connected: connected.map(block => block.hash)
+  }),
+  'validation:failed': failure => failure
+};
+
+/**
+ * Checks a list of event names, e.g. from a query string or configuration.
+ * @param {string[]} events - Event names
+ * @returns {string[]} - The same names
+ * @throws {Error} - With code UNKNOWN_EVENT for names that are not in CHAIN_EVENTS
+ */
+function checkEvents(events) {
+  const unknown = events.filter(event => !CHAIN_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown event ${unknown.join(', ')}; expected one of ${CHAIN_EVENTS.join(', ')}`);
+    error.code = 'UNKNOWN_EVENT';
+    throw error;
+  }
+  return events;
+}
+
+/**
+ * Listens to the events of a blockchain, passing each on as a message
+ * { event, timestamp, data } ready to be written as JSON.
+ * @param {Blockchain} blockchain - The chain to listen to
+ * @param {string[]} events - Names of the events to pass on, see CHAIN_EVENTS
+ * @param {Function} listener - Called with each message
+ * @returns {Function} - Stops listening
+ */
+function subscribe(blockchain, events, listener) {
+  const handlers = checkEvents(events).map(event => [event, (...args) => {
+    listener({ event, timestamp: Date.now(), data: EVENT_DATA[event](...args) });
+  }]);
+  handlers.forEach(([event, handler]) => blockchain.on(event, handler));
+  return () => handlers.forEach(([event, handler]) => blockchain.off(event, handler));
+}
+
+module.exports = {
+  CHAIN_EVENTS,
+  checkEvents,
+  subscribe
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { CHAIN_EVENTS, checkEvents, subscribe } = require('./messages');
+
+const DEFAULT_MAX_ATTEMPTS = 5; // Deliveries tried per message and hook before giving up
+const DEFAULT_RETRY_DELAY = 1000; // Milliseconds before the first retry, doubled for each next one
+const DEFAULT_TIMEOUT = 10 * 1000; // Milliseconds a hook may take to answer
+
+// Tell whether a failed delivery may succeed when tried again: on network errors,
+// timeouts, rate limits and server errors, but not when the hook refused the message
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Posts the events of a blockchain to webhook URLs as JSON messages
+ * { event, timestamp, data } (see subscribe). Each request carries the headers
+ *
+ *   X-Aibtc-Event      the event name
+ *   X-Aibtc-Delivery   an id shared by the attempts to deliver one message
+ *   X-Aibtc-Attempt    the attempt number, from 1
+ *   X-Aibtc-Signature  sha256=<HMAC-SHA256 of the body in hex>, for hooks with a secret
+ *
+ * A hook has received a message when it answers with a 2xx status. Failed
+ * deliveries are retried with exponential backoff, so messages may arrive out
+ * of order or, when an answer is lost, more than once: receivers should order
+ * them by timestamp and ignore delivery ids they have seen.
+ *
+ * Events: 'delivered' ({ url, deliveryId, message, attempts }) and 'failed'
+ * ({ url, deliveryId, message, attempts, error }) once retries are exhausted.
+ */
+class WebhookDispatcher extends EventEmitter {
+  /**
+   * @param {Blockchain} blockchain - The chain whose events are delivered
+   * @param {Object[]} hooks - Webhooks to call
+   * @param {string} hooks[].url - URL messages are posted to
+   * @param {string[]} [hooks[].events] - Events to deliver, all of CHAIN_EVENTS by default
+   * @param {string} [hooks[].secret] - Key signing the messages
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=5] - Deliveries tried per message before giving up
+   * @param {number} [options.retryDelay=1000] - Milliseconds before the first retry, doubled for each next one
+   * @param {number} [options.timeout=10000] - Milliseconds a hook may take to answer
+   * @throws {Error} - With code UNKNOWN_EVENT if a hook names an unknown event
+   */
+  constructor(blockchain, hooks, options = {}) {
+    super();
+    this.blockchain = blockchain;
+    this.hooks = hooks.map(hook => ({
+      url: new URL(hook.url).href,
+      events: new Set(checkEvents(hook.events || CHAIN_EVENTS)),
+      secret: hook.secret || null
+    }));
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.unsubscribe = null; // Stops listening to the chain, set while started
+    this.retries = new Set(); // Timers of scheduled retries
+    this.inFlight = new Set(); // Controllers of the requests being sent
+  }
+
+  /**
+   * Starts delivering the events of the chain.
+   */
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = subscribe(this.blockchain, CHAIN_EVENTS, message => this.dispatch(message));
+    }
+  }
+
+  /**
+   * Stops delivering: no new events are picked up, scheduled retries are dropped
+   * and requests being sent are aborted.
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.retries.forEach(timer => clearTimeout(timer));
+    this.retries.clear();
+    this.inFlight.forEach(controller => controller.abort());
+  }
+
+  /**
+   * Delivers a message to every hook that wants its event.
+   * @param {Object} message - { event, timestamp, data }
+   */
+  dispatch(message) {
+    const body = JSON.stringify(message);
+    const deliveryId = crypto.randomUUID();
+    for (const hook of this.hooks) {
+      if (hook.events.has(message.event)) {
+        this.deliver(hook, { deliveryId, message, body }, 1);
+      }
+    }
+  }
+
+  // Post a message to a hook, scheduling a retry if it fails
+  async deliver(hook, delivery, attempt) {
+    const { deliveryId, message, body } = delivery;
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Aibtc-Event': message.event,
+      'X-Aibtc-Delivery': deliveryId,
+      'X-Aibtc-Attempt': String(attempt)
+    };
+    if (hook.secret) {
+      headers['X-Aibtc-Signature'] = 'sha256=' + crypto.createHmac('sha256', hook.secret).update(body).digest('hex');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    this.inFlight.add(controller);
+    let status = null;
+    let error = null;
+    try {
+      const response = await fetch(hook.url, { method: 'POST', headers, body, signal: controller.signal });
+      await response.arrayBuffer().catch(() => {}); // Release the connection
+      status = response.status;
+      if (!response.ok) {
+        error = new Error(`Webhook answered ${status}`);
+      }
+    } catch (requestError) {
+      error = requestError;
+    } finally {
+      clearTimeout(timer);
+      this.inFlight.delete(controller);
+    }
+
+    if (!error) {
+      this.emit('delivered', { url: hook.url, deliveryId, message, attempts: attempt });
+      return;
+    }
+    if (!this.unsubscribe || attempt >= this.maxAttempts || !isRetryable(status)) {
+      this.emit('failed', { url: hook.url, deliveryId, message, attempts: attempt, error });
+      return;
+    }
+    const retry = setTimeout(() => {
+      this.retries.delete(retry);
+      this.deliver(hook, delivery, attempt + 1);
+    }, this.retryDelay * 2 ** (attempt - 1));
+    this.retries.add(retry);
+  }
+}
+
+WebhookDispatcher.DEFAULT_MAX_ATTEMPTS = DEFAULT_MAX_ATTEMPTS;
+WebhookDispatcher.DEFAULT_RETRY_DELAY = DEFAULT_RETRY_DELAY;
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,287 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { CHAIN_EVENTS, checkEvents, subscribe } = require('./messages');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // Fixed by RFC 6455
+const MAX_FRAME_SIZE = 64 * 1024; // Largest frame accepted from a client, in bytes
+const MAX_BUFFERED = 1024 * 1024; // Bytes queued for a client before it is dropped as too slow
+
+// Frame types
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+// Status codes sent in close frames
+const CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  MESSAGE_TOO_BIG: 1009
+};
+
+/**
+ * Computes the Sec-WebSocket-Accept header answering a handshake key.
+ * @param {string} key - Sec-WebSocket-Key of the request
+ * @returns {string}
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encodes a single unfragmented frame. Servers send unmasked frames, clients
+ * mask theirs.
+ * @param {number} opcode - Frame type, see OPCODES
+ * @param {Buffer} payload - Frame data
+ * @param {Buffer|null} [mask=null] - Four masking bytes, for client frames
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload, mask = null) {
+  const length = payload.length;
+  let headerSize = 2;
+  if (length >= 65536) {
+    headerSize = 10;
+  } else if (length >= 126) {
+    headerSize = 4;
+  }
+  const frame = Buffer.alloc(headerSize + (mask ? 4 : 0) + length);
+  frame[0] = 0x80 | opcode; // Final fragment
+  if (headerSize === 2) {
+    frame[1] = length;
+  } else if (headerSize === 4) {
+    frame[1] = 126;
+    frame.writeUInt16BE(length, 2);
+  } else {
+    frame[1] = 127;
+    frame.writeBigUInt64BE(BigInt(length), 2);
+  }
+  if (!mask) {
+    payload.copy(frame, headerSize);
+    return frame;
+  }
+  frame[1] |= 0x80;
+  mask.copy(frame, headerSize);
+  for (let i = 0; i < length; i++) {
+    frame[headerSize + 4 + i] = payload[i] ^ mask[i % 4];
+  }
+  return frame;
+}
+
+/**
+ * Decodes the frame at the start of a buffer.
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} - { fin, opcode, masked, payload, size } with the payload
+ *   unmasked and size the bytes the frame took, or null if the frame is incomplete
+ * @throws {Error} - With code MESSAGE_TOO_BIG for frames over MAX_FRAME_SIZE
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+    const longLength = buffer.readBigUInt64BE(2);
+    length = longLength > BigInt(MAX_FRAME_SIZE) ? Infinity : Number(longLength);
+    offset = 10;
+  }
+  if (length > MAX_FRAME_SIZE) {
+    const error = new Error(`Frame exceeds ${MAX_FRAME_SIZE} bytes`);
+    error.code = 'MESSAGE_TOO_BIG';
+    throw error;
+  }
+  const maskOffset = offset;
+  if (masked) {
+    offset += 4;
+  }
+  if (buffer.length < offset + length) {
+    return null;
+  }
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+  return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, masked, payload, size: offset + length };
+}
+
+// Answer a handshake that cannot be accepted with an HTTP error
+function rejectUpgrade(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Content-Type: text/plain; charset=utf-8\r\n' +
+    `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+    'Connection: close\r\n\r\n' + message);
+}
+
+/**
+ * Streams the events of a blockchain to WebSocket clients (RFC 6455), as text
+ * messages holding { event, timestamp, data } in JSON (see subscribe). Clients
+ * choose events with a comma-separated events query parameter, e.g.
+ * /events?events=block:added,tx:confirmed, and get every event without it.
+ *
+ * Clients only receive: their data messages are ignored, pings are answered and
+ * a client that falls more than MAX_BUFFERED bytes behind is disconnected.
+ */
+class EventSocketServer {
+  /**
+   * @param {Blockchain} blockchain - The chain whose events are streamed
+   * @param {Object} [options]
+   * @param {string} [options.path='/events'] - Path clients connect to
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.path = options.path || '/events';
+    this.clients = new Set(); // Open connections: { socket, events, buffer }
+    this.unsubscribe = null; // Stops listening to the chain, set while clients are connected
+  }
+
+  /**
+   * Tells whether an upgrade request is for the event stream.
+   * @param {string} pathname - Path of the request URL
+   * @returns {boolean}
+   */
+  handles(pathname) {
+    return pathname === this.path;
+  }
+
+  /**
+   * Completes the handshake of an upgrade request and starts streaming.
+   * @param {http.IncomingMessage} req - The upgrade request
+   * @param {net.Socket} socket - Its connection
+   * @param {Buffer} head - Bytes received after the request headers
+   * @param {URL} url - Parsed request URL
+   */
+  upgrade(req, socket, head, url) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.method !== 'GET' || (req.headers.upgrade || '').toLowerCase() !== 'websocket' ||
+      typeof key !== 'string' || Buffer.from(key, 'base64').length !== 16) {
+      rejectUpgrade(socket, 400, 'Expected a WebSocket handshake');
+      return;
+    }
+    if (req.headers['sec-websocket-version'] !== '13') {
+      rejectUpgrade(socket, 426, 'Only WebSocket version 13 is supported');
+      return;
+    }
+    let events;
+    try {
+      const names = url.searchParams.get('events');
+      events = new Set(names === null ? CHAIN_EVENTS : checkEvents(names.split(',').filter(Boolean)));
+    } catch (error) {
+      rejectUpgrade(socket, 400, error.message);
+      return;
+    }
+
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`);
+    socket.setNoDelay(true);
+    const client = { socket, events, buffer: Buffer.alloc(0) };
+    this.clients.add(client);
+    if (!this.unsubscribe) {
+      this.unsubscribe = subscribe(this.blockchain, CHAIN_EVENTS, message => this.broadcast(message));
+    }
+    socket.on('data', chunk => this.receive(client, chunk));
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this.remove(client));
+    if (head.length > 0) {
+      this.receive(client, head);
+    }
+  }
+
+  /**
+   * Sends a message to the clients that chose its event.
+   * @param {Object} message - { event, timestamp, data }
+   */
+  broadcast(message) {
+    const frame = encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message)));
+    for (const client of this.clients) {
+      if (!client.events.has(message.event)) {
+        continue;
+      }
+      if (client.socket.writableLength > MAX_BUFFERED) {
+        client.socket.destroy(); // Too slow to keep up
+        continue;
+      }
+      client.socket.write(frame);
+    }
+  }
+
+  // Handle the frames a client sent
+  receive(client, chunk) {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    try {
+      let frame;
+      while ((frame = decodeFrame(client.buffer)) !== null) {
+        client.buffer = client.buffer.subarray(frame.size);
+        if (!frame.masked) {
+          this.disconnect(client, CLOSE_CODES.PROTOCOL_ERROR); // Clients must mask their frames
+          return;
+        }
+        if (frame.opcode === OPCODES.CLOSE) {
+          this.disconnect(client, frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : CLOSE_CODES.NORMAL);
+          return;
+        }
+        if (frame.opcode === OPCODES.PING) {
+          client.socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+        }
+      }
+    } catch (error) {
+      this.disconnect(client, CLOSE_CODES.MESSAGE_TOO_BIG);
+    }
+  }
+
+  // Send a close frame and end the connection
+  disconnect(client, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    client.socket.end(encodeFrame(OPCODES.CLOSE, payload));
+    this.remove(client);
+  }
+
+  // Forget a client, and stop listening to the chain after the last one
+  remove(client) {
+    this.clients.delete(client);
+    if (this.clients.size === 0 && this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Disconnects every client.
+   */
+  close() {
+    for (const client of [...this.clients]) {
+      client.socket.once('finish', () => client.socket.destroy()); // Do not wait for the client to hang up
+      this.disconnect(client, CLOSE_CODES.GOING_AWAY);
+    }
+  }
+}
+
+module.exports = {
+  EventSocketServer,
+  OPCODES,
+  CLOSE_CODES,
+  acceptKey,
+  encodeFrame,
+  decodeFrame
+};
@@ -0,0 +1,300 @@
+'use strict';
+
+const { LOCK_TIME_THRESHOLD } = require('../blockchain');
+const { MerkleTree } = require('../merkleTree');
+const { formatAmount } = require('../amount');
+const { disassemble } = require('../script');
+const { isValidAddress, isLegacyAddress } = require('../address');
+const { html, page, blockLink, txLink, addressLink, formatTime, formatLockTime } = require('./html');
+
+const LATEST_BLOCKS = 20; // Blocks listed on the home page
+const MAX_LISTED_TRANSACTIONS = 100; // Most pending or historical transactions listed on a page
+
+// Create an error that is shown to the visitor with the given status
+function pageError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read-only block explorer: HTML pages rendered on the server from a blockchain,
+ * meant to be mounted under a path of the HTTP API (see ApiServer):
+ *
+ *   /                  latest blocks and pending transactions
+ *   /block/:id         a block by height or hash, its transactions and Merkle tree
+ *   /tx/:hash          a confirmed or pending transaction and its confirmations
+ *   /address/:address  balance and transaction history of an address
+ *   /search?q=         redirects to the block, transaction or address page matching q
+ *
+ * Merkle trees are read from the nodes the storage keeps per block, and rebuilt
+ * from the transactions for blocks whose nodes are not stored.
+ */
+class Explorer {
+  /**
+   * @param {Blockchain} blockchain - The chain to show
+   * @param {Object} [options]
+   * @param {string} [options.basePath='/explorer'] - Path the pages are served under
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.basePath = options.basePath || '/explorer';
+    this.routes = [
+      { path: /^\/?$/, handler: () => this.home() },
+      { path: /^\/block\/([^/]+)$/, handler: ([id]) => this.block(id) },
+      { path: /^\/tx\/([^/]+)$/, handler: ([hash]) => this.transaction(hash) },
+      { path: /^\/address\/([^/]+)$/, handler: ([address]) => this.address(address) },
+      { path: /^\/search$/, handler: (params, query) => this.search(query.get('q') || '') }
+    ];
+  }
+
+  /**
+   * Tells whether a request path belongs to the explorer.
+   * @param {string} pathname - Path of the request URL
+   * @returns {boolean}
+   */
+  handles(pathname) {
+    return pathname === this.basePath || pathname.startsWith(this.basePath + '/');
+  }
+
+  /**
+   * Answers a request for one of the pages.
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response to write
+   * @param {URL} url - Parsed request URL
+   * @returns {Promise<void>}
+   */
+  async handle(req, res, url) {
+    let status = 200;
+    let title = null;
+    let body = null;
+    let location = null;
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw pageError(405, `${req.method} is not allowed; the explorer is read-only`);
+      }
+      const relative = url.pathname.slice(this.basePath.length);
+      const found = this.routes
+        .map(route => ({ route, match: route.path.exec(relative) }))
+        .find(({ match }) => match);
+      if (!found) {
+        throw pageError(404, `No page at ${url.pathname}`);
+      }
+      const params = found.match.slice(1).map(decodeURIComponent);
+      ({ status = 200, title, body, location = null } = await found.route.handler(params, url.searchParams));
+    } catch (error) {
+      status = error.status || (error instanceof URIError ? 400 : 500);
+      title = status === 404 ? 'Not found' : 'Error';
+      body = html`<p>${error.message}</p>`;
+    }
+    if (location !== null) {
+      res.writeHead(302, { Location: location });
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(req.method === 'HEAD' ? undefined : page(this.basePath, title, body));
+  }
+
+  home() {
+    const chain = this.blockchain.chain;
+    const tip = this.blockchain.getLatestBlock();
+    const latest = chain.slice(-LATEST_BLOCKS).reverse();
+    const pending = this.blockchain.pendingTransactions;
+    return {
+      title: 'Latest blocks',
+      body: html`
+<table>
+<tr><th>Height</th><td>${tip.index}</td></tr>
+<tr><th>Difficulty</th><td>${tip.getDifficulty()}</td></tr>
+<tr><th>Median time past</th><td>${formatTime(this.blockchain.getMedianTimePast())}</td></tr>
+<tr><th>Pending transactions</th><td>${pending.length}</td></tr>
+</table>
+<table>
+<tr><th>Height</th><th>Hash</th><th>Time</th><th>Transactions</th><th>Size</th></tr>
+${latest.map(block => html`<tr><td>${blockLink(this.basePath, block)}</td><td class="hash">${block.hash}</td><td>${formatTime(block.timestamp)}</td><td>${block.transactions.length}</td><td>${block.getSize()} bytes</td></tr>
+`)}</table>
+<h3>Pending transactions</h3>
+${this.renderTransactions(pending.slice(0, MAX_LISTED_TRANSACTIONS))}`
+    };
+  }
+
+  async block(id) {
+    const block = /^\d+$/.test(id) ? this.blockchain.chain[Number(id)] : this.blockchain.getBlockByHash(id);
+    if (!block) {
+      throw pageError(404, `Block ${id} not found in the chain`);
+    }
+    const chain = this.blockchain.chain;
+    const next = chain[block.index + 1];
+    const levels = [];
+    for (const node of await this.getMerkleNodes(block)) {
+      (levels[node.level] = levels[node.level] || []).push(node);
+    }
+    return {
+      title: `Block ${block.index}`,
+      body: html`
+<table>
+<tr><th>Hash</th><td class="hash">${block.hash}</td></tr>
+<tr><th>Previous block</th><td>${block.index > 0 ? html`<a class="hash" href="${this.basePath}/block/${block.previousHash}">${block.previousHash}</a>` : 'none (genesis)'}</td></tr>
+<tr><th>Next block</th><td>${next ? html`<a class="hash" href="${this.basePath}/block/${next.hash}">${next.hash}</a>` : 'none (chain tip)'}</td></tr>
+<tr><th>Confirmations</th><td>${chain.length - block.index}</td></tr>
+<tr><th>Time</th><td>${formatTime(block.timestamp)}</td></tr>
+<tr><th>Version</th><td>${block.version}</td></tr>
+<tr><th>Merkle root</th><td class="hash">${block.merkleRoot}</td></tr>
+<tr><th>Bits</th><td>${block.bits.toString(16)} (difficulty ${block.getDifficulty()})</td></tr>
+<tr><th>Nonce</th><td>${block.nonce}</td></tr>
+<tr><th>Size</th><td>${block.getSize()} bytes</td></tr>
+<tr><th>Fees</th><td>${formatAmount(block.getTotalFees())}</td></tr>
+</table>
+<h3>Transactions</h3>
+${this.renderTransactions(block.transactions)}
+<h3>Merkle tree</h3>
+<table class="merkle">
+<tr><th>Level</th><th>Nodes</th></tr>
+${levels.map((nodes, level) => html`<tr><td>${level === 0 ? 'root' : level}</td><td>${nodes.map(node => html`<div class="hash">${node.index}: ${node.value}</div>`)}</td></tr>
+`)}</table>`
+    };
+  }
+
+  transaction(hash) {
+    const found = this.blockchain.findTransaction(hash);
+    const transaction = found ? found.transaction : this.blockchain.mempool.transactions.get(hash);
+    if (!transaction) {
+      throw pageError(404, `Transaction ${hash} not found`);
+    }
+    let status;
+    if (found) {
+      status = html`confirmed in block ${blockLink(this.basePath, found.block)}`;
+    } else if (this.blockchain.isFinalTransaction(transaction)) {
+      status = html`<span class="pending">pending</span>`;
+    } else {
+      status = html`<span class="pending">pending, held until ${formatLockTime(transaction.lockTime, LOCK_TIME_THRESHOLD)}</span>`;
+    }
+    return {
+      title: 'Transaction',
+      body: html`
+<table>
+<tr><th>Hash</th><td class="hash">${transaction.hash}</td></tr>
+<tr><th>Status</th><td>${status}</td></tr>
+<tr><th>Confirmations</th><td>${found ? this.blockchain.chain.length - found.block.index : 0}</td></tr>
+<tr><th>From</th><td>${addressLink(this.basePath, transaction.fromAddress)}</td></tr>
+<tr><th>To</th><td>${addressLink(this.basePath, transaction.toAddress)}</td></tr>
+<tr><th>Amount</th><td>${formatAmount(transaction.amount)}</td></tr>
+<tr><th>Fee</th><td>${formatAmount(transaction.fee)}</td></tr>
+<tr><th>Nonce</th><td>${transaction.nonce}</td></tr>
+<tr><th>Time</th><td>${formatTime(transaction.timestamp)}</td></tr>
+<tr><th>Lock time</th><td>${formatLockTime(transaction.lockTime, LOCK_TIME_THRESHOLD)}</td></tr>
+<tr><th>Version</th><td>${transaction.version}</td></tr>
+<tr><th>Size</th><td>${transaction.getSize()} bytes</td></tr>
+<tr><th>Authorized by</th><td>${this.renderAuthorization(transaction)}</td></tr>
+</table>`
+    };
+  }
+
+  address(address) {
+    const known = this.blockchain.hasAddressHistory(address);
+    if (!known && !isValidAddress(address) && !isLegacyAddress(address)) {
+      throw pageError(404, `${address} is not a valid address`);
+    }
+    const history = this.blockchain.getAddressHistory(address);
+    const pending = this.blockchain.pendingTransactions
+      .filter(tx => tx.fromAddress === address || tx.toAddress === address);
+    return {
+      title: 'Address',
+      body: html`
+<table>
+<tr><th>Address</th><td class="hash">${address}</td></tr>
+<tr><th>Balance</th><td>${formatAmount(this.blockchain.getBalanceOfAddress(address))}</td></tr>
+<tr><th>Spendable</th><td>${formatAmount(this.blockchain.getSpendableBalance(address))}</td></tr>
+<tr><th>Next nonce</th><td>${this.blockchain.getNextNonce(address)}</td></tr>
+<tr><th>Confirmed transactions</th><td>${history.length}</td></tr>
+</table>
+<h3>Pending transactions</h3>
+${this.renderTransactions(pending.slice(0, MAX_LISTED_TRANSACTIONS))}
+<h3>History</h3>
+<table>
+<tr><th>Block</th><th>Transaction</th><th>Time</th><th>Counterparty</th><th>Amount</th><th>Fee</th></tr>
+${history.slice(0, MAX_LISTED_TRANSACTIONS).map(({ transaction, block }) => this.renderHistoryRow(address, transaction, block))}</table>`
+    };
+  }
+
+  search(text) {
+    const query = text.trim();
+    if (query === '') {
+      return { location: this.basePath };
+    }
+    const chain = this.blockchain.chain;
+    if (/^\d+$/.test(query) && Number(query) < chain.length) {
+      return { location: `${this.basePath}/block/${query}` };
+    }
+    const hash = query.toLowerCase();
+    if (this.blockchain.getBlockByHash(hash)) {
+      return { location: `${this.basePath}/block/${hash}` };
+    }
+    if (this.blockchain.findTransaction(hash) || this.blockchain.mempool.has(hash)) {
+      return { location: `${this.basePath}/tx/${hash}` };
+    }
+    if (this.blockchain.hasAddressHistory(query) || isValidAddress(query) || isLegacyAddress(query)) {
+      return { location: `${this.basePath}/address/${encodeURIComponent(query)}` };
+    }
+    throw pageError(404, `Nothing matches ${query}: enter a block height or hash, a transaction hash or an address`);
+  }
+
+  // Get the Merkle tree nodes of a block, from storage when they were saved
+  async getMerkleNodes(block) {
+    if (block.transactions.length === 0) {
+      return [];
+    }
+    const version = block.getMerkleVersion();
+    const tree = await MerkleTree.load(block.hash, this.blockchain.storage, version) ||
+      new MerkleTree(block.transactions.map(tx => tx.hash), { version });
+    return tree.getNodes().sort((a, b) => a.level - b.level || a.index - b.index);
+  }
+
+  // Render a table of transactions
+  renderTransactions(transactions) {
+    if (transactions.length === 0) {
+      return html`<p>None</p>`;
+    }
+    return html`<table>
+<tr><th>Hash</th><th>From</th><th>To</th><th>Amount</th><th>Fee</th></tr>
+${transactions.map(tx => html`<tr><td>${txLink(this.basePath, tx.hash)}</td><td>${addressLink(this.basePath, tx.fromAddress)}</td><td>${addressLink(this.basePath, tx.toAddress)}</td><td>${formatAmount(tx.amount)}</td><td>${formatAmount(tx.fee)}</td></tr>
+`)}</table>`;
+  }
+
+  // Render a history row of an address, with the amount signed from its side
+  renderHistoryRow(address, transaction, block) {
+    const outgoing = transaction.fromAddress === address;
+    const incoming = transaction.toAddress === address;
+    let amount = 0n;
+    if (incoming) {
+      amount += transaction.amount;
+    }
+    if (outgoing) {
+      amount -= transaction.amount + transaction.fee;
+    }
+    const counterparty = outgoing ? transaction.toAddress : transaction.fromAddress;
+    return html`<tr><td>${blockLink(this.basePath, block)}</td><td>${txLink(this.basePath, transaction.hash)}</td><td>${formatTime(transaction.timestamp)}</td><td>${addressLink(this.basePath, counterparty)}</td><td>${amount > 0n ? '+' : ''}${formatAmount(amount)}</td><td>${formatAmount(transaction.fee)}</td></tr>
+`;
+  }
+
+  // Describe how the sender authorized a transaction
+  renderAuthorization(transaction) {
+    if (transaction.fromAddress === null) {
+      return 'mining reward';
+    }
+    if (transaction.multisig) {
+      const { threshold, publicKeys, signatures } = transaction.multisig;
+      const signed = signatures.filter(signature => signature !== null).length;
+      return `${threshold}-of-${publicKeys.length} multisig, ${signed} signatures`;
+    }
+    if (transaction.script) {
+      return html`script<br>locking: <code>${disassemble(transaction.script.lockingScript)}</code><br>unlocking: <code>${disassemble(transaction.script.unlockingScript)}</code>`;
+    }
+    return 'signature';
+  }
+}
+
+Explorer.LATEST_BLOCKS = LATEST_BLOCKS;
+
+module.exports = Explorer;
@@ -0,0 +1,132 @@
+'use strict';
+
+// Characters that must be escaped in HTML text and attribute values
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+const STYLE = `
+body { font-family: sans-serif; margin: 0 auto; max-width: 72em; padding: 0 1em; color: #222; }
+header { display: flex; align-items: center; justify-content: space-between; border-bottom: 1px solid #ccc; }
+header input { width: 30em; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; }
+th, td { text-align: left; padding: 0.3em 0.6em; border-bottom: 1px solid #eee; vertical-align: top; }
+th { background: #f6f6f6; }
+code, .hash { font-family: monospace; word-break: break-all; }
+.merkle td { font-size: 0.85em; }
+.pending { color: #a60; }
+`;
+
+/**
+ * Markup that is inserted into templates as is. Everything else interpolated
+ * into an html template is escaped.
+ */
+class SafeHtml {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+// Render an interpolated value: markup as is, arrays joined, null and undefined as nothing
+function render(value) {
+  if (value instanceof SafeHtml) {
+    return value.text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(render).join('');
+  }
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Template tag building markup from a template literal, escaping the values.
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + render(values[i - 1]) + string));
+}
+
+/**
+ * Wraps the body of a page in the document, with the search box on top.
+ * @param {string} basePath - Path the explorer is served under
+ * @param {string} title - Page title
+ * @param {SafeHtml} body - Page content
+ * @returns {string}
+ */
+function page(basePath, title, body) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title} - AIBTC explorer</title>
+<style>${new SafeHtml(STYLE)}</style>
+</head>
+<body>
+<header>
+<h1><a href="${basePath}">AIBTC explorer</a></h1>
+<form action="${basePath}/search" method="get">
+<input type="search" name="q" placeholder="Block height or hash, transaction hash, address" aria-label="Search">
+<button type="submit">Search</button>
+</form>
+</header>
+<main>
+<h2>${title}</h2>
+${body}
+</main>
+</body>
+</html>
+`.text;
+}
+
+// Link to a block page
+function blockLink(basePath, block) {
+  return html`<a href="${basePath}/block/${block.hash}">${block.index}</a>`;
+}
+
+// Link to a transaction page
+function txLink(basePath, hash) {
+  return html`<a class="hash" href="${basePath}/tx/${hash}">${hash}</a>`;
+}
+
+// Link to an address page, or the coinbase marker for mining rewards
+function addressLink(basePath, address) {
+  if (address === null) {
+    return html`<em>coinbase</em>`;
+  }
+  return html`<a class="hash" href="${basePath}/address/${encodeURIComponent(address)}">${address}</a>`;
+}
+
+// Format a timestamp in milliseconds as an ISO date
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString();
+}
+
+// Describe a lock time: a block height or a date
+function formatLockTime(lockTime, threshold) {
+  if (lockTime === null) {
+    return 'none';
+  }
+  return lockTime < threshold ? `block ${lockTime}` : formatTime(lockTime);
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  page,
+  blockLink,
+  txLink,
+  addressLink,
+  formatTime,
+  formatLockTime
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+const Explorer = require('./explorer');
+const { escapeHtml, html } = require('./html');
+
+module.exports = {
+  Explorer,
+  escapeHtml,
+  html
+};
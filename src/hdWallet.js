@@ -0,0 +1,223 @@
+'use strict';
+
+const crypto = require('crypto');
+const bip39 = require('bip39');
+const EC = require('elliptic').ec;
+const Wallet = require('./wallet');
+const { hash160 } = require('./address');
+
+const ec = new EC('secp256k1');
+const CURVE_ORDER = BigInt('0x' + ec.curve.n.toString(16)); // Private keys are below this
+
+const HARDENED_OFFSET = 0x80000000; // Child indexes from here on are hardened
+const COIN_TYPE = 7777; // BIP-44 coin type; keeps our keys apart from other coins' keys made from the same phrase
+const DEFAULT_GAP_LIMIT = 20; // Unused addresses in a row after which discovery stops
+const CHAINS = { EXTERNAL: 0, CHANGE: 1 }; // BIP-44 chains: receiving addresses and change addresses
+
+function toBigInt(bytes) {
+  return BigInt('0x' + bytes.toString('hex'));
+}
+
+/**
+ * A BIP-32 extended private key: a private key with the chain code needed to
+ * derive its children.
+ */
+class HDKey {
+  /**
+   * @param {Buffer} privateKey - 32-byte private key
+   * @param {Buffer} chainCode - 32-byte chain code
+   * @param {Object} [info]
+   * @param {number} [info.depth=0] - Number of derivation steps from the master key
+   * @param {number} [info.index=0] - Child index this key was derived with
+   * @param {Buffer} [info.parentFingerprint] - First 4 bytes of the parent's key hash
+   */
+  constructor(privateKey, chainCode, { depth = 0, index = 0, parentFingerprint = Buffer.alloc(4) } = {}) {
+    this.privateKey = privateKey;
+    this.chainCode = chainCode;
+    this.depth = depth;
+    this.index = index;
+    this.parentFingerprint = parentFingerprint;
+    this.keyPair = ec.keyFromPrivate(privateKey.toString('hex'), 'hex');
+    this.publicKey = Buffer.from(this.keyPair.getPublic(true, 'hex'), 'hex'); // Compressed
+  }
+
+  /**
+   * Derives the master key of a seed.
+   * @param {Buffer} seed - 16 to 64 bytes of seed, e.g. from a mnemonic
+   * @returns {HDKey}
+   */
+  static fromSeed(seed) {
+    if (seed.length < 16 || seed.length > 64) {
+      throw new Error('Seed must be between 16 and 64 bytes');
+    }
+    const digest = crypto.createHmac('sha512', 'Bitcoin seed').update(seed).digest();
+    const privateKey = digest.subarray(0, 32);
+    const value = toBigInt(privateKey);
+    if (value === 0n || value >= CURVE_ORDER) {
+      throw new Error('Seed derives an invalid master key; use another seed');
+    }
+    return new HDKey(privateKey, digest.subarray(32));
+  }
+
+  // First 4 bytes of the hash of the public key, identifying the key in its children
+  get fingerprint() {
+    return hash160(this.publicKey).subarray(0, 4);
+  }
+
+  /**
+   * Derives a child key.
+   * @param {number} index - Child index; HARDENED_OFFSET and above derive hardened children
+   * @returns {HDKey}
+   * @throws {Error} - For the rare indexes that do not give a valid key; use the next index
+   */
+  deriveChild(index) {
+    if (!Number.isInteger(index) || index < 0 || index > 0xffffffff) {
+      throw new Error(`Invalid child index ${index}`);
+    }
+    const indexBytes = Buffer.alloc(4);
+    indexBytes.writeUInt32BE(index);
+    const data = index >= HARDENED_OFFSET
+      ? Buffer.concat([Buffer.alloc(1), this.privateKey, indexBytes]) // Hardened: from the private key
+      : Buffer.concat([this.publicKey, indexBytes]);
+    const digest = crypto.createHmac('sha512', this.chainCode).update(data).digest();
+
+    const tweak = toBigInt(digest.subarray(0, 32));
+    const child = (tweak + toBigInt(this.privateKey)) % CURVE_ORDER;
+    if (tweak >= CURVE_ORDER || child === 0n) {
+      throw new Error(`Child index ${index} gives an invalid key`);
+    }
+    return new HDKey(Buffer.from(child.toString(16).padStart(64, '0'), 'hex'), digest.subarray(32), {
+      depth: this.depth + 1,
+      index,
+      parentFingerprint: this.fingerprint
+    });
+  }
+
+  /**
+   * Derives a descendant along a path such as "m/44'/7777'/0'/0/1", where a
+   * trailing ' (or h) marks a hardened index.
+   * @param {string} path - Derivation path starting at the master key m
+   * @returns {HDKey}
+   */
+  derivePath(path) {
+    const [root, ...segments] = path.split('/');
+    if (root !== 'm' || (this.depth !== 0 && segments.length > 0)) {
+      throw new Error(`Invalid derivation path ${path}; paths start at the master key m`);
+    }
+    return segments.reduce((key, segment) => {
+      const match = /^(\d+)(['h]?)$/.exec(segment);
+      if (!match || Number(match[1]) >= HARDENED_OFFSET) {
+        throw new Error(`Invalid derivation path segment ${segment}`);
+      }
+      return key.deriveChild(Number(match[1]) + (match[2] ? HARDENED_OFFSET : 0));
+    }, this);
+  }
+
+  /**
+   * @returns {Wallet} - A wallet holding this key
+   */
+  toWallet() {
+    return new Wallet(this.keyPair);
+  }
+}
+
+/**
+ * Hierarchical deterministic wallet: every key is derived from one BIP-39 mnemonic
+ * phrase, along BIP-44 paths m/44'/7777'/account'/chain/index. Backing up the
+ * phrase backs up every account, and restoring from it finds the used addresses
+ * again by scanning the chain.
+ */
+class HDWallet {
+  /**
+   * @param {string} mnemonic - BIP-39 mnemonic phrase
+   * @param {string} [passphrase=''] - Optional BIP-39 passphrase; a different one gives different keys
+   */
+  constructor(mnemonic, passphrase = '') {
+    const normalized = mnemonic.trim().split(/\s+/).join(' ');
+    if (!bip39.validateMnemonic(normalized)) {
+      throw new Error('Invalid mnemonic phrase; check the words and their order');
+    }
+    this.mnemonic = normalized;
+    this.root = HDKey.fromSeed(bip39.mnemonicToSeedSync(normalized, passphrase));
+  }
+
+  /**
+   * Creates a wallet from a new random mnemonic.
+   * @param {number} [strength=128] - Entropy bits: 128 gives 12 words, 256 gives 24
+   * @returns {HDWallet}
+   */
+  static generate(strength = 128) {
+    return new HDWallet(bip39.generateMnemonic(strength));
+  }
+
+  /**
+   * Builds the BIP-44 path of an address.
+   * @param {number} account - Account number
+   * @param {number} chain - CHAINS.EXTERNAL or CHAINS.CHANGE
+   * @param {number} index - Address index
+   * @returns {string}
+   */
+  static getPath(account, chain, index) {
+    return `m/44'/${COIN_TYPE}'/${account}'/${chain}/${index}`;
+  }
+
+  /**
+   * Derives the wallet of one address.
+   * @param {number} index - Address index
+   * @param {Object} [options]
+   * @param {number} [options.account=0] - Account number
+   * @param {number} [options.chain=CHAINS.EXTERNAL] - Receiving or change chain
+   * @returns {Wallet} - The wallet, with its derivation path as `path`
+   */
+  deriveWallet(index, { account = 0, chain = CHAINS.EXTERNAL } = {}) {
+    const path = HDWallet.getPath(account, chain, index);
+    const wallet = this.root.derivePath(path).toWallet();
+    wallet.path = path;
+    return wallet;
+  }
+
+  /**
+   * Finds the derived addresses with history on a chain. Accounts are scanned from
+   * 0 until one has no used address; within an account both chains are scanned
+   * until `gapLimit` unused addresses in a row.
+   * @param {Blockchain} blockchain - The chain to scan
+   * @param {Object} [options]
+   * @param {number} [options.gapLimit=20] - Unused addresses in a row that end a chain
+   * @returns {Object[]} - { account, chain, index, path, address, balance, wallet } of each used address
+   */
+  discover(blockchain, { gapLimit = DEFAULT_GAP_LIMIT } = {}) {
+    const found = [];
+    for (let account = 0; ; account++) {
+      const before = found.length;
+      for (const chain of Object.values(CHAINS)) {
+        for (let index = 0, unused = 0; unused < gapLimit; index++) {
+          const wallet = this.deriveWallet(index, { account, chain });
+          if (!blockchain.hasAddressHistory(wallet.address)) {
+            unused++;
+            continue;
+          }
+          unused = 0;
+          found.push({
+            account,
+            chain,
+            index,
+            path: wallet.path,
+            address: wallet.address,
+            balance: blockchain.getBalanceOfAddress(wallet.address),
+            wallet
+          });
+        }
+      }
+      if (found.length === before) {
+        return found; // BIP-44: stop at the first account without history
+      }
+    }
+  }
+}
+
+HDWallet.HDKey = HDKey;
+HDWallet.CHAINS = CHAINS;
+HDWallet.COIN_TYPE = COIN_TYPE;
+HDWallet.HARDENED_OFFSET = HARDENED_OFFSET;
+
+module.exports = HDWallet;
@@ -1,13 +1,79 @@
 'use strict';
-const EC = require('elliptic').ec;
 
-// Initialize elliptic curve
-const ec = new EC('secp256k1');
+// Generate a wallet and save it to a password-encrypted keystore file:
+//
+//   node src/keygenerator.js [keystore-file]
+//
+// The password is read from AIBTC_KEYSTORE_PASSWORD, or asked for on the terminal
+// without echoing it; without a terminal the variable is required.
+// The private key is never printed; keep the keystore file and its password safe.
+//
+// Or generate a mnemonic phrase that every key of an HD wallet derives from:
+//
+//   node src/keygenerator.js --mnemonic [words]
+//
+// The phrase is printed once with the first receiving address; write it down.
+const readline = require('readline');
+const { Writable } = require('stream');
+const Wallet = require('./wallet');
+const HDWallet = require('./hdWallet');
 
-// Generate key pair
-const keyPair = ec.genKeyPair();
-const privateKey = keyPair.getPrivate('hex');
-const publicKey = keyPair.getPublic('hex');
+// Ask for the keystore password on the terminal, without echoing what is typed
+function askPassword() {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('No terminal to ask for the password; set AIBTC_KEYSTORE_PASSWORD'));
+  }
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+  return new Promise(resolve => {
+    rl.question('Keystore password: ', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true; // The prompt is written, hide the password
+  });
+}
 
-console.log('Private Key:', privateKey);
-console.log('Public Key:', publicKey);
+// Print a new mnemonic phrase of 12 or 24 words
+function generateMnemonic(words) {
+  if (words !== 12 && words !== 24) {
+    throw new Error('Mnemonic phrases have 12 or 24 words');
+  }
+  const wallet = HDWallet.generate(words === 24 ? 256 : 128);
+  const first = wallet.deriveWallet(0);
+  console.log('Mnemonic:', wallet.mnemonic);
+  console.log('First Address:', first.address, `(${first.path})`);
+}
+
+async function main() {
+  if (process.argv[2] === '--mnemonic') {
+    generateMnemonic(Number(process.argv[3] || 12));
+    return;
+  }
+  const filename = process.argv[2] || 'wallet.json';
+  const password = process.env.AIBTC_KEYSTORE_PASSWORD || await askPassword();
+  if (!password) {
+    throw new Error('A password is required to encrypt the keystore');
+  }
+
+  const wallet = Wallet.generate();
+  await wallet.save(filename, password);
+
+  console.log('Address:', wallet.address);
+  console.log('Public Key:', wallet.publicKey);
+  console.log('Keystore:', filename);
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,341 @@
+'use strict';
+
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000; // Transactions are dropped after a day in the pool
+
+// Order pool entries like Mempool.compare, then by arrival
+function compareEntries(a, b) {
+  return b.feeRate - a.feeRate || a.tx.timestamp - b.tx.timestamp || a.rank - b.rank;
+}
+
+/**
+ * Binary heap popping the smallest item first by a comparison function.
+ */
+class Heap {
+  /**
+   * @param {function(*, *): number} compare - Negative when the first item comes first
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  /**
+   * Number of items in the heap.
+   * @returns {number}
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Adds an item.
+   * @param {*} item - The item
+   */
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) {
+        break;
+      }
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Removes the smallest item.
+   * @returns {*} - The item, or undefined when the heap is empty
+   */
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) {
+          smallest = left;
+        }
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) {
+          smallest = right;
+        }
+        if (smallest === i) {
+          break;
+        }
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Pool of transactions waiting to be mined, ordered by fee rate (fee per byte of
+ * the serialized transaction) so that the best-paying transactions are mined first.
+ */
+class Mempool {
+  /**
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.maxAge] - Milliseconds a transaction may wait before it is evicted
+   */
+  constructor(options = {}) {
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.transactions = new Map(); // Pending transactions by hash, in arrival order
+    this.addedAt = new Map(); // Arrival time of each pending transaction by hash
+    this.senders = new Map(); // { transactions, outflow, lastNonce } per sending address
+    this.held = new Set(); // Hashes of transactions that cannot be mined yet, which do not age
+    this.checkedAt = -Infinity; // Time of the last eviction check
+    this.nextExpiry = Infinity; // No transaction that is not held expires before this time
+  }
+
+  /**
+   * Computes the fee rate of a transaction. Rates only order transactions, so a
+   * floating-point number is precise enough.
+   * @param {Transaction} tx - The transaction
+   * @returns {number} - Base units of fee per byte
+   */
+  static getFeeRate(tx) {
+    return Number(tx.fee) / tx.getSize();
+  }
+
+  /**
+   * Orders two transactions by fee rate, highest first, then by age, oldest first.
+   * @param {Transaction} a - First transaction
+   * @param {Transaction} b - Second transaction
+   * @returns {number} - Negative if a comes first
+   */
+  static compare(a, b) {
+    return Mempool.getFeeRate(b) - Mempool.getFeeRate(a) || a.timestamp - b.timestamp;
+  }
+
+  /**
+   * Number of pending transactions.
+   * @returns {number}
+   */
+  get size() {
+    return this.transactions.size;
+  }
+
+  /**
+   * Adds a transaction to the pool.
+   * @param {Transaction} tx - The transaction
+   * @param {number} [now] - Arrival time
+   * @param {boolean} [held=false] - Whether the transaction cannot be mined yet, see evictExpired
+   * @throws {Error} - If a transaction with the same hash is already pending
+   */
+  add(tx, now = Date.now(), held = false) {
+    if (this.has(tx.hash)) {
+      throw new Error(`Transaction ${tx.hash} is already pending.`);
+    }
+    this.transactions.set(tx.hash, tx);
+    this.addedAt.set(tx.hash, now);
+    if (held) {
+      this.held.add(tx.hash);
+    } else {
+      this.nextExpiry = Math.min(this.nextExpiry, now + this.maxAge);
+    }
+
+    let sender = this.senders.get(tx.fromAddress);
+    if (!sender) {
+      sender = { transactions: new Set(), outflow: 0n, lastNonce: -1 };
+      this.senders.set(tx.fromAddress, sender);
+    }
+    sender.transactions.add(tx);
+    sender.outflow += tx.amount + tx.fee;
+    if (tx.nonce !== null) {
+      sender.lastNonce = Math.max(sender.lastNonce, tx.nonce);
+    }
+  }
+
+  /**
+   * Checks whether a transaction is in the pool.
+   * @param {string} hash - Hash of the transaction
+   * @returns {boolean}
+   */
+  has(hash) {
+    return this.transactions.has(hash);
+  }
+
+  /**
+   * Removes transactions from the pool, typically after they were mined.
+   * @param {Transaction[]} txs - Transactions to remove
+   */
+  remove(txs) {
+    for (const tx of txs) {
+      const pending = this.transactions.get(tx.hash);
+      if (!pending) {
+        continue;
+      }
+      this.transactions.delete(tx.hash);
+      this.addedAt.delete(tx.hash);
+      this.held.delete(tx.hash);
+
+      const sender = this.senders.get(pending.fromAddress);
+      sender.transactions.delete(pending);
+      sender.outflow -= pending.amount + pending.fee;
+      if (sender.transactions.size === 0) {
+        this.senders.delete(pending.fromAddress);
+      } else if (pending.nonce !== null && pending.nonce === sender.lastNonce) {
+        sender.lastNonce = -1;
+        for (const other of sender.transactions) {
+          if (other.nonce !== null) {
+            sender.lastNonce = Math.max(sender.lastNonce, other.nonce);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Sums what an address is about to spend, amounts and fees included.
+   * @param {string} address - Sending address
+   * @returns {bigint} - Pending outflow in base units
+   */
+  getPendingOutflow(address) {
+    const sender = this.senders.get(address);
+    return sender ? sender.outflow : 0n;
+  }
+
+  /**
+   * Finds the highest nonce an address uses in the pool.
+   * @param {string} address - Sending address
+   * @returns {number} - Highest pending nonce, or -1 if none
+   */
+  getLastNonce(address) {
+    const sender = this.senders.get(address);
+    return sender ? sender.lastNonce : -1;
+  }
+
+  /**
+   * Removes the transactions that have waited longer than the maximum age.
+   * Transactions that cannot be mined yet are held instead, and their age counts
+   * from the last time they were held. Whether a transaction is held only changes
+   * with the chain, so isHeld is passed when the chain changed; without it the
+   * transactions held at the last check stay held, and the pool is only scanned
+   * once a transaction may have expired.
+   * @param {number} [now] - Current time
+   * @param {function(Transaction): boolean} [isHeld] - Whether a transaction cannot be mined yet
+   * @returns {Transaction[]} - Evicted transactions
+   */
+  evictExpired(now = Date.now(), isHeld = null) {
+    if (isHeld) {
+      for (const tx of this.transactions.values()) {
+        const addedAt = this.addedAt.get(tx.hash);
+        if (isHeld(tx)) {
+          this.held.add(tx.hash);
+          this.addedAt.set(tx.hash, Math.max(now, addedAt));
+        } else if (this.held.delete(tx.hash)) {
+          this.addedAt.set(tx.hash, Math.max(this.checkedAt, addedAt)); // Held until the last check
+        }
+      }
+    } else if (now <= this.nextExpiry) {
+      this.checkedAt = now;
+      return [];
+    }
+    this.checkedAt = now;
+
+    const expired = [];
+    this.nextExpiry = Infinity;
+    for (const tx of this.transactions.values()) {
+      if (this.held.has(tx.hash)) {
+        continue;
+      }
+      const expiry = this.addedAt.get(tx.hash) + this.maxAge;
+      if (now > expiry) {
+        expired.push(tx);
+      } else {
+        this.nextExpiry = Math.min(this.nextExpiry, expiry);
+      }
+    }
+    this.remove(expired);
+    return expired;
+  }
+
+  /**
+   * Re-checks every pending transaction and removes those that no longer pass.
+   * A sender's transactions are checked in nonce order, as they would be mined, so
+   * that lower nonces keep their claim on the sender's funds even when they arrived
+   * later, such as transactions returned by a reorganization; equal nonces go in
+   * arrival order.
+   * @param {function(Transaction): boolean} isAcceptable - Check called once per transaction, in order
+   * @returns {Transaction[]} - Removed transactions
+   */
+  revalidate(isAcceptable) {
+    const rejected = [...this.transactions.values()]
+      .sort((a, b) => (a.nonce ?? -1) - (b.nonce ?? -1))
+      .filter(tx => !isAcceptable(tx));
+    this.remove(rejected);
+    return rejected;
+  }
+
+  /**
+   * Lists the pending transactions by fee rate, highest first.
+   * @returns {Transaction[]}
+   */
+  getTransactions() {
+    return [...this.transactions.values()].sort(Mempool.compare);
+  }
+
+  /**
+   * Picks the best-paying transactions that fit in a block. Transactions that do
+   * not fit are skipped, so a smaller transaction further down may still be picked.
+   * A sender's transactions are picked in nonce order: one is only ready once all
+   * of the sender's lower nonces are picked, and never after one of them was skipped
+   * or is not final yet.
+   * @param {number} maxCount - Maximum number of transactions
+   * @param {number} maxSize - Maximum total size in bytes
+   * @param {function(Transaction): boolean} [isFinal] - Whether a transaction may be mined now
+   * @returns {Transaction[]} - Selected transactions, in block order
+   */
+  selectTransactions(maxCount, maxSize, isFinal = () => true) {
+    // Queue each sender's transactions in nonce order; only the head of a queue is ready
+    const queues = new Map();
+    let rank = 0;
+    for (const tx of this.transactions.values()) {
+      const entry = { tx, feeRate: Mempool.getFeeRate(tx), rank: rank++ };
+      if (!queues.has(tx.fromAddress)) {
+        queues.set(tx.fromAddress, []);
+      }
+      queues.get(tx.fromAddress).push(entry);
+    }
+    const heads = new Heap(compareEntries); // Next transaction of each sender, best-paying first
+    for (const queue of queues.values()) {
+      queue.sort((a, b) => (b.tx.nonce ?? -1) - (a.tx.nonce ?? -1)); // Lowest nonce last, to pop
+      heads.push(queue.pop());
+    }
+
+    const selected = [];
+    let size = 0;
+    while (selected.length < maxCount && heads.size > 0) {
+      const { tx } = heads.pop();
+      const txSize = tx.getSize();
+      if (!isFinal(tx) || size + txSize > maxSize) {
+        continue; // The sender's later nonces wait for this one
+      }
+      selected.push(tx);
+      size += txSize;
+      const queue = queues.get(tx.fromAddress);
+      if (queue.length > 0) {
+        heads.push(queue.pop());
+      }
+    }
+    return selected;
+  }
+
+  // Keep JSON dumps of a blockchain readable
+  toJSON() {
+    return this.getTransactions();
+  }
+}
+
+Mempool.DEFAULT_MAX_AGE = DEFAULT_MAX_AGE;
+
+module.exports = Mempool;
@@ -1,5 +1,16 @@
 const crypto = require('crypto'); // Import the crypto module for hashing
-const db = require('./db'); // Import the database connection module
+
+// Versions of the tree format. LEGACY hashes leaves and internal nodes alike and
+// duplicates the last node of odd levels; TAGGED prefixes leaf and internal hashes
+// with distinct bytes and promotes the last node of odd levels unchanged, so that
+// neither a leaf/node confusion nor a duplicated transaction can produce the same root.
+const MERKLE_VERSIONS = {
+    LEGACY: 1,
+    TAGGED: 2
+};
+
+const LEAF_PREFIX = Buffer.from([0x00]); // Domain separator for leaf hashes
+const NODE_PREFIX = Buffer.from([0x01]); // Domain separator for internal node hashes
 
 class Node {
     /**
@@ -25,6 +36,37 @@ class Node {
         return crypto.createHash('sha256').update(val).digest('hex');
     }
 
+    /**
+     * Hashes a leaf value for the given tree format.
+     * @param {string} value - Value the tree is built from
+     * @param {number} version - Tree format version
+     * @returns {string} - Hash of the leaf
+     */
+    static hashLeaf(value, version) {
+        if (version === MERKLE_VERSIONS.LEGACY) {
+            return Node.hash(value);
+        }
+        return crypto.createHash('sha256').update(LEAF_PREFIX).update(value).digest('hex');
+    }
+
+    /**
+     * Hashes two child hashes into their parent's hash for the given tree format.
+     * @param {string} left - Hash of the left child
+     * @param {string} right - Hash of the right child
+     * @param {number} version - Tree format version
+     * @returns {string} - Hash of the parent node
+     */
+    static hashPair(left, right, version) {
+        if (version === MERKLE_VERSIONS.LEGACY) {
+            return Node.hash(left + right);
+        }
+        return crypto.createHash('sha256')
+            .update(NODE_PREFIX)
+            .update(Buffer.from(left, 'hex'))
+            .update(Buffer.from(right, 'hex'))
+            .digest('hex');
+    }
+
     /**
      * Creates a copy of the current node.
      * @returns {Node} - A new Node object with the same properties
@@ -38,98 +80,220 @@ class MerkleTree {
     /**
      * Constructs a Merkle Tree from a list of values.
      * @param {string[]} values - List of values to build the Merkle Tree from
-     * @throws {Error} - If no values are provided
+     * @param {Object} [options]
+     * @param {number} [options.version=MerkleTree.VERSION] - Tree format version
+     * @throws {Error} - If no values are provided, the version is unknown, or a
+     *   value appears twice in a tree of the tagged format
      */
-    constructor(values) {
+    constructor(values, options = {}) {
         if (!values || values.length === 0) {
             throw new Error("Cannot build Merkle Tree with no values.");
         }
+        this.version = MerkleTree.checkVersion(options.version);
+        if (this.version !== MERKLE_VERSIONS.LEGACY) {
+            const duplicate = MerkleTree.findDuplicate(values);
+            if (duplicate !== null) {
+                throw new Error(`Duplicate leaf in Merkle Tree: ${duplicate}`);
+            }
+        }
+        this.levels = []; // Hashes of every level, leaves first
         this.root = this.buildTree(values); // Build the Merkle Tree and set the root
     }
 
     /**
-     * Saves all nodes of the Merkle Tree to the database.
+     * Validates a tree format version.
+     * @param {number} [version=MerkleTree.VERSION] - Tree format version
+     * @returns {number} - The version
+     * @throws {Error} - If the version is unknown
+     */
+    static checkVersion(version = MerkleTree.VERSION) {
+        if (!Object.values(MERKLE_VERSIONS).includes(version)) {
+            throw new Error(`Unknown Merkle Tree version: ${version}`);
+        }
+        return version;
+    }
+
+    /**
+     * Finds the first value that appears more than once.
+     * @param {string[]} values - Values to check
+     * @returns {string|null} - The duplicated value, or null if all values are unique
+     */
+    static findDuplicate(values) {
+        const seen = new Set();
+        for (const value of values) {
+            if (seen.has(value)) {
+                return value;
+            }
+            seen.add(value);
+        }
+        return null;
+    }
+
+    /**
+     * Rebuilds a Merkle Tree from stored node records (rows of the merkle_nodes table).
+     * @param {Object[]} rows - Node records ({ level, index, value }), level 0 being the root
+     * @param {number} [version=MerkleTree.VERSION] - Tree format version the rows were saved with
+     * @returns {MerkleTree} - The rebuilt tree
+     * @throws {Error} - If nodes are missing or a node does not match its children
+     */
+    static fromNodes(rows, version = MerkleTree.VERSION) {
+        const tree = Object.create(MerkleTree.prototype);
+        tree.version = MerkleTree.checkVersion(version);
+
+        // Group the rows by level, root level first
+        const rowLevels = [];
+        for (const row of rows) {
+            rowLevels[row.level] = rowLevels[row.level] || [];
+            rowLevels[row.level][row.index] = row.value;
+        }
+        for (const [level, values] of rowLevels.entries()) {
+            for (let index = 0; index < (values ? values.length : 1); index++) {
+                if (!values || values[index] === undefined) {
+                    throw new Error(`Missing Merkle node at level ${level}, index ${index}`);
+                }
+            }
+        }
+        tree.levels = rowLevels.slice().reverse();
+
+        if (tree.version === MERKLE_VERSIONS.LEGACY) {
+            // Legacy rows form a complete binary tree; check it from the root down
+            const leafLevel = rowLevels.length - 1;
+            const buildNode = (level, index) => {
+                const value = rowLevels[level][index];
+                if (value === undefined) {
+                    throw new Error(`Missing Merkle node at level ${level}, index ${index}`);
+                }
+                if (level === leafLevel) {
+                    return new Node(null, null, value, false);
+                }
+                const left = buildNode(level + 1, index * 2);
+                const right = buildNode(level + 1, index * 2 + 1);
+                if (Node.hashPair(left.value, right.value, tree.version) !== value) {
+                    throw new Error(`Merkle node at level ${level}, index ${index} does not match its children`);
+                }
+                return new Node(left, right, value, false);
+            };
+            tree.root = buildNode(0, 0);
+            return tree;
+        }
+
+        // Tagged rows hold every level as built; recompute each level from the one below
+        let nodes = tree.levels[0].map(value => new Node(null, null, value, false));
+        for (let i = 1; i < tree.levels.length; i++) {
+            nodes = tree.combineLevel(nodes);
+            const level = tree.levels.length - 1 - i;
+            if (nodes.length !== tree.levels[i].length) {
+                throw new Error(`Unexpected number of Merkle nodes at level ${level}`);
+            }
+            for (const [index, node] of nodes.entries()) {
+                if (node.value !== tree.levels[i][index]) {
+                    throw new Error(`Merkle node at level ${level}, index ${index} does not match its children`);
+                }
+            }
+        }
+        if (nodes.length !== 1) {
+            throw new Error('Merkle nodes do not end in a single root');
+        }
+        tree.root = nodes[0];
+        return tree;
+    }
+
+    /**
+     * Loads the Merkle Tree of a block from storage.
+     * @param {string} blockHash - Hash of the block
+     * @param {Storage} storage - Storage adapter holding the nodes
+     * @param {number} [version=MerkleTree.VERSION] - Tree format version of the block
+     * @returns {Promise<MerkleTree|null>} - The rebuilt tree, or null if no nodes are stored
+     */
+    static async load(blockHash, storage, version = MerkleTree.VERSION) {
+        const rows = await storage.getMerkleNodes(blockHash);
+        return rows.length > 0 ? MerkleTree.fromNodes(rows, version) : null;
+    }
+
+    /**
+     * Saves all nodes of the Merkle Tree to storage.
      * @param {string} blockHash - Hash of the block associated with the Merkle Tree
-     * @param {Node} [node=this.root] - Current node being processed
-     * @param {number} [level=0] - Current level in the tree
-     * @param {number} [index=0] - Index of the current node
+     * @param {Storage} storage - Storage adapter to save the nodes to
      * @returns {Promise<void>}
      */
-    async saveNodesToDatabase(blockHash, node = this.root, level = 0, index = 0) {
-        if (node !== null) {
-            // Prepare SQL query to insert node data
-            const query = 'INSERT INTO merkle_nodes (block_hash, node_level, node_index, node_value) VALUES (?, ?, ?, ?)';
-            const values = [blockHash, level, index, node.value];
-
-            // Execute the SQL query
-            await new Promise((resolve, reject) => {
-                db.query(query, values, (err) => {
-                    if (err) reject(err); // Reject the promise if an error occurs
-                    else resolve(); // Resolve the promise if the operation is successful
-                });
-            });
-
-            // Recursively save left and right child nodes
-            if (node.left !== null) {
-                await this.saveNodesToDatabase(blockHash, node.left, level + 1, index * 2);
-                await this.saveNodesToDatabase(blockHash, node.right, level + 1, index * 2 + 1);
+    async saveNodesToDatabase(blockHash, storage) {
+        await storage.putMerkleNodes(blockHash, this.getNodes());
+    }
+
+    /**
+     * Lists all nodes of the Merkle Tree with their position, level 0 being the root.
+     * Legacy trees are listed depth-first as a complete binary tree (children of
+     * node i at indexes 2i and 2i + 1); tagged trees are listed level by level as built.
+     * @returns {Object[]} - Node records ({ level, index, value })
+     */
+    getNodes() {
+        const nodes = [];
+        if (this.version === MERKLE_VERSIONS.LEGACY) {
+            const stack = [{ node: this.root, level: 0, index: 0 }];
+            while (stack.length > 0) {
+                const { node, level, index } = stack.pop();
+                nodes.push({ level, index, value: node.value });
+                if (node.left !== null) {
+                    stack.push({ node: node.right, level: level + 1, index: index * 2 + 1 });
+                    stack.push({ node: node.left, level: level + 1, index: index * 2 });
+                }
             }
+            return nodes;
+        }
+
+        const top = this.levels.length - 1;
+        for (let i = top; i >= 0; i--) {
+            this.levels[i].forEach((value, index) => nodes.push({ level: top - i, index, value }));
         }
+        return nodes;
     }
 
     /**
-     * Builds the Merkle Tree from a list of leaf nodes.
+     * Builds the Merkle Tree from a list of values, one level at a time.
      * @param {string[]} values - List of values to be used as leaf nodes
      * @returns {Node} - Root node of the constructed Merkle Tree
      */
     buildTree(values) {
         // Create leaf nodes with hash values
-        let leaves = values.map(e => new Node(null, null, Node.hash(e), false));
+        let nodes = values.map(e => new Node(null, null, Node.hashLeaf(e, this.version), false));
 
-        // If there is an odd number of leaves, duplicate the last leaf
-        if (leaves.length % 2 === 1) {
-            leaves.push(leaves[leaves.length - 1].copy());
+        // Legacy trees always pair the leaves, even a single one
+        if (this.version === MERKLE_VERSIONS.LEGACY && nodes.length % 2 === 1) {
+            nodes.push(nodes[nodes.length - 1].copy());
         }
 
-        return this.buildTreeRec(leaves); // Build the tree recursively
+        while (nodes.length > 1) {
+            const next = this.combineLevel(nodes);
+            this.levels.push(nodes.map(node => node.value));
+            nodes = next;
+        }
+        this.levels.push([nodes[0].value]);
+        return nodes[0];
     }
 
     /**
-     * Recursively builds the Merkle Tree from a list of nodes.
+     * Combines one level of nodes into the level above it. Legacy trees duplicate
+     * the last node of an odd level (the duplicate is added to the given level);
+     * tagged trees promote it unchanged.
      * @param {Node[]} nodes - List of nodes at the current level
-     * @param {number} [depth=0] - Current recursion depth
-     * @returns {Node} - Root node of the constructed tree
-     * @throws {Error} - If maximum recursion depth is exceeded or no nodes are provided
+     * @returns {Node[]} - Nodes of the next level
      */
-    buildTreeRec(nodes, depth = 0) {
-        const maxDepth = 10; // Maximum allowed recursion depth
-        if (depth > maxDepth) {
-            throw new Error('Max recursion depth exceeded');
-        }
-
-        if (nodes.length === 1) {
-            return nodes[0]; // Return the root node when only one node is left
-        }
-
-        if (nodes.length === 0) {
-            throw new Error("No nodes to process.");
-        }
-
-        // If there is an odd number of nodes, duplicate the last node
-        if (nodes.length % 2 === 1) {
+    combineLevel(nodes) {
+        if (nodes.length % 2 === 1 && this.version === MERKLE_VERSIONS.LEGACY) {
             nodes.push(nodes[nodes.length - 1].copy());
         }
 
-        // Build the next level of nodes
         const newLevel = [];
-        for (let i = 0; i < nodes.length; i += 2) {
+        for (let i = 0; i + 1 < nodes.length; i += 2) {
             const left = nodes[i];
             const right = nodes[i + 1];
-            const value = Node.hash(left.value + right.value); // Combine and hash the left and right nodes
+            const value = Node.hashPair(left.value, right.value, this.version); // Combine and hash the left and right nodes
             newLevel.push(new Node(left, right, value, false)); // Create a new parent node
         }
-
-        return this.buildTreeRec(newLevel, depth + 1); // Recursively build the tree
+        if (nodes.length % 2 === 1) {
+            newLevel.push(nodes[nodes.length - 1]); // Promote the unpaired node
+        }
+        return newLevel;
     }
 
     /**
@@ -163,9 +327,108 @@ class MerkleTree {
     getRootHash() {
         return this.root.value; // Return the root node's hash value
     }
+
+    /**
+     * Builds an inclusion proof for a value: the sibling hashes on the path from its
+     * leaf up to the root, each with the side the sibling sits on.
+     * @param {string} value - Value the tree was built from (e.g. a transaction hash)
+     * @returns {Object[]|null} - Proof steps ({ position: 'left'|'right', hash }) from
+     *   leaf to root, or null if the value is not in the tree
+     */
+    getProof(value) {
+        const leafHash = Node.hashLeaf(value, this.version);
+        let index = this.levels[0].indexOf(leafHash);
+        if (index === -1) {
+            return null;
+        }
+
+        const proof = [];
+        for (let i = 0; i < this.levels.length - 1; i++) {
+            const level = this.levels[i];
+            const sibling = index ^ 1;
+            if (sibling < level.length) {
+                proof.push({ position: index % 2 === 1 ? 'left' : 'right', hash: level[sibling] });
+            } // Otherwise the node was promoted without a sibling
+            index >>= 1;
+        }
+        return proof;
+    }
+
+    /**
+     * Checks an inclusion proof against a Merkle root.
+     * @param {string} value - Value the proof was built for (e.g. a transaction hash)
+     * @param {Object[]} proof - Proof steps as returned by getProof
+     * @param {string} root - Expected Merkle root
+     * @param {number} [version=MerkleTree.VERSION] - Tree format version of the root
+     * @returns {boolean} - True if the proof leads from the value to the root
+     */
+    static verifyProof(value, proof, root, version = MerkleTree.VERSION) {
+        let hash = Node.hashLeaf(value, version);
+        for (const step of proof) {
+            hash = step.position === 'left'
+                ? Node.hashPair(step.hash, hash, version)
+                : Node.hashPair(hash, step.hash, version);
+        }
+        return hash === root;
+    }
+
+    /**
+     * Serializes a proof compactly. The hex format is one byte per step (00 for a
+     * left sibling, 01 for a right sibling) followed by the 32-byte sibling hash; the
+     * JSON format is an array of 'l'/'r' prefixed sibling hashes.
+     * @param {Object[]} proof - Proof steps as returned by getProof
+     * @param {string} [format='hex'] - 'hex' or 'json'
+     * @returns {string} - Serialized proof
+     */
+    static serializeProof(proof, format = 'hex') {
+        for (const step of proof) {
+            if (!/^[0-9a-f]{64}$/.test(step.hash) || !['left', 'right'].includes(step.position)) {
+                throw new Error('Invalid Merkle proof step.');
+            }
+        }
+        if (format === 'json') {
+            return JSON.stringify(proof.map(step => step.position[0] + step.hash));
+        }
+        if (format !== 'hex') {
+            throw new Error(`Unknown proof format: ${format}`);
+        }
+        return proof.map(step => (step.position === 'left' ? '00' : '01') + step.hash).join('');
+    }
+
+    /**
+     * Parses a proof produced by serializeProof, in either format.
+     * @param {string} data - Serialized proof
+     * @returns {Object[]} - Proof steps
+     * @throws {Error} - If the data is not a valid serialized proof
+     */
+    static deserializeProof(data) {
+        const steps = [];
+        if (data.startsWith('[')) {
+            for (const entry of JSON.parse(data)) {
+                steps.push({ flag: entry[0], hash: entry.slice(1) });
+            }
+        } else {
+            if (data.length % 66 !== 0) {
+                throw new Error('Invalid Merkle proof length.');
+            }
+            for (let i = 0; i < data.length; i += 66) {
+                const flag = data.slice(i, i + 2);
+                steps.push({ flag: flag === '00' ? 'l' : flag === '01' ? 'r' : flag, hash: data.slice(i + 2, i + 66) });
+            }
+        }
+
+        return steps.map(({ flag, hash }) => {
+            if (!['l', 'r'].includes(flag) || !/^[0-9a-f]{64}$/.test(hash)) {
+                throw new Error('Invalid Merkle proof step.');
+            }
+            return { position: flag === 'l' ? 'left' : 'right', hash };
+        });
+    }
 }
 
-module.exports = { Node, MerkleTree }; 
+MerkleTree.VERSION = MERKLE_VERSIONS.TAGGED; // Format used for new trees
+
+module.exports = { Node, MerkleTree, MERKLE_VERSIONS }; 
 
 
 
@@ -0,0 +1,9 @@
+'use strict';
+
+const Miner = require('./miner');
+const MiningPool = require('./pool');
+
+module.exports = {
+  Miner,
+  MiningPool
+};
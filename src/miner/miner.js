@@ -0,0 +1,282 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+const { BLOCK_VERSIONS } = require('../blockchain');
+const { encodeBlockHeader } = require('../serialization');
+const pow = require('../pow');
+
+const DEFAULT_CHUNK_SIZE = 100000; // Nonces handed to a worker at a time
+const DEFAULT_PROGRESS_INTERVAL = 1000; // Milliseconds between progress events
+const MAX_HASH = 2n ** 256n; // Targets from this on are met by every hash
+
+// Create an error with a machine-readable code
+function minerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Encode a target for the workers: 32 bytes in hex, or null when every hash meets it
+function encodeTarget(bits) {
+  const target = pow.bitsToTarget(bits);
+  return target >= MAX_HASH ? null : target.toString(16).padStart(64, '0');
+}
+
+/**
+ * Mines blocks on worker threads, so that the process stays responsive. The nonce
+ * space of a block header is split into chunks handed to the workers as they
+ * finish the previous ones; when every nonce up to maxNonce fails, the block
+ * timestamp is moved forward, which gives a new header to search.
+ *
+ * Only blocks with a canonical header (BLOCK_VERSIONS.CANONICAL_HEADER) can be
+ * mined, since the workers hash the encoded header.
+ *
+ * Events:
+ *   'progress' ({ hashes, hashRate, elapsed, timestamp, nonce })  every progressInterval
+ *     milliseconds: hashes tried, per second, milliseconds spent, and the header
+ *     timestamp and next nonce being searched
+ *   'exhausted' ({ timestamp })     every nonce failed, searching again from the new timestamp
+ *   'found' ({ block, hashes, hashRate, elapsed })  a block was mined
+ *   'restart' (reason)              mineNext started over with a new template
+ */
+class Miner extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threads] - Worker threads, one per CPU by default
+   * @param {number} [options.chunkSize=100000] - Nonces handed to a worker at a time
+   * @param {number} [options.maxNonce] - Highest nonce tried before moving the timestamp,
+   *   Number.MAX_SAFE_INTEGER by default
+   * @param {number} [options.progressInterval=1000] - Milliseconds between progress events
+   */
+  constructor(options = {}) {
+    super();
+    this.threads = options.threads || os.availableParallelism();
+    if (!Number.isInteger(this.threads) || this.threads < 1) {
+      throw minerError('INVALID_OPTION', 'Miner threads must be a positive integer');
+    }
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.maxNonce = options.maxNonce ?? Number.MAX_SAFE_INTEGER;
+    this.progressInterval = options.progressInterval || DEFAULT_PROGRESS_INTERVAL;
+    this.workers = []; // Started on first use
+    this.job = null; // Block being mined, with the state of its search
+    this.lastJobId = 0; // Identifies the current search in worker messages
+  }
+
+  /**
+   * Tells whether a block is being mined.
+   * @returns {boolean}
+   */
+  get mining() {
+    return this.job !== null;
+  }
+
+  /**
+   * Mines a block: sets its nonce and hash, and its timestamp if the nonces ran out.
+   * @param {Block} block - Block to mine, e.g. from Blockchain.createBlockTemplate
+   * @returns {Promise<Block>} - The same block, mined
+   * @throws {Error} - With code MINER_BUSY if a block is already being mined,
+   *   INVALID_BLOCK for blocks without a canonical header, or MINING_CANCELLED
+   *   when cancel is called
+   */
+  mine(block) {
+    if (this.job) {
+      return Promise.reject(minerError('MINER_BUSY', 'The miner is already mining a block'));
+    }
+    if (block.version < BLOCK_VERSIONS.CANONICAL_HEADER) {
+      return Promise.reject(minerError('INVALID_BLOCK', `Cannot mine version ${block.version} blocks on worker threads`));
+    }
+    return new Promise((resolve, reject) => {
+      this.startWorkers();
+      this.job = {
+        block,
+        resolve,
+        reject,
+        target: encodeTarget(block.bits),
+        hashes: 0, // Tried so far, over every header
+        startedAt: Date.now(),
+        timer: setInterval(() => this.emit('progress', this.getProgress()), this.progressInterval)
+      };
+      this.workers.forEach(worker => worker.ref()); // Keep the process alive while mining
+      this.search();
+    });
+  }
+
+  /**
+   * Mines the next block of a chain and adds it. The block is rebuilt from the
+   * pending pool and mined again whenever a block joins the chain or a
+   * transaction joins the pool before it is found.
+   * @param {Blockchain} blockchain - The chain to extend
+   * @param {string} minerAddress - Address receiving the reward
+   * @param {Object} [options]
+   * @param {Function} [options.submit] - Adds the mined block, resolving to whether it was
+   *   accepted; Blockchain.submitBlock by default, P2PNode.submitBlock to announce it
+   * @returns {Promise<Block>} - The mined block
+   * @throws {Error} - With code MINING_CANCELLED when cancel is called, or
+   *   BLOCK_REJECTED if the chain does not accept the block
+   */
+  async mineNext(blockchain, minerAddress, options = {}) {
+    const submit = options.submit || (block => blockchain.submitBlock(block));
+    const onBlock = () => this.interrupt('block');
+    const onTransaction = () => this.interrupt('transaction');
+    for (;;) {
+      const template = blockchain.createBlockTemplate(minerAddress);
+      blockchain.on('block:added', onBlock);
+      blockchain.on('tx:pending', onTransaction);
+      let block;
+      try {
+        block = await this.mine(template);
+      } catch (error) {
+        if (error.code === 'MINING_CANCELLED' && error.restart) {
+          this.emit('restart', error.reason);
+          continue;
+        }
+        throw error;
+      } finally {
+        blockchain.off('block:added', onBlock);
+        blockchain.off('tx:pending', onTransaction);
+      }
+      if (!(await submit(block))) {
+        throw minerError('BLOCK_REJECTED', `The chain did not accept mined block ${block.hash}`);
+      }
+      return block;
+    }
+  }
+
+  /**
+   * Stops mining the current block, whose mine or mineNext call fails with
+   * MINING_CANCELLED.
+   * @returns {boolean} - True if a block was being mined
+   */
+  cancel() {
+    return this.stopJob(minerError('MINING_CANCELLED', 'Mining was cancelled'));
+  }
+
+  /**
+   * Cancels mining and stops the worker threads.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.cancel();
+    const workers = this.workers;
+    this.workers = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  /**
+   * Reports how far mining got.
+   * @returns {Object|null} - { hashes, hashRate, elapsed, timestamp, nonce }, or null when idle
+   */
+  getProgress() {
+    if (!this.job) {
+      return null;
+    }
+    const { hashes, startedAt, block, cursor } = this.job;
+    const elapsed = Date.now() - startedAt;
+    return { hashes, hashRate: elapsed > 0 ? Math.round(hashes * 1000 / elapsed) : 0, elapsed, timestamp: block.timestamp, nonce: cursor };
+  }
+
+  // Start the worker threads if they are not running
+  startWorkers() {
+    while (this.workers.length < this.threads) {
+      const worker = new Worker(path.join(__dirname, 'worker.js'));
+      worker.on('message', message => this.handleMessage(worker, message));
+      worker.on('error', error => {
+        this.workers = this.workers.filter(other => other !== worker);
+        this.stopJob(error);
+      });
+      worker.unref();
+      this.workers.push(worker);
+    }
+  }
+
+  // Search the nonces of the block's current header, from 0
+  search() {
+    const job = this.job;
+    job.jobId = ++this.lastJobId;
+    job.block.nonce = 0;
+    job.header = encodeBlockHeader(job.block);
+    job.cursor = 0; // Next nonce to hand out
+    job.searching = 0; // Workers busy with a chunk
+    this.workers.forEach(worker => this.assignChunk(worker));
+  }
+
+  // Hand the next chunk of nonces to a worker; returns false when none are left
+  assignChunk(worker) {
+    const job = this.job;
+    if (job.cursor > this.maxNonce) {
+      return false;
+    }
+    const start = job.cursor;
+    const end = Math.min(start + this.chunkSize, this.maxNonce + 1);
+    job.cursor = end;
+    job.searching++;
+    worker.postMessage({ type: 'job', jobId: job.jobId, header: job.header, target: job.target, start, end });
+    return true;
+  }
+
+  // Handle a report of a worker
+  handleMessage(worker, message) {
+    const job = this.job;
+    if (!job || message.jobId !== job.jobId) {
+      return; // About a search that is over
+    }
+    job.hashes += message.hashes;
+    if (message.type === 'found') {
+      const { block } = job;
+      block.nonce = message.nonce;
+      block.hash = block.calculateHash();
+      if (!block.hasValidProofOfWork()) {
+        this.stopJob(minerError('INVALID_PROOF_OF_WORK', `Worker returned nonce ${message.nonce}, which does not meet the target`));
+        return;
+      }
+      const { hashes, hashRate, elapsed } = this.getProgress();
+      this.finishJob();
+      this.emit('found', { block, hashes, hashRate, elapsed });
+      job.resolve(block);
+    } else if (message.type === 'exhausted') {
+      job.searching--;
+      if (!this.assignChunk(worker) && job.searching === 0) {
+        // Every nonce failed: a later timestamp gives a new header
+        job.block.timestamp = Math.max(Date.now(), job.block.timestamp + 1);
+        this.emit('exhausted', { timestamp: job.block.timestamp });
+        this.search();
+      }
+    }
+  }
+
+  // Stop the current search because the chain moved on, so that mineNext starts over
+  interrupt(reason) {
+    const error = minerError('MINING_CANCELLED', `Mining restarted after a new ${reason}`);
+    error.restart = true;
+    error.reason = reason;
+    this.stopJob(error);
+  }
+
+  // Stop the current search, failing it with the given error
+  stopJob(error) {
+    const job = this.job;
+    if (!job) {
+      return false;
+    }
+    this.finishJob();
+    job.reject(error);
+    return true;
+  }
+
+  // Forget the current search and let the workers idle
+  finishJob() {
+    clearInterval(this.job.timer);
+    this.job = null;
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'cancel' });
+      worker.unref();
+    }
+  }
+}
+
+Miner.DEFAULT_CHUNK_SIZE = DEFAULT_CHUNK_SIZE;
+
+module.exports = Miner;
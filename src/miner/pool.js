@@ -0,0 +1,224 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Block, MAX_FUTURE_BLOCK_TIME } = require('../blockchain');
+const { encodeBlockHeader } = require('../serialization');
+const pow = require('../pow');
+
+const DEFAULT_SHARE_FACTOR = 16; // How many times easier a share is than a block
+const DEFAULT_MAX_TEMPLATES = 1000; // Templates kept for submissions, oldest dropped first
+const MAX_FUTURE_TIME = MAX_FUTURE_BLOCK_TIME; // Milliseconds a solution's timestamp may be ahead of the clock, as for any block
+const NONCE_OFFSET = 80; // Position of the nonce in an encoded header
+
+// Create an error with a machine-readable code
+function poolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Encode a target as hex, 64 digits unless it is MAX_TARGET
+function encodeTarget(target) {
+  return target.toString(16).padStart(64, '0');
+}
+
+/**
+ * Hands out block templates to mining processes running outside the node,
+ * checks the solutions they submit and adds the blocks they find. A template
+ * describes the next block:
+ *
+ *   { templateId, worker, height, version, previousHash, merkleRoot, timestamp,
+ *     bits, target, shareTarget, header, nonceOffset, transactions, coinbase }
+ *
+ * where header is the encoded block header in hex with a zero nonce: a miner
+ * writes nonces as 8 big-endian bytes at nonceOffset and hashes the header with
+ * SHA-256 until the hash, read as a number, is below shareTarget or target
+ * (both hex). transactions are the selected pending transactions and coinbase
+ * the reward transaction that follows them; they are fixed by the Merkle root.
+ * When the nonces run out, the miner may move the timestamp (8 big-endian bytes
+ * at offset 68) forward, up to two hours ahead of the node's clock.
+ *
+ * A solution { templateId, nonce, timestamp? } whose hash is below the share
+ * target counts as a share of the template's worker; a share below the block
+ * target also adds the block. Templates go stale once another block extends the
+ * chain, and are dropped the next time a template is handed out.
+ *
+ * Events: 'share' ({ worker, hash, templateId }) and 'block' ({ worker, block }).
+ */
+class MiningPool extends EventEmitter {
+  /**
+   * @param {Blockchain} blockchain - The chain the blocks extend
+   * @param {Object} [options]
+   * @param {Function} [options.submit] - Adds a found block, resolving to whether it was
+   *   accepted; Blockchain.submitBlock by default, P2PNode.submitBlock to announce it
+   * @param {number} [options.shareFactor=16] - How many times easier a share is than a block
+   * @param {number} [options.maxTemplates=1000] - Templates kept for submissions
+   */
+  constructor(blockchain, options = {}) {
+    super();
+    this.blockchain = blockchain;
+    this.submitBlock = options.submit || (block => blockchain.submitBlock(block));
+    this.shareFactor = options.shareFactor || DEFAULT_SHARE_FACTOR;
+    if (!Number.isInteger(this.shareFactor) || this.shareFactor < 1) {
+      throw poolError('INVALID_OPTION', 'The share factor must be a positive integer');
+    }
+    this.maxTemplates = options.maxTemplates || DEFAULT_MAX_TEMPLATES;
+    this.templates = new Map(); // Templates by id, oldest first
+    this.workers = new Map(); // Share statistics by worker name
+  }
+
+  /**
+   * Builds a template for the next block from the pending pool.
+   * @param {string} minerAddress - Address receiving the reward
+   * @param {string} [worker] - Name the shares are counted under, the miner address by default
+   * @returns {Object} - The template, see MiningPool
+   */
+  getTemplate(minerAddress, worker = minerAddress) {
+    this.dropStaleTemplates();
+    const block = this.blockchain.createBlockTemplate(minerAddress);
+    const target = pow.bitsToTarget(block.bits);
+    const shareTarget = target * BigInt(this.shareFactor);
+    const template = {
+      id: crypto.randomBytes(16).toString('hex'),
+      worker,
+      block,
+      target,
+      shareTarget: shareTarget < pow.MAX_TARGET ? shareTarget : pow.MAX_TARGET,
+      solutions: new Set() // Timestamps and nonces submitted, to refuse duplicate shares
+    };
+    this.templates.set(template.id, template);
+    if (this.templates.size > this.maxTemplates) {
+      this.templates.delete(this.templates.keys().next().value);
+    }
+    this.getWorker(worker, minerAddress).templates++;
+    return describeTemplate(template);
+  }
+
+  /**
+   * Checks a solution to a template, counting it as a share and adding the block
+   * when it meets the block target.
+   * @param {Object} solution
+   * @param {string} solution.templateId - Template solved
+   * @param {number} solution.nonce - Nonce of the header
+   * @param {number} [solution.timestamp] - Timestamp of the header, the template's by default
+   * @returns {Promise<Object>} - { status, hash, height }: status is 'share', 'block' when the
+   *   block joined the chain, or 'stale' when a competing block got there first
+   * @throws {Error} - With code UNKNOWN_TEMPLATE, STALE_TEMPLATE once the chain moved on,
+   *   INVALID_SOLUTION for nonces and timestamps out of range, DUPLICATE_SHARE,
+   *   LOW_DIFFICULTY_SHARE when the hash misses the share target, or BLOCK_REJECTED
+   */
+  async submit({ templateId, nonce, timestamp }) {
+    const template = this.templates.get(templateId);
+    if (!template) {
+      throw poolError('UNKNOWN_TEMPLATE', `Template ${templateId} is unknown or expired`);
+    }
+    const { block: templateBlock } = template;
+    const stats = this.workers.get(template.worker);
+    const refuse = (counter, code, message) => {
+      stats[counter]++;
+      return poolError(code, message);
+    };
+
+    if (templateBlock.previousHash !== this.blockchain.getLatestBlock().hash) {
+      throw refuse('stale', 'STALE_TEMPLATE', `Template ${templateId} no longer extends the chain`);
+    }
+    timestamp = timestamp ?? templateBlock.timestamp;
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+      throw refuse('rejected', 'INVALID_SOLUTION', 'The nonce must be a non-negative integer');
+    }
+    if (!Number.isSafeInteger(timestamp) || timestamp < templateBlock.timestamp || timestamp > Date.now() + MAX_FUTURE_TIME) {
+      throw refuse('rejected', 'INVALID_SOLUTION', 'The timestamp must be between the template\'s and two hours from now');
+    }
+    const key = `${timestamp}:${nonce}`;
+    if (template.solutions.has(key)) {
+      throw refuse('rejected', 'DUPLICATE_SHARE', `Nonce ${nonce} was already submitted for template ${templateId}`);
+    }
+    const hash = crypto.createHash('sha256').update(encodeBlockHeader({ ...templateBlock, timestamp, nonce })).digest('hex');
+    if (!pow.hashMeetsTarget(hash, template.shareTarget)) {
+      throw refuse('rejected', 'LOW_DIFFICULTY_SHARE', `Hash ${hash} does not meet the share target`);
+    }
+
+    template.solutions.add(key);
+    stats.shares++;
+    stats.lastShareAt = Date.now();
+    this.emit('share', { worker: template.worker, hash, templateId });
+    if (!pow.hashMeetsTarget(hash, template.target)) {
+      return { status: 'share', hash, height: templateBlock.index };
+    }
+
+    const block = new Block(templateBlock.index, templateBlock.previousHash, timestamp, templateBlock.transactions, templateBlock.bits, templateBlock.version);
+    block.nonce = nonce;
+    block.hash = block.calculateHash();
+    if (!(await this.submitBlock(block))) {
+      throw poolError('BLOCK_REJECTED', `The chain did not accept block ${block.hash}`);
+    }
+    if (!this.blockchain.isInChain(block.hash)) {
+      stats.stale++; // A competing block was added while this one was checked
+      return { status: 'stale', hash, height: block.index };
+    }
+    stats.blocks++;
+    this.emit('block', { worker: template.worker, block });
+    return { status: 'block', hash, height: block.index };
+  }
+
+  /**
+   * Reports the shares of every worker.
+   * @returns {Object} - { height, shareFactor, workers: [{ worker, minerAddress, templates,
+   *   shares, blocks, stale, rejected, lastShareAt }] }
+   */
+  getStats() {
+    return {
+      height: this.blockchain.chain.length - 1,
+      shareFactor: this.shareFactor,
+      workers: [...this.workers.values()].map(stats => ({ ...stats }))
+    };
+  }
+
+  // Get the statistics of a worker, starting them at its first template
+  getWorker(worker, minerAddress) {
+    let stats = this.workers.get(worker);
+    if (!stats) {
+      stats = { worker, minerAddress, templates: 0, shares: 0, blocks: 0, stale: 0, rejected: 0, lastShareAt: null };
+      this.workers.set(worker, stats);
+    }
+    stats.minerAddress = minerAddress;
+    return stats;
+  }
+
+  // Forget the templates that no longer extend the chain
+  dropStaleTemplates() {
+    const tip = this.blockchain.getLatestBlock().hash;
+    for (const [id, template] of this.templates) {
+      if (template.block.previousHash !== tip) {
+        this.templates.delete(id);
+      }
+    }
+  }
+}
+
+// The JSON form of a template handed to miners
+function describeTemplate(template) {
+  const { block } = template;
+  return {
+    templateId: template.id,
+    worker: template.worker,
+    height: block.index,
+    version: block.version,
+    previousHash: block.previousHash,
+    merkleRoot: block.merkleRoot,
+    timestamp: block.timestamp,
+    bits: block.bits,
+    target: encodeTarget(template.target),
+    shareTarget: encodeTarget(template.shareTarget),
+    header: encodeBlockHeader({ ...block, nonce: 0 }).toString('hex'),
+    nonceOffset: NONCE_OFFSET,
+    transactions: block.transactions.slice(0, -1).map(tx => tx.toJSON()),
+    coinbase: block.transactions[block.transactions.length - 1].toJSON()
+  };
+}
+
+MiningPool.DEFAULT_SHARE_FACTOR = DEFAULT_SHARE_FACTOR;
+MiningPool.MAX_FUTURE_TIME = MAX_FUTURE_TIME;
+
+module.exports = MiningPool;
@@ -0,0 +1,69 @@
+'use strict';
+
+// Worker thread of the Miner: hashes block headers over the nonce ranges it is
+// given. Messages from the miner:
+//
+//   { type: 'job', jobId, header, target, start, end }  search nonces start to end - 1
+//   { type: 'cancel' }                                  stop the current job
+//
+// and to the miner:
+//
+//   { type: 'progress', jobId, hashes }       hashes tried since the last report
+//   { type: 'found', jobId, nonce, hashes }   the nonce gives a hash below the target
+//   { type: 'exhausted', jobId, hashes }      no nonce of the range meets the target
+//
+// The header is an encoded block header (see serialization.js) whose last eight
+// bytes are the nonce; the target is a hex string, or null when every hash meets it.
+
+const crypto = require('crypto');
+const { parentPort } = require('worker_threads');
+
+const BATCH_SIZE = 5000; // Hashes between checks for new messages
+const NONCE_OFFSET = 80; // Position of the nonce in the header
+const HIGH_WORD = 2 ** 32;
+
+let current = null; // Job being searched
+
+// Hash a batch of nonces of the current job, then yield so that a cancellation
+// or a new job can arrive before the next batch
+function searchBatch(job) {
+  if (current !== job) {
+    return; // Replaced or cancelled
+  }
+  const { header, target } = job;
+  const last = Math.min(job.next + BATCH_SIZE, job.end);
+  for (let nonce = job.next; nonce < last; nonce++) {
+    header.writeUInt32BE(Math.floor(nonce / HIGH_WORD), NONCE_OFFSET);
+    header.writeUInt32BE(nonce % HIGH_WORD, NONCE_OFFSET + 4);
+    const hash = crypto.createHash('sha256').update(header).digest();
+    if (target === null || Buffer.compare(hash, target) < 0) {
+      current = null;
+      parentPort.postMessage({ type: 'found', jobId: job.jobId, nonce, hashes: nonce - job.next + 1 });
+      return;
+    }
+  }
+  const hashes = last - job.next;
+  job.next = last;
+  if (last >= job.end) {
+    current = null;
+    parentPort.postMessage({ type: 'exhausted', jobId: job.jobId, hashes });
+    return;
+  }
+  parentPort.postMessage({ type: 'progress', jobId: job.jobId, hashes });
+  setImmediate(searchBatch, job);
+}
+
+parentPort.on('message', message => {
+  if (message.type === 'cancel') {
+    current = null;
+  } else if (message.type === 'job') {
+    current = {
+      jobId: message.jobId,
+      header: Buffer.from(message.header),
+      target: message.target === null ? null : Buffer.from(message.target, 'hex'),
+      next: message.start,
+      end: message.end
+    };
+    setImmediate(searchBatch, current);
+  }
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const { Transaction } = require('./blockchain');
+const { parseAmount } = require('./amount');
+const { normalizeMultisigKeys, multisigToAddress, isValidAddress, isLegacyAddress } = require('./address');
+
+// Create an error with a machine-readable code
+function multisigError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * A multisig address: funds sent to it can only be spent by transactions signed by
+ * at least threshold of its public keys. It holds no private keys, so spending
+ * takes several steps:
+ *
+ *   1. createTransaction writes an unsigned transaction, which is passed around as JSON
+ *   2. each signer loads it with Transaction.fromJSON and signs it with
+ *      Wallet.signTransaction, one after the other or on copies of their own
+ *   3. combine merges the signatures of the copies
+ *   4. finalize checks that the threshold is met before the transaction is submitted
+ */
+class MultisigWallet {
+  /**
+   * @param {string[]} publicKeys - Public keys of the signers in hex, in any order
+   * @param {number} threshold - Number of signers needed to spend
+   * @throws {Error} - With code INVALID_MULTISIG for a bad threshold, duplicate or malformed keys
+   */
+  constructor(publicKeys, threshold) {
+    this.publicKeys = normalizeMultisigKeys(publicKeys, threshold); // Compressed and sorted
+    this.threshold = threshold;
+    this.address = multisigToAddress(this.publicKeys, threshold);
+  }
+
+  /**
+   * Creates an unsigned transaction from the multisig address.
+   * @param {string} toAddress - Checksummed or legacy address of the recipient
+   * @param {bigint|number|string} amount - Base units to send
+   * @param {Object} options
+   * @param {number} options.nonce - Sender nonce, see Blockchain.getNextNonce
+   * @param {bigint|number|string} [options.fee=0] - Base units paid to the miner
+   * @param {number|null} [options.lockTime=null] - Block height, or timestamp in milliseconds from
+   *   LOCK_TIME_THRESHOLD on, before which the transaction cannot be mined
+   * @returns {Transaction} - The transaction, with an empty signature slot per key
+   * @throws {Error} - If the recipient address is malformed
+   */
+  createTransaction(toAddress, amount, { nonce, fee = 0, lockTime = null }) {
+    if (!isValidAddress(toAddress) && !isLegacyAddress(toAddress)) {
+      throw new Error(`Invalid recipient address ${toAddress}; check it for typos`);
+    }
+    const tx = new Transaction(this.address, toAddress, amount);
+    tx.fee = parseAmount(fee, 'Fee');
+    tx.nonce = nonce;
+    tx.lockTime = lockTime;
+    tx.multisig = {
+      threshold: this.threshold,
+      publicKeys: [...this.publicKeys],
+      signatures: this.publicKeys.map(() => null)
+    };
+    tx.hash = tx.calculateHash();
+    return tx;
+  }
+
+  /**
+   * Merges the signatures of copies of one multisig transaction signed separately.
+   * @param {Transaction[]} transactions - Copies of the same transaction
+   * @returns {Transaction} - A new transaction carrying every signature
+   * @throws {Error} - With code TRANSACTION_MISMATCH if the copies differ
+   */
+  static combine(transactions) {
+    if (transactions.length === 0 || transactions.some(tx => !tx.multisig)) {
+      throw multisigError('TRANSACTION_MISMATCH', 'Only copies of a multisig transaction can be combined');
+    }
+    const combined = Transaction.fromJSON(transactions[0]);
+    const { publicKeys, signatures } = combined.multisig;
+    for (const tx of transactions.slice(1)) {
+      if (tx.calculateHash() !== combined.hash || tx.multisig.publicKeys.join() !== publicKeys.join()) {
+        throw multisigError('TRANSACTION_MISMATCH', `Transaction ${tx.calculateHash()} is not a copy of ${combined.hash}`);
+      }
+      tx.multisig.signatures.forEach((signature, i) => {
+        signatures[i] = signatures[i] ?? signature;
+      });
+    }
+    return combined;
+  }
+
+  /**
+   * Checks that a multisig transaction is ready to submit.
+   * @param {Transaction} transaction - The signed transaction
+   * @returns {Transaction} - The same transaction
+   * @throws {Error} - With code INVALID_SIGNATURE if a signature or the keys are invalid,
+   *   or INSUFFICIENT_SIGNATURES if fewer keys signed than the threshold
+   */
+  static finalize(transaction) {
+    if (!transaction.multisig) {
+      throw multisigError('INVALID_SIGNATURE', 'Transaction is not from a multisig address');
+    }
+    const count = transaction.countSignatures(transaction.calculateHash());
+    if (count < 0) {
+      throw multisigError('INVALID_SIGNATURE', 'Transaction carries an invalid signature or keys that do not match its sender');
+    }
+    if (count < transaction.multisig.threshold) {
+      throw multisigError('INSUFFICIENT_SIGNATURES', `Transaction has ${count} of the ${transaction.multisig.threshold} signatures it needs`);
+    }
+    return transaction;
+  }
+}
+
+module.exports = MultisigWallet;
@@ -0,0 +1,9 @@
+'use strict';
+
+const P2PNode = require('./node');
+const Peer = require('./peer');
+
+module.exports = {
+  P2PNode,
+  Peer
+};
@@ -0,0 +1,354 @@
+'use strict';
+
+const net = require('net');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Block, Transaction } = require('../blockchain');
+const Peer = require('./peer');
+
+const PROTOCOL_VERSION = 2; // Peers speaking another version are disconnected
+const SYNC_BATCH_SIZE = 100; // Blocks requested at once while syncing
+const MAX_BATCH_SIZE = 500; // Most blocks sent in answer to one request
+const MAX_ANCESTOR_REQUESTS = 1000; // Most missing parents fetched one by one for an orphan block
+
+// Encode a block or transaction for a message
+function encode(item) {
+  return item.serialize().toString('hex');
+}
+
+// Decode a block or transaction from a message
+function decode(type, data) {
+  if (typeof data !== 'string' || !/^(?:[0-9a-f]{2})+$/.test(data)) {
+    throw new Error(`Expected a hex-encoded ${type.name.toLowerCase()}`);
+  }
+  return type.deserialize(Buffer.from(data, 'hex'));
+}
+
+/**
+ * Node of the peer-to-peer network: accepts connections from other nodes, connects
+ * to them, and keeps its blockchain in step with theirs. Peers speak the Peer
+ * line protocol with these messages:
+ *
+ *   hello { version, nodeId, genesisHash, height }  handshake, sent by both sides
+ *   getBlocks { from, limit }                      request blocks by height
+ *   getBlock { hash }                              request one block by hash
+ *   blocks { blocks }                              answer to getBlocks and getBlock
+ *   block { block }                                announce a new block
+ *   transaction { transaction }                    announce a new transaction
+ *   error { message }                              sent before disconnecting a peer
+ *
+ * Blocks and transactions are sent as hex strings of their canonical binary
+ * encoding (Block.serialize and Transaction.serialize).
+ *
+ * Received blocks and transactions go through the same checks as local ones
+ * (Blockchain.submitBlock and Blockchain.addTransaction) and are relayed to the
+ * other peers when accepted. A block whose parent we do not know makes the node
+ * request the missing ancestors by hash until it reaches a known block, so forks
+ * are resolved by the blockchain choosing the branch with the most work.
+ *
+ * Events: 'peer' (peer) after a handshake, 'block' (block) and 'transaction' (tx)
+ * when one received from a peer was accepted.
+ */
+class P2PNode extends EventEmitter {
+  /**
+   * @param {Blockchain} blockchain - The chain to share
+   */
+  constructor(blockchain) {
+    super();
+    this.blockchain = blockchain;
+    this.nodeId = crypto.randomBytes(16).toString('hex'); // Detects connections to ourselves
+    this.peers = new Set(); // Peers that completed the handshake
+    this.sockets = new Set(); // Every open socket, closed by close()
+    this.server = net.createServer(socket => this.accept(socket));
+    this.queue = Promise.resolve(); // Serializes changes to the chain
+  }
+
+  /**
+   * Starts accepting connections.
+   * @param {number} [port=0] - Port, 0 for any free port
+   * @param {string} [host='127.0.0.1'] - Interface to bind
+   * @returns {Promise<Object>} - The bound address, with its port
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Connects to another node and completes the handshake.
+   * @param {number} port - Port of the node
+   * @param {string} [host='127.0.0.1'] - Host of the node
+   * @returns {Promise<Peer>} - The connected peer
+   */
+  connect(port, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, host);
+      socket.once('error', reject);
+      socket.once('connect', () => {
+        socket.off('error', reject);
+        const peer = this.accept(socket);
+        peer.once('ready', () => resolve(peer));
+        peer.once('close', () => reject(new Error(`Handshake with ${host}:${port} failed`)));
+      });
+    });
+  }
+
+  /**
+   * Disconnects every peer and stops listening.
+   * @returns {Promise<void>}
+   */
+  close() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  // Set up a new connection and send our hello
+  accept(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    const peer = new Peer(socket);
+    peer.on('message', message => this.handleMessage(peer, message));
+    peer.on('close', () => this.peers.delete(peer));
+    peer.send('hello', this.getHello());
+    return peer;
+  }
+
+  getHello() {
+    return {
+      version: PROTOCOL_VERSION,
+      nodeId: this.nodeId,
+      genesisHash: this.blockchain.chain[0].hash,
+      height: this.blockchain.chain.length - 1
+    };
+  }
+
+  // Dispatch a message; peers that break the protocol are disconnected
+  async handleMessage(peer, message) {
+    try {
+      if (message.type === 'hello') {
+        this.handleHello(peer, message);
+      } else if (!peer.info) {
+        throw new Error('Expected hello first');
+      } else if (message.type === 'getBlocks') {
+        const from = Math.max(0, Number(message.from) || 0);
+        const limit = Math.min(MAX_BATCH_SIZE, Math.max(1, Number(message.limit) || SYNC_BATCH_SIZE));
+        peer.reply(message, 'blocks', { blocks: this.blockchain.chain.slice(from, from + limit).map(encode) });
+      } else if (message.type === 'getBlock') {
+        const entry = this.blockchain.blocks.get(message.hash); // Side branch blocks are served too
+        peer.reply(message, 'blocks', { blocks: entry ? [encode(entry.block)] : [] });
+      } else if (message.type === 'block') {
+        await this.handleBlock(peer, decode(Block, message.block));
+      } else if (message.type === 'transaction') {
+        this.handleTransaction(peer, decode(Transaction, message.transaction));
+      } else if (message.type === 'error') {
+        console.error(`Peer ${peer.address} reported: ${message.message}`);
+      }
+    } catch (error) {
+      peer.send('error', { message: error.message });
+      peer.close();
+    }
+  }
+
+  handleHello(peer, message) {
+    if (peer.info) {
+      throw new Error('Duplicate hello');
+    }
+    if (message.version !== PROTOCOL_VERSION) {
+      throw new Error(`Unsupported protocol version ${message.version}`);
+    }
+    if (message.nodeId === this.nodeId) {
+      throw new Error('Connected to self');
+    }
+    if (message.genesisHash !== this.blockchain.chain[0].hash) {
+      throw new Error('Genesis block mismatch');
+    }
+    peer.info = message;
+    this.peers.add(peer);
+    peer.emit('ready');
+    this.emit('peer', peer);
+    if (message.height > this.blockchain.chain.length - 1) {
+      this.sync(peer).catch(error => console.error(`Sync with ${peer.address} failed: ${error.message}`));
+    }
+  }
+
+  // Accept an announced block, fetching its ancestors from the peer if they are missing
+  handleBlock(peer, block) {
+    return this.enqueue(async() => {
+      if (this.blockchain.isKnownBlock(block.hash)) {
+        return;
+      }
+      const accepted = await this.blockchain.submitBlock(block) ||
+        (this.blockchain.orphans.has(block.hash) && await this.fetchAncestors(peer, block));
+      if (accepted) {
+        this.emit('block', block);
+        this.broadcast('block', { block: encode(block) }, peer);
+      }
+    });
+  }
+
+  handleTransaction(peer, transaction) {
+    if (this.blockchain.mempool.has(transaction.hash) || this.blockchain.hasTransaction(transaction.hash)) {
+      return; // Already known
+    }
+    let added = false;
+    try {
+      added = this.blockchain.addTransaction(transaction);
+    } catch (error) {
+      console.error(`Rejected transaction ${transaction.hash} from ${peer.address}: ${error.message}`);
+    }
+    if (added) {
+      this.emit('transaction', transaction);
+      this.broadcast('transaction', { transaction: encode(transaction) }, peer);
+    }
+  }
+
+  /**
+   * Requests the missing ancestors of an orphan block from a peer, newest first,
+   * until one connects to a known block, then adds them oldest first followed by
+   * the orphan. The ancestors are held here rather than in the blockchain's orphan
+   * pool, which is far smaller than MAX_ANCESTOR_REQUESTS and would drop the start
+   * of a deep fork before it connects.
+   * @param {Peer} peer - The peer that sent the orphan
+   * @param {Block} orphan - Block whose parent is unknown
+   * @returns {Promise<boolean>} - True if the orphan joined the block tree
+   */
+  async fetchAncestors(peer, orphan) {
+    const { blockchain } = this;
+    const ancestors = []; // Missing blocks, newest first
+    let hash = orphan.previousHash;
+    while (!blockchain.blocks.has(hash)) {
+      if (ancestors.length >= MAX_ANCESTOR_REQUESTS) {
+        return false; // Too deep to follow
+      }
+      const answer = await peer.request('getBlock', { hash });
+      if (!answer.blocks || answer.blocks.length === 0) {
+        return false; // The peer does not have it either
+      }
+      const block = decode(Block, answer.blocks[0]);
+      if (block.hash !== hash) {
+        throw new Error(`Peer sent block ${block.hash} instead of ${hash}`);
+      }
+      ancestors.push(block);
+      hash = block.previousHash;
+    }
+    for (const block of [...ancestors.reverse(), orphan]) {
+      if (!blockchain.blocks.has(block.hash)) {
+        blockchain.orphans.delete(block.hash); // Placed now that its parent is known
+        if (!(await blockchain.submitBlock(block))) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Downloads the blocks a peer has beyond our height. Blocks on a fork of our
+   * chain have their missing ancestors fetched by hash, and the chain switches to
+   * the fork if it has more work. Stops at the first invalid block.
+   * @param {Peer} peer - The peer to download from
+   * @returns {Promise<number>} - Number of blocks added to the block tree
+   */
+  sync(peer) {
+    return this.enqueue(() => this.download(peer));
+  }
+
+  async download(peer) {
+    let added = 0;
+    for (;;) {
+      const from = this.blockchain.chain.length;
+      const answer = await peer.request('getBlocks', { from, limit: SYNC_BATCH_SIZE });
+      const blocks = (answer.blocks || []).map(data => decode(Block, data));
+      for (const block of blocks) {
+        if (this.blockchain.isKnownBlock(block.hash)) {
+          continue;
+        }
+        const accepted = await this.blockchain.submitBlock(block) ||
+          (this.blockchain.orphans.has(block.hash) && await this.fetchAncestors(peer, block));
+        if (!accepted) {
+          return added; // Invalid
+        }
+        added++;
+        this.emit('block', block);
+      }
+      if (blocks.length < SYNC_BATCH_SIZE || this.blockchain.chain.length <= from) {
+        return added;
+      }
+    }
+  }
+
+  /**
+   * Sends a message to every connected peer.
+   * @param {string} type - Message type
+   * @param {Object} payload - Message fields
+   * @param {Peer} [except] - Peer to skip, usually the one the data came from
+   */
+  broadcast(type, payload, except = null) {
+    for (const peer of this.peers) {
+      if (peer !== except) {
+        peer.send(type, payload);
+      }
+    }
+  }
+
+  /**
+   * Adds a local transaction to the chain and announces it.
+   * @param {Transaction} transaction - Signed transaction
+   * @returns {boolean} - True once the transaction is pending
+   * @throws {Error} - With the code of Blockchain.addTransaction when it is rejected
+   */
+  addTransaction(transaction) {
+    const added = this.blockchain.addTransaction(transaction);
+    if (added) {
+      this.broadcast('transaction', { transaction: encode(transaction) });
+    }
+    return added;
+  }
+
+  /**
+   * Mines the pending transactions and announces the new block.
+   * @param {string} minerAddress - Address receiving the reward
+   * @returns {Promise<Block>} - The mined block
+   */
+  mine(minerAddress) {
+    return this.enqueue(async() => {
+      await this.blockchain.minePendingTransactions(minerAddress);
+      const block = this.blockchain.getLatestBlock();
+      this.broadcast('block', { block: encode(block) });
+      return block;
+    });
+  }
+
+  /**
+   * Adds a block mined outside the node, e.g. by a Miner, and announces it.
+   * @param {Block} block - The mined block
+   * @returns {Promise<boolean>} - True if the block joined the block tree
+   */
+  submitBlock(block) {
+    return this.enqueue(async() => {
+      const accepted = await this.blockchain.submitBlock(block);
+      if (accepted) {
+        this.broadcast('block', { block: encode(block) });
+      }
+      return accepted;
+    });
+  }
+
+  // Run a change to the chain after the ones already queued
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+P2PNode.PROTOCOL_VERSION = PROTOCOL_VERSION;
+
+module.exports = P2PNode;
@@ -0,0 +1,123 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // Longest message line accepted from a peer, in bytes
+const REQUEST_TIMEOUT = 10000; // Milliseconds to wait for the answer to a request
+
+/**
+ * One connection to another node. Messages are JSON objects, one per line:
+ * { type, id?, replyTo?, ...payload }. A request carries an id and its answer
+ * carries the same value as replyTo.
+ *
+ * Events: 'message' (message) for every message that is not an answer,
+ * 'close' when the connection ends.
+ */
+class Peer extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Connected socket
+   * @param {Object} [options]
+   * @param {number} [options.requestTimeout] - Milliseconds to wait for answers
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.requestTimeout = options.requestTimeout || REQUEST_TIMEOUT;
+    this.address = `${socket.remoteAddress}:${socket.remotePort}`; // For log messages
+    this.info = null; // Contents of the peer's hello message, once received
+    this.nextId = 1; // Id of the next request
+    this.pending = new Map(); // Unanswered requests by id: { resolve, reject, timer }
+    this.buffer = ''; // Received text not terminated by a newline yet
+
+    socket.setEncoding('utf8');
+    socket.on('data', data => this.receive(data));
+    socket.on('error', () => {}); // Errors are followed by 'close'
+    socket.on('close', () => {
+      for (const { reject, timer } of this.pending.values()) {
+        clearTimeout(timer);
+        reject(new Error(`Connection to ${this.address} closed`));
+      }
+      this.pending.clear();
+      this.emit('close');
+    });
+  }
+
+  // Split received data into lines and parse each one as a message
+  receive(data) {
+    this.buffer += data;
+    if (this.buffer.length > MAX_MESSAGE_SIZE) {
+      this.close(); // A peer flooding us without newlines is not following the protocol
+      return;
+    }
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline);
+      this.buffer = this.buffer.slice(newline + 1);
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        this.close();
+        return;
+      }
+      if (!message || typeof message.type !== 'string') {
+        this.close();
+        return;
+      }
+      const request = message.replyTo !== undefined && this.pending.get(message.replyTo);
+      if (request) {
+        this.pending.delete(message.replyTo);
+        clearTimeout(request.timer);
+        request.resolve(message);
+      } else {
+        this.emit('message', message);
+      }
+    }
+  }
+
+  /**
+   * Sends a message.
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message fields
+   */
+  send(type, payload = {}) {
+    if (!this.socket.destroyed) {
+      this.socket.write(JSON.stringify({ ...payload, type }) + '\n');
+    }
+  }
+
+  /**
+   * Sends a request and waits for its answer.
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message fields
+   * @returns {Promise<Object>} - The answer
+   */
+  request(type, payload = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Request ${type} to ${this.address} timed out`));
+      }, this.requestTimeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.send(type, { ...payload, id });
+    });
+  }
+
+  /**
+   * Answers a request.
+   * @param {Object} request - The request message
+   * @param {string} type - Message type of the answer
+   * @param {Object} [payload] - Message fields
+   */
+  reply(request, type, payload = {}) {
+    this.send(type, { ...payload, replyTo: request.id });
+  }
+
+  // End the connection
+  close() {
+    this.socket.destroy();
+  }
+}
+
+module.exports = Peer;
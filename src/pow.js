@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Proof-of-work targets. A block is valid when its hash, read as a 256-bit
+ * number, is below its target. Targets are stored in the compact "bits" form:
+ * the top byte is the length of the target in bytes and the low three bytes are
+ * its most significant bytes (an unsigned mantissa), so
+ * target = mantissa * 256^(exponent - 3).
+ */
+
+const MAX_TARGET = 2n ** 256n; // Easiest target: every hash meets it
+const MAX_BITS = 0x21010000; // Compact form of MAX_TARGET
+
+/**
+ * Decodes compact bits into a target.
+ * @param {number} bits - Compact target
+ * @returns {bigint} - The target
+ */
+function bitsToTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = BigInt(bits & 0xffffff);
+  if (exponent <= 3) {
+    return mantissa >> BigInt(8 * (3 - exponent));
+  }
+  return mantissa << BigInt(8 * (exponent - 3));
+}
+
+/**
+ * Encodes a target into compact bits, rounding it down to three significant bytes.
+ * @param {bigint} target - The target, between 1 and MAX_TARGET
+ * @returns {number} - Compact target
+ * @throws {Error} - If the target is out of range
+ */
+function targetToBits(target) {
+  if (target < 1n || target > MAX_TARGET) {
+    throw new Error(`Target out of range: ${target}`);
+  }
+  const size = Math.ceil(target.toString(16).length / 2); // Length of the target in bytes
+  const mantissa = size <= 3
+    ? target << BigInt(8 * (3 - size))
+    : target >> BigInt(8 * (size - 3));
+  return ((size << 24) | Number(mantissa)) >>> 0;
+}
+
+/**
+ * Builds the target of the legacy scheme, which required a number of leading
+ * zero hex digits in the hash.
+ * @param {number} difficulty - Number of leading zero hex digits
+ * @returns {number} - Compact target
+ */
+function difficultyToBits(difficulty) {
+  return targetToBits(MAX_TARGET >> BigInt(4 * difficulty));
+}
+
+/**
+ * Expresses a target as the equivalent number of leading zero hex digits,
+ * which is 0 for the easiest target and may be fractional.
+ * @param {number} bits - Compact target
+ * @returns {number} - Difficulty
+ */
+function getDifficulty(bits) {
+  const ratio = Number((MAX_TARGET << 32n) / bitsToTarget(bits)) / 2 ** 32;
+  return Math.log2(ratio) / 4;
+}
+
+/**
+ * Checks whether a hash meets a target.
+ * @param {string} hash - Hex encoded hash
+ * @param {bigint} target - The target
+ * @returns {boolean} - True if the hash is below the target
+ */
+function hashMeetsTarget(hash, target) {
+  return BigInt('0x' + hash) < target;
+}
+
+/**
+ * Computes the expected number of hashes needed to meet a target.
+ * @param {number} bits - Compact target
+ * @returns {bigint} - Expected work
+ */
+function getBlockWork(bits) {
+  return MAX_TARGET / bitsToTarget(bits);
+}
+
+module.exports = {
+  MAX_TARGET,
+  MAX_BITS,
+  bitsToTarget,
+  targetToBits,
+  difficultyToBits,
+  getDifficulty,
+  hashMeetsTarget,
+  getBlockWork
+};
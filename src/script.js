@@ -0,0 +1,405 @@
+'use strict';
+
+const crypto = require('crypto');
+const { hash160 } = require('./address');
+
+/**
+ * A small stack language for spending conditions, in the style of Bitcoin Script.
+ * Funds sent to a script address (see ScriptWallet) are spent by a transaction
+ * whose unlocking script, made of data pushes only, runs first; the locking script
+ * the address commits to then runs on the stack it left and must end with a single
+ * true value on the stack.
+ *
+ * Scripts have no loops or jumps, so they run in time linear in their size, and
+ * evaluation is bounded by MAX_SCRIPT_SIZE, MAX_PUSH_SIZE, MAX_OPS and MAX_STACK_SIZE.
+ *
+ * In text, scripts are whitespace-separated tokens: opcode names such as OP_DUP,
+ * data in hex between angle brackets such as <02ab>, and decimal integers, which
+ * are pushed as numbers. For example:
+ *
+ *   hash lock:   OP_SHA256 <hash> OP_EQUALVERIFY <key> OP_CHECKSIG
+ *                unlocked by <signature> <preimage>
+ *   time lock:   <lock time> OP_CHECKLOCKTIMEVERIFY OP_DROP <key> OP_CHECKSIG
+ *                unlocked by <signature> from a transaction locked until then
+ *   either key:  OP_IF <first key> OP_ELSE <second key> OP_ENDIF OP_CHECKSIG
+ *                unlocked by <signature> 1 or <signature> 0
+ *
+ * Numbers are little-endian with the sign in the top bit of the last byte, encoded
+ * in as few bytes as possible; empty data is zero and false.
+ */
+
+const OPCODES = {
+  OP_0: 0x00, // Push empty data
+  OP_PUSHDATA1: 0x4c, // Push data whose length is in the next byte
+  OP_PUSHDATA2: 0x4d, // Push data whose length is in the next two bytes, little-endian
+  // OP_1 to OP_16, 0x51 to 0x60, push their number (added below)
+  OP_IF: 0x63, // Run the branch if the top item is true
+  OP_NOTIF: 0x64, // Run the branch if the top item is false
+  OP_ELSE: 0x67,
+  OP_ENDIF: 0x68,
+  OP_VERIFY: 0x69, // Fail unless the top item is true
+  OP_RETURN: 0x6a, // Fail
+  OP_DROP: 0x75,
+  OP_DUP: 0x76,
+  OP_SWAP: 0x7c,
+  OP_SIZE: 0x82, // Push the length of the top item
+  OP_EQUAL: 0x87,
+  OP_EQUALVERIFY: 0x88,
+  OP_SHA256: 0xa8,
+  OP_HASH160: 0xa9, // RIPEMD-160 of SHA-256, as in addresses
+  OP_CHECKSIG: 0xac, // Check a signature of the transaction hash against a public key
+  OP_CHECKSIGVERIFY: 0xad,
+  OP_CHECKLOCKTIMEVERIFY: 0xb1 // Fail unless the transaction is locked until at least the top item
+};
+for (let n = 1; n <= 16; n++) {
+  OPCODES[`OP_${n}`] = 0x50 + n;
+}
+const OPCODE_NAMES = new Map(Object.entries(OPCODES).map(([name, opcode]) => [opcode, name]));
+
+const MAX_SCRIPT_SIZE = 1000; // Most bytes in a script
+const MAX_PUSH_SIZE = 520; // Most bytes pushed at once
+const MAX_OPS = 100; // Most opcodes other than pushes in a locking and unlocking script together
+const MAX_STACK_SIZE = 100; // Most items on the stack
+const MAX_LOCK_TIME_SIZE = 6; // Most bytes of a lock time number, enough for timestamps in milliseconds
+const MAX_DIRECT_PUSH = 0x4b; // Longest data pushed by its length alone
+
+const TRUE = Buffer.from([1]);
+const FALSE = Buffer.alloc(0);
+
+// Create an error with a machine-readable code: INVALID_SCRIPT for scripts that
+// cannot be compiled, SCRIPT_FAILED for scripts that do not unlock the funds
+function scriptError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Error for scripts that do not unlock the funds
+function failure(message) {
+  return scriptError('SCRIPT_FAILED', message);
+}
+
+// Encode a number in as few bytes as possible
+function encodeNumber(value) {
+  const bytes = [];
+  let magnitude = Math.abs(value);
+  while (magnitude > 0) {
+    bytes.push(magnitude % 256);
+    magnitude = Math.floor(magnitude / 256);
+  }
+  if (bytes.length > 0 && bytes[bytes.length - 1] & 0x80) {
+    bytes.push(value < 0 ? 0x80 : 0); // The top bit is taken, so the sign gets a byte of its own
+  } else if (value < 0) {
+    bytes[bytes.length - 1] |= 0x80;
+  }
+  return Buffer.from(bytes);
+}
+
+// Decode a number encoded by encodeNumber, refusing longer or padded encodings
+function decodeNumber(buffer, maxSize) {
+  if (buffer.length > maxSize) {
+    throw failure(`Number is longer than ${maxSize} bytes`);
+  }
+  if (buffer.length > 0 && (buffer[buffer.length - 1] & 0x7f) === 0 &&
+    (buffer.length === 1 || (buffer[buffer.length - 2] & 0x80) === 0)) {
+    throw failure('Number is not minimally encoded');
+  }
+  let value = 0;
+  for (let i = buffer.length - 1; i >= 0; i--) {
+    value = value * 256 + (i === buffer.length - 1 ? buffer[i] & 0x7f : buffer[i]);
+  }
+  return buffer.length > 0 && buffer[buffer.length - 1] & 0x80 ? -value : value;
+}
+
+// Check whether an item counts as true: anything but zero, negative zero included
+function isTrue(item) {
+  return item.some((byte, i) => byte !== 0 && !(i === item.length - 1 && byte === 0x80));
+}
+
+/**
+ * Splits a script into its operations.
+ * @param {string} script - Script in hex
+ * @param {string} code - Error code for malformed scripts
+ * @returns {Object[]} - { opcode, data } for pushes, { opcode } otherwise
+ */
+function parseScript(script, code) {
+  if (typeof script !== 'string' || !/^(?:[0-9a-f]{2})*$/.test(script)) {
+    throw scriptError(code, 'Script must be lowercase hex');
+  }
+  const bytes = Buffer.from(script, 'hex');
+  if (bytes.length > MAX_SCRIPT_SIZE) {
+    throw scriptError(code, `Script is longer than ${MAX_SCRIPT_SIZE} bytes`);
+  }
+  const ops = [];
+  let offset = 0;
+  const take = length => {
+    if (offset + length > bytes.length) {
+      throw scriptError(code, 'Script ends in the middle of a push');
+    }
+    offset += length;
+    return bytes.subarray(offset - length, offset);
+  };
+  while (offset < bytes.length) {
+    const opcode = take(1)[0];
+    if (opcode >= 1 && opcode <= MAX_DIRECT_PUSH) {
+      ops.push({ opcode, data: take(opcode) });
+    } else if (opcode === OPCODES.OP_PUSHDATA1) {
+      ops.push({ opcode, data: take(take(1)[0]) });
+    } else if (opcode === OPCODES.OP_PUSHDATA2) {
+      const data = take(take(2).readUInt16LE());
+      if (data.length > MAX_PUSH_SIZE) {
+        throw scriptError(code, `Script pushes more than ${MAX_PUSH_SIZE} bytes at once`);
+      }
+      ops.push({ opcode, data });
+    } else if (OPCODE_NAMES.has(opcode)) {
+      ops.push({ opcode });
+    } else {
+      throw scriptError(code, `Unknown opcode 0x${opcode.toString(16).padStart(2, '0')}`);
+    }
+  }
+  return ops;
+}
+
+// Check whether an operation only pushes data
+function isPush({ opcode }) {
+  return opcode <= OPCODES.OP_PUSHDATA2 || (opcode >= OPCODES.OP_1 && opcode <= OPCODES.OP_16);
+}
+
+// Get the item a push operation puts on the stack
+function getPushedItem({ opcode, data }) {
+  if (data) {
+    return data;
+  }
+  return opcode === OPCODES.OP_0 ? FALSE : encodeNumber(opcode - 0x50);
+}
+
+// Run the operations of one script on the stack
+function runScript(ops, stack, checker, counter) {
+  const branches = []; // Whether each enclosing OP_IF or OP_NOTIF branch runs
+  const pop = () => {
+    if (stack.length === 0) {
+      throw failure('Stack is empty');
+    }
+    return stack.pop();
+  };
+  const push = item => {
+    if (stack.length >= MAX_STACK_SIZE) {
+      throw failure(`Stack holds more than ${MAX_STACK_SIZE} items`);
+    }
+    stack.push(item);
+  };
+  const verify = (item, name) => {
+    if (!isTrue(item)) {
+      throw failure(`${name} failed`);
+    }
+  };
+
+  for (const op of ops) {
+    const running = branches.every(Boolean);
+    if (isPush(op)) {
+      if (running) {
+        push(getPushedItem(op));
+      }
+      continue;
+    }
+    if (++counter.ops > MAX_OPS) {
+      throw failure(`Scripts run more than ${MAX_OPS} operations`);
+    }
+    const name = OPCODE_NAMES.get(op.opcode);
+    if (op.opcode === OPCODES.OP_IF || op.opcode === OPCODES.OP_NOTIF) {
+      branches.push(running && isTrue(pop()) === (op.opcode === OPCODES.OP_IF));
+      continue;
+    }
+    if (op.opcode === OPCODES.OP_ELSE || op.opcode === OPCODES.OP_ENDIF) {
+      if (branches.length === 0) {
+        throw failure(`${name} without OP_IF`);
+      }
+      if (op.opcode === OPCODES.OP_ELSE) {
+        branches.push(!branches.pop());
+      } else {
+        branches.pop();
+      }
+      continue;
+    }
+    if (!running) {
+      continue;
+    }
+    switch (op.opcode) {
+    case OPCODES.OP_VERIFY:
+      verify(pop(), name);
+      break;
+    case OPCODES.OP_RETURN:
+      throw failure('OP_RETURN');
+    case OPCODES.OP_DROP:
+      pop();
+      break;
+    case OPCODES.OP_DUP: {
+      const item = pop();
+      push(item);
+      push(item);
+      break;
+    }
+    case OPCODES.OP_SWAP: {
+      const top = pop();
+      const below = pop();
+      push(top);
+      push(below);
+      break;
+    }
+    case OPCODES.OP_SIZE: {
+      const item = pop();
+      push(item);
+      push(encodeNumber(item.length));
+      break;
+    }
+    case OPCODES.OP_EQUAL:
+    case OPCODES.OP_EQUALVERIFY: {
+      const equal = pop().equals(pop()) ? TRUE : FALSE;
+      if (op.opcode === OPCODES.OP_EQUALVERIFY) {
+        verify(equal, name);
+      } else {
+        push(equal);
+      }
+      break;
+    }
+    case OPCODES.OP_SHA256:
+      push(crypto.createHash('sha256').update(pop()).digest());
+      break;
+    case OPCODES.OP_HASH160:
+      push(hash160(pop()));
+      break;
+    case OPCODES.OP_CHECKSIG:
+    case OPCODES.OP_CHECKSIGVERIFY: {
+      const publicKey = pop();
+      const signature = pop();
+      const valid = checker.checkSignature(signature.toString('hex'), publicKey.toString('hex')) ? TRUE : FALSE;
+      if (op.opcode === OPCODES.OP_CHECKSIGVERIFY) {
+        verify(valid, name);
+      } else {
+        push(valid);
+      }
+      break;
+    }
+    case OPCODES.OP_CHECKLOCKTIMEVERIFY: {
+      const item = pop();
+      push(item); // Left on the stack, usually for OP_DROP
+      const lockTime = decodeNumber(item, MAX_LOCK_TIME_SIZE);
+      if (lockTime < 0 || !checker.checkLockTime(lockTime)) {
+        throw failure(`Transaction is not locked until ${lockTime}`);
+      }
+      break;
+    }
+    }
+  }
+  if (branches.length > 0) {
+    throw failure('OP_IF without OP_ENDIF');
+  }
+}
+
+/**
+ * Runs an unlocking script and then the locking script it unlocks.
+ * @param {string} lockingScript - Locking script in hex, the one a script address commits to
+ * @param {string} unlockingScript - Unlocking script in hex; it may only push data
+ * @param {Object} checker - What the scripts check about the spending transaction
+ * @param {function(string, string): boolean} checker.checkSignature - Whether a DER signature
+ *   in hex signs the transaction for a public key in hex
+ * @param {function(number): boolean} checker.checkLockTime - Whether the transaction is
+ *   locked until at least the given block height or timestamp
+ * @throws {Error} - With code SCRIPT_FAILED if the scripts are malformed or do not
+ *   leave a single true value on the stack
+ */
+function verifyScript(lockingScript, unlockingScript, checker) {
+  const unlockingOps = parseScript(unlockingScript, 'SCRIPT_FAILED');
+  const lockingOps = parseScript(lockingScript, 'SCRIPT_FAILED');
+  if (!unlockingOps.every(isPush)) {
+    throw failure('Unlocking scripts may only push data');
+  }
+  const stack = [];
+  const counter = { ops: 0 };
+  runScript(unlockingOps, stack, checker, counter);
+  runScript(lockingOps, stack, checker, counter);
+  if (stack.length !== 1 || !isTrue(stack[0])) {
+    throw failure('Script did not leave a single true value on the stack');
+  }
+}
+
+/**
+ * Compiles a script from its text form.
+ * @param {string} text - Opcode names, <hex> data and decimal numbers
+ * @returns {string} - The script in hex
+ * @throws {Error} - With code INVALID_SCRIPT for unknown tokens and oversized scripts
+ */
+function compile(text) {
+  const chunks = String(text).split(/\s+/).filter(Boolean).map(token => {
+    if (/^OP_[0-9A-Z]+$/.test(token) && OPCODES[token] !== undefined &&
+      token !== 'OP_PUSHDATA1' && token !== 'OP_PUSHDATA2') {
+      return Buffer.from([OPCODES[token]]);
+    }
+    if (/^-?[0-9]+$/.test(token)) {
+      const value = Number(token);
+      if (!Number.isSafeInteger(value)) {
+        throw scriptError('INVALID_SCRIPT', `Number ${token} is too large`);
+      }
+      if (value >= 0 && value <= 16) {
+        return Buffer.from([value === 0 ? OPCODES.OP_0 : 0x50 + value]);
+      }
+      return encodePush(encodeNumber(value));
+    }
+    const match = /^<((?:[0-9a-fA-F]{2})*)>$/.exec(token);
+    if (match) {
+      return encodePush(Buffer.from(match[1], 'hex'));
+    }
+    throw scriptError('INVALID_SCRIPT', `Unknown script token ${token}`);
+  });
+  const script = Buffer.concat(chunks).toString('hex');
+  parseScript(script, 'INVALID_SCRIPT'); // Check the limits
+  return script;
+}
+
+// Encode a data push with the shortest push opcode
+function encodePush(data) {
+  if (data.length === 0) {
+    return Buffer.from([OPCODES.OP_0]);
+  }
+  if (data.length > MAX_PUSH_SIZE) {
+    throw scriptError('INVALID_SCRIPT', `Script pushes more than ${MAX_PUSH_SIZE} bytes at once`);
+  }
+  if (data.length <= MAX_DIRECT_PUSH) {
+    return Buffer.concat([Buffer.from([data.length]), data]);
+  }
+  if (data.length <= 0xff) {
+    return Buffer.concat([Buffer.from([OPCODES.OP_PUSHDATA1, data.length]), data]);
+  }
+  const length = Buffer.alloc(2);
+  length.writeUInt16LE(data.length);
+  return Buffer.concat([Buffer.from([OPCODES.OP_PUSHDATA2]), length, data]);
+}
+
+/**
+ * Writes a script in its text form.
+ * @param {string} script - Script in hex
+ * @returns {string} - Opcode names and <hex> data; OP_0 to OP_16 are written as numbers
+ * @throws {Error} - With code INVALID_SCRIPT for malformed scripts
+ */
+function disassemble(script) {
+  return parseScript(script, 'INVALID_SCRIPT').map(op => {
+    if (op.data) {
+      return `<${op.data.toString('hex')}>`;
+    }
+    if (isPush(op)) {
+      return String(op.opcode === OPCODES.OP_0 ? 0 : op.opcode - 0x50);
+    }
+    return OPCODE_NAMES.get(op.opcode);
+  }).join(' ');
+}
+
+module.exports = {
+  OPCODES,
+  MAX_SCRIPT_SIZE,
+  MAX_PUSH_SIZE,
+  MAX_OPS,
+  MAX_STACK_SIZE,
+  compile,
+  disassemble,
+  verifyScript
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+const { Transaction } = require('./blockchain');
+const { parseAmount } = require('./amount');
+const { compile, disassemble } = require('./script');
+const { compressPublicKey, scriptToAddress, isValidAddress, isLegacyAddress } = require('./address');
+
+/**
+ * A script address: funds sent to it can only be spent by transactions whose
+ * unlocking script satisfies its locking script (see script.js). Spending takes
+ * two steps:
+ *
+ *   1. createTransaction writes a transaction with an empty unlocking script
+ *   2. unlock sets the unlocking script, typically signatures made with
+ *      Wallet.createSignature and data such as a hash preimage, and checks it
+ *
+ * The static constructors build the locking scripts of common contracts; an
+ * escrow or an atomic swap pays into a hashTimeLock address on each side.
+ */
+class ScriptWallet {
+  /**
+   * @param {string} lockingScript - Locking script in hex, see compile
+   * @throws {Error} - With code INVALID_SCRIPT for malformed scripts
+   */
+  constructor(lockingScript) {
+    this.asm = disassemble(lockingScript); // Text form, which also checks the script
+    this.lockingScript = lockingScript;
+    this.address = scriptToAddress(lockingScript);
+  }
+
+  /**
+   * Creates a script address from the text form of its locking script.
+   * @param {string} text - Opcode names, <hex> data and decimal numbers
+   * @returns {ScriptWallet}
+   */
+  static fromAsm(text) {
+    return new ScriptWallet(compile(text));
+  }
+
+  /**
+   * Locks funds to whoever knows the preimage of a hash and holds a key.
+   * Unlocked by <signature> <preimage>.
+   * @param {string} hash - SHA-256 hash of the secret in hex
+   * @param {string} publicKey - Key of the recipient in hex
+   * @returns {ScriptWallet}
+   */
+  static hashLock(hash, publicKey) {
+    return ScriptWallet.fromAsm(`OP_SHA256 <${hash}> OP_EQUALVERIFY <${compressPublicKey(publicKey)}> OP_CHECKSIG`);
+  }
+
+  /**
+   * Locks funds to a key until a block height or time. Unlocked by <signature>
+   * from a transaction whose own lock time is at least that.
+   * @param {number} lockTime - Block height, or timestamp in milliseconds from LOCK_TIME_THRESHOLD on
+   * @param {string} publicKey - Key of the recipient in hex
+   * @returns {ScriptWallet}
+   */
+  static timeLock(lockTime, publicKey) {
+    return ScriptWallet.fromAsm(`${lockTime} OP_CHECKLOCKTIMEVERIFY OP_DROP <${compressPublicKey(publicKey)}> OP_CHECKSIG`);
+  }
+
+  /**
+   * Locks funds to either of two keys. Unlocked by <signature> 1 for the first
+   * key and <signature> 0 for the second.
+   * @param {string} firstKey - Public key in hex
+   * @param {string} secondKey - Public key in hex
+   * @returns {ScriptWallet}
+   */
+  static eitherKey(firstKey, secondKey) {
+    return ScriptWallet.fromAsm(`OP_IF <${compressPublicKey(firstKey)}> OP_ELSE <${compressPublicKey(secondKey)}> OP_ENDIF OP_CHECKSIG`);
+  }
+
+  /**
+   * Locks funds to a recipient who reveals the preimage of a hash, or back to a
+   * refund key once a lock time has passed. Unlocked by <signature> <preimage> 1
+   * for the recipient and <signature> 0 for the refund.
+   * @param {Object} terms
+   * @param {string} terms.hash - SHA-256 hash of the secret in hex
+   * @param {string} terms.recipientKey - Public key of the recipient in hex
+   * @param {string} terms.refundKey - Public key of the payer in hex
+   * @param {number} terms.lockTime - Block height or timestamp from which the payer may take the funds back
+   * @returns {ScriptWallet}
+   */
+  static hashTimeLock({ hash, recipientKey, refundKey, lockTime }) {
+    return ScriptWallet.fromAsm([
+      'OP_IF',
+      `OP_SHA256 <${hash}> OP_EQUALVERIFY <${compressPublicKey(recipientKey)}>`,
+      'OP_ELSE',
+      `${lockTime} OP_CHECKLOCKTIMEVERIFY OP_DROP <${compressPublicKey(refundKey)}>`,
+      'OP_ENDIF OP_CHECKSIG'
+    ].join(' '));
+  }
+
+  /**
+   * Creates a transaction from the script address, with an empty unlocking script.
+   * @param {string} toAddress - Checksummed or legacy address of the recipient
+   * @param {bigint|number|string} amount - Base units to send
+   * @param {Object} options
+   * @param {number} options.nonce - Sender nonce, see Blockchain.getNextNonce
+   * @param {bigint|number|string} [options.fee=0] - Base units paid to the miner
+   * @param {number|null} [options.lockTime=null] - Block height, or timestamp in milliseconds from
+   *   LOCK_TIME_THRESHOLD on, before which the transaction cannot be mined
+   * @returns {Transaction} - The transaction, to pass to unlock
+   * @throws {Error} - If the recipient address is malformed
+   */
+  createTransaction(toAddress, amount, { nonce, fee = 0, lockTime = null }) {
+    if (!isValidAddress(toAddress) && !isLegacyAddress(toAddress)) {
+      throw new Error(`Invalid recipient address ${toAddress}; check it for typos`);
+    }
+    const tx = new Transaction(this.address, toAddress, amount);
+    tx.fee = parseAmount(fee, 'Fee');
+    tx.nonce = nonce;
+    tx.lockTime = lockTime;
+    tx.script = { lockingScript: this.lockingScript, unlockingScript: '' };
+    tx.hash = tx.calculateHash();
+    return tx;
+  }
+
+  /**
+   * Sets the unlocking script of a transaction from a script address and checks
+   * that it unlocks the funds.
+   * @param {Transaction} transaction - Transaction made by createTransaction
+   * @param {string} text - Text form of the unlocking script, data pushes only
+   * @returns {Transaction} - The same transaction
+   * @throws {Error} - With code INVALID_SCRIPT if the text does not compile, or
+   *   SCRIPT_FAILED if the scripts do not unlock the funds
+   */
+  static unlock(transaction, text) {
+    transaction.script = { ...transaction.script, unlockingScript: compile(text) };
+    transaction.verifyScript(transaction.calculateHash());
+    return transaction;
+  }
+}
+
+module.exports = ScriptWallet;
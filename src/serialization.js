@@ -0,0 +1,408 @@
+'use strict';
+
+const { MAX_AMOUNT, parseAmount } = require('./amount');
+
+/**
+ * Canonical binary encodings of transactions and blocks. Every value has exactly
+ * one encoding, so hashes do not depend on property order or on extra fields, and
+ * every variable-length field is length-prefixed, so no two transactions share
+ * the bytes that are hashed.
+ *
+ * Transaction (all versions):
+ *   version varint | fromAddress optional string | toAddress string |
+ *   amount uint64 | fee uint64 | nonce optional varint | timestamp varint |
+ *   lockTime optional varint (from version LOCK_TIME) |
+ *   publicKey optional bytes | signature optional bytes
+ * followed, from version MULTISIG, by the keys and signatures of a multisig sender:
+ *   multisig optional (threshold varint | key count varint | keys bytes... |
+ *                      one signature optional bytes per key)
+ * and, from version SCRIPT, by the scripts of a script sender:
+ *   script optional (lockingScript bytes | unlockingScript bytes)
+ * Canonical transactions hash everything up to the lock time; the keys, the
+ * signatures and the scripts are left out because the signatures sign that hash.
+ * The sender's address already commits to its multisig keys or locking script.
+ *
+ * Block header, HEADER_SIZE bytes, hashed by canonical blocks:
+ *   version uint32 | previousHash 32 bytes | merkleRoot 32 bytes |
+ *   timestamp uint64 | bits uint32 | nonce uint64
+ * Block: header | index varint | transaction count varint | transactions
+ *
+ * Integers are big-endian or unsigned LEB128 varints, amounts are base units
+ * (see amount.js), strings are UTF-8 and optional fields start with a byte that
+ * is 0 when the field is missing and 1 when not.
+ */
+
+const TX_VERSIONS = {
+  LEGACY: 1, // Hash of the concatenated fields
+  CANONICAL: 2, // Hash of the canonical encoding
+  MULTISIG: 3, // Hash of the canonical encoding, which can carry multisig signatures
+  LOCK_TIME: 4, // Hash of the canonical encoding, which includes the lock time
+  SCRIPT: 5 // Hash of the canonical encoding, which can carry the scripts of a script sender
+};
+
+const HEADER_SIZE = 88; // Bytes in an encoded block header
+const NO_PARENT = '0'; // Previous hash of a genesis block, encoded as zeros
+const ZERO_HASH = '0'.repeat(64); // Encoding of NO_PARENT, which no other previous hash may use
+
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  uint8(value) {
+    this.chunks.push(Buffer.from([value]));
+  }
+
+  uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    this.chunks.push(buffer);
+  }
+
+  uint64(value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Cannot encode ${value} as an unsigned integer`);
+    }
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(value));
+    this.chunks.push(buffer);
+  }
+
+  // Unsigned integer up to Number.MAX_SAFE_INTEGER
+  varint(value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Cannot encode ${value} as an unsigned integer`);
+    }
+    const bytes = [];
+    do {
+      let byte = value % 128;
+      value = Math.floor(value / 128);
+      if (value > 0) {
+        byte |= 0x80;
+      }
+      bytes.push(byte);
+    } while (value > 0);
+    this.chunks.push(Buffer.from(bytes));
+  }
+
+  // Amount of base units, at most MAX_AMOUNT
+  amount(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(parseAmount(value));
+    this.chunks.push(buffer);
+  }
+
+  bytes(buffer) {
+    this.varint(buffer.length);
+    this.chunks.push(buffer);
+  }
+
+  string(value) {
+    if (typeof value !== 'string') {
+      throw new Error(`Cannot encode ${value} as a string`);
+    }
+    this.bytes(Buffer.from(value, 'utf8'));
+  }
+
+  // Lowercase hex string, stored as the bytes it spells
+  hex(value) {
+    if (typeof value !== 'string' || !/^(?:[0-9a-f]{2})*$/.test(value)) {
+      throw new Error(`Cannot encode ${value} as hex`);
+    }
+    this.bytes(Buffer.from(value, 'hex'));
+  }
+
+  // 32-byte hash, given as exactly 64 lowercase hex digits so that each hash has one encoding
+  hash(value) {
+    if (typeof value !== 'string' || !/^[0-9a-f]{64}$/.test(value)) {
+      throw new Error(`Cannot encode ${value} as a hash`);
+    }
+    this.chunks.push(Buffer.from(value, 'hex'));
+  }
+
+  // Write a value with the given method, or mark it as missing
+  optional(value, write) {
+    if (value === null || value === undefined) {
+      this.uint8(0);
+    } else {
+      this.uint8(1);
+      write(value);
+    }
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+class ByteReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('Data ends unexpectedly');
+    }
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  uint8() {
+    return this.take(1)[0];
+  }
+
+  uint32() {
+    return this.take(4).readUInt32BE();
+  }
+
+  uint64() {
+    const value = this.take(8).readBigUInt64BE();
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('Integer too large');
+    }
+    return Number(value);
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = this.uint8();
+      value += (byte & 0x7f) * scale;
+      if (!Number.isSafeInteger(value)) {
+        throw new Error('Integer too large');
+      }
+      if ((byte & 0x80) === 0) {
+        if (byte === 0 && scale > 1) {
+          throw new Error('Integer is not minimally encoded');
+        }
+        return value;
+      }
+      scale *= 128;
+    }
+  }
+
+  amount() {
+    const value = this.take(8).readBigUInt64BE();
+    if (value > MAX_AMOUNT) {
+      throw new Error('Amount too large');
+    }
+    return value;
+  }
+
+  bytes() {
+    return this.take(this.varint());
+  }
+
+  string() {
+    return this.bytes().toString('utf8');
+  }
+
+  hex() {
+    return this.bytes().toString('hex');
+  }
+
+  hash() {
+    return this.take(32).toString('hex');
+  }
+
+  // Read a value with the given method if it is present, otherwise return null
+  optional(read) {
+    const present = this.uint8();
+    if (present > 1) {
+      throw new Error(`Invalid presence flag ${present}`);
+    }
+    return present === 1 ? read() : null;
+  }
+
+  // Check that nothing follows the decoded value
+  end() {
+    if (this.offset !== this.buffer.length) {
+      throw new Error('Unexpected data after the end');
+    }
+  }
+}
+
+function writeTransaction(writer, tx, { signed = true } = {}) {
+  writer.varint(tx.version);
+  writer.optional(tx.fromAddress, value => writer.string(value));
+  writer.string(tx.toAddress);
+  writer.amount(tx.amount);
+  writer.amount(tx.fee || 0n);
+  writer.optional(tx.nonce, value => writer.varint(value));
+  writer.varint(tx.timestamp);
+  if (tx.version >= TX_VERSIONS.LOCK_TIME) {
+    writer.optional(tx.lockTime, value => writer.varint(value));
+  } else if (tx.lockTime !== null && tx.lockTime !== undefined) {
+    throw new Error(`Cannot encode a lock time in a version ${tx.version} transaction`);
+  }
+  if (signed) {
+    writer.optional(tx.publicKey, value => writer.hex(value));
+    writer.optional(tx.signature, value => writer.hex(value));
+    if (tx.version >= TX_VERSIONS.MULTISIG) {
+      writer.optional(tx.multisig, value => writeMultisig(writer, value));
+    } else if (tx.multisig) {
+      throw new Error(`Cannot encode multisig signatures in a version ${tx.version} transaction`);
+    }
+    if (tx.version >= TX_VERSIONS.SCRIPT) {
+      writer.optional(tx.script, value => {
+        writer.hex(value.lockingScript);
+        writer.hex(value.unlockingScript);
+      });
+    } else if (tx.script) {
+      throw new Error(`Cannot encode scripts in a version ${tx.version} transaction`);
+    }
+  }
+}
+
+function writeMultisig(writer, { threshold, publicKeys, signatures }) {
+  if (signatures.length !== publicKeys.length) {
+    throw new Error('A multisig transaction needs one signature slot per key');
+  }
+  writer.varint(threshold);
+  writer.varint(publicKeys.length);
+  publicKeys.forEach(key => writer.hex(key));
+  signatures.forEach(signature => writer.optional(signature, value => writer.hex(value)));
+}
+
+function readTransaction(reader) {
+  const tx = {
+    version: reader.varint(),
+    fromAddress: reader.optional(() => reader.string()),
+    toAddress: reader.string(),
+    amount: reader.amount(),
+    fee: reader.amount(),
+    nonce: reader.optional(() => reader.varint()),
+    timestamp: reader.varint()
+  };
+  tx.lockTime = tx.version >= TX_VERSIONS.LOCK_TIME ? reader.optional(() => reader.varint()) : null;
+  tx.publicKey = reader.optional(() => reader.hex());
+  tx.signature = reader.optional(() => reader.hex());
+  tx.multisig = tx.version >= TX_VERSIONS.MULTISIG ? reader.optional(() => readMultisig(reader)) : null;
+  tx.script = tx.version >= TX_VERSIONS.SCRIPT
+    ? reader.optional(() => ({ lockingScript: reader.hex(), unlockingScript: reader.hex() }))
+    : null;
+  return tx;
+}
+
+function readMultisig(reader) {
+  const threshold = reader.varint();
+  const publicKeys = [];
+  for (let count = reader.varint(); count > 0; count--) {
+    publicKeys.push(reader.hex());
+  }
+  const signatures = publicKeys.map(() => reader.optional(() => reader.hex()));
+  return { threshold, publicKeys, signatures };
+}
+
+function writeBlockHeader(writer, block) {
+  writer.uint32(block.version);
+  if (block.previousHash === NO_PARENT) {
+    writer.hash(ZERO_HASH); // A genesis block has no parent
+  } else if (block.previousHash === ZERO_HASH) {
+    throw new Error('The all-zero previous hash is reserved for genesis blocks');
+  } else {
+    writer.hash(block.previousHash);
+  }
+  writer.hash(block.merkleRoot);
+  writer.uint64(block.timestamp);
+  writer.uint32(block.bits);
+  writer.uint64(block.nonce);
+}
+
+function readBlockHeader(reader) {
+  const version = reader.uint32();
+  const previousHash = reader.hash();
+  return {
+    version,
+    previousHash: previousHash === ZERO_HASH ? NO_PARENT : previousHash,
+    merkleRoot: reader.hash(),
+    timestamp: reader.uint64(),
+    bits: reader.uint32(),
+    nonce: reader.uint64()
+  };
+}
+
+/**
+ * Encodes a transaction.
+ * @param {Object} tx - Transaction or its JSON form
+ * @param {Object} [options]
+ * @param {boolean} [options.signed=true] - Include the public key and signature;
+ *   without them the encoding is what canonical transactions hash
+ * @returns {Buffer}
+ */
+function encodeTransaction(tx, options) {
+  const writer = new ByteWriter();
+  writeTransaction(writer, tx, options);
+  return writer.toBuffer();
+}
+
+/**
+ * Decodes a signed transaction.
+ * @param {Buffer} buffer - Output of encodeTransaction
+ * @returns {Object} - The transaction fields
+ */
+function decodeTransaction(buffer) {
+  const reader = new ByteReader(buffer);
+  const tx = readTransaction(reader);
+  reader.end();
+  return tx;
+}
+
+/**
+ * Encodes a block header, the part of a block canonical blocks hash.
+ * @param {Object} block - Block or its JSON form
+ * @returns {Buffer} - HEADER_SIZE bytes
+ */
+function encodeBlockHeader(block) {
+  const writer = new ByteWriter();
+  writeBlockHeader(writer, block);
+  return writer.toBuffer();
+}
+
+/**
+ * Encodes a block with its transactions.
+ * @param {Object} block - Block or its JSON form
+ * @returns {Buffer}
+ */
+function encodeBlock(block) {
+  const writer = new ByteWriter();
+  writeBlockHeader(writer, block);
+  writer.varint(block.index);
+  writer.varint(block.transactions.length);
+  block.transactions.forEach(tx => writeTransaction(writer, tx));
+  return writer.toBuffer();
+}
+
+/**
+ * Decodes a block. The block hash is not part of the encoding.
+ * @param {Buffer} buffer - Output of encodeBlock
+ * @returns {Object} - The block fields, with the transaction fields in transactions
+ */
+function decodeBlock(buffer) {
+  const reader = new ByteReader(buffer);
+  const block = readBlockHeader(reader);
+  block.index = reader.varint();
+  block.transactions = [];
+  for (let count = reader.varint(); count > 0; count--) {
+    block.transactions.push(readTransaction(reader));
+  }
+  reader.end();
+  return block;
+}
+
+module.exports = {
+  TX_VERSIONS,
+  HEADER_SIZE,
+  NO_PARENT,
+  ByteWriter,
+  ByteReader,
+  encodeTransaction,
+  decodeTransaction,
+  encodeBlockHeader,
+  encodeBlock,
+  decodeBlock
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+const Storage = require('./storage');
+const MemoryStorage = require('./memory');
+const MySQLStorage = require('./mysql');
+const SQLiteStorage = require('./sqlite');
+
+const ADAPTERS = {
+  memory: MemoryStorage,
+  mysql: MySQLStorage,
+  sqlite: SQLiteStorage
+};
+
+/**
+ * Resolves a storage adapter from a configuration.
+ * @param {Storage|Object|string} [config] - An adapter instance, an adapter name, or
+ *   an options object with a `type` of 'memory', 'mysql' or 'sqlite'
+ * @returns {Storage} - The storage adapter (in memory when no configuration is given)
+ * @throws {Error} - If the adapter type is unknown
+ */
+function createStorage(config = {}) {
+  if (config instanceof Storage) {
+    return config;
+  }
+  if (typeof config === 'string') {
+    config = { type: config };
+  }
+  const { type = 'memory', ...options } = config;
+  const Adapter = ADAPTERS[type];
+  if (!Adapter) {
+    throw new Error(`Unknown storage type: ${type}`);
+  }
+  return new Adapter(options);
+}
+
+module.exports = {
+  Storage,
+  MemoryStorage,
+  MySQLStorage,
+  SQLiteStorage,
+  createStorage
+};
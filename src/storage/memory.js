@@ -0,0 +1,118 @@
+'use strict';
+
+const Storage = require('./storage');
+
+/**
+ * Storage adapter keeping every record in memory. Nothing survives the process,
+ * which makes it the default for tests and throwaway chains.
+ */
+class MemoryStorage extends Storage {
+  constructor() {
+    super();
+    this.blocks = new Map(); // Block records by hash
+    this.transactions = new Map(); // Transaction records by block hash and hash
+    this.merkleNodes = new Map(); // Merkle node records by block hash
+    this.accounts = new Map(); // Account records by address
+    this.metadata = new Map(); // Metadata values by key
+  }
+
+  async putBlock(record) {
+    if (this.blocks.has(record.hash)) {
+      throw new Error(`Block ${record.hash} already exists`);
+    }
+    this.blocks.set(record.hash, { ...record });
+  }
+
+  async getBlock(hash) {
+    const record = this.blocks.get(hash);
+    return record ? { ...record } : null;
+  }
+
+  async getBlocks() {
+    return [...this.blocks.values()]
+      .sort((a, b) => a.index - b.index)
+      .map(record => ({ ...record }));
+  }
+
+  async getTip() {
+    let tip = null;
+    for (const record of this.blocks.values()) {
+      if (!tip || record.index > tip.index) {
+        tip = record;
+      }
+    }
+    return tip ? { ...tip } : null;
+  }
+
+  async deleteBlock(hash) {
+    this.blocks.delete(hash);
+    for (const [key, record] of this.transactions) {
+      if (record.blockHash === hash) {
+        this.transactions.delete(key);
+      }
+    }
+    this.merkleNodes.delete(hash);
+  }
+
+  async putTransaction(record) {
+    const key = `${record.blockHash}:${record.hash}`;
+    if (this.transactions.has(key)) {
+      throw new Error(`Transaction ${record.hash} already exists`);
+    }
+    this.transactions.set(key, { ...record });
+  }
+
+  async getTransaction(hash) {
+    for (const record of this.transactions.values()) {
+      if (record.hash === hash) {
+        return { ...record };
+      }
+    }
+    return null;
+  }
+
+  async getTransactionsByBlock(blockHash) {
+    return [...this.transactions.values()]
+      .filter(record => record.blockHash === blockHash)
+      .sort((a, b) => a.position - b.position)
+      .map(record => ({ ...record }));
+  }
+
+  async putMerkleNodes(blockHash, nodes) {
+    const stored = this.merkleNodes.get(blockHash) || [];
+    stored.push(...nodes.map(node => ({ ...node })));
+    this.merkleNodes.set(blockHash, stored);
+  }
+
+  async getMerkleNodes(blockHash) {
+    return (this.merkleNodes.get(blockHash) || [])
+      .slice()
+      .sort((a, b) => a.level - b.level || a.index - b.index)
+      .map(node => ({ ...node }));
+  }
+
+  async putAccounts(records) {
+    for (const record of records) {
+      this.accounts.set(record.address, { ...record });
+    }
+  }
+
+  async getAccount(address) {
+    const record = this.accounts.get(address);
+    return record ? { ...record } : null;
+  }
+
+  async getAccounts() {
+    return [...this.accounts.values()].map(record => ({ ...record }));
+  }
+
+  async putMetadata(key, value) {
+    this.metadata.set(key, value);
+  }
+
+  async getMetadata(key) {
+    return this.metadata.has(key) ? this.metadata.get(key) : null;
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,225 @@
+'use strict';
+
+const Storage = require('./storage');
+
+const DEFAULT_CONFIG = {
+  host: 'localhost',
+  port: 3306,
+  user: 'root',
+  password: 'yourpassword',
+  database: 'blockchain'
+};
+
+/**
+ * Storage adapter backed by a MySQL server. The tables are created by
+ * database/create_tables.sql, databases that still store amounts in coins are
+ * converted by database/migrate_amounts_to_base_units.sql, and databases with INT
+ * nonce columns are widened by database/migrate_nonces_to_bigint.sql; the
+ * connection is only opened on first use.
+ */
+class MySQLStorage extends Storage {
+  /**
+   * @param {Object} [config] - Connection options passed to mysql2.createConnection
+   */
+  constructor(config = {}) {
+    super();
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.connection = null; // Opened lazily by connect()
+  }
+
+  /**
+   * Opens the connection if it is not open yet.
+   * @returns {Promise<Object>} - The mysql2 connection
+   */
+  connect() {
+    if (!this.connection) {
+      const mysql = require('mysql2'); // Only required when MySQL is actually used
+      this.connection = new Promise((resolve, reject) => {
+        const db = mysql.createConnection(this.config);
+        db.connect(err => {
+          if (err) return reject(err); // If the server cannot be reached, reject the promise
+          resolve(db);
+        });
+      });
+    }
+    return this.connection;
+  }
+
+  /**
+   * Runs a query on the connection.
+   * @param {string} query - SQL query with ? placeholders
+   * @param {Array} [values] - Values for the placeholders
+   * @returns {Promise<Object[]>} - Result rows
+   */
+  async query(query, values = []) {
+    const db = await this.connect();
+    return new Promise((resolve, reject) => {
+      db.query(query, values, (err, results) => {
+        if (err) return reject(err); // If there is an error, reject the promise
+        resolve(results);
+      });
+    });
+  }
+
+  async putBlock(record) {
+    await this.query(
+      'INSERT INTO blocks (hash, previous_hash, timestamp, nonce, bits, merkle_root, `index`, version) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [record.hash, record.previousHash, record.timestamp, record.nonce, record.bits, record.merkleRoot, record.index, record.version]
+    );
+  }
+
+  async getBlock(hash) {
+    const results = await this.query('SELECT * FROM blocks WHERE hash = ?', [hash]);
+    return results.length > 0 ? toBlockRecord(results[0]) : null;
+  }
+
+  async getBlocks() {
+    const results = await this.query('SELECT * FROM blocks ORDER BY `index` ASC');
+    return results.map(toBlockRecord);
+  }
+
+  async getTip() {
+    const results = await this.query('SELECT * FROM blocks ORDER BY `index` DESC LIMIT 1');
+    return results.length > 0 ? toBlockRecord(results[0]) : null;
+  }
+
+  async deleteBlock(hash) {
+    await this.query('DELETE FROM merkle_nodes WHERE block_hash = ?', [hash]);
+    await this.query('DELETE FROM transactions WHERE block_hash = ?', [hash]);
+    await this.query('DELETE FROM blocks WHERE hash = ?', [hash]);
+  }
+
+  async putTransaction(record) {
+    await this.query(
+      'INSERT INTO transactions (hash, version, from_address, public_key, to_address, amount, fee, nonce, timestamp, lock_time, signature, multisig, script, block_hash, position) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [record.hash, record.version, record.fromAddress, record.publicKey, record.toAddress, String(record.amount), toText(record.fee), record.nonce, record.timestamp, record.lockTime ?? null, record.signature, record.multisig ? JSON.stringify(record.multisig) : null, record.script ? JSON.stringify(record.script) : null, record.blockHash, record.position]
+    );
+  }
+
+  async getTransaction(hash) {
+    const results = await this.query('SELECT * FROM transactions WHERE hash = ? LIMIT 1', [hash]);
+    return results.length > 0 ? toTransactionRecord(results[0]) : null;
+  }
+
+  async getTransactionsByBlock(blockHash) {
+    const results = await this.query('SELECT * FROM transactions WHERE block_hash = ? ORDER BY position ASC', [blockHash]);
+    return results.map(toTransactionRecord);
+  }
+
+  async putMerkleNodes(blockHash, nodes) {
+    for (const node of nodes) {
+      await this.query(
+        'INSERT INTO merkle_nodes (block_hash, node_level, node_index, node_value) VALUES (?, ?, ?, ?)',
+        [blockHash, node.level, node.index, node.value]
+      );
+    }
+  }
+
+  async getMerkleNodes(blockHash) {
+    const results = await this.query(
+      'SELECT * FROM merkle_nodes WHERE block_hash = ? ORDER BY node_level ASC, node_index ASC',
+      [blockHash]
+    );
+    return results.map(toMerkleNodeRecord);
+  }
+
+  async putAccounts(records) {
+    for (const record of records) {
+      await this.query(
+        'INSERT INTO accounts (address, balance, nonce) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE balance = VALUES(balance), nonce = VALUES(nonce)',
+        [record.address, String(record.balance), record.nonce < 0 ? null : record.nonce] // -1 is no nonce yet
+      );
+    }
+  }
+
+  async getAccount(address) {
+    const results = await this.query('SELECT * FROM accounts WHERE address = ?', [address]);
+    return results.length > 0 ? toAccountRecord(results[0]) : null;
+  }
+
+  async getAccounts() {
+    const results = await this.query('SELECT * FROM accounts');
+    return results.map(toAccountRecord);
+  }
+
+  async putMetadata(key, value) {
+    await this.query(
+      'INSERT INTO metadata (`key`, value) VALUES (?, ?) ON DUPLICATE KEY UPDATE value = VALUES(value)',
+      [key, value]
+    );
+  }
+
+  async getMetadata(key) {
+    const results = await this.query('SELECT value FROM metadata WHERE `key` = ?', [key]);
+    return results.length > 0 ? results[0].value : null;
+  }
+
+  async close() {
+    if (this.connection) {
+      const db = await this.connection;
+      this.connection = null;
+      await new Promise(resolve => db.end(() => resolve()));
+    }
+  }
+}
+
+// Map rows of the blocks table to block records
+function toBlockRecord(row) {
+  return {
+    hash: row.hash,
+    previousHash: row.previous_hash,
+    timestamp: Number(row.timestamp),
+    nonce: Number(row.nonce), // BIGINT columns come back as strings with supportBigNumbers
+    difficulty: row.difficulty,
+    bits: row.bits,
+    merkleRoot: row.merkle_root,
+    index: row.index,
+    version: row.version
+  };
+}
+
+// Write an optional amount as a decimal string
+function toText(amount) {
+  return amount === undefined || amount === null ? null : String(amount);
+}
+
+// Map rows of the transactions table to transaction records
+function toTransactionRecord(row) {
+  return {
+    hash: row.hash,
+    version: row.version,
+    fromAddress: row.from_address,
+    publicKey: row.public_key,
+    toAddress: row.to_address,
+    amount: BigInt(row.amount), // mysql2 returns DECIMAL columns as strings
+    fee: row.fee === null ? null : BigInt(row.fee),
+    nonce: row.nonce === null ? null : Number(row.nonce),
+    timestamp: Number(row.timestamp),
+    lockTime: row.lock_time === null ? null : Number(row.lock_time),
+    signature: row.signature,
+    multisig: row.multisig ? JSON.parse(row.multisig) : null,
+    script: row.script ? JSON.parse(row.script) : null,
+    blockHash: row.block_hash,
+    position: row.position
+  };
+}
+
+// Map rows of the merkle_nodes table to Merkle node records
+function toMerkleNodeRecord(row) {
+  return {
+    level: row.node_level,
+    index: row.node_index,
+    value: row.node_value
+  };
+}
+
+// Map rows of the accounts table to account records
+function toAccountRecord(row) {
+  return {
+    address: row.address,
+    balance: BigInt(row.balance),
+    nonce: row.nonce === null ? -1 : Number(row.nonce)
+  };
+}
+
+module.exports = MySQLStorage;
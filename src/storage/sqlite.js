@@ -0,0 +1,380 @@
+'use strict';
+
+const fs = require('fs');
+const Storage = require('./storage');
+const { COIN } = require('../amount');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS blocks (
+  hash TEXT PRIMARY KEY,
+  previous_hash TEXT,
+  timestamp INTEGER,
+  nonce INTEGER,
+  difficulty INTEGER,
+  bits INTEGER,
+  merkle_root TEXT,
+  "index" INTEGER,
+  version INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS transactions (
+  hash TEXT,
+  version INTEGER,
+  from_address TEXT,
+  public_key TEXT,
+  to_address TEXT,
+  amount TEXT,
+  fee TEXT,
+  nonce INTEGER,
+  timestamp INTEGER,
+  lock_time INTEGER,
+  signature TEXT,
+  multisig TEXT,
+  script TEXT,
+  block_hash TEXT REFERENCES blocks(hash),
+  position INTEGER,
+  PRIMARY KEY (hash, block_hash)
+);
+
+CREATE TABLE IF NOT EXISTS merkle_nodes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  block_hash TEXT REFERENCES blocks(hash),
+  node_level INTEGER,
+  node_index INTEGER,
+  node_value TEXT
+);
+
+CREATE TABLE IF NOT EXISTS accounts (
+  address TEXT PRIMARY KEY,
+  balance TEXT,
+  nonce INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS metadata (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+`;
+
+// Columns added to the schema after the first release, added to older database files on open
+const ADDED_COLUMNS = {
+  blocks: { version: 'INTEGER', bits: 'INTEGER' },
+  transactions: { fee: 'TEXT', nonce: 'INTEGER', public_key: 'TEXT', version: 'INTEGER', multisig: 'TEXT', lock_time: 'INTEGER', script: 'TEXT' }
+};
+
+// Amount columns that older database files declare as REAL coins instead of TEXT base units
+const AMOUNT_COLUMNS = {
+  transactions: ['amount', 'fee'],
+  accounts: ['balance']
+};
+
+/**
+ * Embedded storage adapter using SQLite compiled to WebAssembly (sql.js), so no
+ * native build or database server is needed. The database lives in memory and,
+ * when a filename is given, is written back to that file after every change.
+ */
+class SQLiteStorage extends Storage {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filename] - Database file; omit for a purely in-memory database
+   */
+  constructor(options = {}) {
+    super();
+    this.filename = options.filename || null;
+    this.db = null; // Opened lazily by open()
+    this.flushTimer = null; // Pending write of the database file
+  }
+
+  /**
+   * Opens the database, loading the file if it exists, and creates the tables.
+   * @returns {Promise<Object>} - The sql.js database
+   */
+  open() {
+    if (!this.db) {
+      this.db = require('sql.js')().then(SQL => {
+        const data = this.filename && fs.existsSync(this.filename) ? fs.readFileSync(this.filename) : undefined;
+        const db = new SQL.Database(data);
+        db.run(SCHEMA);
+        migrate(db);
+        return db;
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Runs a statement that changes the database and schedules a write of the file.
+   * @param {string} query - SQL statement with ? placeholders
+   * @param {Array} [values] - Values for the placeholders
+   * @returns {Promise<void>}
+   */
+  async run(query, values = []) {
+    const db = await this.open();
+    db.run(query, values.map(value => value === undefined ? null : value));
+    this.scheduleFlush();
+  }
+
+  /**
+   * Runs a query and returns its rows as objects.
+   * @param {string} query - SQL query with ? placeholders
+   * @param {Array} [values] - Values for the placeholders
+   * @returns {Promise<Object[]>} - Result rows
+   */
+  async all(query, values = []) {
+    const db = await this.open();
+    const statement = db.prepare(query);
+    try {
+      statement.bind(values);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  // Coalesce the writes of one block into a single file write
+  scheduleFlush() {
+    if (this.filename && !this.flushTimer) {
+      this.flushTimer = setImmediate(() => this.flush());
+    }
+  }
+
+  /**
+   * Writes the database to its file immediately. The data goes to a temporary file
+   * next to it that then replaces the file, so a crash mid-write leaves the old file.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearImmediate(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.filename && this.db) {
+      const db = await this.db;
+      const temporary = `${this.filename}.${process.pid}.tmp`; // Same directory, so the rename is atomic
+      try {
+        fs.writeFileSync(temporary, Buffer.from(db.export()));
+        fs.renameSync(temporary, this.filename);
+      } catch (error) {
+        fs.rmSync(temporary, { force: true });
+        throw error;
+      }
+    }
+  }
+
+  async putBlock(record) {
+    await this.run(
+      'INSERT INTO blocks (hash, previous_hash, timestamp, nonce, bits, merkle_root, "index", version) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [record.hash, record.previousHash, record.timestamp, record.nonce, record.bits, record.merkleRoot, record.index, record.version]
+    );
+  }
+
+  async getBlock(hash) {
+    const rows = await this.all('SELECT * FROM blocks WHERE hash = ?', [hash]);
+    return rows.length > 0 ? toBlockRecord(rows[0]) : null;
+  }
+
+  async getBlocks() {
+    const rows = await this.all('SELECT * FROM blocks ORDER BY "index" ASC');
+    return rows.map(toBlockRecord);
+  }
+
+  async getTip() {
+    const rows = await this.all('SELECT * FROM blocks ORDER BY "index" DESC LIMIT 1');
+    return rows.length > 0 ? toBlockRecord(rows[0]) : null;
+  }
+
+  async deleteBlock(hash) {
+    await this.run('DELETE FROM merkle_nodes WHERE block_hash = ?', [hash]);
+    await this.run('DELETE FROM transactions WHERE block_hash = ?', [hash]);
+    await this.run('DELETE FROM blocks WHERE hash = ?', [hash]);
+  }
+
+  async putTransaction(record) {
+    await this.run(
+      'INSERT INTO transactions (hash, version, from_address, public_key, to_address, amount, fee, nonce, timestamp, lock_time, signature, multisig, script, block_hash, position) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [record.hash, record.version, record.fromAddress, record.publicKey, record.toAddress, String(record.amount), toText(record.fee), record.nonce, record.timestamp, record.lockTime ?? null, record.signature, toJSONText(record.multisig), toJSONText(record.script), record.blockHash, record.position]
+    );
+  }
+
+  async getTransaction(hash) {
+    const rows = await this.all('SELECT * FROM transactions WHERE hash = ? LIMIT 1', [hash]);
+    return rows.length > 0 ? toTransactionRecord(rows[0]) : null;
+  }
+
+  async getTransactionsByBlock(blockHash) {
+    const rows = await this.all('SELECT * FROM transactions WHERE block_hash = ? ORDER BY position ASC', [blockHash]);
+    return rows.map(toTransactionRecord);
+  }
+
+  async putMerkleNodes(blockHash, nodes) {
+    for (const node of nodes) {
+      await this.run(
+        'INSERT INTO merkle_nodes (block_hash, node_level, node_index, node_value) VALUES (?, ?, ?, ?)',
+        [blockHash, node.level, node.index, node.value]
+      );
+    }
+  }
+
+  async getMerkleNodes(blockHash) {
+    const rows = await this.all(
+      'SELECT * FROM merkle_nodes WHERE block_hash = ? ORDER BY node_level ASC, node_index ASC',
+      [blockHash]
+    );
+    return rows.map(toMerkleNodeRecord);
+  }
+
+  async putAccounts(records) {
+    for (const record of records) {
+      await this.run(
+        'INSERT OR REPLACE INTO accounts (address, balance, nonce) VALUES (?, ?, ?)',
+        [record.address, String(record.balance), record.nonce]
+      );
+    }
+  }
+
+  async getAccount(address) {
+    const rows = await this.all('SELECT * FROM accounts WHERE address = ?', [address]);
+    return rows.length > 0 ? toAccountRecord(rows[0]) : null;
+  }
+
+  async getAccounts() {
+    const rows = await this.all('SELECT * FROM accounts');
+    return rows.map(toAccountRecord);
+  }
+
+  async putMetadata(key, value) {
+    await this.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', [key, value]);
+  }
+
+  async getMetadata(key) {
+    const rows = await this.all('SELECT value FROM metadata WHERE key = ?', [key]);
+    return rows.length > 0 ? rows[0].value : null;
+  }
+
+  async close() {
+    if (this.db) {
+      await this.flush();
+      const db = await this.db;
+      this.db = null;
+      db.close();
+    }
+  }
+}
+
+// Bring tables created by an older version of the schema up to date
+function migrate(db) {
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const existing = getColumns(db, table).map(column => column.name);
+    for (const [column, type] of Object.entries(columns)) {
+      if (!existing.includes(column)) {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    }
+  }
+  migrateAmounts(db);
+}
+
+// Name and declared type of the columns of a table
+function getColumns(db, table) {
+  return db.exec(`PRAGMA table_info(${table})`)[0].values.map(([, name, type]) => ({ name, type }));
+}
+
+// Rebuild tables that store amounts as REAL coins with TEXT base units. A REAL
+// column would turn the text back into a float, so the table is copied rather
+// than updated in place.
+function migrateAmounts(db) {
+  const tables = Object.entries(AMOUNT_COLUMNS).filter(([table, amounts]) =>
+    getColumns(db, table).some(column => amounts.includes(column.name) && column.type === 'REAL'));
+  if (tables.length === 0) {
+    return;
+  }
+  db.run('BEGIN');
+  try {
+    for (const [table] of tables) {
+      db.run(`ALTER TABLE ${table} RENAME TO ${table}_coins`);
+    }
+    db.run(SCHEMA);
+    for (const [table, amounts] of tables) {
+      const names = getColumns(db, table).map(column => `"${column.name}"`);
+      const values = getColumns(db, table).map(({ name }) => amounts.includes(name)
+        ? `CAST(CAST(ROUND("${name}" * ${COIN}) AS INTEGER) AS TEXT)`
+        : `"${name}"`);
+      db.run(`INSERT INTO ${table} (${names.join(', ')}) SELECT ${values.join(', ')} FROM ${table}_coins`);
+      db.run(`DROP TABLE ${table}_coins`);
+    }
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+}
+
+// Write an optional amount as text
+function toText(amount) {
+  return amount === undefined || amount === null ? null : String(amount);
+}
+
+// Write an optional object as JSON text
+function toJSONText(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+// Map rows of the blocks table to block records
+function toBlockRecord(row) {
+  return {
+    hash: row.hash,
+    previousHash: row.previous_hash,
+    timestamp: row.timestamp,
+    nonce: row.nonce,
+    difficulty: row.difficulty,
+    bits: row.bits,
+    merkleRoot: row.merkle_root,
+    index: row.index,
+    version: row.version
+  };
+}
+
+// Map rows of the transactions table to transaction records
+function toTransactionRecord(row) {
+  return {
+    hash: row.hash,
+    version: row.version,
+    fromAddress: row.from_address,
+    publicKey: row.public_key,
+    toAddress: row.to_address,
+    amount: BigInt(row.amount),
+    fee: row.fee === null ? null : BigInt(row.fee),
+    nonce: row.nonce,
+    timestamp: row.timestamp,
+    lockTime: row.lock_time,
+    signature: row.signature,
+    multisig: row.multisig === null ? null : JSON.parse(row.multisig),
+    script: row.script === null ? null : JSON.parse(row.script),
+    blockHash: row.block_hash,
+    position: row.position
+  };
+}
+
+// Map rows of the merkle_nodes table to Merkle node records
+function toMerkleNodeRecord(row) {
+  return {
+    level: row.node_level,
+    index: row.node_index,
+    value: row.node_value
+  };
+}
+
+// Map rows of the accounts table to account records
+function toAccountRecord(row) {
+  return {
+    address: row.address,
+    balance: BigInt(row.balance),
+    nonce: row.nonce
+  };
+}
+
+module.exports = SQLiteStorage;
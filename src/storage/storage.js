@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Base class describing the storage interface used by the blockchain.
+ * Every adapter works with plain records rather than Block/Transaction objects:
+ *
+ * Block record:       { hash, previousHash, timestamp, nonce, bits, merkleRoot, index, version }
+ *                     (blocks stored before compact targets carry a leading-zero `difficulty` instead of `bits`)
+ * Transaction record: { hash, version, fromAddress, publicKey, toAddress, amount, fee, nonce, timestamp, lockTime, signature, multisig, script, blockHash, position }
+ *                     (multisig is { threshold, publicKeys, signatures } for multisig senders, null otherwise)
+ *                     (lockTime is a block height or timestamp for time-locked transactions, null otherwise)
+ *                     (script is { lockingScript, unlockingScript } in hex for script senders, null otherwise)
+ * Merkle node record: { level, index, value }
+ * Account record:     { address, balance, nonce }
+ *
+ * Amounts, fees and balances are BigInts of base units (see amount.js); adapters
+ * store them exactly, as text or as integer decimals.
+ *
+ * Transactions are keyed by hash and block hash together, since two reward
+ * transactions created in the same millisecond share a hash.
+ *
+ * All methods are asynchronous so that adapters backed by a server or a file can
+ * open their connection lazily on first use.
+ */
+class Storage {
+  /**
+   * Stores a block record.
+   * @param {Object} record - Block record
+   * @returns {Promise<void>}
+   */
+  async putBlock(record) {
+    throw new Error(`${this.constructor.name} does not implement putBlock()`);
+  }
+
+  /**
+   * Loads a block record by hash.
+   * @param {string} hash - Hash of the block
+   * @returns {Promise<Object|null>} - Block record or null if not found
+   */
+  async getBlock(hash) {
+    throw new Error(`${this.constructor.name} does not implement getBlock()`);
+  }
+
+  /**
+   * Loads every stored block record, ordered by index.
+   * @returns {Promise<Object[]>} - Block records
+   */
+  async getBlocks() {
+    throw new Error(`${this.constructor.name} does not implement getBlocks()`);
+  }
+
+  /**
+   * Loads the block record with the highest index.
+   * @returns {Promise<Object|null>} - Block record or null if the storage is empty
+   */
+  async getTip() {
+    throw new Error(`${this.constructor.name} does not implement getTip()`);
+  }
+
+  /**
+   * Returns the index of the tip block.
+   * @returns {Promise<number>} - Height of the stored chain, -1 if the storage is empty
+   */
+  async getHeight() {
+    const tip = await this.getTip();
+    return tip ? tip.index : -1;
+  }
+
+  /**
+   * Removes a block record together with its transactions and Merkle nodes,
+   * e.g. when the block left the chain in a reorganization.
+   * @param {string} hash - Hash of the block
+   * @returns {Promise<void>}
+   */
+  async deleteBlock(hash) {
+    throw new Error(`${this.constructor.name} does not implement deleteBlock()`);
+  }
+
+  /**
+   * Stores a transaction record.
+   * @param {Object} record - Transaction record
+   * @returns {Promise<void>}
+   */
+  async putTransaction(record) {
+    throw new Error(`${this.constructor.name} does not implement putTransaction()`);
+  }
+
+  /**
+   * Loads a transaction record by hash.
+   * @param {string} hash - Hash of the transaction
+   * @returns {Promise<Object|null>} - First matching transaction record or null if not found
+   */
+  async getTransaction(hash) {
+    throw new Error(`${this.constructor.name} does not implement getTransaction()`);
+  }
+
+  /**
+   * Loads the transaction records of a block, in block order.
+   * @param {string} blockHash - Hash of the block
+   * @returns {Promise<Object[]>} - Transaction records
+   */
+  async getTransactionsByBlock(blockHash) {
+    throw new Error(`${this.constructor.name} does not implement getTransactionsByBlock()`);
+  }
+
+  /**
+   * Stores the Merkle tree nodes of a block.
+   * @param {string} blockHash - Hash of the block
+   * @param {Object[]} nodes - Merkle node records
+   * @returns {Promise<void>}
+   */
+  async putMerkleNodes(blockHash, nodes) {
+    throw new Error(`${this.constructor.name} does not implement putMerkleNodes()`);
+  }
+
+  /**
+   * Loads the Merkle tree nodes of a block, ordered by level and index.
+   * @param {string} blockHash - Hash of the block
+   * @returns {Promise<Object[]>} - Merkle node records
+   */
+  async getMerkleNodes(blockHash) {
+    throw new Error(`${this.constructor.name} does not implement getMerkleNodes()`);
+  }
+
+  /**
+   * Stores account records, replacing the records of the same addresses.
+   * @param {Object[]} records - Account records
+   * @returns {Promise<void>}
+   */
+  async putAccounts(records) {
+    throw new Error(`${this.constructor.name} does not implement putAccounts()`);
+  }
+
+  /**
+   * Loads an account record by address.
+   * @param {string} address - Address of the account
+   * @returns {Promise<Object|null>} - Account record or null if not found
+   */
+  async getAccount(address) {
+    throw new Error(`${this.constructor.name} does not implement getAccount()`);
+  }
+
+  /**
+   * Loads every stored account record.
+   * @returns {Promise<Object[]>} - Account records
+   */
+  async getAccounts() {
+    throw new Error(`${this.constructor.name} does not implement getAccounts()`);
+  }
+
+  /**
+   * Stores a metadata value, replacing any previous value of the key.
+   * @param {string} key - Metadata key
+   * @param {string} value - Metadata value
+   * @returns {Promise<void>}
+   */
+  async putMetadata(key, value) {
+    throw new Error(`${this.constructor.name} does not implement putMetadata()`);
+  }
+
+  /**
+   * Loads a metadata value.
+   * @param {string} key - Metadata key
+   * @returns {Promise<string|null>} - The value or null if not set
+   */
+  async getMetadata(key) {
+    throw new Error(`${this.constructor.name} does not implement getMetadata()`);
+  }
+
+  /**
+   * Releases any resources held by the adapter.
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Keeps JSON dumps of a blockchain from including the adapter internals.
+   * @returns {Object} - Name of the adapter
+   */
+  toJSON() {
+    return { type: this.constructor.name };
+  }
+}
+
+module.exports = Storage;
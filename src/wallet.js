@@ -0,0 +1,206 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const EC = require('elliptic').ec;
+const { Transaction } = require('./blockchain');
+const { parseAmount } = require('./amount');
+const { publicKeyToAddress, isValidAddress, isLegacyAddress } = require('./address');
+
+const ec = new EC('secp256k1');
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1; // Format version written to keystore files
+const CIPHER = 'aes-256-gcm'; // Authenticated, so a wrong password cannot go unnoticed
+const DEFAULT_KDF_PARAMS = { n: 16384, r: 8, p: 1 }; // scrypt cost parameters for new keystores
+const MAX_KDF_N = 1 << 20; // Highest scrypt cost accepted from a keystore file
+const MAX_KDF_R = 32; // Highest scrypt block size accepted from a keystore file
+const MAX_KDF_P = 16; // Highest scrypt parallelization accepted from a keystore file
+
+/**
+ * A key pair with its address. Wallets are kept on disk as keystores: JSON files
+ * holding the address and the private key encrypted with AES-256-GCM under a key
+ * derived from a password with scrypt:
+ *
+ *   { version, address, crypto: { cipher, ciphertext, iv, authTag,
+ *                                 kdf: 'scrypt', kdfparams: { n, r, p, dklen, salt } } }
+ */
+class Wallet {
+  /**
+   * @param {Object} keyPair - An elliptic secp256k1 key pair with a private key
+   */
+  constructor(keyPair) {
+    this.keyPair = keyPair;
+    this.publicKey = keyPair.getPublic(true, 'hex'); // Compressed public key in hex
+    this.address = publicKeyToAddress(this.publicKey);
+  }
+
+  /**
+   * Creates a wallet with a new random key pair.
+   * @returns {Wallet}
+   */
+  static generate() {
+    return new Wallet(ec.genKeyPair());
+  }
+
+  /**
+   * Creates a wallet from an existing private key.
+   * @param {string} privateKey - Private key in hex
+   * @returns {Wallet}
+   */
+  static fromPrivateKey(privateKey) {
+    if (!/^[0-9a-f]{1,64}$/i.test(privateKey)) {
+      throw new Error('Private key must be up to 64 hex characters');
+    }
+    return new Wallet(ec.keyFromPrivate(privateKey, 'hex'));
+  }
+
+  /**
+   * @returns {string} - The private key in hex, zero-padded to 64 characters
+   */
+  getPrivateKey() {
+    return this.keyPair.getPrivate('hex').padStart(64, '0');
+  }
+
+  /**
+   * Creates a transaction from this wallet and signs it.
+   * @param {string} toAddress - Checksummed or legacy address of the recipient
+   * @param {bigint|number|string} amount - Base units to send
+   * @param {Object} options
+   * @param {number} options.nonce - Sender nonce, see Blockchain.getNextNonce
+   * @param {bigint|number|string} [options.fee=0] - Base units paid to the miner
+   * @param {number|null} [options.lockTime=null] - Block height, or timestamp in milliseconds from
+   *   LOCK_TIME_THRESHOLD on, before which the transaction cannot be mined
+   * @returns {Transaction} - The signed transaction
+   * @throws {Error} - If the recipient address is malformed
+   */
+  createTransaction(toAddress, amount, { nonce, fee = 0, lockTime = null }) {
+    if (!isValidAddress(toAddress) && !isLegacyAddress(toAddress)) {
+      throw new Error(`Invalid recipient address ${toAddress}; check it for typos`);
+    }
+    const tx = new Transaction(this.address, toAddress, amount);
+    tx.fee = parseAmount(fee, 'Fee');
+    tx.nonce = nonce;
+    tx.lockTime = lockTime;
+    tx.sign(this.keyPair);
+    return tx;
+  }
+
+  /**
+   * Adds this wallet's signature to a transaction, such as a multisig transaction
+   * that other keys sign too.
+   * @param {Transaction} transaction - Transaction from this wallet's address, or from a
+   *   multisig address this wallet's key belongs to
+   * @returns {Transaction} - The same transaction, signed
+   * @throws {Error} - If the key cannot sign for the sender
+   */
+  signTransaction(transaction) {
+    transaction.sign(this.keyPair);
+    return transaction;
+  }
+
+  /**
+   * Signs a transaction from a script address, for its unlocking script.
+   * @param {Transaction} transaction - Transaction whose locking script checks this wallet's key
+   * @returns {string} - DER signature in hex, to push with the public key where the script expects them
+   */
+  createSignature(transaction) {
+    return transaction.createSignature(this.keyPair);
+  }
+
+  /**
+   * Encrypts the private key with a password.
+   * @param {string} password - Password protecting the keystore
+   * @param {Object} [kdfParams] - scrypt cost parameters { n, r, p }
+   * @returns {Promise<Object>} - The keystore
+   */
+  async encrypt(password, kdfParams = DEFAULT_KDF_PARAMS) {
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const params = { ...kdfParams, dklen: 32, salt: salt.toString('hex') };
+    const key = await deriveKey(password, params);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(this.getPrivateKey(), 'hex'), cipher.final()]);
+    return {
+      version: KEYSTORE_VERSION,
+      address: this.address,
+      crypto: {
+        cipher: CIPHER,
+        ciphertext: ciphertext.toString('hex'),
+        iv: iv.toString('hex'),
+        authTag: cipher.getAuthTag().toString('hex'),
+        kdf: 'scrypt',
+        kdfparams: params
+      }
+    };
+  }
+
+  /**
+   * Decrypts a keystore.
+   * @param {Object} keystore - The keystore
+   * @param {string} password - Its password
+   * @returns {Promise<Wallet>} - The wallet
+   * @throws {Error} - If the password is wrong or the keystore is damaged
+   */
+  static async decrypt(keystore, password) {
+    const { version, crypto: params } = keystore || {};
+    if (version !== KEYSTORE_VERSION || !params || params.cipher !== CIPHER || params.kdf !== 'scrypt') {
+      throw new Error('Unsupported keystore format');
+    }
+    const key = await deriveKey(password, params.kdfparams);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(params.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(params.authTag, 'hex'));
+    let privateKey;
+    try {
+      privateKey = Buffer.concat([decipher.update(params.ciphertext, 'hex'), decipher.final()]).toString('hex');
+    } catch (error) {
+      throw new Error('Wrong password or damaged keystore');
+    }
+    const wallet = Wallet.fromPrivateKey(privateKey);
+    if (wallet.address !== keystore.address) {
+      throw new Error('Keystore address does not match its key');
+    }
+    return wallet;
+  }
+
+  /**
+   * Writes the wallet to a new keystore file, readable by the owner only. An
+   * existing file is never overwritten, so a key cannot be lost by accident.
+   * @param {string} filename - Path of the keystore file
+   * @param {string} password - Password protecting the keystore
+   * @param {Object} [kdfParams] - scrypt cost parameters { n, r, p }
+   * @returns {Promise<void>}
+   */
+  async save(filename, password, kdfParams) {
+    const keystore = await this.encrypt(password, kdfParams);
+    await fs.promises.writeFile(filename, JSON.stringify(keystore, null, 2) + '\n', { flag: 'wx', mode: 0o600 });
+  }
+
+  /**
+   * Reads a wallet from a keystore file.
+   * @param {string} filename - Path of the keystore file
+   * @param {string} password - Its password
+   * @returns {Promise<Wallet>} - The wallet
+   */
+  static async load(filename, password) {
+    const keystore = JSON.parse(await fs.promises.readFile(filename, 'utf8'));
+    return Wallet.decrypt(keystore, password);
+  }
+}
+
+// Derive the encryption key of a keystore from its password, refusing parameters
+// that would make a crafted keystore take unbounded time or memory
+function deriveKey(password, { n, r, p, dklen, salt }) {
+  if (!Number.isInteger(n) || n < 2 || n > MAX_KDF_N ||
+    !Number.isInteger(r) || r < 1 || r > MAX_KDF_R ||
+    !Number.isInteger(p) || p < 1 || p > MAX_KDF_P ||
+    dklen !== 32) {
+    throw new Error('Unsupported keystore key derivation parameters');
+  }
+  return scrypt(String(password), Buffer.from(salt, 'hex'), dklen, { N: n, r, p, maxmem: 256 * n * r });
+}
+
+Wallet.KEYSTORE_VERSION = KEYSTORE_VERSION;
+
+module.exports = Wallet;
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const AccountState = require('../src/accountState');
+const { Block, Transaction } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage');
+const { coins, createSignedTx, signingKey } = require('./helpers');
+
+describe('AccountState', function() {
+  const walletAddress = signingKey.getPublic('hex');
+  let genesis = null;
+  let funding = null;
+
+  beforeEach(function() {
+    genesis = new Block(0, '0', 1, []);
+    funding = new Block(1, genesis.hash, 2, [new Transaction(null, walletAddress, coins(100))]);
+  });
+
+  it('should default unknown addresses to an empty account', function() {
+    const state = new AccountState();
+    assert.strictEqual(state.getBalance('nobody'), 0n);
+    assert.strictEqual(state.getNonce('nobody'), -1);
+  });
+
+  it('should apply transfers, fees and nonces', function() {
+    const tx = createSignedTx(30, 'b2', 5);
+    const state = AccountState.fromChain([genesis, funding, new Block(2, funding.hash, 3, [tx])]);
+    assert.strictEqual(state.getBalance(walletAddress), coins(65));
+    assert.strictEqual(state.getBalance('b2'), coins(30));
+    assert.strictEqual(state.getNonce(walletAddress), tx.nonce);
+  });
+
+  it('should revert the tip block', function() {
+    const state = AccountState.fromChain([genesis, funding]);
+    const before = AccountState.fromChain([genesis, funding]);
+    const block = new Block(2, funding.hash, 3, [createSignedTx(30, 'b2', 5)]);
+    state.applyBlock(block);
+    state.revertBlock(block);
+    assert(state.equals(before));
+    assert.strictEqual(state.tipHash, funding.hash);
+    assert.strictEqual(state.accounts.has('b2'), false);
+  });
+
+  it('should index where transactions are until their block is reverted', function() {
+    const state = AccountState.fromChain([genesis, funding]);
+    const tx = createSignedTx(30, 'b2', 5);
+    const block = new Block(2, funding.hash, 3, [tx]);
+    state.applyBlock(block);
+    assert.deepStrictEqual(state.findTransaction(tx.hash), { block, index: 0 });
+    assert.strictEqual(state.findTransaction(funding.transactions[0].hash).block, funding);
+    state.revertBlock(block);
+    assert.strictEqual(state.findTransaction(tx.hash), null);
+  });
+
+  it('should only revert the tip block', function() {
+    const state = AccountState.fromChain([genesis, funding]);
+    assert.throws(() => state.revertBlock(genesis), /Cannot revert block/);
+  });
+
+  it('should save and load the state of a tip', async function() {
+    const storage = new MemoryStorage();
+    const state = AccountState.fromChain([genesis, funding]);
+    await state.save(storage);
+
+    const loaded = await AccountState.load(storage, funding.hash);
+    assert(loaded.equals(state));
+    assert.strictEqual(loaded.findTransaction(funding.transactions[0].hash), null);
+    loaded.indexTransactions([genesis, funding]);
+    assert.strictEqual(loaded.findTransaction(funding.transactions[0].hash).block, funding);
+    assert.strictEqual(await AccountState.load(storage, genesis.hash), null);
+  });
+});
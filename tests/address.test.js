@@ -0,0 +1,55 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const {
+  base58Encode,
+  base58Decode,
+  compressPublicKey,
+  publicKeyToAddress,
+  isValidAddress,
+  isLegacyAddress
+} = require('../src/address');
+
+const ec = new EC('secp256k1');
+
+describe('Addresses', function() {
+  const keyPair = ec.genKeyPair();
+
+  it('should round-trip Base58 with leading zero bytes', function() {
+    const bytes = Buffer.from('0000ff10a0', 'hex');
+    assert.strictEqual(base58Encode(bytes), '11' + base58Encode(Buffer.from('ff10a0', 'hex')));
+    assert(base58Decode(base58Encode(bytes)).equals(bytes));
+    assert.strictEqual(base58Decode('0OIl'), null);
+  });
+
+  it('should match a known Base58 encoding', function() {
+    assert.strictEqual(base58Encode(Buffer.from('hello world')), 'StV1DL6CwTryKyV');
+  });
+
+  it('should derive short checksummed addresses from public keys', function() {
+    const address = publicKeyToAddress(keyPair.getPublic('hex'));
+    assert.strictEqual(address.length, 34);
+    assert.strictEqual(address[0], 'A');
+    assert(isValidAddress(address));
+  });
+
+  it('should derive the same address from the compressed and uncompressed key', function() {
+    const compressed = keyPair.getPublic(true, 'hex');
+    assert.strictEqual(compressPublicKey(keyPair.getPublic('hex')), compressed);
+    assert.strictEqual(publicKeyToAddress(compressed), publicKeyToAddress(keyPair.getPublic('hex')));
+  });
+
+  it('should detect typos with the checksum', function() {
+    const address = publicKeyToAddress(keyPair.getPublic('hex'));
+    const last = address[address.length - 1];
+    const typo = address.slice(0, -1) + (last === 'z' ? 'y' : 'z');
+    assert.strictEqual(isValidAddress(typo), false);
+    assert.strictEqual(isValidAddress(address.slice(1)), false);
+    assert.strictEqual(isValidAddress(null), false);
+  });
+
+  it('should recognize legacy public key addresses', function() {
+    assert(isLegacyAddress(keyPair.getPublic('hex')));
+    assert(!isLegacyAddress(publicKeyToAddress(keyPair.getPublic('hex'))));
+    assert(!isLegacyAddress('b2'));
+  });
+});
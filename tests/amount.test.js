@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { COIN, MAX_AMOUNT, parseAmount, parseCoins, formatAmount, toLegacyCoins } = require('../src/amount');
+const { Transaction } = require('../src/blockchain');
+const { coins, createSignedTx } = require('./helpers');
+
+describe('Amounts', function() {
+  it('should read integer base units', function() {
+    assert.strictEqual(parseAmount(5n), 5n);
+    assert.strictEqual(parseAmount(5), 5n);
+    assert.strictEqual(parseAmount('9223372036854775807'), MAX_AMOUNT);
+    assert.strictEqual(parseAmount('0'), 0n);
+  });
+
+  it('should reject fractional, negative, overflowing and malformed amounts', function() {
+    for (const value of [1.5, -1, -1n, MAX_AMOUNT + 1n, '9223372036854775808', '1.5', '01', '', ' 1', '1e3', null, Number.MAX_SAFE_INTEGER + 1]) {
+      assert.throws(() => parseAmount(value), { code: 'INVALID_AMOUNT' }, String(value));
+    }
+    assert.throws(() => parseAmount(-1, 'Fee'), /^Error: Fee must be between/);
+  });
+
+  it('should read and write coins with eight decimals', function() {
+    assert.strictEqual(parseCoins('1.5'), 150000000n);
+    assert.strictEqual(parseCoins('0.00000001'), 1n);
+    assert.strictEqual(parseCoins('42'), 42n * COIN);
+    assert.strictEqual(formatAmount(150000000n), '1.50000000');
+    assert.strictEqual(formatAmount(1n), '0.00000001');
+    assert.strictEqual(formatAmount(-coins(2)), '-2.00000000');
+    assert.strictEqual(formatAmount(MAX_AMOUNT), '92233720368.54775807');
+    for (const text of ['0.123456789', '1.', '.5', '-1', '1,5', 'abc']) {
+      assert.throws(() => parseCoins(text), { code: 'INVALID_AMOUNT' }, text);
+    }
+  });
+
+  it('should add up exactly where floating-point coins would not', function() {
+    const tenth = parseCoins('0.1');
+    const twentieth = parseCoins('0.2');
+    assert.strictEqual(formatAmount(tenth + twentieth), '0.30000000');
+    assert.notStrictEqual(0.1 + 0.2, 0.3);
+    assert.strictEqual(toLegacyCoins(parseCoins('2.5')), 2.5);
+  });
+
+  it('should keep amounts above 2^53 exact through JSON and the binary encoding', function() {
+    const tx = createSignedTx();
+    const large = new Transaction(null, 'miner', MAX_AMOUNT - 1n);
+    assert.strictEqual(Transaction.fromJSON(JSON.parse(JSON.stringify(large))).amount, MAX_AMOUNT - 1n);
+    assert.strictEqual(Transaction.deserialize(large.serialize()).amount, MAX_AMOUNT - 1n);
+    assert.strictEqual(JSON.parse(JSON.stringify(tx)).amount, String(coins(10)));
+  });
+});
@@ -0,0 +1,300 @@
+const assert = require('assert');
+const Ajv = require('ajv');
+const { Blockchain, Transaction } = require('../src/blockchain');
+const { ApiServer, schemas } = require('../src/api');
+const { MAX_AMOUNT } = require('../src/amount');
+const Wallet = require('../src/wallet');
+const MultisigWallet = require('../src/multisigWallet');
+const ScriptWallet = require('../src/scriptWallet');
+const { Miner } = require('../src/miner');
+const { compile } = require('../src/script');
+const { coins, createSignedTx, signingKey } = require('./helpers');
+
+const ajv = new Ajv({ schemas: Object.values(schemas) });
+
+// Assert that a response body matches one of the API schemas
+function assertSchema(schemaId, body) {
+  const validate = ajv.getSchema(schemaId);
+  assert(validate(body), JSON.stringify(validate.errors));
+}
+
+describe('HTTP API', function() {
+  const walletAddress = signingKey.getPublic('hex');
+  let blockchain = null;
+  let api = null;
+  let baseUrl = null;
+
+  async function request(method, path, body) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeEach(async function() {
+    blockchain = new Blockchain();
+    await blockchain.minePendingTransactions(walletAddress);
+    api = new ApiServer(blockchain);
+    const address = await api.listen();
+    baseUrl = `http://127.0.0.1:${address.port}`;
+  });
+
+  afterEach(async function() {
+    await api.close();
+  });
+
+  describe('GET /blocks', function() {
+    it('should list blocks with pagination', async function() {
+      await blockchain.minePendingTransactions(walletAddress);
+      const { status, body } = await request('GET', '/blocks?offset=1&limit=1');
+      assert.strictEqual(status, 200);
+      assertSchema('blockPage', body);
+      assert.strictEqual(body.total, 3);
+      assert.deepStrictEqual(body.items.map(block => block.hash), [blockchain.chain[1].hash]);
+    });
+
+    it('should reject invalid pagination', async function() {
+      assert.strictEqual((await request('GET', '/blocks?limit=0')).status, 400);
+      const { status, body } = await request('GET', '/blocks?offset=-1');
+      assert.strictEqual(status, 400);
+      assertSchema('error', body);
+      assert.strictEqual(body.error.code, 'INVALID_PAGINATION');
+    });
+  });
+
+  describe('GET /blocks/:hash', function() {
+    it('should return a block', async function() {
+      const { status, body } = await request('GET', `/blocks/${blockchain.chain[1].hash}`);
+      assert.strictEqual(status, 200);
+      assertSchema('block', body);
+      assert.strictEqual(body.index, 1);
+    });
+
+    it('should answer 404 for unknown blocks', async function() {
+      const { status, body } = await request('GET', '/blocks/missing');
+      assert.strictEqual(status, 404);
+      assert.strictEqual(body.error.code, 'BLOCK_NOT_FOUND');
+    });
+
+    it('should answer 400 for malformed percent-encoding', async function() {
+      const { status, body } = await request('GET', '/blocks/%E0%A4%A');
+      assert.strictEqual(status, 400);
+      assertSchema('error', body);
+      assert.strictEqual(body.error.code, 'INVALID_PATH');
+    });
+  });
+
+  describe('transactions', function() {
+    it('should accept a signed transaction and report it as pending', async function() {
+      const tx = createSignedTx(10, 'b2', 1);
+      const posted = await request('POST', '/transactions', tx);
+      assert.strictEqual(posted.status, 201);
+      assert.strictEqual(blockchain.pendingTransactions[0].hash, tx.hash);
+
+      const { status, body } = await request('GET', `/tx/${tx.hash}`);
+      assert.strictEqual(status, 200);
+      assertSchema('transactionStatus', body);
+      assert.strictEqual(body.status, 'pending');
+    });
+
+    it('should report mined transactions with their block', async function() {
+      const tx = createSignedTx();
+      blockchain.addTransaction(tx);
+      await blockchain.minePendingTransactions(walletAddress);
+      const { body } = await request('GET', `/tx/${tx.hash}`);
+      assert.strictEqual(body.status, 'confirmed');
+      assert.strictEqual(body.blockIndex, 2);
+    });
+
+    it('should reject bodies that do not match the schema', async function() {
+      const { status, body } = await request('POST', '/transactions', { fromAddress: walletAddress });
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.error.code, 'INVALID_REQUEST');
+      assert(Array.isArray(body.error.details));
+    });
+
+    it('should reject malformed JSON', async function() {
+      const { status, body } = await request('POST', '/transactions', '{');
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.error.code, 'INVALID_JSON');
+    });
+
+    it('should map validation errors to status codes', async function() {
+      const tampered = createSignedTx();
+      tampered.amount = 20;
+      assert.strictEqual((await request('POST', '/transactions', Transaction.fromJSON(tampered))).status, 400);
+
+      const tx = createSignedTx();
+      await request('POST', '/transactions', tx);
+      const duplicate = await request('POST', '/transactions', tx);
+      assert.strictEqual(duplicate.status, 409);
+      assert.strictEqual(duplicate.body.error.code, 'DUPLICATE_TRANSACTION');
+
+      const tooMuch = await request('POST', '/transactions', createSignedTx(1000));
+      assert.strictEqual(tooMuch.status, 422);
+      assert.strictEqual(tooMuch.body.error.code, 'INSUFFICIENT_BALANCE');
+    });
+
+    it('should reject a hash that does not match the contents', async function() {
+      const tx = createSignedTx();
+      const { status } = await request('POST', '/transactions', { ...tx.toJSON(), hash: 'f'.repeat(64) });
+      assert.strictEqual(status, 400);
+    });
+
+    it('should accept multisig transactions signed by enough keys', async function() {
+      const officers = [Wallet.generate(), Wallet.generate()];
+      const treasury = new MultisigWallet(officers.map(officer => officer.publicKey), 2);
+      await blockchain.minePendingTransactions(treasury.address);
+      const tx = treasury.createTransaction(officers[0].address, coins(5), { nonce: 0 });
+      officers[0].signTransaction(tx);
+      const partial = await request('POST', '/transactions', tx);
+      assert.strictEqual(partial.status, 422);
+      assert.strictEqual(partial.body.error.code, 'INSUFFICIENT_SIGNATURES');
+
+      officers[1].signTransaction(tx);
+      assert.strictEqual((await request('POST', '/transactions', tx)).status, 201);
+      const { body } = await request('GET', `/tx/${tx.hash}`);
+      assertSchema('transactionStatus', body);
+      assert.deepStrictEqual(body.transaction.multisig, tx.multisig);
+    });
+
+    it('should accept transactions unlocked by their scripts', async function() {
+      const [first, second] = [Wallet.generate(), Wallet.generate()];
+      const escrow = ScriptWallet.eitherKey(first.publicKey, second.publicKey);
+      await blockchain.minePendingTransactions(escrow.address);
+      const tx = escrow.createTransaction(first.address, coins(5), { nonce: 0 });
+      tx.script.unlockingScript = compile(`<${second.createSignature(tx)}> 1`);
+      const failed = await request('POST', '/transactions', tx);
+      assert.strictEqual(failed.status, 422);
+      assert.strictEqual(failed.body.error.code, 'SCRIPT_FAILED');
+
+      ScriptWallet.unlock(tx, `<${second.createSignature(tx)}> 0`);
+      assert.strictEqual((await request('POST', '/transactions', tx)).status, 201);
+    });
+
+    it('should reject amounts that are not integer base units', async function() {
+      const tx = createSignedTx().toJSON();
+      for (const amount of [10, '1.5', '-1', '01']) {
+        const { status, body } = await request('POST', '/transactions', { ...tx, amount });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error.code, 'INVALID_REQUEST');
+      }
+      const overflow = await request('POST', '/transactions', { ...tx, amount: String(MAX_AMOUNT + 1n) });
+      assert.strictEqual(overflow.status, 400);
+      assert.strictEqual(overflow.body.error.code, 'INVALID_AMOUNT');
+    });
+  });
+
+  describe('GET /address/:address/balance', function() {
+    it('should report confirmed and spendable balances', async function() {
+      blockchain.addTransaction(createSignedTx(30, 'b2', 2));
+      const { status, body } = await request('GET', `/address/${walletAddress}/balance`);
+      assert.strictEqual(status, 200);
+      assertSchema('balance', body);
+      assert.strictEqual(body.balance, String(coins(100)));
+      assert.strictEqual(body.spendable, String(coins(68)));
+    });
+  });
+
+  describe('GET /address/:address/scheduled', function() {
+    it('should list the transactions held by their lock time', async function() {
+      const tx = new Transaction(walletAddress, 'b2', coins(5));
+      tx.nonce = blockchain.getNextNonce(walletAddress);
+      tx.lockTime = 10;
+      tx.sign(signingKey);
+      assert.strictEqual((await request('POST', '/transactions', tx.toJSON())).status, 201);
+
+      const { status, body } = await request('GET', '/address/b2/scheduled');
+      assert.strictEqual(status, 200);
+      assertSchema('scheduledTransactions', body);
+      assert.strictEqual(body.height, 1);
+      assert.deepStrictEqual(body.transactions.map(scheduled => [scheduled.hash, scheduled.lockTime]), [[tx.hash, 10]]);
+    });
+  });
+
+  describe('POST /mine', function() {
+    it('should mine the pending transactions', async function() {
+      blockchain.addTransaction(createSignedTx());
+      const { status, body } = await request('POST', '/mine', { minerAddress: 'miner-address' });
+      assert.strictEqual(status, 201);
+      assertSchema('block', body);
+      assert.strictEqual(body.transactions.length, 2);
+      assert.strictEqual(blockchain.pendingTransactions.length, 0);
+    });
+
+    it('should require a miner address', async function() {
+      assert.strictEqual((await request('POST', '/mine', {})).status, 400);
+    });
+
+    it('should mine on worker threads when given a miner', async function() {
+      await api.close();
+      const miner = new Miner({ threads: 1 });
+      api = new ApiServer(blockchain, { miner });
+      baseUrl = `http://127.0.0.1:${(await api.listen()).port}`;
+      blockchain.addTransaction(createSignedTx());
+      const { status, body } = await request('POST', '/mine', { minerAddress: 'miner-address' });
+      await miner.close();
+      assert.strictEqual(status, 201);
+      assertSchema('block', body);
+      assert.strictEqual(body.hash, blockchain.getLatestBlock().hash);
+      assert.strictEqual(blockchain.pendingTransactions.length, 0);
+    });
+  });
+
+  describe('external mining', function() {
+    it('should hand out a template and add the block solving it', async function() {
+      const tx = createSignedTx();
+      blockchain.addTransaction(tx);
+      const template = await request('POST', '/mining/template', { minerAddress: 'miner-address', worker: 'rig-1' });
+      assert.strictEqual(template.status, 201);
+      assertSchema('blockTemplate', template.body);
+      assert.deepStrictEqual(template.body.transactions.map(({ hash }) => hash), [tx.hash]);
+
+      // Every hash meets the target of the test chain
+      const { status, body } = await request('POST', '/mining/submit', { templateId: template.body.templateId, nonce: 0 });
+      assert.strictEqual(status, 201);
+      assertSchema('solutionResult', body);
+      assert.deepStrictEqual(body, { status: 'block', hash: blockchain.getLatestBlock().hash, height: 2 });
+      assert.strictEqual(blockchain.pendingTransactions.length, 0);
+
+      const stats = await request('GET', '/mining/stats');
+      assert.strictEqual(stats.status, 200);
+      assertSchema('miningStats', stats.body);
+      assert.deepStrictEqual(stats.body.workers.map(({ worker, shares, blocks }) => [worker, shares, blocks]), [['rig-1', 1, 1]]);
+    });
+
+    it('should map solution errors to status codes', async function() {
+      const { body: template } = await request('POST', '/mining/template', { minerAddress: 'miner-address' });
+      assert.strictEqual((await request('POST', '/mining/submit', { templateId: 'missing', nonce: 0 })).status, 404);
+      assert.strictEqual((await request('POST', '/mining/submit', { templateId: template.templateId, nonce: -1 })).status, 400);
+      await blockchain.minePendingTransactions('competitor');
+      const { status, body } = await request('POST', '/mining/submit', { templateId: template.templateId, nonce: 0 });
+      assert.strictEqual(status, 409);
+      assertSchema('error', body);
+      assert.strictEqual(body.error.code, 'STALE_TEMPLATE');
+    });
+
+    it('should answer 404 when external mining is disabled', async function() {
+      await api.close();
+      api = new ApiServer(blockchain, { pool: false });
+      baseUrl = `http://127.0.0.1:${(await api.listen()).port}`;
+      assert.strictEqual((await request('GET', '/mining/stats')).status, 404);
+    });
+  });
+
+  describe('GET /chain/valid', function() {
+    it('should validate the chain', async function() {
+      const { status, body } = await request('GET', '/chain/valid');
+      assert.strictEqual(status, 200);
+      assertSchema('chainValidity', body);
+      assert.deepStrictEqual(body, { valid: true, height: 1 });
+    });
+  });
+
+  it('should answer 404 and 405 for unknown routes and methods', async function() {
+    assert.strictEqual((await request('GET', '/nowhere')).status, 404);
+    assert.strictEqual((await request('DELETE', '/blocks')).status, 405);
+  });
+});
@@ -0,0 +1,146 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Blockchain } = require('../src/blockchain');
+const { exportChain, importChain, detectFormat } = require('../src/archive');
+const { coins, createSignedTx, signingKey } = require('./helpers');
+
+describe('Chain archives', function() {
+  let dir = null;
+  let source = null;
+
+  before(async function() {
+    source = new Blockchain();
+    await source.minePendingTransactions(signingKey.getPublic('hex'));
+    assert.ok(source.addTransaction(createSignedTx(20, 'b3', 1)));
+    assert.ok(source.addTransaction(createSignedTx(5)));
+    await source.minePendingTransactions('miner-address');
+    await source.minePendingTransactions('other-miner');
+  });
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aibtc-archive-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Rewrite the records of an NDJSON archive
+  function editRecords(file, edit) {
+    const records = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const edited = edit(records) || records;
+    fs.writeFileSync(file, edited.map(record => JSON.stringify(record) + '\n').join(''));
+  }
+
+  for (const format of ['ndjson', 'binary']) {
+    it(`should round-trip the chain through a ${format} archive`, async function() {
+      const file = path.join(dir, `chain.${format}`);
+      const exported = await exportChain(source, file, { format, merkleNodes: true });
+      assert.deepStrictEqual(exported, { format, blocks: 4, tipHash: source.getLatestBlock().hash });
+      assert.strictEqual(await detectFormat(file), format);
+
+      const copy = new Blockchain();
+      const result = await importChain(copy, file);
+      assert.deepStrictEqual(result, { format, imported: 3, skipped: 1, height: 3 });
+      assert.deepStrictEqual(copy.chain.map(block => block.hash), source.chain.map(block => block.hash));
+      assert.strictEqual(copy.getBalanceOfAddress('b3'), coins(20));
+      assert.ok(copy.isChainValid());
+      assert.deepStrictEqual(
+        await copy.storage.getMerkleNodes(source.chain[2].hash),
+        await source.storage.getMerkleNodes(source.chain[2].hash)
+      );
+    });
+  }
+
+  it('should write smaller binary archives than NDJSON', async function() {
+    const ndjsonFile = path.join(dir, 'chain.ndjson');
+    const binaryFile = path.join(dir, 'chain.bin');
+    await exportChain(source, ndjsonFile);
+    await exportChain(source, binaryFile, { format: 'binary' });
+    assert.ok(fs.statSync(binaryFile).size < fs.statSync(ndjsonFile).size / 2);
+  });
+
+  it('should reject unknown formats', async function() {
+    await assert.rejects(exportChain(source, path.join(dir, 'chain.xml'), { format: 'xml' }), { code: 'INVALID_FORMAT' });
+  });
+
+  it('should report progress', async function() {
+    const file = path.join(dir, 'chain.ndjson');
+    const exportProgress = [];
+    await exportChain(source, file, { onProgress: progress => exportProgress.push(progress.processed) });
+    assert.deepStrictEqual(exportProgress, [1, 2, 3, 4]);
+
+    const importProgress = [];
+    await importChain(new Blockchain(), file, { onProgress: progress => importProgress.push(progress) });
+    assert.deepStrictEqual(importProgress[3], { processed: 4, total: 4, imported: 3, skipped: 1 });
+  });
+
+  it('should reject an archive of another chain', async function() {
+    const file = path.join(dir, 'chain.ndjson');
+    await exportChain(source, file);
+    const other = new Blockchain({ genesisTimestamp: 1 });
+    await assert.rejects(importChain(other, file), { code: 'GENESIS_MISMATCH' });
+    assert.strictEqual(other.chain.length, 1);
+  });
+
+  it('should reject a block with a tampered transaction', async function() {
+    const file = path.join(dir, 'chain.ndjson');
+    await exportChain(source, file);
+    editRecords(file, records => {
+      records[3].block.transactions[0].amount = String(coins(25));
+    });
+    const copy = new Blockchain();
+    await assert.rejects(importChain(copy, file), { code: 'INVALID_BLOCK', message: /Block 2/ });
+    assert.strictEqual(copy.chain.length, 2, 'blocks before the tampered one stay imported');
+  });
+
+  it('should reject Merkle nodes that do not match the transactions', async function() {
+    const file = path.join(dir, 'chain.ndjson');
+    await exportChain(source, file, { merkleNodes: true });
+    editRecords(file, records => {
+      records[2].merkleNodes[0].value = 'f'.repeat(64);
+    });
+    await assert.rejects(importChain(new Blockchain(), file), { code: 'INVALID_BLOCK' });
+  });
+
+  it('should reject blocks out of order', async function() {
+    const file = path.join(dir, 'chain.ndjson');
+    await exportChain(source, file);
+    editRecords(file, records => [records[0], records[1], records[3], records[2], ...records.slice(4)]);
+    await assert.rejects(importChain(new Blockchain(), file), { code: 'INVALID_ARCHIVE', message: /Expected block 1 but found block 2/ });
+  });
+
+  it('should resume a truncated import', async function() {
+    const partial = path.join(dir, 'partial.ndjson');
+    await exportChain(source, partial);
+    editRecords(partial, records => records.slice(0, 3));
+    const copy = new Blockchain();
+    await assert.rejects(importChain(copy, partial), { code: 'INVALID_ARCHIVE', message: /truncated after 2 blocks/ });
+    assert.strictEqual(copy.chain.length, 2);
+
+    const file = path.join(dir, 'chain.bin');
+    await exportChain(source, file, { format: 'binary' });
+    const result = await importChain(copy, file);
+    assert.deepStrictEqual(result, { format: 'binary', imported: 2, skipped: 2, height: 3 });
+    assert.strictEqual(copy.getLatestBlock().hash, source.getLatestBlock().hash);
+  });
+
+  it('should reject a binary archive cut in the middle of a record', async function() {
+    const file = path.join(dir, 'chain.bin');
+    await exportChain(source, file, { format: 'binary' });
+    const complete = fs.readFileSync(file);
+    fs.writeFileSync(file, complete.subarray(0, complete.length - 10));
+    await assert.rejects(importChain(new Blockchain(), file), { code: 'INVALID_ARCHIVE', message: /middle of a record/ });
+  });
+
+  it('should reject an end record that does not match the blocks', async function() {
+    const file = path.join(dir, 'chain.ndjson');
+    await exportChain(source, file);
+    editRecords(file, records => {
+      records[records.length - 1].blocks = 5;
+    });
+    await assert.rejects(importChain(new Blockchain(), file), { message: /end record/ });
+  });
+});
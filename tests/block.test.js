@@ -1,5 +1,7 @@
 const assert = require('assert');
 const { Block } = require('../src/blockchain'); 
+const { MAX_BITS } = require('../src/pow');
+const { NO_PARENT } = require('../src/serialization');
 const { createSignedTx } = require('./helpers'); 
 
 let blockObj = null;
@@ -7,29 +9,33 @@ let blockObj = null;
 beforeEach(function() {
   const transactions = [createSignedTx()];
   const fixedTimestamp = 1625245440000; // Set a fixed timestamp for consistency
-  blockObj = new Block(1, 'a1', fixedTimestamp, transactions, 1); // Updated constructor parameters
-  blockObj.mineBlock(0); // Adjust difficulty 
+  blockObj = new Block(1, 'a1'.repeat(32), fixedTimestamp, transactions, MAX_BITS); // Easiest target
+  blockObj.mineBlock();
 });
 
 describe('Block class', function() {
   describe('Constructor', function() {
     it('should correctly save parameters', function() {
-      assert.strictEqual(blockObj.previousHash, 'a1');
+      assert.strictEqual(blockObj.previousHash, 'a1'.repeat(32));
       assert.ok(blockObj.timestamp); // Check if timestamp is set
       assert.strictEqual(blockObj.transactions.length, 1);
       assert.strictEqual(blockObj.nonce, 0);
       assert.ok(blockObj.merkleRoot); // Check if Merkle root is set
     });
 
-    it('should correctly save parameters, without giving "previousHash"', function() {
+    it('should correctly save parameters, without a parent', function() {
       const transactions = [createSignedTx()];
-      blockObj = new Block(1, '', Date.now(), transactions, 1);
-      assert.strictEqual(blockObj.previousHash, '');
+      blockObj = new Block(1, NO_PARENT, Date.now(), transactions, MAX_BITS);
+      assert.strictEqual(blockObj.previousHash, NO_PARENT);
       assert.ok(blockObj.timestamp); // Check if timestamp is set
       assert.strictEqual(blockObj.transactions.length, 1);
       assert.strictEqual(blockObj.nonce, 0);
       assert.ok(blockObj.merkleRoot); // Check if Merkle root is set
     });
+
+    it('should refuse a "previousHash" that is not a full hash', function() {
+      assert.throws(() => new Block(1, '', Date.now(), [createSignedTx()], MAX_BITS), /as a hash/);
+    });
   });
 
   describe('Calculate hash', function() {
@@ -1,7 +1,11 @@
 const assert = require("assert");
-const { Blockchain, Transaction } = require("../src/blockchain");
+const { Blockchain, Transaction, Block, MAX_FUTURE_BLOCK_TIME } = require("../src/blockchain");
+const { MAX_BITS, MAX_TARGET, bitsToTarget, difficultyToBits } = require("../src/pow");
+const { MemoryStorage } = require("../src/storage");
 const {
+  coins,
   createSignedTx,
+  nextTimestamp,
   signingKey,
   createBlockchainWithTx,
   createBCWithMined,
@@ -28,7 +32,7 @@ describe("Blockchain class", function () {
     it("should properly initialize fields", function () {
       assert.strictEqual(blockchain.difficulty, 0);
       assert.deepStrictEqual(blockchain.pendingTransactions, []);
-      assert.strictEqual(blockchain.miningReward, 100);
+      assert.strictEqual(blockchain.miningReward, coins(100));
     });
   });
 
@@ -59,7 +63,7 @@ describe("Blockchain class", function () {
 
     it("should fail when tx is not valid", function () {
       const validTx = createSignedTx();
-      validTx.amount = 1000;
+      validTx.amount = coins(1000);
       assert.throws(() => {
         blockchain.addTransaction(validTx);
       }, Error);
@@ -79,11 +83,11 @@ describe("Blockchain class", function () {
       const walletAddress = signingKey.getPublic("hex");
       await blockchain.minePendingTransactions(walletAddress);
 
-      const tx = new Transaction(walletAddress, "recipientAddress", 150);
+      const tx = new Transaction(walletAddress, "recipientAddress", coins(150));
+      tx.nonce = blockchain.getNextNonce(walletAddress);
       tx.sign(signingKey);
 
-      const result = blockchain.addTransaction(tx);
-      assert.strictEqual(result, false);
+      assert.throws(() => blockchain.addTransaction(tx), { code: "INSUFFICIENT_BALANCE" });
     });
   });
 
@@ -92,7 +96,7 @@ describe("Blockchain class", function () {
       const balance = blockchain.getBalanceOfAddress(
         signingKey.getPublic("hex")
       );
-      assert.strictEqual(balance, 100);
+      assert.strictEqual(balance, coins(100));
     });
 
     describe("wallet balance", function () {
@@ -107,7 +111,8 @@ describe("Blockchain class", function () {
         console.log(`Initial balance: ${initialBalance}`);  // Should be the mining reward, e.g., 100
     
         // Create and add a transaction
-        const tx = new Transaction(walletAddress, "recipientAddress", 100);
+        const tx = new Transaction(walletAddress, "recipientAddress", coins(100));
+        tx.nonce = blockchain.getNextNonce(walletAddress);
         tx.sign(signingKey);
         blockchain.addTransaction(tx);
     
@@ -119,7 +124,7 @@ describe("Blockchain class", function () {
         console.log(`Final balance: ${finalBalance}`);
     
         // Calculate expected balance
-        const expectedFinalBalance = initialBalance - 100 + blockchain.miningReward;
+        const expectedFinalBalance = initialBalance - coins(100) + blockchain.miningReward;
         assert.strictEqual(finalBalance, expectedFinalBalance);
       });
     });
@@ -131,14 +136,16 @@ describe("Blockchain class", function () {
     
       console.log('Initial Balances:', blockchain.getBalanceOfAddress(walletAddress1), blockchain.getBalanceOfAddress(walletAddress2));
     
-      const tx1 = new Transaction(walletAddress1, walletAddress2, 50);
+      const tx1 = new Transaction(walletAddress1, walletAddress2, coins(50));
+      tx1.nonce = blockchain.getNextNonce(walletAddress1);
       tx1.sign(signingKey);
       blockchain.addTransaction(tx1);
       await blockchain.minePendingTransactions(walletAddress1); // Correct miner reward
       
       console.log('Balances after tx1:', blockchain.getBalanceOfAddress(walletAddress1), blockchain.getBalanceOfAddress(walletAddress2));
     
-      const tx2 = new Transaction(walletAddress2, walletAddress1, 30);
+      const tx2 = new Transaction(walletAddress2, walletAddress1, coins(30));
+      tx2.nonce = blockchain.getNextNonce(walletAddress2);
       tx2.sign(signingKey2);
       blockchain.addTransaction(tx2);
       await blockchain.minePendingTransactions(walletAddress2); // Correct miner reward
@@ -148,8 +155,8 @@ describe("Blockchain class", function () {
       const balance1 = blockchain.getBalanceOfAddress(walletAddress1);
       const balance2 = blockchain.getBalanceOfAddress(walletAddress2);
     
-      assert.strictEqual(balance1, 180); // After considering all transactions and mining rewards
-      assert.strictEqual(balance2, 120); // After considering all transactions and mining rewards
+      assert.strictEqual(balance1, coins(180)); // After considering all transactions and mining rewards
+      assert.strictEqual(balance2, coins(120)); // After considering all transactions and mining rewards
     });
     
     
@@ -157,7 +164,8 @@ describe("Blockchain class", function () {
     it("should not allow pending transactions to go below zero", () => {
       const blockchain = new Blockchain();
       const walletAddress = "walletAddress1";
-      const tx1 = new Transaction(walletAddress, "recipientAddress", -10);
+      const tx1 = new Transaction(walletAddress, "recipientAddress", coins(10));
+      tx1.amount = -coins(10);
       assert.throws(
         () => {
           blockchain.addTransaction(tx1);
@@ -182,9 +190,631 @@ describe("Blockchain class", function () {
     });
 
     it("should fail when a tx is invalid", function () {
-      const invalidTx = createSignedTx({ amount: -10 });
+      const invalidTx = createSignedTx();
+      invalidTx.amount = -coins(10); // Tampered after signing
       blockchain.chain[1].transactions.push(invalidTx);
       assert.strictEqual(blockchain.isChainValid(), false);
     });
+
+    // Append a mined block paying the given transfers and the reward
+    function pushBlock(chain, transfers) {
+      const index = chain.chain.length;
+      const block = new Block(index, chain.getLatestBlock().hash, nextTimestamp(chain), [
+        ...transfers,
+        new Transaction(null, "miner-address", chain.miningReward),
+      ], chain.getExpectedBits(index));
+      block.mineBlock();
+      chain.chain.push(block);
+      return block;
+    }
+
+    it("should fail when a transfer overspends the sender's balance", function () {
+      pushBlock(blockchain, [createSignedTx(500)]);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+
+    it("should fail when a transfer has no nonce", function () {
+      const tx = new Transaction(signingKey.getPublic("hex"), "b2", coins(10));
+      tx.sign(signingKey);
+      pushBlock(blockchain, [tx]);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+
+    it("should refuse to load a stored chain that overspends", async function () {
+      const storage = new MemoryStorage();
+      const chain = new Blockchain({ storage });
+      await chain.minePendingTransactions(signingKey.getPublic("hex"));
+      await pushBlock(chain, [createSignedTx(500)]).save(storage);
+      await assert.rejects(Blockchain.load({ storage }), /Blockchain is invalid/);
+    });
+  });
+
+  describe("block timestamps", function () {
+    // Mine an empty block on top of the given parent, stamped at the given time
+    function mineBlockAt(chain, parent, timestamp) {
+      const index = parent.index + 1;
+      const block = new Block(index, parent.hash, timestamp, [], chain.getExpectedBits(index));
+      block.mineBlock();
+      return block;
+    }
+
+    it("should stamp new blocks past the median time past", async function () {
+      const chain = new Blockchain({ genesisTimestamp: Date.now() + 60 * 1000 });
+      await chain.minePendingTransactions(signingKey.getPublic("hex"));
+      assert(chain.getLatestBlock().timestamp > chain.chain[0].timestamp);
+      assert(chain.isChainValid());
+    });
+
+    it("should reject blocks not stamped after the median time past", async function () {
+      const tip = blockchain.getLatestBlock();
+      const block = mineBlockAt(blockchain, tip, blockchain.getMedianTimePast());
+      assert.strictEqual(await blockchain.submitBlock(block), false);
+      assert.strictEqual(blockchain.getLatestBlock(), tip);
+
+      blockchain.chain.push(block);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+
+    it("should reject blocks stamped more than two hours ahead", async function () {
+      const tip = blockchain.getLatestBlock();
+      const block = mineBlockAt(blockchain, tip, Date.now() + MAX_FUTURE_BLOCK_TIME + 60 * 1000);
+      assert.strictEqual(await blockchain.submitBlock(block), false);
+      assert.strictEqual(blockchain.getLatestBlock(), tip);
+
+      blockchain.chain.push(block);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+
+    it("should judge side branch timestamps by the median time past of their branch", async function () {
+      const genesis = blockchain.chain[0];
+      const first = mineBlockAt(blockchain, genesis, genesis.timestamp + 1000);
+      await blockchain.submitBlock(first);
+      assert(blockchain.blocks.has(first.hash));
+
+      const early = mineBlockAt(blockchain, first, genesis.timestamp + 500);
+      assert.strictEqual(await blockchain.submitBlock(early), false);
+      assert(!blockchain.blocks.has(early.hash));
+
+      const second = mineBlockAt(blockchain, first, genesis.timestamp + 2000); // Before the chain's median time past
+      await blockchain.submitBlock(second);
+      assert.strictEqual(blockchain.getLatestBlock(), second);
+    });
+  });
+
+  describe("difficulty retargeting", function () {
+    // Append a block mined at the expected target with the given timestamp
+    function appendBlock(chain, timestamp) {
+      const index = chain.chain.length;
+      const block = new Block(index, chain.getLatestBlock().hash, timestamp, [], chain.getExpectedBits(index));
+      block.mineBlock();
+      chain.chain.push(block);
+      return block;
+    }
+
+    it("should keep the target between retargets", function () {
+      const chain = new Blockchain({ retargetInterval: 4, targetBlockTime: 1000, difficulty: 1 });
+      const start = chain.chain[0].timestamp;
+      for (let i = 1; i < 4; i++) {
+        assert.strictEqual(appendBlock(chain, start + i).bits, difficultyToBits(1));
+      }
+    });
+
+    it("should raise the difficulty when blocks come too fast", async function () {
+      const chain = new Blockchain({ retargetInterval: 3, targetBlockTime: 60 * 1000, genesisTimestamp: Date.now() });
+      for (let i = 0; i < 3; i++) {
+        await chain.minePendingTransactions(signingKey.getPublic("hex"));
+      }
+      assert.strictEqual(chain.chain[2].getDifficulty(), 0);
+      assert.strictEqual(bitsToTarget(chain.chain[3].bits), MAX_TARGET / 4n); // Limited to a factor of four
+      assert.strictEqual(chain.difficulty, 0.5);
+      assert(chain.isChainValid());
+    });
+
+    it("should lower the difficulty when blocks come too slowly", function () {
+      const chain = new Blockchain({ retargetInterval: 3, targetBlockTime: 1000, difficulty: 2 });
+      const start = chain.chain[0].timestamp;
+      appendBlock(chain, start + 3000);
+      appendBlock(chain, start + 4000);
+      const block = appendBlock(chain, start + 5000);
+      assert.strictEqual(bitsToTarget(block.bits), bitsToTarget(difficultyToBits(2)) * 2n); // Took 4s instead of 2s
+      assert(block.getDifficulty() < 2);
+      assert(chain.isChainValid());
+    });
+
+    it("should stay put when blocks come on schedule", function () {
+      const chain = new Blockchain({ retargetInterval: 3, targetBlockTime: 1000, difficulty: 1 });
+      const start = chain.chain[0].timestamp;
+      appendBlock(chain, start + 1000);
+      appendBlock(chain, start + 2000);
+      assert.strictEqual(appendBlock(chain, start + 3000).bits, difficultyToBits(1));
+    });
+
+    it("should reject warped timestamps that would move the next target", async function () {
+      const chain = new Blockchain({ retargetInterval: 3, targetBlockTime: 1000, difficulty: 2 });
+      const start = chain.chain[0].timestamp;
+      const first = new Block(1, chain.getLatestBlock().hash, start + 1000, [], chain.getExpectedBits(1));
+      first.mineBlock();
+      assert(await chain.submitBlock(first));
+
+      // Stamped ahead to make the retarget measure slow blocks and cut the difficulty
+      const ahead = new Block(2, first.hash, Date.now() + 10 * 24 * 60 * 60 * 1000, [], chain.getExpectedBits(2));
+      ahead.mineBlock();
+      assert.strictEqual(await chain.submitBlock(ahead), false);
+
+      // Stamped back to make the retarget measure fast blocks and raise the difficulty
+      const behind = new Block(2, first.hash, start, [], chain.getExpectedBits(2));
+      behind.mineBlock();
+      assert.strictEqual(await chain.submitBlock(behind), false);
+
+      assert.strictEqual(chain.getLatestBlock(), first);
+      const honest = new Block(2, first.hash, start + 2000, [], chain.getExpectedBits(2));
+      honest.mineBlock();
+      assert(await chain.submitBlock(honest));
+      assert.strictEqual(chain.getExpectedBits(3), difficultyToBits(2));
+    });
+
+    it("should reject blocks mined at the wrong target", function () {
+      const chain = new Blockchain({ retargetInterval: 3, targetBlockTime: 1000, difficulty: 1 });
+      const block = new Block(1, chain.getLatestBlock().hash, Date.now(), [], MAX_BITS);
+      block.mineBlock();
+      chain.chain.push(block);
+      assert.strictEqual(chain.isChainValid(), false);
+    });
+  });
+
+  describe("proof of work", function () {
+    it("should reject blocks whose hash does not meet their target", function () {
+      const chain = new Blockchain({ difficulty: 2 });
+      const block = new Block(1, chain.getLatestBlock().hash, Date.now(), [], chain.getExpectedBits(1));
+      while (block.hasValidProofOfWork()) {
+        block.nonce++;
+        block.hash = block.calculateHash();
+      }
+      chain.chain.push(block);
+      assert.strictEqual(chain.isChainValid(), false);
+    });
+
+    it("should sum the expected work of every block", async function () {
+      const chain = new Blockchain({ difficulty: 1 });
+      assert.strictEqual(chain.getChainWork(), 16n);
+      await chain.minePendingTransactions(signingKey.getPublic("hex"));
+      assert.strictEqual(chain.getChainWork(), 32n);
+      assert(chain.chain[1].hash.startsWith("0"));
+    });
+  });
+
+  describe("fees", function () {
+    const minerAddress = "miner-address";
+
+    it("should pay fees to the miner and charge them to the sender", async function () {
+      const sender = signingKey.getPublic("hex");
+      blockchain.addTransaction(createSignedTx(10, "b2", 5));
+      await blockchain.minePendingTransactions(minerAddress);
+
+      assert.strictEqual(blockchain.getBalanceOfAddress(sender), coins(85));
+      assert.strictEqual(blockchain.getBalanceOfAddress(minerAddress), coins(105));
+      assert.strictEqual(blockchain.getLatestBlock().getTotalFees(), coins(5));
+      assert(blockchain.isChainValid());
+    });
+
+    it("should count the fee against the sender's balance", function () {
+      assert.throws(() => blockchain.addTransaction(createSignedTx(96, "b2", 5)), { code: "INSUFFICIENT_BALANCE" });
+    });
+
+    it("should reject negative fees", function () {
+      const tx = createSignedTx(10, "b2");
+      tx.fee = -coins(1);
+      assert.throws(() => blockchain.addTransaction(tx), /fee cannot be negative/);
+    });
+
+    it("should commit the fee in the transaction hash", function () {
+      const tx = createSignedTx(10, "b2", 5);
+      tx.fee = coins(50);
+      assert.strictEqual(tx.isValid(), false);
+    });
+
+    it("should mine the highest fee rates first when blocks are full", async function () {
+      const chain = new Blockchain({ maxBlockTransactions: 2 });
+      const signingKey2 = ec.genKeyPair();
+      const walletAddress2 = signingKey2.getPublic("hex");
+      await chain.minePendingTransactions(signingKey.getPublic("hex"));
+      await chain.minePendingTransactions(walletAddress2);
+
+      const low = createSignedTx(10, "b2", 1);
+      const high = new Transaction(walletAddress2, "b3", coins(10));
+      high.fee = coins(3);
+      high.nonce = chain.getNextNonce(walletAddress2);
+      high.sign(signingKey2);
+      chain.addTransaction(low);
+      chain.addTransaction(high);
+
+      await chain.minePendingTransactions(minerAddress);
+      assert.deepStrictEqual(chain.getLatestBlock().transactions.slice(0, -1), [high]);
+      assert.deepStrictEqual(chain.pendingTransactions, [low]);
+    });
+
+    it("should reject blocks whose reward exceeds the reward plus fees", async function () {
+      blockchain.addTransaction(createSignedTx(10, "b2", 5));
+      const block = new Block(2, blockchain.getLatestBlock().hash, Date.now(), [
+        ...blockchain.pendingTransactions,
+        new Transaction(null, minerAddress, blockchain.miningReward + coins(6)),
+      ], blockchain.getExpectedBits(2));
+      block.mineBlock();
+      blockchain.chain.push(block);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+
+    it("should reject blocks over the size limits", async function () {
+      const chain = new Blockchain({ maxBlockTransactions: 2 });
+      await chain.minePendingTransactions(signingKey.getPublic("hex"));
+      const txs = [createSignedTx(10, "b2"), createSignedTx(10, "b3")];
+      const block = new Block(2, chain.getLatestBlock().hash, Date.now(), [
+        ...txs,
+        new Transaction(null, minerAddress, chain.miningReward),
+      ], chain.getExpectedBits(2));
+      block.mineBlock();
+      chain.chain.push(block);
+      assert.strictEqual(chain.isChainValid(), false);
+    });
+  });
+
+  describe("pending pool", function () {
+    it("should count pending outflows against the sender's balance", function () {
+      const sender = signingKey.getPublic("hex");
+      assert(blockchain.addTransaction(createSignedTx(60, "b2")));
+      assert.strictEqual(blockchain.getSpendableBalance(sender), coins(40));
+      assert.throws(() => blockchain.addTransaction(createSignedTx(60, "b3")), { code: "INSUFFICIENT_BALANCE" });
+      assert.strictEqual(blockchain.pendingTransactions.length, 1);
+    });
+
+    it("should admit transactions without walking the whole pool", function () {
+      for (let i = 0; i < 20; i++) {
+        blockchain.addTransaction(createSignedTx(1, "b2"));
+      }
+      const medianTimePast = blockchain.getMedianTimePast;
+      let calls = 0;
+      blockchain.getMedianTimePast = function (...args) {
+        calls++;
+        return medianTimePast.apply(this, args);
+      };
+      blockchain.addTransaction(createSignedTx(1, "b3"));
+      assert(calls <= 1, `the median time past was computed ${calls} times`);
+      assert.strictEqual(blockchain.getSpendableBalance(signingKey.getPublic("hex")), coins(79));
+    });
+
+    it("should reject a transaction that is already pending", function () {
+      const tx = createSignedTx();
+      blockchain.addTransaction(tx);
+      assert.throws(() => blockchain.addTransaction(tx), /already pending/);
+    });
+
+    it("should reject a transaction that is already mined", async function () {
+      const tx = createSignedTx();
+      blockchain.addTransaction(tx);
+      await blockchain.minePendingTransactions("miner-address");
+      assert.throws(() => blockchain.addTransaction(tx), /already in the chain/);
+    });
+
+    it("should evict transactions older than the maximum age", function () {
+      const chain = new Blockchain({ mempoolMaxAge: 1000 });
+      const tx = createSignedTx();
+      chain.mempool.add(tx, Date.now() - 2000);
+      assert.deepStrictEqual(chain.revalidatePendingTransactions(), [tx]);
+      assert.strictEqual(chain.mempool.size, 0);
+    });
+
+    it("should drop pending transactions the new block no longer covers", async function () {
+      const sender = signingKey.getPublic("hex");
+      const conflicting = createSignedTx(30, "b4");
+      const first = createSignedTx(70, "b2");
+      const second = createSignedTx(20, "b3");
+      blockchain.addTransaction(first);
+      blockchain.addTransaction(second);
+
+      // Another node mines a conflicting spend of the same funds
+      const block = new Block(2, blockchain.getLatestBlock().hash, Date.now(), [
+        conflicting,
+        new Transaction(null, "miner-address", blockchain.miningReward),
+      ], blockchain.getExpectedBits(2));
+      block.mineBlock();
+      await blockchain.addBlock(block);
+
+      assert.deepStrictEqual(blockchain.pendingTransactions, [first]);
+      assert.strictEqual(blockchain.getSpendableBalance(sender), coins(0));
+    });
+  });
+
+  describe("nonces", function () {
+    const walletAddress = signingKey.getPublic("hex");
+
+    it("should count confirmed and pending nonces", async function () {
+      assert.strictEqual(blockchain.getNextNonce(walletAddress), 0);
+      const tx = createSignedTx();
+      blockchain.addTransaction(tx);
+      assert.strictEqual(blockchain.getNextNonce(walletAddress), tx.nonce + 1);
+      await blockchain.minePendingTransactions("miner-address");
+      assert.strictEqual(blockchain.getConfirmedNonce(walletAddress), tx.nonce);
+      assert.strictEqual(blockchain.getNextNonce(walletAddress), tx.nonce + 1);
+    });
+
+    it("should require a nonce", function () {
+      const tx = new Transaction(walletAddress, "b2", coins(10));
+      tx.sign(signingKey);
+      assert.throws(() => blockchain.addTransaction(tx), /nonce must be a non-negative integer/);
+    });
+
+    it("should reject nonces that were already used", function () {
+      const older = createSignedTx();
+      blockchain.addTransaction(createSignedTx());
+      assert.throws(() => blockchain.addTransaction(older), /nonce is too low/);
+    });
+
+    it("should commit the nonce in the transaction hash", function () {
+      const tx = createSignedTx();
+      tx.nonce++;
+      assert.strictEqual(tx.isValid(), false);
+    });
+
+    it("should mine a sender's transactions in nonce order", async function () {
+      const chain = new Blockchain({ maxBlockTransactions: 2 });
+      await chain.minePendingTransactions(walletAddress);
+      const first = createSignedTx(10, "b2", 1);
+      const second = createSignedTx(10, "b3", 5);
+      chain.addTransaction(first);
+      chain.addTransaction(second);
+
+      await chain.minePendingTransactions("miner-address");
+      assert.deepStrictEqual(chain.getLatestBlock().transactions.slice(0, -1), [first]);
+      await chain.minePendingTransactions("miner-address");
+      assert.deepStrictEqual(chain.getLatestBlock().transactions.slice(0, -1), [second]);
+      assert(chain.isChainValid());
+    });
+
+    it("should reject a replayed transaction in a later block", async function () {
+      const tx = createSignedTx();
+      blockchain.addTransaction(tx);
+      await blockchain.minePendingTransactions("miner-address");
+
+      const block = new Block(3, blockchain.getLatestBlock().hash, Date.now(), [
+        tx,
+        new Transaction(null, "miner-address", blockchain.miningReward),
+      ], blockchain.getExpectedBits(3));
+      block.mineBlock();
+      blockchain.chain.push(block);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+
+    it("should reject blocks with decreasing nonces", async function () {
+      const older = createSignedTx();
+      const newer = createSignedTx();
+      const block = new Block(2, blockchain.getLatestBlock().hash, Date.now(), [
+        newer,
+        older,
+        new Transaction(null, "miner-address", blockchain.miningReward),
+      ], blockchain.getExpectedBits(2));
+      block.mineBlock();
+      blockchain.chain.push(block);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+  });
+
+  describe("account state", function () {
+    const walletAddress = signingKey.getPublic("hex");
+
+    it("should index balances and nonces as blocks are added", async function () {
+      const tx = createSignedTx(30, "b2", 2);
+      blockchain.addTransaction(tx);
+      await blockchain.minePendingTransactions("miner-address");
+
+      assert.strictEqual(blockchain.state.getBalance(walletAddress), coins(68));
+      assert.strictEqual(blockchain.state.getBalance("b2"), coins(30));
+      assert.strictEqual(blockchain.state.getBalance("miner-address"), coins(102));
+      assert.strictEqual(blockchain.state.getNonce(walletAddress), tx.nonce);
+      assert(blockchain.verifyAccountState());
+    });
+
+    it("should detect a state that differs from the chain", function () {
+      blockchain.state.accounts.set("b2", { balance: coins(1000), nonce: -1 });
+      assert.strictEqual(blockchain.verifyAccountState(), false);
+    });
+  });
+
+  describe("submitBlock", function () {
+    // Mine a block on top of the chain with the given transactions and a reward
+    function mineNextBlock(chain, transactions) {
+      const index = chain.chain.length;
+      const block = new Block(index, chain.getLatestBlock().hash, nextTimestamp(chain), [
+        ...transactions,
+        new Transaction(null, "miner-address", chain.miningReward),
+      ], chain.getExpectedBits(index));
+      block.mineBlock();
+      return Block.fromJSON(JSON.parse(JSON.stringify(block)));
+    }
+
+    it("should append a valid block received as JSON", async function () {
+      const block = mineNextBlock(blockchain, [createSignedTx(10, "b2")]);
+      assert.strictEqual(await blockchain.submitBlock(block), true);
+      assert.strictEqual(blockchain.getBalanceOfAddress("b2"), coins(10));
+      assert(blockchain.isChainValid());
+    });
+
+    it("should reject blocks that overspend", async function () {
+      const block = mineNextBlock(blockchain, [createSignedTx(60, "b2"), createSignedTx(60, "b3")]);
+      assert.strictEqual(await blockchain.submitBlock(block), false);
+      assert.strictEqual(blockchain.chain.length, 2);
+    });
+
+    it("should reject blocks with unsigned transfers", async function () {
+      const tx = createSignedTx(10, "b2");
+      tx.signature = null;
+      assert.strictEqual(await blockchain.submitBlock(mineNextBlock(blockchain, [tx])), false);
+    });
+
+    it("should keep blocks that do not extend the tip on a side branch", async function () {
+      const block = mineNextBlock(blockchain, []);
+      await blockchain.minePendingTransactions("other-miner");
+      const tip = blockchain.getLatestBlock();
+      assert.strictEqual(await blockchain.submitBlock(block), true);
+      assert.strictEqual(blockchain.getLatestBlock(), tip);
+      assert(blockchain.blocks.has(block.hash));
+      assert.strictEqual(await blockchain.submitBlock(block), false);
+    });
+  });
+
+  describe("side branch targets", function () {
+    // Mine an empty block on top of the given parent at the given target
+    function mineBlockOn(parent, timestamp, bits) {
+      const block = new Block(parent.index + 1, parent.hash, timestamp, [], bits);
+      block.mineBlock();
+      return block;
+    }
+
+    it("should check side branch blocks against the target of their own branch", async function () {
+      const chain = new Blockchain({ retargetInterval: 2, targetBlockTime: 1000, difficulty: 1 });
+      await chain.minePendingTransactions("miner-address");
+      await chain.minePendingTransactions("miner-address");
+      const genesis = chain.chain[0];
+
+      const cheap = mineBlockOn(genesis, genesis.timestamp + 100, MAX_BITS);
+      assert.strictEqual(await chain.submitBlock(cheap), false);
+      assert(!chain.blocks.has(cheap.hash));
+
+      // Stamped soon after genesis, the branch retargets to a harder target than the chain
+      const first = mineBlockOn(genesis, genesis.timestamp + 100, chain.getExpectedBits(1));
+      assert(await chain.submitBlock(first));
+      const branchBits = chain.getExpectedBits(2, first.hash);
+      assert(bitsToTarget(branchBits) < bitsToTarget(chain.chain[2].bits));
+
+      const easier = mineBlockOn(first, genesis.timestamp + 200, chain.chain[2].bits);
+      assert.strictEqual(await chain.submitBlock(easier), false);
+      assert(!chain.blocks.has(easier.hash));
+      const second = mineBlockOn(first, genesis.timestamp + 200, branchBits);
+      assert(await chain.submitBlock(second));
+      assert(chain.blocks.has(second.hash));
+    });
+  });
+
+  describe("forks", function () {
+    const walletAddress = signingKey.getPublic("hex");
+    let local = null;
+    let remote = null;
+    let tx = null;
+
+    // Mine a block on top of the given parent with the given transactions and a reward
+    function mineBlockOn(chain, parent, transactions) {
+      const index = parent.index + 1;
+      const block = new Block(index, parent.hash, Math.max(Date.now(), parent.timestamp + 1), [
+        ...transactions,
+        new Transaction(null, "remote-miner", chain.miningReward),
+      ], chain.getExpectedBits(index));
+      block.mineBlock();
+      return Block.fromJSON(JSON.parse(JSON.stringify(block)));
+    }
+
+    // Two chains sharing their first block, each with its own blocks on top:
+    // local mines a transfer in block 2, remote mines two empty blocks
+    beforeEach(async function () {
+      local = new Blockchain();
+      remote = new Blockchain();
+      await local.minePendingTransactions(walletAddress);
+      assert(await remote.submitBlock(local.chain[1]));
+
+      tx = createSignedTx(10, "b2");
+      local.addTransaction(tx);
+      await local.minePendingTransactions("local-miner");
+      await remote.minePendingTransactions("remote-miner");
+      await remote.minePendingTransactions("remote-miner");
+    });
+
+    it("should switch to a branch with more work", async function () {
+      assert.strictEqual(await local.submitBlock(remote.chain[2]), true);
+      assert.strictEqual(local.chain.length, 3, "equal work keeps the current chain");
+      assert.strictEqual(await local.submitBlock(remote.chain[3]), true);
+
+      assert.deepStrictEqual(local.chain.map(block => block.hash), remote.chain.map(block => block.hash));
+      assert.strictEqual(local.getChainWork(), remote.getChainWork());
+      assert(local.isChainValid());
+    });
+
+    it("should report a reorganization as an event rather than on stdout", async function () {
+      const reorgs = [];
+      local.on("chain:reorg", reorg => reorgs.push(reorg));
+      await local.submitBlock(remote.chain[2]);
+      const log = console.log;
+      const logged = [];
+      console.log = (...args) => logged.push(args);
+      try {
+        await local.submitBlock(remote.chain[3]);
+      } finally {
+        console.log = log;
+      }
+      assert.deepStrictEqual(logged, []);
+      assert.strictEqual(reorgs.length, 1);
+      assert.strictEqual(reorgs[0].forkIndex, 1);
+      assert.strictEqual(reorgs[0].disconnected.length, 1);
+      assert.strictEqual(reorgs[0].connected.length, 2);
+    });
+
+    it("should roll back balances and return transactions to the pool", async function () {
+      await local.submitBlock(remote.chain[2]);
+      await local.submitBlock(remote.chain[3]);
+
+      assert.strictEqual(local.getBalanceOfAddress("b2"), coins(0));
+      assert.strictEqual(local.getBalanceOfAddress("local-miner"), coins(0));
+      assert.strictEqual(local.getBalanceOfAddress("remote-miner"), coins(200));
+      assert(local.verifyAccountState());
+      assert(local.mempool.has(tx.hash), "the transfer is pending again");
+      assert.strictEqual(local.mempool.transactions.get(tx.hash).blockHash, "");
+
+      await local.minePendingTransactions("local-miner");
+      assert.strictEqual(local.getBalanceOfAddress("b2"), coins(10));
+      assert(local.isChainValid());
+    });
+
+    it("should keep returned transactions ahead of the sender's later nonces", async function () {
+      const next = createSignedTx(5, "b3");
+      local.addTransaction(next);
+      await local.submitBlock(remote.chain[2]);
+      await local.submitBlock(remote.chain[3]);
+
+      assert(local.mempool.has(tx.hash), "the returned transfer keeps its nonce");
+      assert(local.mempool.has(next.hash));
+      await local.minePendingTransactions("local-miner");
+      assert.strictEqual(local.getBalanceOfAddress("b2"), coins(10));
+      assert.strictEqual(local.getBalanceOfAddress("b3"), coins(5));
+      assert(local.isChainValid());
+    });
+
+    it("should connect orphans once their parent arrives", async function () {
+      assert.strictEqual(await local.submitBlock(remote.chain[3]), false);
+      assert(local.orphans.has(remote.chain[3].hash));
+      assert(local.isKnownBlock(remote.chain[3].hash));
+
+      assert.strictEqual(await local.submitBlock(remote.chain[2]), true);
+      assert.strictEqual(local.orphans.size, 0);
+      assert.strictEqual(local.getLatestBlock().hash, remote.chain[3].hash);
+    });
+
+    it("should keep the current chain when a heavier branch is invalid", async function () {
+      const invalid = mineBlockOn(remote, local.chain[1], [createSignedTx(1000, "b3")]);
+      const child = mineBlockOn(remote, invalid, []);
+      const tip = local.getLatestBlock();
+
+      assert.strictEqual(await local.submitBlock(invalid), true, "side branches are only fully checked when connected");
+      assert.strictEqual(await local.submitBlock(child), false);
+
+      assert.strictEqual(local.getLatestBlock(), tip);
+      assert.strictEqual(local.getBalanceOfAddress("b2"), coins(10));
+      assert(local.verifyAccountState());
+      assert(!local.blocks.has(invalid.hash) && !local.blocks.has(child.hash));
+      assert(local.isChainValid());
+    });
+
+    it("should reject blocks with an index that does not follow their parent", async function () {
+      const block = mineBlockOn(remote, local.chain[1], []);
+      block.index = 5;
+      block.mineBlock();
+      assert.strictEqual(await local.submitBlock(block), false);
+    });
   });
 });
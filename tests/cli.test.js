@@ -0,0 +1,250 @@
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const Cli = require('../src/cli');
+const Wallet = require('../src/wallet');
+
+const BIN = path.join(__dirname, '..', 'bin', 'aibtc.js');
+
+describe('CLI', function() {
+  let dir = null;
+  let env = null;
+
+  // Run a command line and collect its exit code and output
+  async function aibtc(...argv) {
+    let stdout = '';
+    let stderr = '';
+    const cli = new Cli({
+      stdout: { write: text => { stdout += text; } },
+      stderr: { write: text => { stderr += text; } },
+      env
+    });
+    const code = await cli.run(argv);
+    return { code, stdout, stderr, json: argv.includes('--json') && stdout ? JSON.parse(stdout) : null };
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aibtc-cli-'));
+    env = { AIBTC_DB_FILE: path.join(dir, 'chain.db'), AIBTC_KEYSTORE_PASSWORD: 'secret' };
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should print usage and exit with 2 for unknown commands', async function() {
+    assert.strictEqual((await aibtc('--help')).code, 0);
+    const { code, stderr } = await aibtc('frobnicate');
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /Unknown command frobnicate/);
+    assert.strictEqual((await aibtc('balance', '--bogus')).code, 2);
+  });
+
+  it('should generate keys, keystores and mnemonics', async function() {
+    const refused = await aibtc('keygen', '--json');
+    assert.strictEqual(refused.code, 2);
+    assert.strictEqual(refused.stdout, '');
+    const plain = await aibtc('keygen', '--show-private-key', '--json');
+    assert.strictEqual(Wallet.fromPrivateKey(plain.json.privateKey).address, plain.json.address);
+
+    const keystore = path.join(dir, 'wallet.json');
+    const saved = await aibtc('keygen', '--keystore', keystore, '--json');
+    assert.strictEqual(saved.json.privateKey, undefined);
+    assert.strictEqual((await Wallet.load(keystore, 'secret')).address, saved.json.address);
+
+    const { json } = await aibtc('keygen', '--mnemonic', '--words', '24', '--json');
+    assert.strictEqual(json.mnemonic.split(' ').length, 24);
+  });
+
+  it('should mine, send and report balances against the persisted chain', async function() {
+    const sender = Wallet.generate();
+    const recipient = Wallet.generate();
+    assert.strictEqual((await aibtc('mine', sender.address, '--json')).code, 0);
+
+    const sent = await aibtc('send', '--from-key', sender.getPrivateKey(), '--to', recipient.address,
+      '--amount', '30', '--fee', '1', '--json');
+    assert.strictEqual(sent.code, 0);
+    assert.strictEqual(sent.json.status, 'pending');
+
+    // The pending pool survives until another process mines it
+    assert.strictEqual((await aibtc('balance', sender.address, '--json')).json.spendable, '69.00000000');
+    const mined = await aibtc('mine', recipient.address, '--json');
+    assert.strictEqual(mined.json.transactions.length, 2);
+
+    const { json } = await aibtc('balance', recipient.address, '--json');
+    assert.deepStrictEqual(json, { address: recipient.address, balance: '131.00000000', spendable: '131.00000000', nextNonce: 0 });
+  });
+
+  it('should mine on worker threads', async function() {
+    const miner = Wallet.generate();
+    const mined = await aibtc('mine', miner.address, '--threads', '2', '--json');
+    assert.strictEqual(mined.code, 0);
+    assert.strictEqual(mined.json.index, 1);
+    assert.strictEqual((await aibtc('balance', miner.address, '--json')).json.balance, '100.00000000');
+    assert.strictEqual((await aibtc('mine', miner.address, '--threads', '0')).code, 2);
+    assert.strictEqual((await aibtc('mine', miner.address, '--threads', '1.5')).code, 2);
+  });
+
+  it('should keep the stdout of the real process parseable as JSON', async function() {
+    const miner = Wallet.generate();
+    const run = (...argv) => promisify(execFile)(process.execPath, [BIN, ...argv], { env: { ...process.env, ...env } });
+    const mined = await run('mine', miner.address, '--json');
+    assert.strictEqual(JSON.parse(mined.stdout).index, 1);
+    const { stdout } = await run('balance', miner.address, '--json');
+    assert.strictEqual(JSON.parse(stdout).balance, '100.00000000');
+  });
+
+  it('should send from a keystore', async function() {
+    const keystore = path.join(dir, 'wallet.json');
+    const { json: key } = await aibtc('keygen', '--keystore', keystore, '--json');
+    await aibtc('mine', key.address);
+    const sent = await aibtc('send', '--keystore', keystore, '--to', Wallet.generate().address, '--amount', '5', '--json');
+    assert.strictEqual(sent.json.transaction.fromAddress, key.address);
+  });
+
+  it('should fail with 1 for refused transactions', async function() {
+    const sender = Wallet.generate();
+    const overspend = await aibtc('send', '--from-key', sender.getPrivateKey(), '--to', Wallet.generate().address, '--amount', '5', '--json');
+    assert.strictEqual(overspend.code, 1);
+    assert.strictEqual(JSON.parse(overspend.stderr).error.code, 'INSUFFICIENT_BALANCE');
+
+    const typo = await aibtc('send', '--from-key', sender.getPrivateKey(), '--to', 'A1234', '--amount', '5');
+    assert.strictEqual(typo.code, 1);
+    assert.match(typo.stderr, /Invalid recipient address/);
+
+    assert.strictEqual((await aibtc('send', '--to', 'A1234', '--amount', '5')).code, 2);
+
+    const fractional = await aibtc('send', '--from-key', sender.getPrivateKey(), '--to', Wallet.generate().address, '--amount', '5', '--nonce', '1.5');
+    assert.strictEqual(fractional.code, 2);
+    assert.match(fractional.stderr, /--nonce must be a non-negative integer/);
+  });
+
+  it('should collect the signatures of a multisig transaction', async function() {
+    const officers = [Wallet.generate(), Wallet.generate(), Wallet.generate()];
+    const keys = officers.map(officer => officer.publicKey).join(',');
+    const { json: treasury } = await aibtc('multisig', '2', ...keys.split(','), '--json');
+    assert.strictEqual(treasury.threshold, 2);
+    await aibtc('mine', treasury.address);
+
+    const file = path.join(dir, 'payment.json');
+    const proposed = await aibtc('propose', '--keys', keys, '--threshold', '2', '--to', officers[0].address,
+      '--amount', '40', '--out', file, '--json');
+    assert.strictEqual(proposed.code, 0);
+
+    const sign = (officer, target = file) => aibtc('sign', target, '--from-key', officer.getPrivateKey(), '--json');
+    assert.strictEqual((await sign(officers[0])).json.signatures, 1);
+    const early = await aibtc('submit', file, '--json');
+    assert.strictEqual(early.code, 1);
+    assert.strictEqual(JSON.parse(early.stderr).error.code, 'INSUFFICIENT_SIGNATURES');
+    assert.strictEqual((await sign(Wallet.generate())).code, 1);
+
+    const copy = path.join(dir, 'copy.json');
+    fs.copyFileSync(file, copy);
+    await sign(officers[2], copy);
+    const submitted = await aibtc('submit', file, copy, '--json');
+    assert.strictEqual(submitted.code, 0, submitted.stderr);
+    await aibtc('mine', officers[1].address);
+    assert.strictEqual((await aibtc('balance', treasury.address, '--json')).json.balance, '60.00000000');
+    assert.strictEqual((await aibtc('multisig', '4', ...keys.split(','))).code, 2);
+  });
+
+  it('should hold sends with a lock time and list them as scheduled', async function() {
+    const sender = Wallet.generate();
+    const recipient = Wallet.generate();
+    await aibtc('mine', sender.address);
+    const send = lockTime => aibtc('send', '--from-key', sender.getPrivateKey(), '--to', recipient.address,
+      '--amount', '10', '--lock-time', lockTime, '--json');
+
+    assert.strictEqual((await send('3')).code, 0);
+    assert.strictEqual((await send('2099-01-01T00:00:00Z')).code, 0);
+    const { json } = await aibtc('scheduled', recipient.address, '--json');
+    assert.deepStrictEqual(json.transactions.map(tx => tx.unlocks), ['at height 3', '2099-01-01T00:00:00.000Z']);
+
+    await aibtc('mine', sender.address);
+    await aibtc('mine', sender.address);
+    assert.strictEqual((await aibtc('balance', recipient.address, '--json')).json.balance, '10.00000000');
+    assert.strictEqual((await aibtc('scheduled', recipient.address, '--json')).json.transactions.length, 1);
+
+    for (const lockTime of ['tomorrow', '500000000', '1970-01-02']) {
+      assert.strictEqual((await send(lockTime)).code, 2, lockTime);
+    }
+  });
+
+  it('should derive script addresses', async function() {
+    const key = Wallet.generate().publicKey;
+    const { code, json } = await aibtc('script', `OP_SHA256 <${'ab'.repeat(32)}> OP_EQUALVERIFY <${key}> OP_CHECKSIG`, '--json');
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.address[0], 'S');
+    assert.strictEqual(json.asm, `OP_SHA256 <${'ab'.repeat(32)}> OP_EQUALVERIFY <${key}> OP_CHECKSIG`);
+    assert.strictEqual((await aibtc('script', 'OP_FROBNICATE')).code, 2);
+  });
+
+  it('should take amounts in coins with at most eight decimals', async function() {
+    const sender = Wallet.generate();
+    await aibtc('mine', sender.address);
+    const send = (amount, fee) => aibtc('send', '--from-key', sender.getPrivateKey(), '--to', Wallet.generate().address,
+      '--amount', amount, '--fee', fee, '--json');
+
+    const sent = await send('0.5', '0.00000001');
+    assert.strictEqual(sent.code, 0);
+    assert.strictEqual(sent.json.transaction.amount, '50000000');
+    assert.strictEqual(sent.json.transaction.fee, '1');
+    assert.strictEqual((await aibtc('balance', sender.address, '--json')).json.spendable, '99.49999999');
+
+    for (const [amount, fee] of [['0.123456789', '0'], ['1e3', '0'], ['0', '0'], ['1', '-1']]) {
+      assert.strictEqual((await send(amount, fee)).code, 2, `--amount ${amount} --fee ${fee}`);
+    }
+  });
+
+  it('should validate the chain and show blocks by height or hash', async function() {
+    const miner = Wallet.generate().address;
+    await aibtc('mine', miner);
+    assert.deepStrictEqual((await aibtc('validate', '--json')).json, { valid: true, height: 1 });
+
+    const byHeight = await aibtc('block', '1', '--json');
+    assert.strictEqual(byHeight.json.index, 1);
+    assert.strictEqual((await aibtc('block', byHeight.json.hash, '--json')).json.index, 1);
+    assert.match((await aibtc('block', '1')).stdout, /^version: 3\nindex: 1\n/);
+
+    const missing = await aibtc('block', 'f'.repeat(64), '--json');
+    assert.strictEqual(missing.code, 1);
+    assert.strictEqual(JSON.parse(missing.stderr).error.code, 'BLOCK_NOT_FOUND');
+  });
+
+  it('should export a chain and import it into another database', async function() {
+    const miner = Wallet.generate().address;
+    await aibtc('mine', miner);
+    await aibtc('mine', miner);
+    const file = path.join(dir, 'chain.ndjson');
+    assert.strictEqual((await aibtc('export', file, '--json')).json.blocks, 3);
+
+    env.AIBTC_DB_FILE = path.join(dir, 'copy.db');
+    const { json } = await aibtc('import', file, '--json');
+    assert.deepStrictEqual(json, { file, format: 'ndjson', imported: 2, skipped: 1, height: 2 });
+    assert.strictEqual((await aibtc('balance', miner, '--json')).json.balance, '200.00000000');
+    assert.strictEqual((await aibtc('import', file, '--json')).json.imported, 0, 'known blocks are skipped');
+  });
+
+  it('should export binary archives and report progress', async function() {
+    await aibtc('mine', Wallet.generate().address);
+    const file = path.join(dir, 'chain.bin');
+    const exported = await aibtc('export', file, '--format', 'binary', '--merkle-nodes', '--progress', '--json');
+    assert.strictEqual(exported.json.format, 'binary');
+    assert.strictEqual(exported.stderr, 'Exported 2/2 blocks\n');
+
+    env.AIBTC_DB_FILE = path.join(dir, 'copy.db');
+    const imported = await aibtc('import', file, '--json');
+    assert.strictEqual(imported.json.format, 'binary');
+    assert.strictEqual(imported.json.imported, 1);
+
+    assert.strictEqual((await aibtc('export', file, '--format', 'xml')).code, 2);
+    const corrupt = path.join(dir, 'corrupt.ndjson');
+    fs.writeFileSync(corrupt, 'not json\n');
+    const failed = await aibtc('import', corrupt, '--json');
+    assert.strictEqual(failed.code, 1);
+    assert.strictEqual(JSON.parse(failed.stderr).error.code, 'INVALID_ARCHIVE');
+  });
+});
@@ -0,0 +1,303 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { ApiServer } = require('../src/api');
+const { WebhookDispatcher, subscribe } = require('../src/events');
+const { OPCODES, acceptKey, encodeFrame, decodeFrame } = require('../src/events/websocket');
+const Wallet = require('../src/wallet');
+const { coins } = require('./helpers');
+
+// Mine a block on top of the given parent holding only a reward
+function mineBlockOn(blockchain, parent, reward = blockchain.miningReward) {
+  const index = parent.index + 1;
+  const block = new Block(index, parent.hash, Math.max(Date.now(), parent.timestamp + 1), [new Transaction(null, 'fork-miner', reward)], blockchain.getExpectedBits(index));
+  block.mineBlock();
+  return block;
+}
+
+// Record the events a blockchain emits, as [name, ...args]
+function record(blockchain, names) {
+  const events = [];
+  names.forEach(name => blockchain.on(name, (...args) => events.push([name, ...args])));
+  return events;
+}
+
+// Open a WebSocket connection and collect the messages the server sends
+function connect(port, path) {
+  return new Promise((resolve, reject) => {
+    const key = crypto.randomBytes(16).toString('base64');
+    const req = http.request({
+      port,
+      path,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' }
+    });
+    req.on('response', response => resolve({ status: response.statusCode }));
+    req.on('upgrade', (response, socket, head) => {
+      assert.strictEqual(response.headers['sec-websocket-accept'], acceptKey(key));
+      const client = { status: 101, socket, frames: [], waiting: [], buffer: head };
+      const receive = chunk => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        let frame;
+        while ((frame = decodeFrame(client.buffer)) !== null) {
+          client.buffer = client.buffer.subarray(frame.size);
+          client.frames.push(frame);
+          client.waiting.splice(0).forEach(wake => wake());
+        }
+      };
+      socket.on('data', receive);
+      receive(Buffer.alloc(0));
+      client.next = async() => {
+        while (client.frames.length === 0) {
+          await new Promise(resolve => client.waiting.push(resolve));
+        }
+        return client.frames.shift();
+      };
+      client.send = (opcode, payload) => socket.write(encodeFrame(opcode, payload, crypto.randomBytes(4)));
+      resolve(client);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('Events', function() {
+  const alice = Wallet.generate();
+  const bob = Wallet.generate();
+  let blockchain = null;
+
+  beforeEach(async function() {
+    blockchain = new Blockchain();
+    await blockchain.minePendingTransactions(alice.address);
+  });
+
+  function pay(amount = coins(5)) {
+    return alice.createTransaction(bob.address, amount, { nonce: blockchain.getNextNonce(alice.address) });
+  }
+
+  describe('blockchain', function() {
+    it('should announce pending and confirmed transactions and added blocks', async function() {
+      const events = record(blockchain, ['block:added', 'tx:pending', 'tx:confirmed']);
+      const tx = pay();
+      blockchain.addTransaction(tx);
+      assert.deepStrictEqual(events.splice(0), [['tx:pending', tx]]);
+
+      await blockchain.minePendingTransactions('miner-address');
+      const block = blockchain.getLatestBlock();
+      assert.deepStrictEqual(events.map(([name]) => name), ['block:added', 'tx:confirmed', 'tx:confirmed']);
+      assert.strictEqual(events[0][1], block);
+      assert.strictEqual(events[1][1], tx);
+      assert.strictEqual(events[1][2], block);
+    });
+
+    it('should announce reorganizations before the blocks of the new branch', async function() {
+      const events = record(blockchain, ['block:added', 'chain:reorg']);
+      const replaced = blockchain.chain[1];
+      const first = mineBlockOn(blockchain, blockchain.chain[0]);
+      const second = mineBlockOn(blockchain, first);
+      await blockchain.submitBlock(first);
+      assert.deepStrictEqual(events, [], 'a side branch with less work is only kept');
+
+      await blockchain.submitBlock(second);
+      assert.deepStrictEqual(events.map(([name]) => name), ['chain:reorg', 'block:added', 'block:added']);
+      assert.deepStrictEqual(events[0][1], { forkIndex: 0, disconnected: [replaced], connected: [first, second] });
+      assert.deepStrictEqual(events.slice(1).map(([, block]) => block.hash), [first.hash, second.hash]);
+    });
+
+    it('should report rejected transactions and blocks with the reason', async function() {
+      const events = record(blockchain, ['validation:failed']);
+      const tx = pay();
+      tx.amount = coins(6);
+      assert.throws(() => blockchain.addTransaction(tx), { code: 'INVALID_SIGNATURE' });
+      assert.throws(() => blockchain.addTransaction(pay(coins(500))), { code: 'INSUFFICIENT_BALANCE' });
+      assert.deepStrictEqual(events.map(([, failure]) => [failure.type, failure.code]), [
+        ['transaction', 'INVALID_SIGNATURE'],
+        ['transaction', 'INSUFFICIENT_BALANCE']
+      ]);
+
+      const block = mineBlockOn(blockchain, blockchain.getLatestBlock(), blockchain.miningReward * 2n);
+      events.length = 0;
+      assert.strictEqual(await blockchain.submitBlock(block), false);
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0][1].type, 'block');
+      assert.strictEqual(events[0][1].hash, block.hash);
+      assert.match(events[0][1].reason, /Invalid reward transaction in block 2/);
+    });
+
+    it('should pass events on as JSON messages until unsubscribed', async function() {
+      const messages = [];
+      const unsubscribe = subscribe(blockchain, ['tx:confirmed', 'chain:reorg'], message => messages.push(JSON.parse(JSON.stringify(message))));
+      const tx = pay();
+      blockchain.addTransaction(tx);
+      await blockchain.minePendingTransactions('miner-address');
+      assert.deepStrictEqual(messages.map(message => message.event), ['tx:confirmed', 'tx:confirmed']);
+      assert.strictEqual(messages[0].data.transaction.amount, String(coins(5)));
+      assert.strictEqual(messages[0].data.blockIndex, 2);
+
+      unsubscribe();
+      await blockchain.minePendingTransactions('miner-address');
+      assert.strictEqual(messages.length, 2);
+      assert.strictEqual(blockchain.listenerCount('tx:confirmed'), 0);
+      assert.throws(() => subscribe(blockchain, ['tx:mined'], () => {}), { code: 'UNKNOWN_EVENT' });
+      assert(!('_events' in JSON.parse(JSON.stringify(blockchain))), 'listeners stay out of the JSON form');
+    });
+  });
+
+  describe('WebSocket stream', function() {
+    let api = null;
+    let port = null;
+
+    beforeEach(async function() {
+      api = new ApiServer(blockchain);
+      ({ port } = await api.listen());
+    });
+
+    afterEach(async function() {
+      if (api) {
+        await api.close();
+      }
+    });
+
+    it('should stream the chosen events to clients', async function() {
+      const all = await connect(port, '/events');
+      const confirmations = await connect(port, '/events?events=tx:confirmed');
+      const tx = pay();
+      blockchain.addTransaction(tx);
+      await blockchain.minePendingTransactions('miner-address');
+
+      const names = [];
+      for (let i = 0; i < 4; i++) {
+        const frame = await all.next();
+        assert.strictEqual(frame.opcode, OPCODES.TEXT);
+        assert.strictEqual(frame.masked, false);
+        names.push(JSON.parse(frame.payload).event);
+      }
+      assert.deepStrictEqual(names, ['tx:pending', 'block:added', 'tx:confirmed', 'tx:confirmed']);
+
+      const message = JSON.parse((await confirmations.next()).payload);
+      assert.strictEqual(message.event, 'tx:confirmed');
+      assert.strictEqual(message.data.transaction.hash, tx.hash);
+      assert.strictEqual(message.data.blockHash, blockchain.getLatestBlock().hash);
+      all.socket.destroy();
+      confirmations.socket.destroy();
+    });
+
+    it('should answer pings and close handshakes', async function() {
+      const client = await connect(port, '/events');
+      client.send(OPCODES.PING, Buffer.from('hello'));
+      const pong = await client.next();
+      assert.strictEqual(pong.opcode, OPCODES.PONG);
+      assert.strictEqual(pong.payload.toString(), 'hello');
+
+      const code = Buffer.alloc(2);
+      code.writeUInt16BE(1000);
+      client.send(OPCODES.CLOSE, code);
+      const close = await client.next();
+      assert.strictEqual(close.opcode, OPCODES.CLOSE);
+      assert.strictEqual(close.payload.readUInt16BE(0), 1000);
+      await once(client.socket, 'end');
+      client.socket.destroy();
+      assert.strictEqual(api.events.clients.size, 0);
+      assert.strictEqual(blockchain.listenerCount('block:added'), 0, 'stops listening after the last client');
+    });
+
+    it('should refuse bad handshakes and unknown events', async function() {
+      assert.strictEqual((await connect(port, '/events?events=tx:mined')).status, 400);
+      assert.strictEqual((await connect(port, '/elsewhere')).status, 404);
+    });
+
+    it('should disconnect clients when the server closes', async function() {
+      const client = await connect(port, '/events');
+      const closed = once(client.socket, 'close');
+      await api.close();
+      assert.strictEqual((await client.next()).payload.readUInt16BE(0), 1001);
+      await closed;
+      api = null;
+    });
+  });
+
+  describe('webhooks', function() {
+    let receiver = null;
+    let url = null;
+    let requests = null;
+    let answers = null;
+    let dispatcher = null;
+
+    beforeEach(async function() {
+      requests = [];
+      answers = [];
+      receiver = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+          res.writeHead(answers.shift() || 200);
+          res.end();
+        });
+      });
+      receiver.listen(0, '127.0.0.1');
+      await once(receiver, 'listening');
+      url = `http://127.0.0.1:${receiver.address().port}/hook`;
+    });
+
+    afterEach(async function() {
+      dispatcher.stop();
+      receiver.close();
+      receiver.closeAllConnections();
+      await once(receiver, 'close');
+    });
+
+    it('should post signed messages for the chosen events', async function() {
+      dispatcher = new WebhookDispatcher(blockchain, [{ url, events: ['tx:pending'], secret: 'shared secret' }]);
+      dispatcher.start();
+      const delivered = once(dispatcher, 'delivered');
+      const tx = pay();
+      blockchain.addTransaction(tx);
+      await blockchain.minePendingTransactions('miner-address');
+      const [{ attempts }] = await delivered;
+
+      assert.strictEqual(attempts, 1);
+      assert.strictEqual(requests.length, 1);
+      const { headers, body } = requests[0];
+      assert.strictEqual(headers['x-aibtc-event'], 'tx:pending');
+      assert.strictEqual(headers['x-aibtc-signature'], 'sha256=' + crypto.createHmac('sha256', 'shared secret').update(body).digest('hex'));
+      assert.strictEqual(JSON.parse(body).data.transaction.hash, tx.hash);
+    });
+
+    it('should retry failed deliveries with the same delivery id', async function() {
+      answers.push(503, 500);
+      dispatcher = new WebhookDispatcher(blockchain, [{ url, events: ['block:added'] }], { retryDelay: 5 });
+      dispatcher.start();
+      const delivered = once(dispatcher, 'delivered');
+      await blockchain.minePendingTransactions('miner-address');
+      const [{ attempts, deliveryId }] = await delivered;
+
+      assert.strictEqual(attempts, 3);
+      assert.deepStrictEqual(requests.map(request => request.headers['x-aibtc-attempt']), ['1', '2', '3']);
+      assert(requests.every(request => request.headers['x-aibtc-delivery'] === deliveryId));
+    });
+
+    it('should give up after the last attempt or when the hook refuses a message', async function() {
+      answers.push(500, 500, 400);
+      dispatcher = new WebhookDispatcher(blockchain, [{ url, events: ['block:added'] }], { maxAttempts: 2, retryDelay: 5 });
+      dispatcher.start();
+      let failed = once(dispatcher, 'failed');
+      await blockchain.minePendingTransactions('miner-address');
+      let [failure] = await failed;
+      assert.strictEqual(failure.attempts, 2);
+      assert.match(failure.error.message, /answered 500/);
+
+      failed = once(dispatcher, 'failed');
+      await blockchain.minePendingTransactions('miner-address');
+      [failure] = await failed;
+      assert.strictEqual(failure.attempts, 1, 'client errors are not retried');
+      assert.strictEqual(requests.length, 3);
+    });
+
+    it('should reject unknown events', function() {
+      assert.throws(() => new WebhookDispatcher(blockchain, [{ url, events: ['tx:mined'] }]), { code: 'UNKNOWN_EVENT' });
+      dispatcher = new WebhookDispatcher(blockchain, []);
+    });
+  });
+});
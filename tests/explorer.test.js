@@ -0,0 +1,132 @@
+const assert = require('assert');
+const { Blockchain } = require('../src/blockchain');
+const { ApiServer } = require('../src/api');
+const { escapeHtml } = require('../src/explorer');
+const Wallet = require('../src/wallet');
+const { coins } = require('./helpers');
+
+describe('Block explorer', function() {
+  const alice = Wallet.generate();
+  const bob = Wallet.generate();
+  let blockchain = null;
+  let api = null;
+  let baseUrl = null;
+  let payment = null;
+
+  async function get(path) {
+    const response = await fetch(baseUrl + path, { redirect: 'manual' });
+    return { status: response.status, type: response.headers.get('content-type'), location: response.headers.get('location'), text: await response.text() };
+  }
+
+  beforeEach(async function() {
+    blockchain = await Blockchain.load({ storage: { type: 'memory' } });
+    await blockchain.minePendingTransactions(alice.address);
+    payment = alice.createTransaction(bob.address, coins(25), { nonce: blockchain.getNextNonce(alice.address), fee: coins(1) });
+    blockchain.addTransaction(payment);
+    await blockchain.minePendingTransactions('miner-address');
+    api = new ApiServer(blockchain);
+    const address = await api.listen();
+    baseUrl = `http://127.0.0.1:${address.port}`;
+  });
+
+  afterEach(async function() {
+    await api.close();
+    await blockchain.storage.close();
+  });
+
+  it('should list the latest blocks', async function() {
+    const { status, type, text } = await get('/explorer');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(type, 'text/html; charset=utf-8');
+    for (const block of blockchain.chain) {
+      assert(text.includes(`/explorer/block/${block.hash}`), `links block ${block.index}`);
+    }
+    assert(text.indexOf(blockchain.chain[2].hash) < text.indexOf(blockchain.chain[1].hash), 'newest first');
+    assert(text.includes('name="q"'), 'has a search box');
+  });
+
+  it('should show a block with its transactions and stored Merkle tree', async function() {
+    const block = blockchain.chain[2];
+    const stored = await blockchain.storage.getMerkleNodes(block.hash);
+    assert(stored.length > 0);
+
+    for (const id of [block.hash, '2']) {
+      const { status, text } = await get(`/explorer/block/${id}`);
+      assert.strictEqual(status, 200);
+      assert(text.includes(`/explorer/tx/${payment.hash}`));
+      assert(text.includes(block.merkleRoot));
+      for (const node of stored) {
+        assert(text.includes(node.value), `shows Merkle node ${node.level}/${node.index}`);
+      }
+    }
+    assert.strictEqual((await get('/explorer/block/99')).status, 404);
+  });
+
+  it('should show confirmations of mined transactions and pending ones', async function() {
+    let { status, text } = await get(`/explorer/tx/${payment.hash}`);
+    assert.strictEqual(status, 200);
+    assert.match(text, /<th>Confirmations<\/th><td>1<\/td>/);
+    assert(text.includes('25.00000000'));
+
+    await blockchain.minePendingTransactions('miner-address');
+    ({ text } = await get(`/explorer/tx/${payment.hash}`));
+    assert.match(text, /<th>Confirmations<\/th><td>2<\/td>/);
+
+    const held = bob.createTransaction(alice.address, coins(1), { nonce: blockchain.getNextNonce(bob.address), lockTime: 10 });
+    blockchain.addTransaction(held);
+    ({ text } = await get(`/explorer/tx/${held.hash}`));
+    assert.match(text, /<th>Confirmations<\/th><td>0<\/td>/);
+    assert(text.includes('held until block 10'));
+    assert.strictEqual((await get(`/explorer/tx/${'0'.repeat(64)}`)).status, 404);
+  });
+
+  it('should show the balance and history of an address', async function() {
+    const { status, text } = await get(`/explorer/address/${alice.address}`);
+    assert.strictEqual(status, 200);
+    assert(text.includes('74.00000000'), 'balance after the payment and fee');
+    assert(text.includes('-26.00000000'), 'history shows the amount sent with the fee');
+    assert(text.indexOf(payment.hash) < text.indexOf(blockchain.chain[1].transactions[0].hash), 'newest first');
+    assert.deepStrictEqual(blockchain.getAddressHistory(bob.address).map(({ transaction }) => transaction.hash), [payment.hash]);
+  });
+
+  it('should redirect searches to the matching page', async function() {
+    const cases = [
+      ['1', '/explorer/block/1'],
+      [blockchain.chain[2].hash.toUpperCase(), `/explorer/block/${blockchain.chain[2].hash}`],
+      [payment.hash, `/explorer/tx/${payment.hash}`],
+      [` ${bob.address} `, `/explorer/address/${bob.address}`],
+      ['', '/explorer']
+    ];
+    for (const [query, location] of cases) {
+      const response = await get(`/explorer/search?q=${encodeURIComponent(query)}`);
+      assert.strictEqual(response.status, 302, query);
+      assert.strictEqual(response.location, location);
+    }
+    const { status, text } = await get('/explorer/search?q=nothing');
+    assert.strictEqual(status, 404);
+    assert(text.includes('Nothing matches nothing'));
+  });
+
+  it('should escape what visitors type and stay read-only', async function() {
+    const attack = '<script>alert(1)</script>';
+    const { status, text } = await get(`/explorer/address/${encodeURIComponent(attack)}`);
+    assert.strictEqual(status, 404);
+    assert(!text.includes(attack));
+    assert(text.includes(escapeHtml(attack)));
+    assert.strictEqual(escapeHtml('"a" & \'b\''), '&quot;a&quot; &amp; &#39;b&#39;');
+
+    const response = await fetch(`${baseUrl}/explorer`, { method: 'POST' });
+    assert.strictEqual(response.status, 405);
+    assert.strictEqual((await get('/explorer/nowhere')).status, 404);
+    assert.strictEqual((await get('/explorer/address/%E0%A4%A')).status, 400);
+  });
+
+  it('should not be served when disabled', async function() {
+    const plain = new ApiServer(blockchain, { explorer: false });
+    const address = await plain.listen();
+    const response = await fetch(`http://127.0.0.1:${address.port}/explorer`);
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual((await response.json()).error.code, 'NOT_FOUND');
+    await plain.close();
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const HDWallet = require('../src/hdWallet');
+const { Blockchain } = require('../src/blockchain');
+const { isValidAddress } = require('../src/address');
+const { coins } = require('./helpers');
+
+const { HDKey, CHAINS } = HDWallet;
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+describe('HDKey', function() {
+  // BIP-32 test vector 1
+  const master = HDKey.fromSeed(Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex'));
+
+  it('should derive the master key of a seed', function() {
+    assert.strictEqual(master.privateKey.toString('hex'), 'e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35');
+    assert.strictEqual(master.chainCode.toString('hex'), '873dff81c02f525623fd1fe5167eac3a55a049de3d314bb42ee227ffed37d508');
+  });
+
+  it('should derive hardened and normal children along a path', function() {
+    assert.strictEqual(master.derivePath("m/0'").chainCode.toString('hex'), '47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141');
+    assert.strictEqual(master.derivePath("m/0'/1").privateKey.toString('hex'), '3c6cb8d0f6a264c91ea8b5030fadaa8e538b020f0a387421a12de9319dc93368');
+    const key = master.derivePath("m/0'/1/2'");
+    assert.strictEqual(key.privateKey.toString('hex'), 'cbce0d719ecf7431d88e6a89fa1483e02e35092af60c042b1df2ff59fa424dca');
+    assert.strictEqual(key.depth, 3);
+    assert.strictEqual(key.index, 2 + HDWallet.HARDENED_OFFSET);
+  });
+
+  it('should reject malformed paths', function() {
+    assert.throws(() => master.derivePath("0'/1"), /Invalid derivation path/);
+    assert.throws(() => master.derivePath('m/x'), /Invalid derivation path segment/);
+    assert.throws(() => master.derivePath("m/0'").derivePath('m/1'), /master key/);
+  });
+});
+
+describe('HDWallet', function() {
+  it('should derive the same addresses from the same phrase', function() {
+    const first = new HDWallet(MNEMONIC);
+    const second = new HDWallet(`  ${MNEMONIC.split(' ').join('   ')} `);
+    assert.strictEqual(second.deriveWallet(5).address, first.deriveWallet(5).address);
+    assert(isValidAddress(first.deriveWallet(0).address));
+    assert.notStrictEqual(first.deriveWallet(0).address, first.deriveWallet(1).address);
+    assert.notStrictEqual(first.deriveWallet(0).address, first.deriveWallet(0, { account: 1 }).address);
+    assert.strictEqual(first.deriveWallet(3, { chain: CHAINS.CHANGE }).path, `m/44'/${HDWallet.COIN_TYPE}'/0'/1/3`);
+  });
+
+  it('should derive other keys with a passphrase', function() {
+    assert.notStrictEqual(new HDWallet(MNEMONIC, 'TREZOR').deriveWallet(0).address, new HDWallet(MNEMONIC).deriveWallet(0).address);
+  });
+
+  it('should generate valid phrases', function() {
+    assert.strictEqual(HDWallet.generate().mnemonic.split(' ').length, 12);
+    assert.strictEqual(HDWallet.generate(256).mnemonic.split(' ').length, 24);
+  });
+
+  it('should reject phrases with a bad checksum or unknown words', function() {
+    assert.throws(() => new HDWallet(MNEMONIC.replace('about', 'abandon')), /Invalid mnemonic/);
+    assert.throws(() => new HDWallet('not a mnemonic'), /Invalid mnemonic/);
+  });
+
+  it('should discover the derived addresses with history on a chain', async function() {
+    const wallet = new HDWallet(MNEMONIC);
+    const blockchain = new Blockchain();
+    const funded = [
+      wallet.deriveWallet(0),
+      wallet.deriveWallet(2),
+      wallet.deriveWallet(0, { chain: CHAINS.CHANGE }),
+      wallet.deriveWallet(1, { account: 1 })
+    ];
+    for (const funding of funded) {
+      await blockchain.minePendingTransactions(funding.address);
+    }
+    const spender = funded[0];
+    blockchain.addTransaction(spender.createTransaction(HDWallet.generate().deriveWallet(0).address, coins(100), { nonce: blockchain.getNextNonce(spender.address) }));
+    await blockchain.minePendingTransactions('miner-address');
+    // Beyond the gap limit, so not found
+    await blockchain.minePendingTransactions(wallet.deriveWallet(9).address);
+
+    const found = wallet.discover(blockchain, { gapLimit: 3 });
+    assert.deepStrictEqual(found.map(({ path }) => path), funded.map(({ path }) => path));
+    assert.deepStrictEqual(found.map(({ balance }) => balance), [0n, coins(100), coins(100), coins(100)]);
+    assert.strictEqual(found[1].wallet.getPrivateKey(), funded[1].getPrivateKey());
+  });
+});
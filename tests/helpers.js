@@ -1,21 +1,37 @@
 const { Transaction, Blockchain } = require('../src/blockchain');
+const { COIN } = require('../src/amount');
 const EC = require('elliptic').ec;
 
 const ec = new EC('secp256k1');
 
 const keyPair = ec.genKeyPair();
 const publicKey = keyPair.getPublic('hex');
+let nextNonce = 0; // Nonces only have to increase, so one counter keeps every test chain happy
 
-function createSignedTx(amount = 10, toAddress = 'b2') {
+// Base units of a whole number of coins, so tests can count in coins
+function coins(value) {
+  return BigInt(value) * COIN;
+}
+
+// Sign a transfer of the given number of coins, paying the given fee in coins
+function createSignedTx(amount = 10, toAddress = 'b2', fee = 0) {
   if (amount <= 0) throw new Error('Amount must be positive');
 
-  const tx = new Transaction(publicKey, toAddress, amount);
+  const tx = new Transaction(publicKey, toAddress, coins(amount));
   tx.timestamp = Date.now();
+  tx.fee = coins(fee);
+  tx.nonce = nextNonce++;
   tx.sign(keyPair);
 
   return tx;
 }
 
+// Timestamp for the next block of a chain: now, unless blocks mined within the same
+// millisecond hold the median time past there, which the block has to be after
+function nextTimestamp(blockchain) {
+  return Math.max(Date.now(), blockchain.getMedianTimePast() + 1);
+}
+
 async function createBlockchainWithTx() {
   const blockchain = new Blockchain();
   const tx = createSignedTx(50);
@@ -31,7 +47,9 @@ async function createBCWithMined() {
 }
 
 module.exports = {
+  coins,
   createSignedTx,
+  nextTimestamp,
   createBlockchainWithTx,
   createBCWithMined,
   signingKey: keyPair
@@ -0,0 +1,173 @@
+const assert = require('assert');
+const Mempool = require('../src/mempool');
+const { Transaction } = require('../src/blockchain');
+const { coins, createSignedTx } = require('./helpers');
+
+function createUnsignedTx(fromAddress, toAddress, fee) {
+  const tx = new Transaction(fromAddress, toAddress, coins(10));
+  tx.fee = coins(fee);
+  tx.hash = tx.calculateHash();
+  return tx;
+}
+
+describe('Mempool', function() {
+  let mempool = null;
+
+  beforeEach(function() {
+    mempool = new Mempool();
+  });
+
+  it('should order transactions by fee rate, highest first', function() {
+    const low = createSignedTx(10, 'b2', 1);
+    const high = createSignedTx(10, 'b3', 5);
+    const none = createSignedTx(10, 'b4');
+    [low, high, none].forEach(tx => mempool.add(tx));
+    assert.deepStrictEqual(mempool.getTransactions(), [high, low, none]);
+  });
+
+  it('should prefer smaller transactions at the same fee', function() {
+    const small = createSignedTx(10, 'b2', 2);
+    const large = createSignedTx(10, 'b2'.repeat(50), 2);
+    mempool.add(large);
+    mempool.add(small);
+    assert(Mempool.getFeeRate(small) > Mempool.getFeeRate(large));
+    assert.deepStrictEqual(mempool.getTransactions(), [small, large]);
+  });
+
+  it('should order equal fee rates by age', function() {
+    const first = createUnsignedTx('sender-1', 'b2', 1);
+    const second = createUnsignedTx('sender-2', 'b2', 1);
+    second.timestamp = first.timestamp + 1;
+    mempool.add(second);
+    mempool.add(first);
+    assert.deepStrictEqual(mempool.getTransactions(), [first, second]);
+  });
+
+  it('should select transactions within the count and size limits', function() {
+    const txs = [createSignedTx(10, 'b2', 3), createSignedTx(10, 'b3', 2), createSignedTx(10, 'b4', 1)];
+    txs.forEach(tx => mempool.add(tx));
+    assert.deepStrictEqual(mempool.selectTransactions(2, Infinity), txs.slice(0, 2));
+    assert.deepStrictEqual(mempool.selectTransactions(10, txs[0].getSize()), [txs[0]]);
+  });
+
+  it('should skip transactions that do not fit and keep filling', function() {
+    const large = createUnsignedTx('other-sender', 'b2'.repeat(500), 50);
+    const small = createSignedTx(10, 'b3', 1);
+    mempool.add(large);
+    mempool.add(small);
+    assert.deepStrictEqual(mempool.selectTransactions(10, small.getSize()), [small]);
+  });
+
+  it('should select a sender\'s transactions in nonce order', function() {
+    const first = createSignedTx(10, 'b2', 1);
+    const second = createSignedTx(10, 'b3', 5);
+    const other = createUnsignedTx('other-sender', 'b4', 3);
+    [second, other, first].forEach(tx => mempool.add(tx));
+    assert.deepStrictEqual(mempool.selectTransactions(10, Infinity), [other, first, second]);
+  });
+
+  it('should not select past a skipped nonce', function() {
+    const first = createSignedTx(10, 'b2'.repeat(50), 1);
+    const second = createSignedTx(10, 'b3', 5);
+    mempool.add(first);
+    mempool.add(second);
+    assert.deepStrictEqual(mempool.selectTransactions(10, second.getSize()), []);
+  });
+
+  it('should not select past a nonce that is not final', function() {
+    const held = createSignedTx(10, 'b2', 1);
+    const next = createSignedTx(10, 'b3', 5);
+    const other = createUnsignedTx('other-sender', 'b4', 3);
+    [held, next, other].forEach(tx => mempool.add(tx));
+    assert.deepStrictEqual(mempool.selectTransactions(10, Infinity, tx => tx !== held), [other]);
+  });
+
+  it('should fill a block from many senders by fee rate in nonce order', function() {
+    const txs = [];
+    for (let sender = 0; sender < 50; sender++) {
+      for (let nonce = 0; nonce < 4; nonce++) {
+        const tx = createUnsignedTx(`sender-${sender}`, 'b2', (sender * 7 + nonce * 13) % 20 + 1);
+        tx.nonce = nonce;
+        txs.push(tx);
+      }
+    }
+    txs.slice().reverse().forEach(tx => mempool.add(tx));
+    const selected = mempool.selectTransactions(150, Infinity);
+    assert.strictEqual(selected.length, 150);
+    const lastNonces = new Map();
+    for (const tx of selected) {
+      assert.strictEqual(tx.nonce, (lastNonces.get(tx.fromAddress) ?? -1) + 1);
+      lastNonces.set(tx.fromAddress, tx.nonce);
+    }
+    assert.strictEqual(mempool.selectTransactions(txs.length, Infinity).length, txs.length);
+  });
+
+  it('should remove mined transactions', function() {
+    const tx = createSignedTx();
+    mempool.add(tx);
+    assert(mempool.has(tx.hash));
+    mempool.remove([tx]);
+    assert.strictEqual(mempool.size, 0);
+  });
+
+  it('should reject duplicates by hash', function() {
+    const tx = createSignedTx();
+    mempool.add(tx);
+    assert.throws(() => mempool.add(tx), /already pending/);
+  });
+
+  it('should sum the pending outflow of a sender', function() {
+    const tx = createSignedTx(10, 'b2', 2);
+    mempool.add(tx);
+    mempool.add(createSignedTx(5, 'b3'));
+    assert.strictEqual(mempool.getPendingOutflow(tx.fromAddress), coins(17));
+    assert.strictEqual(mempool.getPendingOutflow('b2'), 0n);
+  });
+
+  it('should keep the outflow and last nonce of each sender as transactions come and go', function() {
+    const first = createSignedTx(10, 'b2', 2);
+    const second = createSignedTx(5, 'b3');
+    const sender = first.fromAddress;
+    mempool.add(first);
+    mempool.add(second);
+    assert.strictEqual(mempool.getLastNonce(sender), second.nonce);
+
+    mempool.remove([second, createSignedTx()]);
+    assert.strictEqual(mempool.getPendingOutflow(sender), coins(12));
+    assert.strictEqual(mempool.getLastNonce(sender), first.nonce);
+    mempool.remove([first]);
+    assert.strictEqual(mempool.getPendingOutflow(sender), 0n);
+    assert.strictEqual(mempool.getLastNonce(sender), -1);
+    assert.strictEqual(mempool.senders.size, 0);
+  });
+
+  it('should evict transactions by arrival time', function() {
+    mempool = new Mempool({ maxAge: 1000 });
+    const old = createSignedTx(10, 'b2');
+    const fresh = createSignedTx(10, 'b3');
+    mempool.add(old, 1000);
+    mempool.add(fresh, 2500);
+    assert.deepStrictEqual(mempool.evictExpired(3000), [old]);
+    assert.deepStrictEqual(mempool.getTransactions(), [fresh]);
+  });
+
+  it('should keep held transactions between checks of what is held', function() {
+    mempool = new Mempool({ maxAge: 1000 });
+    const held = createSignedTx(10, 'b2');
+    const fresh = createSignedTx(10, 'b3');
+    mempool.add(held, 0, true);
+    mempool.add(fresh, 2500);
+    assert.deepStrictEqual(mempool.evictExpired(3000), [], 'held without asking again');
+    assert.deepStrictEqual(mempool.evictExpired(3200, () => false), [], 'aged from the last check');
+    assert.deepStrictEqual(mempool.evictExpired(4001), [held, fresh]);
+  });
+
+  it('should revalidate in nonce order', function() {
+    const txs = [createSignedTx(10, 'b2'), createSignedTx(10, 'b3', 5), createSignedTx(10, 'b4')];
+    [txs[1], txs[2], txs[0]].forEach(tx => mempool.add(tx));
+    const seen = [];
+    const rejected = mempool.revalidate(tx => seen.push(tx) < 3);
+    assert.deepStrictEqual(seen, txs);
+    assert.deepStrictEqual(rejected, [txs[2]]);
+  });
+});
@@ -0,0 +1,185 @@
+const assert = require('assert');
+const { MerkleTree, MERKLE_VERSIONS } = require('../src/merkleTree');
+const { Block, Blockchain, BLOCK_VERSIONS } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage');
+const { MAX_BITS } = require('../src/pow');
+const { createSignedTx, signingKey } = require('./helpers');
+
+const values = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+
+describe('MerkleTree class', function() {
+  describe('Constructor', function() {
+    it('should build trees far beyond 1024 leaves', function() {
+      const manyValues = Array.from({ length: 5000 }, (_, i) => `tx${i}`);
+      const tree = new MerkleTree(manyValues);
+      assert(MerkleTree.verifyProof('tx4321', tree.getProof('tx4321'), tree.getRootHash()));
+    });
+
+    it('should reject duplicate leaves', function() {
+      assert.throws(() => new MerkleTree(['a', 'b', 'a']), /Duplicate leaf/);
+    });
+
+    it('should reject unknown versions', function() {
+      assert.throws(() => new MerkleTree(values, { version: 7 }), /Unknown Merkle Tree version/);
+    });
+
+    it('should hash leaves and internal nodes differently', function() {
+      const leaf = new MerkleTree(['a']);
+      const pair = new MerkleTree(['a', 'b']);
+      assert.notStrictEqual(new MerkleTree([pair.levels[0].join('')]).getRootHash(), pair.getRootHash());
+      assert.notStrictEqual(leaf.getRootHash(), new MerkleTree(['a'], { version: MERKLE_VERSIONS.LEGACY }).getRootHash());
+    });
+
+    it('should not give a duplicated last leaf the same root', function() {
+      const legacy = { version: MERKLE_VERSIONS.LEGACY };
+      assert.strictEqual(new MerkleTree(['a', 'b', 'c'], legacy).getRootHash(), new MerkleTree(['a', 'b', 'c', 'c'], legacy).getRootHash());
+      const tagged = new MerkleTree(['a', 'b', 'c']);
+      assert.notStrictEqual(tagged.getRootHash(), new MerkleTree(['a', 'b', 'c'], legacy).getRootHash());
+      assert.throws(() => new MerkleTree(['a', 'b', 'c', 'c']), /Duplicate leaf/);
+    });
+
+    it('should keep the legacy root of existing blocks', function() {
+      const tree = new MerkleTree(values, { version: MERKLE_VERSIONS.LEGACY });
+      assert.strictEqual(tree.getRootHash(), '61198f165d0f10dc1cd3f688bb7c5cf9f0d6f892532a6ebd984fb9b6bb124dd8');
+      for (const value of values) {
+        assert(MerkleTree.verifyProof(value, tree.getProof(value), tree.getRootHash(), MERKLE_VERSIONS.LEGACY));
+      }
+    });
+  });
+
+  describe('getProof', function() {
+    it('should produce a valid proof for every value', function() {
+      const tree = new MerkleTree(values);
+      for (const value of values) {
+        const proof = tree.getProof(value);
+        assert(MerkleTree.verifyProof(value, proof, tree.getRootHash()), `Proof for ${value} failed`);
+      }
+    });
+
+    it('should work for a single value', function() {
+      const tree = new MerkleTree(['a']);
+      assert(MerkleTree.verifyProof('a', tree.getProof('a'), tree.getRootHash()));
+    });
+
+    it('should return null for a value that is not in the tree', function() {
+      const tree = new MerkleTree(values);
+      assert.strictEqual(tree.getProof('z'), null);
+    });
+  });
+
+  describe('verifyProof', function() {
+    it('should fail for another value', function() {
+      const tree = new MerkleTree(values);
+      assert(!MerkleTree.verifyProof('z', tree.getProof('a'), tree.getRootHash()));
+    });
+
+    it('should fail for another root', function() {
+      const tree = new MerkleTree(values);
+      const otherRoot = new MerkleTree(['x', 'y']).getRootHash();
+      assert(!MerkleTree.verifyProof('a', tree.getProof('a'), otherRoot));
+    });
+
+    it('should fail when a sibling is swapped to the other side', function() {
+      const tree = new MerkleTree(values);
+      const proof = tree.getProof('c');
+      proof[0].position = proof[0].position === 'left' ? 'right' : 'left';
+      assert(!MerkleTree.verifyProof('c', proof, tree.getRootHash()));
+    });
+  });
+
+  describe('serializeProof', function() {
+    it('should round-trip through hex', function() {
+      const tree = new MerkleTree(values);
+      const proof = tree.getProof('e');
+      const hex = MerkleTree.serializeProof(proof);
+      assert.strictEqual(hex.length, proof.length * 66);
+      assert.deepStrictEqual(MerkleTree.deserializeProof(hex), proof);
+    });
+
+    it('should round-trip through JSON', function() {
+      const tree = new MerkleTree(values);
+      const proof = tree.getProof('e');
+      const json = MerkleTree.serializeProof(proof, 'json');
+      assert.deepStrictEqual(MerkleTree.deserializeProof(json), proof);
+    });
+
+    it('should reject malformed data', function() {
+      assert.throws(() => MerkleTree.deserializeProof('02' + '0'.repeat(64)), /Invalid Merkle proof step/);
+      assert.throws(() => MerkleTree.deserializeProof('00abc'), /Invalid Merkle proof length/);
+    });
+  });
+
+  describe('fromNodes', function() {
+    it('should rebuild a tree that produces the same proofs', function() {
+      const tree = new MerkleTree(values);
+      const rebuilt = MerkleTree.fromNodes(tree.getNodes());
+      assert.strictEqual(rebuilt.getRootHash(), tree.getRootHash());
+      for (const value of values) {
+        assert.deepStrictEqual(rebuilt.getProof(value), tree.getProof(value));
+      }
+    });
+
+    it('should rebuild trees of every format and size', function() {
+      for (const version of Object.values(MERKLE_VERSIONS)) {
+        for (let count = 1; count <= 9; count++) {
+          const tree = new MerkleTree(values.concat(['h', 'i']).slice(0, count), { version });
+          const rebuilt = MerkleTree.fromNodes(tree.getNodes(), version);
+          assert.strictEqual(rebuilt.getRootHash(), tree.getRootHash());
+          assert(MerkleTree.verifyProof('a', rebuilt.getProof('a'), tree.getRootHash(), version));
+        }
+      }
+    });
+
+    it('should reject tampered nodes', function() {
+      const nodes = new MerkleTree(values).getNodes();
+      nodes[nodes.length - 1].value = '0'.repeat(64);
+      assert.throws(() => MerkleTree.fromNodes(nodes), /does not match its children/);
+    });
+
+    it('should load the tree of a stored block', async function() {
+      const storage = new MemoryStorage();
+      const block = new Block(1, 'a1'.repeat(32), 1625245440000, [createSignedTx(), createSignedTx(20), createSignedTx(30)]);
+      await block.save(storage);
+
+      const tree = await MerkleTree.load(block.hash, storage);
+      const txHash = block.transactions[1].hash;
+      assert.strictEqual(tree.getRootHash(), block.merkleRoot);
+      assert(MerkleTree.verifyProof(txHash, tree.getProof(txHash), block.merkleRoot));
+      assert.strictEqual(await MerkleTree.load('missing', storage), null);
+    });
+  });
+});
+
+describe('Block Merkle proofs', function() {
+  it('should prove a transaction is included in the block', function() {
+    const block = new Block(1, 'a1'.repeat(32), 1625245440000, [createSignedTx(), createSignedTx(20)]);
+    const txHash = block.transactions[0].hash;
+    assert(MerkleTree.verifyProof(txHash, block.getMerkleProof(txHash), block.merkleRoot));
+    assert.strictEqual(block.getMerkleProof('missing'), null);
+  });
+
+  it('should still verify legacy blocks', async function() {
+    const blockchain = new Blockchain();
+    await blockchain.minePendingTransactions(signingKey.getPublic('hex')); // Fund the sender
+    const previous = blockchain.getLatestBlock();
+    const legacyBlock = new Block(2, previous.hash, previous.timestamp + 1, [createSignedTx(), createSignedTx(20), createSignedTx(30)], MAX_BITS, BLOCK_VERSIONS.LEGACY);
+    blockchain.chain.push(legacyBlock);
+    assert(blockchain.isChainValid());
+
+    const txHash = legacyBlock.transactions[2].hash;
+    assert(MerkleTree.verifyProof(txHash, legacyBlock.getMerkleProof(txHash), legacyBlock.merkleRoot, MERKLE_VERSIONS.LEGACY));
+
+    const storage = new MemoryStorage();
+    await legacyBlock.save(storage);
+    assert.strictEqual((await Block.load(legacyBlock.hash, storage)).version, BLOCK_VERSIONS.LEGACY);
+    assert.strictEqual((await MerkleTree.load(legacyBlock.hash, storage, MERKLE_VERSIONS.LEGACY)).getRootHash(), legacyBlock.merkleRoot);
+  });
+
+  it('should reject a chain with a duplicated transaction', function() {
+    const blockchain = new Blockchain();
+    const tx = createSignedTx();
+    const block = new Block(1, blockchain.getLatestBlock().hash, Date.now(), [tx, tx], MAX_BITS, BLOCK_VERSIONS.LEGACY);
+    blockchain.chain.push(block);
+    assert.strictEqual(blockchain.isChainValid(), false);
+  });
+});
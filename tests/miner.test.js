@@ -0,0 +1,128 @@
+const assert = require('assert');
+const { once } = require('events');
+const { Blockchain, Block, Transaction, BLOCK_VERSIONS } = require('../src/blockchain');
+const { Miner } = require('../src/miner');
+const pow = require('../src/pow');
+const Wallet = require('../src/wallet');
+const { coins } = require('./helpers');
+
+// A block to mine on top of the genesis block at the given difficulty
+function blockAt(difficulty) {
+  const blockchain = new Blockchain();
+  return new Block(1, blockchain.chain[0].hash, Date.now(), [new Transaction(null, 'miner-address', blockchain.miningReward)], pow.difficultyToBits(difficulty));
+}
+
+describe('Miner', function() {
+  let miner = null;
+
+  afterEach(async function() {
+    await miner.close();
+  });
+
+  it('should split the nonces across worker threads and find a valid block', async function() {
+    miner = new Miner({ threads: 2, chunkSize: 500 });
+    const block = blockAt(3);
+    const found = once(miner, 'found');
+    assert.strictEqual(await miner.mine(block), block);
+    assert(block.hasValidProofOfWork());
+    assert.strictEqual(block.hash, block.calculateHash());
+
+    const [{ hashes, hashRate }] = await found;
+    assert(hashes >= 1);
+    assert(hashRate >= 0);
+    assert.strictEqual(miner.mining, false);
+    assert.strictEqual(miner.getProgress(), null);
+  });
+
+  it('should report progress and stop when cancelled', async function() {
+    miner = new Miner({ threads: 1, chunkSize: 10000, progressInterval: 20 });
+    const mining = miner.mine(blockAt(16));
+    let progress;
+    do {
+      [progress] = await once(miner, 'progress'); // The first reports may come before the workers start
+    } while (progress.hashes === 0);
+    assert(progress.hashRate > 0);
+    assert(miner.mining);
+    await assert.rejects(miner.mine(blockAt(1)), { code: 'MINER_BUSY' });
+
+    assert(miner.cancel());
+    await assert.rejects(mining, { code: 'MINING_CANCELLED' });
+    assert.strictEqual(miner.cancel(), false);
+    assert((await miner.mine(blockAt(1))).hasValidProofOfWork(), 'the miner can be reused');
+  });
+
+  it('should move the timestamp forward when the nonces run out', async function() {
+    miner = new Miner({ threads: 2, chunkSize: 4, maxNonce: 7 });
+    const block = blockAt(2);
+    const timestamps = [block.timestamp];
+    miner.on('exhausted', ({ timestamp }) => timestamps.push(timestamp));
+    await miner.mine(block);
+    assert(block.hasValidProofOfWork());
+    assert(block.nonce <= 7);
+    assert.strictEqual(block.timestamp, timestamps[timestamps.length - 1]);
+    for (let i = 1; i < timestamps.length; i++) {
+      assert(timestamps[i] > timestamps[i - 1]);
+    }
+  });
+
+  it('should refuse blocks without a canonical header', async function() {
+    miner = new Miner({ threads: 1 });
+    const block = blockAt(1);
+    block.version = BLOCK_VERSIONS.TAGGED_MERKLE;
+    await assert.rejects(miner.mine(block), { code: 'INVALID_BLOCK' });
+    assert.throws(() => new Miner({ threads: 1.5 }), { code: 'INVALID_OPTION' });
+  });
+
+  describe('mining the next block of a chain', function() {
+    const alice = Wallet.generate();
+    let blockchain = null;
+
+    beforeEach(async function() {
+      blockchain = new Blockchain();
+      await blockchain.minePendingTransactions(alice.address);
+      miner = new Miner({ threads: 2 });
+    });
+
+    it('should add the mined block with the pending transactions', async function() {
+      const tx = alice.createTransaction(Wallet.generate().address, coins(5), { nonce: blockchain.getNextNonce(alice.address) });
+      blockchain.addTransaction(tx);
+      const block = await miner.mineNext(blockchain, 'miner-address');
+      assert.strictEqual(blockchain.getLatestBlock(), block);
+      assert.strictEqual(block.transactions[0].hash, tx.hash);
+      assert(blockchain.isChainValid());
+    });
+
+    it('should start over when a transaction arrives', async function() {
+      const restarts = [];
+      miner.on('restart', reason => restarts.push(reason));
+      const mining = miner.mineNext(blockchain, 'miner-address');
+      const tx = alice.createTransaction(Wallet.generate().address, coins(5), { nonce: blockchain.getNextNonce(alice.address) });
+      blockchain.addTransaction(tx);
+
+      const block = await mining;
+      assert.deepStrictEqual(restarts, ['transaction']);
+      assert(block.transactions.some(({ hash }) => hash === tx.hash));
+    });
+
+    it('should start over on top of a competing block', async function() {
+      const restarts = [];
+      miner.on('restart', reason => restarts.push(reason));
+      const mining = miner.mineNext(blockchain, 'miner-address');
+      await blockchain.minePendingTransactions('competitor'); // Connected before the workers answer
+
+      const block = await mining;
+      assert.deepStrictEqual(restarts, ['block']);
+      assert.strictEqual(block.index, 3);
+      assert.strictEqual(block.previousHash, blockchain.chain[2].hash);
+      assert.strictEqual(blockchain.getLatestBlock(), block);
+    });
+
+    it('should fail when the chain rejects the block or mining is cancelled', async function() {
+      await assert.rejects(miner.mineNext(blockchain, 'miner-address', { submit: async() => false }), { code: 'BLOCK_REJECTED' });
+      const mining = miner.mineNext(blockchain, 'miner-address');
+      miner.cancel();
+      await assert.rejects(mining, { code: 'MINING_CANCELLED' });
+      assert.strictEqual(blockchain.listenerCount('tx:pending'), 0);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { SQLiteStorage } = require('../src/storage');
+const Wallet = require('../src/wallet');
+const MultisigWallet = require('../src/multisigWallet');
+const { multisigToAddress, isMultisigAddress, isValidAddress } = require('../src/address');
+const { coins } = require('./helpers');
+
+describe('Multisig', function() {
+  const officers = [Wallet.generate(), Wallet.generate(), Wallet.generate()];
+  const publicKeys = officers.map(officer => officer.publicKey);
+  let treasury = null;
+  let blockchain = null;
+
+  beforeEach(async function() {
+    treasury = new MultisigWallet(publicKeys, 2);
+    blockchain = new Blockchain();
+    await blockchain.minePendingTransactions(treasury.address);
+  });
+
+  // Propose a payment from the treasury and have the given officers sign it
+  function propose(signers, amount = coins(30)) {
+    const tx = treasury.createTransaction(Wallet.generate().address, amount, { nonce: blockchain.getNextNonce(treasury.address) });
+    signers.forEach(signer => signer.signTransaction(tx));
+    return tx;
+  }
+
+  describe('addresses', function() {
+    it('should derive the same address from the keys in any order', function() {
+      assert.strictEqual(new MultisigWallet([...publicKeys].reverse(), 2).address, treasury.address);
+      assert(isMultisigAddress(treasury.address));
+      assert(isValidAddress(treasury.address));
+      assert.strictEqual(treasury.address[0], 'M');
+      assert(!isMultisigAddress(officers[0].address));
+      assert.notStrictEqual(multisigToAddress(publicKeys, 3), treasury.address, 'the threshold is part of the address');
+    });
+
+    it('should reject bad thresholds and key sets', function() {
+      for (const threshold of [0, 4, 1.5]) {
+        assert.throws(() => new MultisigWallet(publicKeys, threshold), { code: 'INVALID_MULTISIG' });
+      }
+      assert.throws(() => new MultisigWallet([publicKeys[0], publicKeys[0]], 1), /twice/);
+      assert.throws(() => new MultisigWallet(['not a key'], 1), /Invalid public key/);
+      assert.throws(() => new MultisigWallet([], 1), { code: 'INVALID_MULTISIG' });
+    });
+  });
+
+  describe('transactions', function() {
+    it('should only accept transactions signed by the threshold of keys', async function() {
+      const tx = propose([officers[0]]);
+      assert.strictEqual(tx.isValid(), false);
+      assert.throws(() => blockchain.addTransaction(tx), { code: 'INSUFFICIENT_SIGNATURES', message: /1 of the 2/ });
+
+      officers[2].signTransaction(tx);
+      assert(tx.isValid());
+      assert(blockchain.addTransaction(tx));
+      await blockchain.minePendingTransactions('miner-address');
+      assert.strictEqual(blockchain.getBalanceOfAddress(treasury.address), coins(70));
+      assert.strictEqual(blockchain.getBalanceOfAddress(tx.toAddress), coins(30));
+      assert(blockchain.isChainValid());
+    });
+
+    it('should combine copies signed separately from their JSON export', function() {
+      const unsigned = JSON.stringify(propose([]));
+      const copies = officers.slice(1).map(officer => officer.signTransaction(Transaction.fromJSON(JSON.parse(unsigned))));
+      assert.throws(() => MultisigWallet.finalize(copies[0]), { code: 'INSUFFICIENT_SIGNATURES' });
+
+      const combined = MultisigWallet.finalize(MultisigWallet.combine(copies));
+      assert.deepStrictEqual(combined.multisig.signatures.map(signature => signature !== null), treasury.publicKeys.map(key => key !== officers[0].publicKey));
+      assert(blockchain.addTransaction(combined));
+    });
+
+    it('should not combine different transactions', function() {
+      assert.throws(() => MultisigWallet.combine([propose([officers[0]]), propose([officers[1]], coins(31))]), { code: 'TRANSACTION_MISMATCH' });
+    });
+
+    it('should refuse signatures from keys outside the set', function() {
+      const tx = propose([]);
+      assert.throws(() => Wallet.generate().signTransaction(tx), /other wallets/);
+    });
+
+    it('should reject invalid signatures and keys that do not match the address', function() {
+      const forged = propose(officers);
+      forged.multisig.signatures[0] = forged.multisig.signatures[1];
+      assert.strictEqual(forged.isValid(), false, 'every signature present must verify');
+      assert.throws(() => MultisigWallet.finalize(forged), { code: 'INVALID_SIGNATURE' });
+
+      const swapped = propose(officers.slice(0, 2));
+      const other = new MultisigWallet([publicKeys[0], publicKeys[1]], 1);
+      swapped.multisig = { ...swapped.multisig, threshold: 1, publicKeys: other.publicKeys, signatures: other.publicKeys.map(() => null) };
+      officers[0].signTransaction(swapped);
+      assert.strictEqual(swapped.isValid(), false, 'a 1-of-2 key set cannot spend from a 2-of-3 address');
+
+      const single = propose([]);
+      single.multisig = null;
+      assert.throws(() => officers[0].signTransaction(single), /other wallets/);
+    });
+
+    it('should reject blocks with under-signed multisig transactions', async function() {
+      const tx = propose([officers[1]]);
+      const block = new Block(2, blockchain.getLatestBlock().hash, Date.now(), [
+        tx,
+        new Transaction(null, 'miner-address', blockchain.miningReward)
+      ], blockchain.getExpectedBits(2));
+      block.mineBlock();
+      assert.strictEqual(await blockchain.submitBlock(block), false);
+
+      blockchain.chain.push(block);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+  });
+
+  describe('encoding', function() {
+    it('should round-trip partially signed transactions', function() {
+      const tx = propose([officers[1]]);
+      assert.deepStrictEqual(Transaction.deserialize(tx.serialize()), tx);
+      assert.deepStrictEqual(Transaction.fromJSON(JSON.parse(JSON.stringify(tx))), tx);
+    });
+
+    it('should store multisig transactions', async function() {
+      const storage = new SQLiteStorage();
+      const tx = propose(officers.slice(0, 2));
+      await tx.save(storage);
+      const loaded = await Transaction.load(tx.hash, storage);
+      assert.deepStrictEqual(loaded.multisig, tx.multisig);
+      assert(loaded.isValid());
+      await storage.close();
+    });
+  });
+});
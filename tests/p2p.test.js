@@ -0,0 +1,205 @@
+const assert = require('assert');
+const net = require('net');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { P2PNode } = require('../src/p2p');
+const { coins, createSignedTx, signingKey } = require('./helpers');
+
+// Poll a condition until it holds or the time runs out
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('P2P network', function() {
+  const walletAddress = signingKey.getPublic('hex');
+  let nodes = [];
+
+  // Start a node with its own chain on a free localhost port
+  async function startNode(options = {}) {
+    const node = new P2PNode(new Blockchain(options));
+    node.port = (await node.listen()).port;
+    nodes.push(node);
+    return node;
+  }
+
+  afterEach(async function() {
+    await Promise.all(nodes.map(node => node.close()));
+    nodes = [];
+  });
+
+  it('should start every node from the same genesis block', function() {
+    assert.strictEqual(new Blockchain().chain[0].hash, new Blockchain().chain[0].hash);
+  });
+
+  it('should handshake with peers', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const peer = await b.connect(a.port);
+    assert.strictEqual(peer.info.genesisHash, a.blockchain.chain[0].hash);
+    await waitFor(() => a.peers.size === 1);
+  });
+
+  it('should refuse peers with another genesis block', async function() {
+    const a = await startNode();
+    const b = await startNode({ genesisTimestamp: 0 });
+    await assert.rejects(b.connect(a.port), /Handshake/);
+    assert.strictEqual(a.peers.size, 0);
+  });
+
+  it('should refuse connections to itself', async function() {
+    const a = await startNode();
+    await assert.rejects(a.connect(a.port), /Handshake/);
+  });
+
+  it('should announce mined blocks across the network', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const c = await startNode();
+    await b.connect(a.port);
+    await c.connect(b.port);
+
+    const block = await a.mine(walletAddress);
+    await waitFor(() => c.blockchain.chain.length === 2);
+    assert.strictEqual(c.blockchain.getLatestBlock().hash, block.hash);
+    assert.strictEqual(c.blockchain.getBalanceOfAddress(walletAddress), coins(100));
+    assert(c.blockchain.isChainValid());
+  });
+
+  it('should announce blocks mined outside the node', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    await b.connect(a.port);
+    await waitFor(() => a.peers.size === 1);
+
+    const block = a.blockchain.createBlockTemplate(walletAddress);
+    block.mineBlock();
+    assert.strictEqual(await a.submitBlock(block), true);
+    await waitFor(() => b.blockchain.chain.length === 2);
+    assert.strictEqual(b.blockchain.getLatestBlock().hash, block.hash);
+  });
+
+  it('should relay transactions to every mempool', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const c = await startNode();
+    await b.connect(a.port);
+    await c.connect(b.port);
+    await a.mine(walletAddress);
+    await waitFor(() => c.blockchain.chain.length === 2);
+
+    const tx = createSignedTx(10, 'b2', 1);
+    assert(a.addTransaction(tx));
+    await waitFor(() => c.blockchain.mempool.has(tx.hash));
+
+    await c.mine('miner-address');
+    await waitFor(() => a.blockchain.chain.length === 3 && a.blockchain.mempool.size === 0);
+    assert.strictEqual(a.blockchain.getBalanceOfAddress('b2'), coins(10));
+  });
+
+  it('should sync a fresh node from its peers', async function() {
+    const a = await startNode();
+    for (let i = 0; i < 3; i++) {
+      await a.mine(walletAddress);
+    }
+    const b = await startNode();
+    await b.connect(a.port);
+    await waitFor(() => b.blockchain.chain.length === 4);
+    assert.deepStrictEqual(b.blockchain.chain.map(block => block.hash), a.blockchain.chain.map(block => block.hash));
+  });
+
+  it('should switch to a heavier fork announced by a peer', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    await a.mine(walletAddress);
+    await b.mine('b-miner');
+    await b.mine('b-miner');
+
+    await a.connect(b.port);
+    await waitFor(() => a.blockchain.getLatestBlock().hash === b.blockchain.getLatestBlock().hash);
+    assert.strictEqual(a.blockchain.getBalanceOfAddress(walletAddress), 0n);
+    assert.strictEqual(a.blockchain.getBalanceOfAddress('b-miner'), coins(200));
+    assert(a.blockchain.isChainValid());
+
+    await b.mine('b-miner');
+    await waitFor(() => a.blockchain.chain.length === 4);
+  });
+
+  it('should fetch the missing parents of an announced block', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const peer = await b.connect(a.port);
+    for (let i = 0; i < 3; i++) {
+      await b.blockchain.minePendingTransactions('b-miner'); // Mined without announcing
+    }
+
+    peer.send('block', { block: b.blockchain.getLatestBlock().serialize().toString('hex') });
+    await waitFor(() => a.blockchain.chain.length === 4);
+    assert.strictEqual(a.blockchain.orphans.size, 0);
+  });
+
+  it('should switch to a fork deeper than the orphan pool', async function() {
+    // Mine empty blocks on schedule, so that the target stays put, without announcing them
+    async function extend(blockchain, count, minerAddress) {
+      for (let i = 0; i < count; i++) {
+        const tip = blockchain.getLatestBlock();
+        const index = tip.index + 1;
+        const reward = new Transaction(null, minerAddress, blockchain.miningReward);
+        const block = new Block(index, tip.hash, tip.timestamp + blockchain.targetBlockTime, [reward], blockchain.getExpectedBits(index));
+        block.mineBlock();
+        await blockchain.addBlock(block);
+      }
+    }
+
+    const a = await startNode();
+    const b = await startNode();
+    await extend(a.blockchain, 105, 'a-miner');
+    await extend(b.blockchain, 110, 'b-miner');
+
+    await a.connect(b.port);
+    await waitFor(() => a.blockchain.getLatestBlock().hash === b.blockchain.getLatestBlock().hash);
+    assert.strictEqual(a.blockchain.getBalanceOfAddress('b-miner'), coins(11000));
+    assert.strictEqual(a.blockchain.orphans.size, 0);
+    assert(a.blockchain.isChainValid());
+  });
+
+  it('should answer requests for blocks by height and hash', async function() {
+    const a = await startNode();
+    await a.mine(walletAddress);
+    const b = await startNode();
+    const peer = await b.connect(a.port);
+
+    const byHeight = await peer.request('getBlocks', { from: 1, limit: 10 });
+    const decode = data => Block.deserialize(Buffer.from(data, 'hex'));
+    assert.deepStrictEqual(byHeight.blocks.map(data => decode(data).index), [1]);
+    const byHash = await peer.request('getBlock', { hash: a.blockchain.chain[1].hash });
+    assert.strictEqual(decode(byHash.blocks[0]).hash, a.blockchain.chain[1].hash);
+  });
+
+  it('should reject invalid blocks', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const peer = await b.connect(a.port);
+
+    const reward = new Transaction(null, 'b-miner', coins(1000000)); // Far more than the mining reward
+    const block = new Block(1, a.blockchain.chain[0].hash, Date.now(), [reward], a.blockchain.getExpectedBits(1));
+    block.mineBlock();
+    peer.send('block', { block: block.serialize().toString('hex') });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(a.blockchain.chain.length, 1);
+  });
+
+  it('should disconnect peers that break the protocol', async function() {
+    const a = await startNode();
+    const socket = net.connect(a.port, '127.0.0.1');
+    const closed = new Promise(resolve => socket.on('close', resolve));
+    socket.on('error', () => {});
+    socket.resume(); // Discard the node's hello
+    socket.write('not json\n');
+    await closed;
+  });
+});
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { Blockchain } = require('../src/blockchain');
+const { MiningPool } = require('../src/miner');
+const Wallet = require('../src/wallet');
+const { coins } = require('./helpers');
+
+// Search the nonces of a template, as an external miner would, for the first
+// hash that the predicate accepts
+function solve(template, accept, timestamp = template.timestamp) {
+  const header = Buffer.from(template.header, 'hex');
+  header.writeBigUInt64BE(BigInt(timestamp), template.nonceOffset - 12);
+  for (let nonce = 0; ; nonce++) {
+    header.writeBigUInt64BE(BigInt(nonce), template.nonceOffset);
+    const hash = BigInt('0x' + crypto.createHash('sha256').update(header).digest('hex'));
+    if (accept(hash, BigInt('0x' + template.target), BigInt('0x' + template.shareTarget))) {
+      return { templateId: template.templateId, nonce, timestamp };
+    }
+  }
+}
+
+const isBlock = (hash, target) => hash < target;
+const isShareOnly = (hash, target, shareTarget) => hash >= target && hash < shareTarget;
+const isNotShare = (hash, target, shareTarget) => hash >= shareTarget;
+
+describe('MiningPool', function() {
+  const alice = Wallet.generate();
+  let blockchain = null;
+  let pool = null;
+
+  beforeEach(async function() {
+    blockchain = new Blockchain({ difficulty: 2 });
+    await blockchain.minePendingTransactions(alice.address);
+    pool = new MiningPool(blockchain);
+  });
+
+  it('should hand out templates with the pending transactions and the coinbase', function() {
+    const tx = alice.createTransaction(Wallet.generate().address, coins(5), { nonce: blockchain.getNextNonce(alice.address) });
+    blockchain.addTransaction(tx);
+    const template = pool.getTemplate('miner-address', 'rig-1');
+    assert.strictEqual(template.worker, 'rig-1');
+    assert.strictEqual(template.height, 2);
+    assert.strictEqual(template.previousHash, blockchain.getLatestBlock().hash);
+    assert.deepStrictEqual(template.transactions.map(({ hash }) => hash), [tx.hash]);
+    assert.strictEqual(template.coinbase.toAddress, 'miner-address');
+    assert.strictEqual(template.coinbase.amount, String(blockchain.miningReward + tx.fee));
+    assert.strictEqual(BigInt('0x' + template.shareTarget), BigInt('0x' + template.target) * 16n);
+    assert.strictEqual(template.header.length, 88 * 2);
+    assert.strictEqual(JSON.parse(JSON.stringify(template)).templateId, template.templateId);
+  });
+
+  it('should count shares and add the block that meets the target', async function() {
+    const template = pool.getTemplate('miner-address', 'rig-1');
+    const share = await pool.submit(solve(template, isShareOnly));
+    assert.strictEqual(share.status, 'share');
+    assert.strictEqual(blockchain.chain.length, 2);
+
+    const found = await pool.submit(solve(template, isBlock));
+    assert.deepStrictEqual(found, { status: 'block', hash: blockchain.getLatestBlock().hash, height: 2 });
+    assert.strictEqual(blockchain.getBalanceOfAddress('miner-address'), blockchain.miningReward);
+    assert(blockchain.isChainValid());
+
+    const [stats] = pool.getStats().workers;
+    assert.strictEqual(stats.worker, 'rig-1');
+    assert.strictEqual(stats.minerAddress, 'miner-address');
+    assert.strictEqual(stats.shares, 2);
+    assert.strictEqual(stats.blocks, 1);
+    assert.strictEqual(stats.rejected, 0);
+  });
+
+  it('should accept solutions with a later timestamp', async function() {
+    const template = pool.getTemplate('miner-address');
+    const result = await pool.submit(solve(template, isBlock, template.timestamp + 1000));
+    assert.strictEqual(result.status, 'block');
+    assert.strictEqual(blockchain.getLatestBlock().timestamp, template.timestamp + 1000);
+    assert.strictEqual(pool.getStats().workers[0].worker, 'miner-address');
+  });
+
+  it('should refuse low difficulty, duplicate and out of range solutions', async function() {
+    const template = pool.getTemplate('miner-address');
+    await assert.rejects(pool.submit(solve(template, isNotShare)), { code: 'LOW_DIFFICULTY_SHARE' });
+    const share = solve(template, isShareOnly);
+    await pool.submit(share);
+    await assert.rejects(pool.submit(share), { code: 'DUPLICATE_SHARE' });
+    await assert.rejects(pool.submit({ ...share, timestamp: template.timestamp - 1 }), { code: 'INVALID_SOLUTION' });
+    await assert.rejects(pool.submit({ ...share, timestamp: Date.now() + MiningPool.MAX_FUTURE_TIME + 60000 }), { code: 'INVALID_SOLUTION' });
+    await assert.rejects(pool.submit({ ...share, nonce: -1 }), { code: 'INVALID_SOLUTION' });
+    await assert.rejects(pool.submit({ ...share, templateId: 'missing' }), { code: 'UNKNOWN_TEMPLATE' });
+
+    const [stats] = pool.getStats().workers;
+    assert.strictEqual(stats.shares, 1);
+    assert.strictEqual(stats.rejected, 5);
+    assert.strictEqual(blockchain.chain.length, 2);
+  });
+
+  it('should refuse solutions to templates the chain moved past', async function() {
+    const template = pool.getTemplate('miner-address');
+    await blockchain.minePendingTransactions('competitor');
+    await assert.rejects(pool.submit(solve(template, isBlock)), { code: 'STALE_TEMPLATE' });
+    assert.strictEqual(pool.getStats().workers[0].stale, 1);
+
+    pool.getTemplate('miner-address');
+    assert.strictEqual(pool.templates.size, 1, 'stale templates are dropped');
+    await assert.rejects(pool.submit(solve(template, isBlock)), { code: 'UNKNOWN_TEMPLATE' });
+  });
+
+  it('should report blocks the chain does not accept', async function() {
+    pool = new MiningPool(blockchain, { submit: async() => false, shareFactor: 4 });
+    const template = pool.getTemplate('miner-address');
+    assert.strictEqual(BigInt('0x' + template.shareTarget), BigInt('0x' + template.target) * 4n);
+    await assert.rejects(pool.submit(solve(template, isBlock)), { code: 'BLOCK_REJECTED' });
+    assert.throws(() => new MiningPool(blockchain, { shareFactor: 0.5 }), { code: 'INVALID_OPTION' });
+  });
+
+  it('should drop the oldest templates beyond the limit', function() {
+    pool = new MiningPool(blockchain, { maxTemplates: 2 });
+    const first = pool.getTemplate('miner-address');
+    pool.getTemplate('miner-address');
+    pool.getTemplate('miner-address');
+    assert.strictEqual(pool.templates.size, 2);
+    assert(!pool.templates.has(first.templateId));
+    assert.strictEqual(pool.getStats().workers[0].templates, 3);
+  });
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const pow = require('../src/pow');
+
+describe('Proof of work', function() {
+  describe('compact bits', function() {
+    it('should encode the easiest target', function() {
+      assert.strictEqual(pow.targetToBits(pow.MAX_TARGET), pow.MAX_BITS);
+      assert.strictEqual(pow.bitsToTarget(pow.MAX_BITS), pow.MAX_TARGET);
+    });
+
+    it('should round-trip targets with three significant bytes', function() {
+      for (const target of [1n, 0x12n, 0x123456n, 0x123456n << 96n, 0xffffffn << 200n]) {
+        assert.strictEqual(pow.bitsToTarget(pow.targetToBits(target)), target);
+      }
+    });
+
+    it('should round longer targets down', function() {
+      const target = 0x0123456789n; // Bytes 01 23 45 67 89
+      assert.strictEqual(pow.bitsToTarget(pow.targetToBits(target)), 0x123450000n);
+    });
+
+    it('should reject targets out of range', function() {
+      assert.throws(() => pow.targetToBits(0n), /Target out of range/);
+      assert.throws(() => pow.targetToBits(pow.MAX_TARGET + 1n), /Target out of range/);
+    });
+  });
+
+  describe('difficulty', function() {
+    it('should match the legacy leading-zero scheme', function() {
+      const target = pow.bitsToTarget(pow.difficultyToBits(2));
+      assert(pow.hashMeetsTarget('00' + 'f'.repeat(62), target));
+      assert(!pow.hashMeetsTarget('01' + '0'.repeat(62), target));
+      assert.strictEqual(pow.getDifficulty(pow.difficultyToBits(2)), 2);
+    });
+
+    it('should allow steps finer than a hex digit', function() {
+      const bits = pow.targetToBits(pow.MAX_TARGET / 2n);
+      assert.strictEqual(pow.getDifficulty(bits), 0.25);
+      assert.strictEqual(pow.getBlockWork(bits), 2n);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { Blockchain, Transaction } = require('../src/blockchain');
+const { SQLiteStorage } = require('../src/storage');
+const { compile, disassemble, verifyScript, MAX_OPS, MAX_PUSH_SIZE } = require('../src/script');
+const { isScriptAddress, isValidAddress } = require('../src/address');
+const Wallet = require('../src/wallet');
+const ScriptWallet = require('../src/scriptWallet');
+const { coins } = require('./helpers');
+
+// Checker for scripts that neither sign nor lock
+const noChecks = { checkSignature: () => false, checkLockTime: () => false };
+
+// Run scripts given in text form
+function run(locking, unlocking, checker = noChecks) {
+  verifyScript(compile(locking), compile(unlocking), checker);
+}
+
+describe('Scripts', function() {
+  describe('language', function() {
+    it('should compile and disassemble scripts', function() {
+      const text = 'OP_IF OP_SHA256 <' + 'ab'.repeat(32) + '> OP_EQUALVERIFY OP_ELSE 1700000000000 OP_CHECKLOCKTIMEVERIFY OP_DROP OP_ENDIF 1';
+      const script = compile(text);
+      assert.strictEqual(compile(disassemble(script)), script);
+      assert.strictEqual(compile('0 16 <>'), '006000');
+      assert.strictEqual(disassemble(compile('17 -1')), '<11> <81>');
+      assert.strictEqual(compile(`<${'00'.repeat(76)}>`).slice(0, 4), '4c4c', 'longer pushes use OP_PUSHDATA1');
+
+      for (const bad of ['OP_FROBNICATE', '<abc>', 'OP_PUSHDATA1', `<${'00'.repeat(MAX_PUSH_SIZE + 1)}>`]) {
+        assert.throws(() => compile(bad), { code: 'INVALID_SCRIPT' }, bad);
+      }
+      assert.throws(() => disassemble('ff'), /Unknown opcode 0xff/);
+      assert.throws(() => disassemble('05abcd'), /ends in the middle of a push/);
+    });
+
+    it('should run conditions and stack operations', function() {
+      run('OP_IF 2 OP_ELSE 3 OP_ENDIF 3 OP_EQUAL', '0');
+      run('OP_NOTIF 0 OP_IF OP_RETURN OP_ENDIF 1 OP_ENDIF', '0');
+      run('OP_SWAP OP_DROP OP_DUP OP_EQUAL', '4 5');
+      run('OP_SIZE 3 OP_EQUALVERIFY <616263> OP_EQUAL', '<616263>');
+      const hash = crypto.createHash('sha256').update('secret').digest('hex');
+      run(`OP_SHA256 <${hash}> OP_EQUAL`, `<${Buffer.from('secret').toString('hex')}>`);
+      assert.throws(() => run(`OP_SHA256 <${hash}> OP_EQUAL`, '<00>'), { code: 'SCRIPT_FAILED', message: /single true value/ });
+    });
+
+    it('should fail on errors and strict limits', function() {
+      const failures = [
+        ['OP_DROP', '', /Stack is empty/],
+        ['OP_RETURN', '1', /OP_RETURN/],
+        ['OP_IF 1', '1', /without OP_ENDIF/],
+        ['OP_ENDIF 1', '', /without OP_IF/],
+        ['OP_VERIFY 1', '0', /OP_VERIFY failed/],
+        ['1', '1', /single true value/],
+        ['OP_DROP', 'OP_DUP', /may only push data/],
+        [Array(MAX_OPS + 1).fill('OP_DUP OP_DROP').join(' '), '1', /more than 100 operations/],
+        ['1', Array(101).fill('1').join(' '), /more than 100 items/],
+        ['<80>', '', /single true value/]
+      ];
+      for (const [locking, unlocking, message] of failures) {
+        assert.throws(() => run(locking, unlocking), { code: 'SCRIPT_FAILED', message }, locking);
+      }
+    });
+
+    it('should check lock times of the same kind only', function() {
+      const checker = lockTime => ({ checkSignature: () => false, checkLockTime: required => lockTime >= required });
+      run('5 OP_CHECKLOCKTIMEVERIFY', '', checker(5));
+      assert.throws(() => run('5 OP_CHECKLOCKTIMEVERIFY', '', checker(4)), /not locked until 5/);
+      assert.throws(() => run('-1 OP_CHECKLOCKTIMEVERIFY', '', checker(4)), /not locked until -1/);
+      assert.throws(() => run('<0500> OP_CHECKLOCKTIMEVERIFY', '', checker(5)), /not minimally encoded/);
+    });
+  });
+
+  describe('transactions', function() {
+    const alice = Wallet.generate();
+    const bob = Wallet.generate();
+    const secret = Buffer.from('atomic swap secret').toString('hex');
+    const hash = crypto.createHash('sha256').update(Buffer.from(secret, 'hex')).digest('hex');
+    let blockchain = null;
+
+    // Fund a script address and spend from it with the given unlocking script
+    async function fundAndSpend(wallet, unlock, options = {}) {
+      await blockchain.minePendingTransactions(wallet.address);
+      const tx = wallet.createTransaction(bob.address, coins(40), { nonce: blockchain.getNextNonce(wallet.address), ...options });
+      return ScriptWallet.unlock(tx, unlock(tx));
+    }
+
+    beforeEach(function() {
+      blockchain = new Blockchain();
+    });
+
+    it('should derive script addresses', function() {
+      const escrow = ScriptWallet.eitherKey(alice.publicKey, bob.publicKey);
+      assert(isScriptAddress(escrow.address));
+      assert(isValidAddress(escrow.address));
+      assert.strictEqual(escrow.address[0], 'S');
+      assert.notStrictEqual(ScriptWallet.eitherKey(bob.publicKey, alice.publicKey).address, escrow.address);
+    });
+
+    it('should spend from a hash lock with the preimage and a signature', async function() {
+      const wallet = ScriptWallet.hashLock(hash, bob.publicKey);
+      const tx = await fundAndSpend(wallet, tx => `<${bob.createSignature(tx)}> <${secret}>`);
+      assert(blockchain.addTransaction(tx));
+      await blockchain.minePendingTransactions('miner-address');
+      assert.strictEqual(blockchain.getBalanceOfAddress(bob.address), coins(40));
+      assert(blockchain.isChainValid());
+
+      const stolen = wallet.createTransaction(alice.address, coins(1), { nonce: blockchain.getNextNonce(wallet.address) });
+      assert.throws(() => ScriptWallet.unlock(stolen, `<${alice.createSignature(stolen)}> <${secret}>`), { code: 'SCRIPT_FAILED' });
+      assert.throws(() => blockchain.addTransaction(stolen), { code: 'SCRIPT_FAILED' });
+    });
+
+    it('should spend from either of two keys', async function() {
+      const escrow = ScriptWallet.eitherKey(alice.publicKey, bob.publicKey);
+      const tx = await fundAndSpend(escrow, tx => `<${bob.createSignature(tx)}> 0`);
+      assert(blockchain.addTransaction(tx));
+      assert.throws(() => ScriptWallet.unlock(tx, `<${bob.createSignature(tx)}> 1`), /single true value/);
+    });
+
+    it('should refund a hash time lock only from its lock time', async function() {
+      const swap = ScriptWallet.hashTimeLock({ hash, recipientKey: bob.publicKey, refundKey: alice.publicKey, lockTime: 3 });
+      const refund = tx => `<${alice.createSignature(tx)}> 0`;
+      await assert.rejects(fundAndSpend(swap, refund), /not locked until 3/);
+      await assert.rejects(fundAndSpend(swap, refund, { lockTime: 2 }), /not locked until 3/);
+
+      const tx = await fundAndSpend(swap, refund, { lockTime: 3 });
+      assert(blockchain.addTransaction(tx));
+      await blockchain.minePendingTransactions('miner-address');
+      assert.strictEqual(blockchain.getBalanceOfAddress(bob.address), coins(40));
+      assert(blockchain.isChainValid());
+    });
+
+    it('should reject tampered transactions', async function() {
+      const wallet = ScriptWallet.hashLock(hash, bob.publicKey);
+      const tx = await fundAndSpend(wallet, tx => `<${bob.createSignature(tx)}> <${secret}>`);
+      const other = ScriptWallet.hashLock(hash, alice.publicKey);
+      const swapped = Transaction.fromJSON({ ...tx.toJSON(), script: { ...tx.script, lockingScript: other.lockingScript } });
+      assert.strictEqual(swapped.isValid(), false, 'the locking script must match the address');
+
+      const signed = Transaction.fromJSON({ ...tx.toJSON(), signature: bob.createSignature(tx) });
+      assert.strictEqual(signed.isValid(), false, 'script senders only sign through their scripts');
+
+      const moved = Transaction.fromJSON({ ...tx.toJSON(), amount: String(coins(41)) });
+      assert.strictEqual(moved.isValid(), false, 'the signature covers the amount');
+    });
+
+    it('should round-trip scripts through the encodings and storage', async function() {
+      const wallet = ScriptWallet.hashLock(hash, bob.publicKey);
+      const tx = await fundAndSpend(wallet, tx => `<${bob.createSignature(tx)}> <${secret}>`);
+      assert.deepStrictEqual(Transaction.deserialize(tx.serialize()), tx);
+      assert.deepStrictEqual(Transaction.fromJSON(JSON.parse(JSON.stringify(tx))), tx);
+
+      const storage = new SQLiteStorage();
+      await tx.save(storage);
+      const loaded = await Transaction.load(tx.hash, storage);
+      assert.deepStrictEqual(loaded.script, tx.script);
+      assert(loaded.isValid());
+      await storage.close();
+    });
+  });
+});
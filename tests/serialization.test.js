@@ -0,0 +1,139 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { Blockchain, Block, Transaction, BLOCK_VERSIONS, TX_VERSIONS } = require('../src/blockchain');
+const { HEADER_SIZE, ByteReader, encodeBlockHeader, decodeTransaction } = require('../src/serialization');
+const { MemoryStorage } = require('../src/storage');
+const { MAX_BITS } = require('../src/pow');
+const { createSignedTx, nextTimestamp, signingKey } = require('./helpers');
+
+// Sign a transaction hashed the way transactions were before versions existed
+function createLegacyTx(amount, toAddress = 'b2') {
+  const tx = new Transaction(signingKey.getPublic('hex'), toAddress, amount);
+  tx.version = TX_VERSIONS.LEGACY;
+  tx.sign(signingKey);
+  return tx;
+}
+
+describe('Canonical serialization', function() {
+  describe('transactions', function() {
+    it('should round-trip a signed transaction', function() {
+      const tx = createSignedTx(25, 'b2', 2);
+      const decoded = Transaction.deserialize(tx.serialize());
+      assert.deepStrictEqual(decoded, tx);
+      assert(decoded.isValid());
+    });
+
+    it('should round-trip reward and legacy transactions', function() {
+      const reward = new Transaction(null, 'miner', 100, 1700000000000);
+      assert.deepStrictEqual(Transaction.deserialize(reward.serialize()), reward);
+
+      const legacy = createLegacyTx(10);
+      const decoded = Transaction.deserialize(legacy.serialize());
+      assert.strictEqual(decoded.version, TX_VERSIONS.LEGACY);
+      assert.strictEqual(decoded.hash, legacy.hash);
+      assert(decoded.isValid());
+    });
+
+    it('should not let fields run into each other', function() {
+      const first = new Transaction('ab', 'c', 1, 1700000000000);
+      const second = new Transaction('a', 'bc', 1, 1700000000000);
+      assert.notStrictEqual(first.hash, second.hash);
+
+      first.version = second.version = TX_VERSIONS.LEGACY;
+      assert.strictEqual(first.calculateHash(), second.calculateHash(), 'legacy hashes concatenate the fields');
+    });
+
+    it('should hash the same regardless of property order and extra fields', function() {
+      const tx = createSignedTx();
+      const reordered = Transaction.fromJSON(Object.fromEntries(Object.entries(JSON.parse(JSON.stringify(tx))).reverse()));
+      assert.strictEqual(reordered.hash, tx.hash);
+      tx.note = 'not part of the transaction';
+      assert.strictEqual(tx.calculateHash(), reordered.hash);
+    });
+
+    it('should keep the key and signature out of the hash', function() {
+      const tx = createSignedTx();
+      const unsigned = Transaction.fromJSON({ ...tx, signature: null });
+      assert.strictEqual(unsigned.hash, tx.hash);
+    });
+
+    it('should reject transactions of unknown versions', function() {
+      const tx = createSignedTx();
+      tx.version = 6;
+      assert.strictEqual(tx.isValid(), false);
+      assert.throws(() => Transaction.fromJSON({ ...tx }), /Unknown transaction version 6/);
+    });
+
+    it('should reject malformed encodings', function() {
+      const encoded = createSignedTx().serialize();
+      assert.throws(() => decodeTransaction(Buffer.concat([encoded, Buffer.from([0])])), /Unexpected data/);
+      assert.throws(() => decodeTransaction(encoded.subarray(0, encoded.length - 1)), /ends unexpectedly/);
+      const badFlag = Buffer.from(encoded);
+      badFlag[1] = 2; // Presence flag of the sender
+      assert.throws(() => decodeTransaction(badFlag), /Invalid presence flag/);
+      assert.throws(() => new ByteReader(Buffer.from([0x81, 0x00])).varint(), /not minimally encoded/);
+    });
+  });
+
+  describe('blocks', function() {
+    it('should hash a fixed-size header', function() {
+      const block = new Block(1, 'ab'.repeat(32), 1700000000000, [createSignedTx()], MAX_BITS);
+      const header = encodeBlockHeader(block);
+      assert.strictEqual(header.length, HEADER_SIZE);
+      assert.strictEqual(block.hash, crypto.createHash('sha256').update(header).digest('hex'));
+      assert.strictEqual(block.version, BLOCK_VERSIONS.CANONICAL_HEADER);
+    });
+
+    it('should give each previous hash exactly one encoding', function() {
+      const block = new Block(1, 'ab'.repeat(32), 1700000000000, [createSignedTx()], MAX_BITS);
+      assert.throws(() => encodeBlockHeader({ ...block, previousHash: 'abc' }), /as a hash/);
+      assert.throws(() => encodeBlockHeader({ ...block, previousHash: '' }), /as a hash/);
+      assert.throws(() => encodeBlockHeader({ ...block, previousHash: '0'.repeat(64) }), /reserved for genesis/);
+      assert.throws(() => encodeBlockHeader({ ...block, merkleRoot: 'ab' }), /as a hash/);
+    });
+
+    it('should commit to the transactions through the Merkle root only', function() {
+      const block = new Block(1, 'ab'.repeat(32), 1700000000000, [createSignedTx()], MAX_BITS);
+      block.transactions[0].note = 'not part of the transaction';
+      assert.strictEqual(block.calculateHash(), block.hash);
+      block.transactions.push(createSignedTx());
+      block.merkleRoot = block.calculateMerkleRoot();
+      assert.notStrictEqual(block.calculateHash(), block.hash);
+    });
+
+    it('should round-trip a block and recompute its hash', function() {
+      const block = new Block(4, 'ab'.repeat(32), 1700000000000, [new Transaction(null, 'miner', 100), createSignedTx()], MAX_BITS);
+      block.mineBlock();
+      const decoded = Block.deserialize(block.serialize());
+      assert.deepStrictEqual(decoded, block);
+    });
+
+    it('should round-trip the genesis block', function() {
+      const genesis = new Blockchain().chain[0];
+      assert.strictEqual(genesis.version, BLOCK_VERSIONS.TAGGED_MERKLE, 'the genesis block keeps its hash');
+      assert.strictEqual(Block.deserialize(genesis.serialize()).hash, genesis.hash);
+    });
+
+    it('should still verify blocks and transactions hashed the legacy way', async function() {
+      const blockchain = new Blockchain();
+      await blockchain.minePendingTransactions(signingKey.getPublic('hex'));
+      const legacyTx = createLegacyTx(10);
+      legacyTx.nonce = blockchain.getNextNonce(legacyTx.fromAddress);
+      legacyTx.sign(signingKey);
+      const reward = new Transaction(null, 'miner', blockchain.miningReward);
+      reward.version = TX_VERSIONS.LEGACY;
+      reward.hash = reward.calculateHash();
+      const block = new Block(2, blockchain.getLatestBlock().hash, nextTimestamp(blockchain), [reward, legacyTx], blockchain.getExpectedBits(2), BLOCK_VERSIONS.TAGGED_MERKLE);
+      block.mineBlock();
+
+      assert(await blockchain.submitBlock(Block.deserialize(block.serialize())));
+      assert.strictEqual(blockchain.getLatestBlock().hash, block.hash);
+      assert(blockchain.isChainValid());
+
+      const storage = new MemoryStorage();
+      await block.save(storage);
+      const loaded = await Block.load(block.hash, storage);
+      assert.strictEqual(loaded.transactions[1].version, TX_VERSIONS.LEGACY);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Blockchain, Transaction, Block, TX_VERSIONS } = require('../src/blockchain');
+const { MemoryStorage, SQLiteStorage, createStorage } = require('../src/storage');
+const Wallet = require('../src/wallet');
+const { MAX_AMOUNT } = require('../src/amount');
+const { coins, createSignedTx, signingKey } = require('./helpers');
+
+const adapters = {
+  MemoryStorage: () => new MemoryStorage(),
+  SQLiteStorage: () => new SQLiteStorage()
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+  describe(name, function() {
+    let storage = null;
+
+    beforeEach(function() {
+      storage = create();
+    });
+
+    afterEach(async function() {
+      await storage.close();
+    });
+
+    it('should return null for unknown records', async function() {
+      assert.strictEqual(await storage.getBlock('missing'), null);
+      assert.strictEqual(await storage.getTransaction('missing'), null);
+      assert.strictEqual(await storage.getTip(), null);
+      assert.strictEqual(await storage.getHeight(), -1);
+      assert.deepStrictEqual(await storage.getMerkleNodes('missing'), []);
+    });
+
+    it('should round-trip a transaction', async function() {
+      const tx = createSignedTx();
+      await tx.save(storage);
+      const loaded = await Transaction.load(tx.hash, storage);
+      assert.strictEqual(loaded.hash, tx.hash);
+      assert.strictEqual(loaded.signature, tx.signature);
+      assert(loaded.isValid());
+    });
+
+    it('should round-trip the public key of a checksummed sender', async function() {
+      const wallet = Wallet.generate();
+      const tx = wallet.createTransaction(wallet.address, coins(5), { nonce: 0 });
+      await tx.save(storage);
+      const loaded = await Transaction.load(tx.hash, storage);
+      assert.strictEqual(loaded.publicKey, wallet.publicKey);
+      assert(loaded.isValid());
+    });
+
+    it('should round-trip the version of a legacy transaction', async function() {
+      const tx = new Transaction(signingKey.getPublic('hex'), 'b2', coins(10));
+      tx.version = TX_VERSIONS.LEGACY;
+      tx.nonce = 0;
+      tx.sign(signingKey);
+      await tx.save(storage);
+      const loaded = await Transaction.load(tx.hash, storage);
+      assert.strictEqual(loaded.version, TX_VERSIONS.LEGACY);
+      assert(loaded.isValid());
+    });
+
+    it('should round-trip a block with its transactions and Merkle nodes', async function() {
+      const block = new Block(1, 'a1'.repeat(32), 1625245440000, [createSignedTx(), createSignedTx(20), createSignedTx(30)]);
+      await block.save(storage);
+
+      const loaded = await Block.load(block.hash, storage);
+      assert.strictEqual(loaded.hash, block.hash);
+      assert.strictEqual(loaded.merkleRoot, block.merkleRoot);
+      assert.deepStrictEqual(loaded.transactions.map(tx => tx.hash), block.transactions.map(tx => tx.hash));
+
+      const nodes = await storage.getMerkleNodes(block.hash);
+      assert.strictEqual(nodes[0].level, 0);
+      assert.strictEqual(nodes[0].value, block.merkleRoot);
+    });
+
+    it('should report the block with the highest index as tip', async function() {
+      await new Block(0, '0', 1, []).save(storage);
+      const second = new Block(1, 'a1'.repeat(32), 2, [createSignedTx()]);
+      await second.save(storage);
+      assert.strictEqual((await storage.getTip()).hash, second.hash);
+      assert.strictEqual(await storage.getHeight(), 1);
+      assert.deepStrictEqual((await storage.getBlocks()).map(record => record.index), [0, 1]);
+    });
+
+    it('should delete a block with its transactions and Merkle nodes', async function() {
+      const kept = new Block(1, 'a1'.repeat(32), 1, [createSignedTx()]);
+      const deleted = new Block(1, 'b2'.repeat(32), 2, [createSignedTx(20)]);
+      await kept.save(storage);
+      await deleted.save(storage);
+
+      await storage.deleteBlock(deleted.hash);
+      assert.strictEqual(await storage.getBlock(deleted.hash), null);
+      assert.strictEqual(await storage.getTransaction(deleted.transactions[0].hash), null);
+      assert.deepStrictEqual(await storage.getMerkleNodes(deleted.hash), []);
+      assert.strictEqual((await storage.getBlock(kept.hash)).hash, kept.hash);
+      assert.strictEqual((await storage.getTransaction(kept.transactions[0].hash)).hash, kept.transactions[0].hash);
+    });
+
+    it('should replace account records by address', async function() {
+      await storage.putAccounts([{ address: 'a1', balance: coins(10), nonce: -1 }, { address: 'b2', balance: coins(5), nonce: 0 }]);
+      await storage.putAccounts([{ address: 'a1', balance: MAX_AMOUNT, nonce: 3 }]);
+      assert.deepStrictEqual(await storage.getAccount('a1'), { address: 'a1', balance: MAX_AMOUNT, nonce: 3 }, 'balances are stored exactly');
+      assert.strictEqual(await storage.getAccount('missing'), null);
+      assert.strictEqual((await storage.getAccounts()).length, 2);
+    });
+
+    it('should store metadata values', async function() {
+      assert.strictEqual(await storage.getMetadata('tip'), null);
+      await storage.putMetadata('tip', 'a1');
+      await storage.putMetadata('tip', 'b2');
+      assert.strictEqual(await storage.getMetadata('tip'), 'b2');
+    });
+  });
+}
+
+describe('createStorage', function() {
+  it('should default to in-memory storage', function() {
+    assert(createStorage() instanceof MemoryStorage);
+  });
+
+  it('should return adapter instances unchanged', function() {
+    const storage = new MemoryStorage();
+    assert.strictEqual(createStorage(storage), storage);
+  });
+
+  it('should resolve adapters by name', function() {
+    assert(createStorage('sqlite') instanceof SQLiteStorage);
+    assert(createStorage({ type: 'sqlite', filename: 'chain.db' }) instanceof SQLiteStorage);
+  });
+
+  it('should reject unknown adapters', function() {
+    assert.throws(() => createStorage({ type: 'postgres' }), /Unknown storage type/);
+  });
+});
+
+describe('Blockchain persistence', function() {
+  let filename = null;
+
+  beforeEach(function() {
+    filename = path.join(os.tmpdir(), `aibtc-${process.pid}-${Date.now()}.db`);
+  });
+
+  afterEach(function() {
+    fs.rmSync(filename, { force: true });
+  });
+
+  it('should convert amounts that older SQLite files stored as coins', async function() {
+    const SQL = await require('sql.js')();
+    const db = new SQL.Database();
+    db.run(`
+      CREATE TABLE transactions (hash TEXT, from_address TEXT, to_address TEXT, amount REAL, timestamp INTEGER,
+        signature TEXT, block_hash TEXT, position INTEGER, PRIMARY KEY (hash, block_hash));
+      CREATE TABLE accounts (address TEXT PRIMARY KEY, balance REAL, nonce INTEGER);
+      INSERT INTO transactions VALUES ('t1', NULL, 'b2', 1.5, 1, NULL, 'a1', 0);
+      INSERT INTO accounts VALUES ('b2', 100.1, 2);
+    `);
+    fs.writeFileSync(filename, Buffer.from(db.export()));
+    db.close();
+
+    const storage = new SQLiteStorage({ filename });
+    const tx = await storage.getTransaction('t1');
+    assert.strictEqual(tx.amount, coins(3) / 2n);
+    assert.strictEqual(tx.fee, null);
+    assert.deepStrictEqual(await storage.getAccount('b2'), { address: 'b2', balance: 10010000000n, nonce: 2 });
+    await storage.putAccounts([{ address: 'b2', balance: MAX_AMOUNT, nonce: 3 }]);
+    assert.strictEqual((await storage.getAccount('b2')).balance, MAX_AMOUNT);
+    await storage.close();
+  });
+
+  it('should reload a mined chain from a SQLite file', async function() {
+    const blockchain = new Blockchain({ storage: { type: 'sqlite', filename } });
+    const walletAddress = signingKey.getPublic('hex');
+    await blockchain.minePendingTransactions(walletAddress);
+
+    const tx = new Transaction(walletAddress, 'b2', coins(40));
+    tx.nonce = blockchain.getNextNonce(walletAddress);
+    tx.sign(signingKey);
+    blockchain.addTransaction(tx);
+    await blockchain.minePendingTransactions(walletAddress);
+    await blockchain.storage.close();
+
+    const loaded = await Blockchain.load({ storage: { type: 'sqlite', filename } });
+    assert.deepStrictEqual(loaded.chain.map(block => block.hash), blockchain.chain.map(block => block.hash));
+    assert.strictEqual(loaded.getBalanceOfAddress(walletAddress), coins(160));
+    await loaded.storage.close();
+  });
+
+  it('should keep the previous SQLite file when a write fails', async function() {
+    const storage = new SQLiteStorage({ filename });
+    await storage.putMetadata('key', 'first');
+    await storage.flush();
+    const saved = fs.readFileSync(filename);
+
+    const writeFileSync = fs.writeFileSync;
+    fs.writeFileSync = (file, data) => {
+      writeFileSync(file, data.subarray(0, 100)); // Cut short, as by a crash
+      throw new Error('disk full');
+    };
+    try {
+      await storage.putMetadata('key', 'second');
+      await assert.rejects(storage.flush(), /disk full/);
+    } finally {
+      fs.writeFileSync = writeFileSync;
+    }
+    assert.deepStrictEqual(fs.readFileSync(filename), saved);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(filename)).filter(name => name.startsWith(path.basename(filename))), [path.basename(filename)]);
+
+    await storage.flush();
+    await storage.close();
+    const reopened = new SQLiteStorage({ filename });
+    assert.strictEqual(await reopened.getMetadata('key'), 'second');
+    await reopened.close();
+  });
+
+  it('should rebuild a saved account state that does not match the tip', async function() {
+    const blockchain = new Blockchain({ storage: { type: 'sqlite', filename } });
+    const walletAddress = signingKey.getPublic('hex');
+    await blockchain.minePendingTransactions(walletAddress);
+    await blockchain.storage.putMetadata('accountStateTip', 'stale');
+    await blockchain.storage.close();
+
+    const loaded = await Blockchain.load({ storage: { type: 'sqlite', filename } });
+    assert.strictEqual(loaded.getBalanceOfAddress(walletAddress), coins(100));
+    assert.strictEqual(await loaded.storage.getMetadata('accountStateTip'), loaded.getLatestBlock().hash);
+    await loaded.storage.close();
+  });
+
+  it('should reload the chain a reorganization switched to', async function() {
+    const walletAddress = signingKey.getPublic('hex');
+    const blockchain = new Blockchain({ storage: { type: 'sqlite', filename } });
+    const other = new Blockchain();
+    await blockchain.minePendingTransactions(walletAddress);
+    await other.minePendingTransactions('other-miner');
+    await other.minePendingTransactions('other-miner');
+    await blockchain.submitBlock(other.chain[1]);
+    await blockchain.submitBlock(other.chain[2]);
+    await blockchain.storage.close();
+
+    const loaded = await Blockchain.load({ storage: { type: 'sqlite', filename } });
+    assert.deepStrictEqual(loaded.chain.map(block => block.hash), other.chain.map(block => block.hash));
+    assert.strictEqual(loaded.getBalanceOfAddress(walletAddress), 0n);
+    assert.strictEqual(loaded.getBalanceOfAddress('other-miner'), coins(200));
+    await loaded.storage.close();
+  });
+
+  it('should reorganize a reloaded chain and rewrite the accounts it rolled back', async function() {
+    const walletAddress = signingKey.getPublic('hex');
+    const blockchain = new Blockchain({ storage: { type: 'sqlite', filename } });
+    await blockchain.minePendingTransactions(walletAddress);
+    await blockchain.storage.close();
+    const other = new Blockchain();
+    await other.minePendingTransactions('other-miner');
+    await other.minePendingTransactions('other-miner');
+
+    const loaded = await Blockchain.load({ storage: { type: 'sqlite', filename } });
+    await loaded.submitBlock(other.chain[1]);
+    assert(await loaded.submitBlock(other.chain[2]));
+    assert(loaded.verifyAccountState());
+    assert.strictEqual((await loaded.storage.getAccount(walletAddress)).balance, 0n);
+    assert.strictEqual(await loaded.storage.getMetadata('accountStateTip'), other.chain[2].hash);
+    await loaded.storage.close();
+  });
+
+  it('should start a fresh chain when the storage is empty', async function() {
+    const loaded = await Blockchain.load({ storage: new MemoryStorage() });
+    assert.strictEqual(loaded.chain.length, 1);
+    assert.strictEqual(loaded.chain[0].index, 0);
+  });
+});
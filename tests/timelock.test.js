@@ -0,0 +1,158 @@
+const assert = require('assert');
+const { Blockchain, Block, Transaction, TX_VERSIONS, LOCK_TIME_THRESHOLD } = require('../src/blockchain');
+const { SQLiteStorage } = require('../src/storage');
+const Mempool = require('../src/mempool');
+const Wallet = require('../src/wallet');
+const { coins } = require('./helpers');
+
+describe('Time locks', function() {
+  const employer = Wallet.generate();
+  const employee = Wallet.generate();
+  let blockchain = null;
+
+  beforeEach(async function() {
+    blockchain = new Blockchain();
+    await blockchain.minePendingTransactions(employer.address);
+  });
+
+  // Pre-sign a salary payment that cannot be mined before the given lock time
+  function payroll(lockTime, amount = coins(10)) {
+    return employer.createTransaction(employee.address, amount, { nonce: blockchain.getNextNonce(employer.address), lockTime });
+  }
+
+  // Mine a block from explicit transactions, stamped at the given time
+  function mineBlock(transactions, timestamp = Date.now()) {
+    const index = blockchain.chain.length;
+    const block = new Block(index, blockchain.getLatestBlock().hash, timestamp, [
+      ...transactions,
+      new Transaction(null, 'miner-address', blockchain.miningReward)
+    ], blockchain.getExpectedBits(index));
+    block.mineBlock();
+    return block;
+  }
+
+  describe('transactions', function() {
+    it('should sign the lock time', function() {
+      const tx = payroll(5);
+      assert(tx.version >= TX_VERSIONS.LOCK_TIME);
+      assert(tx.isValid());
+      tx.lockTime = 2;
+      assert.strictEqual(tx.isValid(), false, 'moving the lock time breaks the signature');
+
+      const legacy = payroll(5);
+      legacy.version = TX_VERSIONS.MULTISIG;
+      assert.throws(() => legacy.calculateHash(), /Cannot encode a lock time/);
+      legacy.version = TX_VERSIONS.LEGACY;
+      assert.throws(() => legacy.calculateHash(), /Legacy transactions cannot carry a lock time/);
+    });
+
+    it('should tell heights from timestamps', function() {
+      const byHeight = payroll(5);
+      assert.strictEqual(byHeight.isFinal(4, Date.now()), false);
+      assert(byHeight.isFinal(5, 0));
+
+      const payday = Date.UTC(2026, 10, 30);
+      const byTime = payroll(payday);
+      assert(payday >= LOCK_TIME_THRESHOLD);
+      assert.strictEqual(byTime.isFinal(1000000, payday - 1), false);
+      assert(byTime.isFinal(0, payday));
+      assert(payroll(null).isFinal(0, 0));
+    });
+
+    it('should round-trip the lock time', async function() {
+      const tx = payroll(Date.UTC(2026, 10, 30));
+      assert.deepStrictEqual(Transaction.deserialize(tx.serialize()), tx);
+      assert.deepStrictEqual(Transaction.fromJSON(JSON.parse(JSON.stringify(tx))), tx);
+
+      const storage = new SQLiteStorage();
+      await tx.save(storage);
+      const loaded = await Transaction.load(tx.hash, storage);
+      assert.strictEqual(loaded.lockTime, tx.lockTime);
+      assert(loaded.isValid());
+      await storage.close();
+    });
+  });
+
+  describe('pending pool', function() {
+    it('should hold a transaction until its height', async function() {
+      const tx = payroll(3);
+      assert(blockchain.addTransaction(tx));
+      assert.strictEqual(blockchain.getSpendableBalance(employer.address), coins(90), 'held funds stay reserved');
+
+      await blockchain.minePendingTransactions('miner-address'); // Height 2
+      assert(blockchain.mempool.has(tx.hash));
+      assert.strictEqual(blockchain.getBalanceOfAddress(employee.address), 0n);
+
+      await blockchain.minePendingTransactions('miner-address'); // Height 3
+      assert.strictEqual(blockchain.getBalanceOfAddress(employee.address), coins(10));
+      assert(blockchain.isChainValid());
+    });
+
+    it('should hold a transaction until the median time of the chain reaches its lock time', async function() {
+      const tx = payroll(Date.now() + 60 * 60 * 1000);
+      blockchain.addTransaction(tx);
+      await blockchain.minePendingTransactions('miner-address');
+      assert(blockchain.mempool.has(tx.hash));
+      assert.strictEqual(blockchain.getMedianTimePast(), blockchain.chain[1].timestamp);
+    });
+
+    it('should keep later nonces of the sender behind a held transaction', async function() {
+      const held = payroll(3);
+      blockchain.addTransaction(held);
+      const next = employer.createTransaction(employee.address, coins(1), { nonce: blockchain.getNextNonce(employer.address) });
+      blockchain.addTransaction(next);
+
+      await blockchain.minePendingTransactions('miner-address');
+      assert.strictEqual(blockchain.mempool.size, 2);
+      await blockchain.minePendingTransactions('miner-address');
+      assert.strictEqual(blockchain.mempool.size, 0);
+      assert.deepStrictEqual(blockchain.getLatestBlock().transactions.slice(0, 2).map(tx => tx.hash), [held.hash, next.hash]);
+    });
+
+    it('should not evict held transactions, and age them from when they become final', function() {
+      const mempool = new Mempool({ maxAge: 1000 });
+      const tx = payroll(10);
+      mempool.add(tx, 0);
+      assert.deepStrictEqual(mempool.evictExpired(5000, () => true), []);
+      assert.deepStrictEqual(mempool.evictExpired(5500, () => false), []);
+      assert.deepStrictEqual(mempool.evictExpired(6001, () => false), [tx]);
+    });
+
+    it('should list scheduled transactions per address', async function() {
+      const payday = Date.now() + 24 * 60 * 60 * 1000;
+      const later = payroll(payday);
+      blockchain.addTransaction(later);
+      const sooner = payroll(4, coins(5));
+      blockchain.addTransaction(sooner);
+      blockchain.addTransaction(employer.createTransaction(employee.address, coins(1), { nonce: blockchain.getNextNonce(employer.address) }));
+
+      const scheduled = tx => tx.hash;
+      assert.deepStrictEqual(blockchain.getScheduledTransactions(employee.address).map(scheduled), [sooner.hash, later.hash]);
+      assert.deepStrictEqual(blockchain.getScheduledTransactions(employer.address).map(scheduled), [sooner.hash, later.hash]);
+      assert.deepStrictEqual(blockchain.getScheduledTransactions(Wallet.generate().address), []);
+
+      await blockchain.minePendingTransactions('miner-address');
+      await blockchain.minePendingTransactions('miner-address'); // Height 3, sooner is final for the next block
+      assert.deepStrictEqual(blockchain.getScheduledTransactions(employee.address).map(scheduled), [later.hash]);
+    });
+  });
+
+  describe('blocks', function() {
+    it('should reject blocks with transactions locked to a later height', async function() {
+      const tx = payroll(3);
+      assert.strictEqual(await blockchain.submitBlock(mineBlock([tx])), false);
+
+      blockchain.chain.push(mineBlock([tx]));
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+
+    it('should judge time locks by the median time, not the block timestamp', async function() {
+      const tx = payroll(Date.now() + 60 * 60 * 1000);
+      assert.strictEqual(await blockchain.submitBlock(mineBlock([tx], tx.lockTime)), false, 'a miner cannot stamp the block ahead');
+
+      const payable = payroll(blockchain.getMedianTimePast());
+      assert(await blockchain.submitBlock(mineBlock([payable])));
+      assert(blockchain.isChainValid());
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const assert = require('assert');
 const { Transaction, Blockchain } = require('../src/blockchain'); // Adjust path
-const { createSignedTx, signingKey } = require('./helpers'); // Ensure these helpers are adapted
+const { coins, createSignedTx, signingKey } = require('./helpers'); // Ensure these helpers are adapted
+const { publicKeyToAddress } = require('../src/address');
 
 const EC = require('elliptic').ec;
 
@@ -12,7 +13,7 @@ describe('Transaction class', function() {
       const tx = new Transaction('address1', 'address2', 100);
       assert.strictEqual(tx.fromAddress, 'address1');
       assert.strictEqual(tx.toAddress, 'address2');
-      assert.strictEqual(tx.amount, 100);
+      assert.strictEqual(tx.amount, 100n);
       assert.ok(tx.timestamp);
       assert.strictEqual(tx.signature, null);
     });
@@ -51,7 +52,7 @@ describe('Transaction class', function() {
 
     it('should fail if the transaction has a negative amount', function() {
       const tx = createSignedTx();
-      tx.amount = -10;
+      tx.amount = -coins(10);
       assert(!tx.isValid());
     });
 
@@ -66,21 +67,62 @@ describe('Transaction class', function() {
       blockchain.minePendingTransactions(walletAddress);
       
       // Try to create a transaction with an amount larger than the balance
-      const tx1 = new Transaction(walletAddress, 'recipientAddress', 150);
+      const tx1 = new Transaction(walletAddress, 'recipientAddress', coins(150));
+      tx1.nonce = blockchain.getNextNonce(walletAddress);
       tx1.sign(keyPair);
       
-      // Check if the transaction is added to the blockchain's pending transactions
-      const added = blockchain.addTransaction(tx1);
-    
-      // Assert the transaction was not added due to insufficient balance
-      assert.strictEqual(added, false);
+      // Assert the transaction is rejected due to insufficient balance
+      assert.throws(() => blockchain.addTransaction(tx1), { code: 'INSUFFICIENT_BALANCE' });
+      assert.strictEqual(blockchain.pendingTransactions.length, 0);
     });
 
     it('should fail if the transaction has zero amount', function() {
       const tx = createSignedTx();
-      tx.amount = 0;
+      tx.amount = 0n;
       assert(!tx.isValid());
     });
+
+    it('should fail if the amount is not a BigInt of base units', function() {
+      const tx = createSignedTx();
+      tx.amount = Number(tx.amount);
+      assert(!tx.isValid());
+      assert.throws(() => new Transaction('address1', 'address2', 1.5), { code: 'INVALID_AMOUNT' });
+      assert.throws(() => new Transaction('address1', 'address2', '1e3'), { code: 'INVALID_AMOUNT' });
+    });
+  });
+
+  describe('checksummed addresses', function() {
+    const address = publicKeyToAddress(signingKey.getPublic('hex'));
+
+    it('should carry the public key behind the sender address', function() {
+      const tx = new Transaction(address, 'b2', 10);
+      tx.nonce = 0;
+      tx.sign(signingKey);
+      assert.strictEqual(tx.publicKey, signingKey.getPublic(true, 'hex'));
+      assert(tx.isValid());
+      assert(Transaction.fromJSON(JSON.parse(JSON.stringify(tx))).isValid());
+    });
+
+    it('should fail with a public key of another address', function() {
+      const tx = new Transaction(address, 'b2', 10);
+      tx.nonce = 0;
+      tx.sign(signingKey);
+      tx.publicKey = ec.genKeyPair().getPublic(true, 'hex');
+      assert(!tx.isValid());
+    });
+
+    it('should fail without the public key', function() {
+      const tx = new Transaction(address, 'b2', 10);
+      tx.nonce = 0;
+      tx.sign(signingKey);
+      tx.publicKey = null;
+      assert(!tx.isValid());
+    });
+
+    it('should refuse to sign for the address of another key', function() {
+      const tx = new Transaction(publicKeyToAddress(ec.genKeyPair().getPublic('hex')), 'b2', 10);
+      assert.throws(() => tx.sign(signingKey), /other wallets/);
+    });
   });
 });
 
@@ -0,0 +1,107 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Wallet = require('../src/wallet');
+const { Blockchain } = require('../src/blockchain');
+const { isValidAddress } = require('../src/address');
+const { coins } = require('./helpers');
+
+describe('Wallet', function() {
+  const kdfParams = { n: 1024, r: 8, p: 1 }; // Cheap enough for tests
+
+  it('should derive its address from its key', function() {
+    const wallet = Wallet.generate();
+    assert(isValidAddress(wallet.address));
+    assert.strictEqual(Wallet.fromPrivateKey(wallet.getPrivateKey()).address, wallet.address);
+    assert.strictEqual(wallet.getPrivateKey().length, 64);
+  });
+
+  it('should reject malformed private keys', function() {
+    assert.throws(() => Wallet.fromPrivateKey('not hex'), /Private key/);
+  });
+
+  it('should sign transactions that a chain accepts', async function() {
+    const wallet = Wallet.generate();
+    const recipient = Wallet.generate();
+    const blockchain = new Blockchain();
+    await blockchain.minePendingTransactions(wallet.address);
+
+    const tx = wallet.createTransaction(recipient.address, coins(30), { nonce: blockchain.getNextNonce(wallet.address), fee: coins(1) });
+    assert(blockchain.addTransaction(tx));
+    await blockchain.minePendingTransactions(recipient.address);
+    assert.strictEqual(blockchain.getBalanceOfAddress(wallet.address), coins(69));
+    assert.strictEqual(blockchain.getBalanceOfAddress(recipient.address), coins(131));
+    assert(blockchain.isChainValid());
+  });
+
+  it('should refuse recipients with a bad checksum', function() {
+    const wallet = Wallet.generate();
+    const address = Wallet.generate().address;
+    const typo = address.slice(0, -1) + (address.endsWith('z') ? 'y' : 'z');
+    assert.throws(() => wallet.createTransaction(typo, 10, { nonce: 0 }), /Invalid recipient address/);
+  });
+
+  describe('keystore', function() {
+    let filename = null;
+
+    beforeEach(function() {
+      filename = path.join(os.tmpdir(), `aibtc-wallet-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(function() {
+      fs.rmSync(filename, { force: true });
+    });
+
+    it('should encrypt and decrypt the private key', async function() {
+      const wallet = Wallet.generate();
+      const keystore = await wallet.encrypt('secret', kdfParams);
+      assert.strictEqual(keystore.address, wallet.address);
+      assert(!JSON.stringify(keystore).includes(wallet.getPrivateKey()));
+      assert.strictEqual((await Wallet.decrypt(keystore, 'secret')).getPrivateKey(), wallet.getPrivateKey());
+    });
+
+    it('should reject a wrong password', async function() {
+      const keystore = await Wallet.generate().encrypt('secret', kdfParams);
+      await assert.rejects(Wallet.decrypt(keystore, 'wrong'), /Wrong password/);
+    });
+
+    it('should reject keystores whose address was changed', async function() {
+      const keystore = await Wallet.generate().encrypt('secret', kdfParams);
+      keystore.address = Wallet.generate().address;
+      await assert.rejects(Wallet.decrypt(keystore, 'secret'), /does not match/);
+    });
+
+    it('should reject unknown formats and excessive scrypt costs', async function() {
+      const keystore = await Wallet.generate().encrypt('secret', kdfParams);
+      await assert.rejects(Wallet.decrypt({ ...keystore, version: 99 }, 'secret'), /Unsupported keystore format/);
+      keystore.crypto.kdfparams.n = 1 << 30;
+      await assert.rejects(Wallet.decrypt(keystore, 'secret'), /derivation parameters/);
+    });
+
+    it('should reject oversized scrypt block sizes and parallelization', async function() {
+      const keystore = await Wallet.generate().encrypt('secret', kdfParams);
+      const { kdfparams } = keystore.crypto;
+      for (const oversized of [{ r: 1 << 16 }, { p: 1 << 20 }, { r: 0 }, { p: 1.5 }]) {
+        keystore.crypto.kdfparams = { ...kdfparams, ...oversized };
+        await assert.rejects(Wallet.decrypt(keystore, 'secret'), /derivation parameters/);
+      }
+      keystore.crypto.kdfparams = kdfparams;
+      assert(await Wallet.decrypt(keystore, 'secret'));
+    });
+
+    it('should save to a private file and load it back', async function() {
+      const wallet = Wallet.generate();
+      await wallet.save(filename, 'secret', kdfParams);
+      if (process.platform !== 'win32') {
+        assert.strictEqual(fs.statSync(filename).mode & 0o777, 0o600);
+      }
+      assert.strictEqual((await Wallet.load(filename, 'secret')).address, wallet.address);
+    });
+
+    it('should never overwrite an existing keystore', async function() {
+      await Wallet.generate().save(filename, 'secret', kdfParams);
+      await assert.rejects(Wallet.generate().save(filename, 'secret', kdfParams), /EEXIST/);
+    });
+  });
+});